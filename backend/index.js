@@ -21,19 +21,32 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 
-const { ttsHandler, clearTTSCache, getTTSCacheStats } = require('./src/tts');
+const { ttsHandler, ttsTimingsHandler, ttsVisemesHandler, clearTTSCache, getTTSCacheStats } = require('./src/tts');
 const { sttHandler, clearSTTCache, getSTTCacheStats } = require('./src/stt');
-const { feedbackHandler } = require('./src/feedback');
+const { attachSttStream, createProviderTranscriber } = require('./src/sttStream');
+const { diagnoseHandler } = require('./src/audioDiagnostics');
+const { feedbackHandler, resolveSpacingPolicy, SPACING_POLICIES } = require('./src/feedback');
+const { describeTiers } = require('./src/scoringTiers');
 const { pronounceHandler } = require('./src/pronounce');
 const { evalHandler } = require('./src/eval');
 const { getSentences } = require('./src/sentences');
+const { pronunciationHandler, getPronunciationCacheStats, clearPronunciationCache } = require('./src/pronunciation');
+const { romanizeHandler } = require('./src/romanize');
+const { voicesHandler } = require('./src/voices');
+const { prewarmHandler, prewarmStatusHandler, prewarmCancelHandler } = require('./src/prewarm');
 const { grokHandler } = require('./src/grok');
 const { getConfigStatus, getMode, logStartupStatus, isElevenLabsConfigured, isXAIConfigured } = require('./src/mockMode');
+const { getChain, getConfiguredProviders, PROVIDERS, CHAIN_ENV } = require('./src/providers');
 const { isXAIRealtimeConfigured } = require('./src/xaiRealtimeClient');
-const { createRateLimiter } = require('./src/rateLimit');
+const { createRateLimiter, checkRateLimit, getUpgradeIp } = require('./src/rateLimit');
 const {
   stubTtsHandler,
+  stubTtsTimingsHandler,
+  stubTtsVisemesHandler,
+  stubVoicesHandler,
+  stubPrewarmHandler,
   stubSttHandler,
+  createStubSttTranscriber,
   stubEvalHandler,
   stubFeedbackHandler,
   stubGrokHandler,
@@ -60,10 +73,16 @@ function validateEnvironment() {
   const required = [];
   const warnings = [];
 
-  // ElevenLabs is required for core TTS/STT functionality
-  if (!process.env.ELEVENLABS_API_KEY) {
-    required.push('ELEVENLABS_API_KEY (required for TTS/STT)');
+  // At least one provider per chain is required for core TTS/STT functionality
+  const missingProviders = new Map();
+  for (const service of ['tts', 'stt']) {
+    if (getConfiguredProviders(service).length > 0) continue;
+    const keys = getChain(service).map(name => PROVIDERS[name].envKey).join(' or ') || `a valid ${CHAIN_ENV[service]}`;
+    missingProviders.set(keys, [...(missingProviders.get(keys) || []), service.toUpperCase()]);
   }
+  missingProviders.forEach((services, keys) => {
+    required.push(`${keys} (required for ${services.join('/')})`);
+  });
   // xAI is optional but recommended for full functionality
   if (!process.env.XAI_API_KEY) {
     warnings.push('XAI_API_KEY (optional - enables Grok feedback/pronunciation)');
@@ -140,8 +159,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// Rate limiting (60 requests per minute per IP)
-const rateLimiter = createRateLimiter(60);
+// Rate limiting (60 requests per minute per IP, WebSocket upgrades included)
+const RATE_LIMIT = 60;
+const rateLimiter = createRateLimiter(RATE_LIMIT);
 app.use('/api', rateLimiter);
 
 // Optional Bearer token auth (if BACKEND_TOKEN is set)
@@ -218,17 +238,72 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * GET /api/config
+ * Scoring policy shared with clients (so they don't hard-code thresholds)
+ * Returns: { ok, scoring: { tiers: [{ tier, minAccuracyPercent, maxAccuracyPercent, clientState }],
+ *            spacing: { default, policies } } }
+ */
+app.get('/api/config', (req, res) => {
+  res.json({
+    ok: true,
+    scoring: {
+      tiers: describeTiers(),
+      spacing: {
+        default: resolveSpacingPolicy().spacing,
+        policies: Object.keys(SPACING_POLICIES)
+      }
+    }
+  });
+});
+
 /**
  * POST /api/tts
  * Text-to-Speech via ElevenLabs (or stub in mock mode)
- * Body: { text: string, voice_id?: string }
- * Returns: audio/mpeg
+ * Body: { text: string, speedProfile?: 0|1|2, voice?: string, stability?: number, style?: number,
+ *         format?: 'mp3'|'wav'|'pcm'|'opus', timestamps?: boolean, stream?: boolean }
+ * Format: "format" field, else Accept header (audio/mpeg, audio/wav, audio/L16, audio/ogg), else mp3
+ * Returns: audio in the negotiated format (X-Speed-Profile, X-Voice, X-Audio-Format headers; chunked when stream=true)
+ *          or JSON { ok, cacheKey, audioBase64, timings: { duration, syllables, words } } when timestamps=true
  */
 app.post('/api/tts', (req, res, next) => {
   if (isMockMode()) return stubTtsHandler(req, res);
   return ttsHandler(req, res, next);
 });
 
+/**
+ * GET /api/tts/:cacheKey/timings
+ * Per-syllable and per-어절 timings cached next to a /api/tts entry (or stub timings in mock mode)
+ * Returns: { ok, cacheKey, timings: { duration, syllables, words } }
+ */
+app.get('/api/tts/:cacheKey/timings', (req, res) => {
+  if (isMockMode()) return stubTtsTimingsHandler(req, res);
+  return ttsTimingsHandler(req, res);
+});
+
+/**
+ * GET /api/tts/:cacheKey/visemes
+ * Korean viseme track (jamo vowel shapes, closed lips for ㅁ/ㅂ/ㅍ) for a /api/tts entry
+ * (deterministic mock track in mock mode)
+ * Query: ?text= (fallback for entries without recorded text)
+ * Returns: { ok, cacheKey, source, duration, visemes: [{ viseme, blendshape, weight, start, end, syllableIndex }] }
+ */
+app.get('/api/tts/:cacheKey/visemes', (req, res) => {
+  if (isMockMode()) return stubTtsVisemesHandler(req, res);
+  return ttsVisemesHandler(req, res);
+});
+
+/**
+ * GET /api/voices
+ * List allowlisted TTS voices (or stub catalog in mock mode)
+ * Query: ?gender=female|male&age=child|young|adult&style=<tag> (optional)
+ * Returns: { ok, total, defaultVoice, voices: Array<{id, name, gender, age, styles, default}> }
+ */
+app.get('/api/voices', (req, res) => {
+  if (isMockMode()) return stubVoicesHandler(req, res);
+  return voicesHandler(req, res);
+});
+
 /**
  * POST /api/stt
  * Speech-to-Text via ElevenLabs (or stub in mock mode)
@@ -240,6 +315,20 @@ app.post('/api/stt', upload.single('audio'), (req, res, next) => {
   return sttHandler(req, res, next);
 });
 
+/**
+ * WS /api/stt/stream
+ * Streaming Speech-to-Text with partial transcripts (or simulator in mock mode)
+ * Messages: { type: 'start', targetText, language?, sampleRate? }, PCM16 frames, { type: 'stop' }
+ * Emits: { type: 'partial'|'final', text, cer, accuracyPercent, audioSeconds }
+ */
+function attachWebSockets(server) {
+  return attachSttStream(server, {
+    token: BACKEND_TOKEN,
+    rateLimit: req => checkRateLimit(getUpgradeIp(req), RATE_LIMIT),
+    createTranscriber: start => isMockMode() ? createStubSttTranscriber(start) : createProviderTranscriber(start)
+  });
+}
+
 /**
  * POST /api/feedback
  * Get pronunciation/shadowing feedback (or stub in mock mode)
@@ -263,14 +352,36 @@ app.post('/api/grok', (req, res, next) => {
   return grokHandler(req, res, next);
 });
 
+/**
+ * GET /api/pronunciation
+ * Standard pronunciation ([가치]), Revised Romanization and sound-change rules of a sentence
+ * Query: ?text=<Korean sentence>
+ */
+app.get('/api/pronunciation', pronunciationHandler);
+
+/**
+ * GET /api/romanize
+ * Revised Romanization of a sentence
+ * Query: ?text=<Korean sentence>&mode=standard|pronunciation
+ */
+app.get('/api/romanize', romanizeHandler);
+
 /**
  * GET /api/sentences
  * Get sentences list for shadowing practice
- * Query: ?category=daily|travel|cafe|school|work (optional)
- * Returns: { sentences: Array<{id, korean, english, category}> }
+ * Query: ?category=daily|travel|cafe|school|work (optional), ?pronunciation=true (optional)
+ * Returns: { sentences: Array<{id, korean, english, category, alternates, pronunciation?}> }
  */
 app.get('/api/sentences', getSentences);
 
+/**
+ * POST /api/audio/diagnose
+ * Recording quality report (computed locally, same in mock mode)
+ * Body: multipart/form-data with 'audio' file
+ * Returns: { ok, diagnostics: { quality, peakDbfs, rmsDbfs, snrDb, clippingRatio, dcOffset, humHz, format, hints } }
+ */
+app.post('/api/audio/diagnose', upload.single('audio'), diagnoseHandler);
+
 /**
  * POST /api/pronounce_grok
  * Voice-based pronunciation feedback via xAI Realtime API (or stub in mock mode)
@@ -289,7 +400,7 @@ app.post('/api/pronounce_grok', upload.single('audio'), (req, res, next) => {
  * B) Punctuation-insensitive text scoring
  * C) xAI Realtime pronunciation feedback (optional)
  * D) xAI Text grammar corrections
- * Body: multipart/form-data with 'audio' file + targetText + locale (optional)
+ * Body: multipart/form-data with 'audio' file + targetText + locale (optional) + diagnostics=true (optional)
  * Returns: { ok, transcriptText, textAccuracyPercent, mistakePercent, diff, pronunciation, grammar }
  */
 app.post('/api/eval', upload.single('audio'), (req, res, next) => {
@@ -299,8 +410,8 @@ app.post('/api/eval', upload.single('audio'), (req, res, next) => {
 
 /**
  * POST /api/cache/clear
- * Clear TTS and STT caches (development only)
- * Returns: { ok, cleared: { tts, stt } }
+ * Clear TTS, STT and pronunciation caches (development only)
+ * Returns: { ok, cleared: { tts, stt, pronunciation } }
  */
 app.post('/api/cache/clear', (req, res) => {
   // Only allow in development mode
@@ -313,14 +424,16 @@ app.post('/api/cache/clear', (req, res) => {
 
   const ttsResult = clearTTSCache();
   const sttResult = clearSTTCache();
+  const pronunciationResult = clearPronunciationCache();
 
-  console.log(`[Cache] Cleared: TTS=${ttsResult.cleared}, STT=${sttResult.cleared}`);
+  console.log(`[Cache] Cleared: TTS=${ttsResult.cleared}, STT=${sttResult.cleared}, pronunciation=${pronunciationResult.cleared}`);
 
   res.json({
     ok: true,
     cleared: {
       tts: ttsResult.cleared || 0,
-      stt: sttResult.cleared || 0
+      stt: sttResult.cleared || 0,
+      pronunciation: pronunciationResult.cleared
     }
   });
 });
@@ -328,7 +441,7 @@ app.post('/api/cache/clear', (req, res) => {
 /**
  * GET /api/cache/stats
  * Get cache statistics (development only)
- * Returns: { ok, stats: { tts, stt } }
+ * Returns: { ok, stats: { tts, stt, pronunciation } }
  */
 app.get('/api/cache/stats', (req, res) => {
   // Only allow in development mode
@@ -343,11 +456,65 @@ app.get('/api/cache/stats', (req, res) => {
     ok: true,
     stats: {
       tts: getTTSCacheStats(),
-      stt: getSTTCacheStats()
+      stt: getSTTCacheStats(),
+      pronunciation: getPronunciationCacheStats()
     }
   });
 });
 
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * Admin route guard (admin routes can start paid TTS synthesis)
+ * With BACKEND_TOKEN set, the Bearer auth above applies. Without it they are
+ * disabled in production and only answer direct requests from this machine
+ * elsewhere (the server binds 0.0.0.0; proxied requests are refused).
+ */
+function requireAdmin(req, res, next) {
+  if (BACKEND_TOKEN) return next();
+  if (isProd) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Admin routes disabled in production',
+      details: 'Set BACKEND_TOKEN to enable them'
+    });
+  }
+  const isLocal = LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) && !req.headers['x-forwarded-for'];
+  if (!isLocal) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Admin routes are local-only without BACKEND_TOKEN',
+      details: 'Call them from this machine, or set BACKEND_TOKEN and send it as a Bearer token'
+    });
+  }
+  next();
+}
+
+/**
+ * POST /api/admin/prewarm
+ * Fill the TTS cache for every sentence × voice × speed profile
+ * Body: { voices?, speedProfiles?, format?, concurrency?, limit?, confirm?: boolean }
+ * Returns: { ok, started: false, estimate } without confirm,
+ *          202 { ok, started: true, status } with confirm (runs in the background)
+ */
+app.post('/api/admin/prewarm', requireAdmin, (req, res) => {
+  if (isMockMode()) return stubPrewarmHandler(req, res);
+  return prewarmHandler(req, res);
+});
+
+/**
+ * GET /api/admin/prewarm
+ * Progress of the current or last pre-warm run
+ * Returns: { ok, status: { running, estimate, progress } | null }
+ */
+app.get('/api/admin/prewarm', requireAdmin, prewarmStatusHandler);
+
+/**
+ * POST /api/admin/prewarm/cancel
+ * Stop the running pre-warm after in-flight requests (rerun to resume)
+ */
+app.post('/api/admin/prewarm/cancel', requireAdmin, prewarmCancelHandler);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err.message);
@@ -367,7 +534,7 @@ if (require.main === module) {
   const HOST = process.env.HOST || '0.0.0.0';
   const mode = getMode();
 
-  app.listen(PORT, HOST, () => {
+  const server = app.listen(PORT, HOST, () => {
     console.log(`\n🎯 AI-demo Backend Server`);
     console.log(`   Running on: http://${HOST}:${PORT}`);
     console.log(`   Environment: ${isProd ? 'PRODUCTION' : 'DEVELOPMENT'}`);
@@ -382,13 +549,22 @@ if (require.main === module) {
     console.log(`   Endpoints:`);
     console.log(`   - GET  /health (root health check)`);
     console.log(`   - GET  /api/health (detailed)`);
+    console.log(`   - GET  /api/config`);
     console.log(`   - POST /api/tts${mode === 'mock' ? ' [STUB]' : ''}`);
+    console.log(`   - GET  /api/tts/:cacheKey/timings${mode === 'mock' ? ' [STUB]' : ''}`);
+    console.log(`   - GET  /api/tts/:cacheKey/visemes${mode === 'mock' ? ' [STUB]' : ''}`);
+    console.log(`   - GET  /api/voices${mode === 'mock' ? ' [STUB]' : ''}`);
     console.log(`   - POST /api/stt${mode === 'mock' ? ' [STUB]' : ''}`);
+    console.log(`   - WS   /api/stt/stream${mode === 'mock' ? ' [STUB]' : ''}`);
     console.log(`   - POST /api/feedback${mode === 'mock' ? ' [STUB]' : ''}`);
     console.log(`   - POST /api/grok${mode === 'mock' ? ' [STUB]' : ''}`);
     console.log(`   - POST /api/pronounce_grok${mode === 'mock' ? ' [STUB]' : ''}`);
     console.log(`   - POST /api/eval${mode === 'mock' ? ' [STUB]' : ''}`);
+    console.log(`   - POST /api/audio/diagnose`);
+    console.log(`   - GET  /api/pronunciation`);
+    console.log(`   - GET  /api/romanize`);
     console.log(`   - GET  /api/sentences`);
+    console.log(`   - POST /api/admin/prewarm${mode === 'mock' ? ' [STUB]' : ''}${BACKEND_TOKEN ? '' : isProd ? ' (disabled: no BACKEND_TOKEN)' : ' (localhost only: no BACKEND_TOKEN)'}`);
     if (isDev) {
       console.log(`   - POST /api/cache/clear (dev only)`);
       console.log(`   - GET  /api/cache/stats (dev only)`);
@@ -403,6 +579,7 @@ if (require.main === module) {
 
     console.log('');
   });
+  attachWebSockets(server);
 }
 
 /**
@@ -437,3 +614,4 @@ function printLanIpHelp() {
 }
 
 module.exports = app;
+module.exports.attachWebSockets = attachWebSockets;
@@ -3,16 +3,39 @@
  * Run with: npm test
  */
 
-const { describe, it, before, after, beforeEach } = require('node:test');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const http = require('http');
+const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 
 const app = require('../index');
-const { clearTTSCache, getTTSCacheStats, generateCacheKey, SPEED_PROFILES } = require('./tts');
-const { clearSTTCache, getSTTCacheStats, isSTTMock, generateCacheKey: generateSTTCacheKey } = require('./stt');
-const { isFeedbackMock, generateMockFeedback, calculateSimilarity, normalizeForKoreanCompare, computeCER, buildCharacterDiff } = require('./feedback');
+const { clearTTSCache, getTTSCacheStats, generateCacheKey, SPEED_PROFILES, resolveSpeedProfile, getVoiceSettings, pipeAudioToClientAndCache, warmTtsCache, ttsVisemesHandler, getCacheFormatId } = require('./tts');
+const { processPcm, postProcessAudio, getSynthesisFormat, samplesToPcm16, pcm16ToSamples, encodeMp3 } = require('./audioProcessing');
+const { buildWordTimings, confidenceFromLogprob, generateMockSttWords } = require('./sttWords');
+const { parseDrillOptions, splitDrillSegments, joinDrillAudio } = require('./drill');
+const { buildVisemeTrack, decomposeSyllable, syllableShapes } = require('./visemes');
+const { resolveVoice, parseVoiceOverrides, DEFAULT_VOICE } = require('./voices');
+const { generateMockTimings, buildTimingsFromAlignment, estimateTimings } = require('./timings');
+const { resolveOutputFormat, getAudioDuration, OUTPUT_FORMATS, DEFAULT_FORMAT } = require('./ttsFormats');
+const { parseWavHeader, createWavBuffer, decodeAudioInput } = require('./pronounce');
+const { sniffAudio, identifyAudio } = require('./audioInput');
+const { detectSpeech, checkSpeech, trimToSpeech } = require('./vad');
+const { diagnoseAudio } = require('./audioDiagnostics');
+const { clearSTTCache, getSTTCacheStats, isSTTMock, generateCacheKey: generateSTTCacheKey, sttHandler } = require('./stt');
+const { clearAll: clearRateLimits } = require('./rateLimit');
+const { parseChain, getActiveProvider, supportsTts, runWithFallback, PROVIDERS } = require('./providers');
+const { parsePrewarmOptions, planPrewarm, runPrewarm, runPool } = require('./prewarm');
+const { isFeedbackMock, generateMockFeedback, calculateSimilarity, normalizeForKoreanCompare, computeCER, buildCharacterDiff, normalizeForScoring } = require('./feedback');
+const { readSino, readNative, chooseReadings } = require('./koreanNormalize');
+const { composeSyllable, compareSyllables } = require('./jamo');
+const { pronounce } = require('./g2p');
+const { romanize, romanizeSyllables } = require('./romanize');
+const { clearPronunciationCache } = require('./pronunciation');
+const { loadSentences, validateAlternates, getAcceptedVariants } = require('./sentences');
+const { getTier, getTierThresholds, describeTiers } = require('./scoringTiers');
+const { MAX_MESSAGE_BYTES } = require('./sttStream');
 
 let server;
 let baseUrl;
@@ -26,12 +49,18 @@ before(async () => {
     server = app.listen(0, () => {
       const port = server.address().port;
       baseUrl = `http://localhost:${port}`;
+      app.attachWebSockets(server);
       console.log(`Test server running on ${baseUrl}`);
       resolve();
     });
   });
 });
 
+// Reset rate limit counters so the suite never trips the 60 req/min limiter
+beforeEach(() => {
+  clearRateLimits();
+});
+
 // Stop server after tests
 after(async () => {
   return new Promise((resolve) => {
@@ -154,7 +183,7 @@ function requestMultipart(path, audioBuffer, filename = 'audio.wav', extraFields
 /**
  * Helper to make HTTP requests
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const options = {
@@ -162,7 +191,7 @@ function request(method, path, body = null) {
       hostname: url.hostname,
       port: url.port,
       path: url.pathname + url.search,
-      headers: {}
+      headers: { ...headers }
     };
 
     if (body) {
@@ -400,9 +429,31 @@ describe('TTS Endpoint', () => {
   });
 
   it('TTS speed profiles are correctly defined', () => {
-    assert.strictEqual(SPEED_PROFILES[1], 0.9, 'Profile 1 should be 0.9 (slow)');
-    assert.strictEqual(SPEED_PROFILES[2], 1.0, 'Profile 2 should be 1.0 (normal)');
-    assert.strictEqual(SPEED_PROFILES[3], 1.1, 'Profile 3 should be 1.1 (fast)');
+    assert.strictEqual(SPEED_PROFILES[0].name, 'slow', 'Profile 0 should be slow');
+    assert.strictEqual(SPEED_PROFILES[1].name, 'normal', 'Profile 1 should be normal');
+    assert.strictEqual(SPEED_PROFILES[2].name, 'fast', 'Profile 2 should be fast');
+    assert.ok(SPEED_PROFILES[0].voiceSettings.speed < SPEED_PROFILES[1].voiceSettings.speed);
+    assert.ok(SPEED_PROFILES[2].voiceSettings.speed > SPEED_PROFILES[1].voiceSettings.speed);
+  });
+
+  it('TTS invalid speed profiles fall back to normal', () => {
+    assert.strictEqual(resolveSpeedProfile(0), 0);
+    assert.strictEqual(resolveSpeedProfile('2'), 2);
+    assert.strictEqual(resolveSpeedProfile(99), 1);
+    assert.strictEqual(resolveSpeedProfile(undefined), 1);
+  });
+
+  it('TTS cache key differs per speed profile', () => {
+    const slow = generateCacheKey('hello', 'voice123', getVoiceSettings(0), 'mp3_44100_128');
+    const normal = generateCacheKey('hello', 'voice123', getVoiceSettings(1), 'mp3_44100_128');
+    assert.notStrictEqual(slow, normal);
+  });
+
+  it('POST /api/tts reports the speed profile used', async () => {
+    const res = await request('POST', '/api/tts', { text: '천천히', speedProfile: 0 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['x-speed-profile'], '0');
+    assert.strictEqual(res.headers['x-speed-profile-name'], 'slow');
   });
 
   it('clearTTSCache removes all cached files', async () => {
@@ -423,6 +474,731 @@ describe('TTS Endpoint', () => {
   });
 });
 
+describe('TTS Output Formats', () => {
+  it('resolveOutputFormat prefers the format field over Accept', () => {
+    assert.strictEqual(resolveOutputFormat({ format: 'wav' }, 'audio/mpeg').name, 'wav');
+    assert.strictEqual(resolveOutputFormat({}, 'audio/ogg').name, 'opus');
+    assert.strictEqual(resolveOutputFormat({}, '*/*').name, 'mp3');
+    assert.strictEqual(resolveOutputFormat({}, undefined).name, 'mp3');
+    assert.strictEqual(resolveOutputFormat({ format: 'flac' }).ok, false);
+  });
+
+  it('resolveOutputFormat ignores names inherited from Object.prototype', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.strictEqual(resolveOutputFormat({ format: name }).ok, false, name);
+      assert.strictEqual(resolveOutputFormat({}, name).name, 'mp3', name);
+    }
+  });
+
+  it('resolveOutputFormat honours Accept q-values', () => {
+    assert.strictEqual(resolveOutputFormat({}, 'audio/mpeg;q=0.5, audio/wav').name, 'wav');
+    assert.strictEqual(resolveOutputFormat({}, 'audio/ogg;q=0, audio/L16;q=0.8').name, 'pcm');
+  });
+
+  it('TTS cache key includes the output format', () => {
+    const settings = getVoiceSettings(1);
+    assert.notStrictEqual(
+      generateCacheKey('hello', 'voice123', settings, OUTPUT_FORMATS.wav.id),
+      generateCacheKey('hello', 'voice123', settings, OUTPUT_FORMATS.pcm.id)
+    );
+  });
+
+  it('POST /api/tts format=wav returns a WAV file', async () => {
+    const res = await request('POST', '/api/tts', { text: '포맷', format: 'wav' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'audio/wav');
+    assert.strictEqual(res.headers['x-audio-format'], 'wav');
+    assert.strictEqual(res.body.slice(0, 4).toString(), 'RIFF');
+    assert.strictEqual(parseWavHeader(res.body).bitsPerSample, 16);
+  });
+
+  it('POST /api/tts negotiates Ogg/Opus from the Accept header', async () => {
+    const res = await request('POST', '/api/tts', { text: '포맷' }, { Accept: 'audio/ogg' });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.headers['content-type'].startsWith('audio/ogg'));
+    assert.strictEqual(res.body.slice(0, 4).toString(), 'OggS');
+  });
+
+  it('POST /api/tts returns 400 for unsupported formats', async () => {
+    const res = await request('POST', '/api/tts', { text: '포맷', format: 'flac' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+
+    const inherited = await request('POST', '/api/tts', { text: '포맷', format: 'constructor' });
+    assert.strictEqual(inherited.status, 400);
+    const drill = await request('POST', '/api/tts', { text: '안녕하세요', drill: 'word', format: 'constructor' });
+    assert.strictEqual(drill.status, 400);
+  });
+});
+
+describe('TTS Streaming', () => {
+  const { Readable } = require('stream');
+  const os = require('os');
+
+  function collectingWritable() {
+    const { Writable } = require('stream');
+    const chunks = [];
+    const sink = new Writable({
+      write(chunk, enc, cb) { chunks.push(chunk); cb(); }
+    });
+    sink.chunks = chunks;
+    return sink;
+  }
+
+  it('POST /api/tts with stream=true sends chunked audio', async () => {
+    const res = await request('POST', '/api/tts', { text: '스트리밍', stream: true });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+    assert.strictEqual(res.headers['x-stream'], 'true', 'default MP3 streams');
+    assert.strictEqual(res.headers['x-audio-processing'], 'none');
+    assert.ok(res.body.length > 0);
+
+    // Processed PCM needs the whole clip, as in the real handler
+    const pcm = await request('POST', '/api/tts', { text: '스트리밍', format: 'pcm', stream: true });
+    assert.strictEqual(pcm.headers['x-stream'], undefined);
+  });
+
+  it('pipeAudioToClientAndCache writes the cache entry after a clean stream', async () => {
+    const cachePath = path.join(os.tmpdir(), `tts-stream-ok-${process.pid}.mp3`);
+    const sink = collectingWritable();
+
+    const { bytes } = await pipeAudioToClientAndCache(Readable.from([Buffer.from('abc'), Buffer.from('def')]), sink, cachePath);
+
+    assert.strictEqual(bytes, 6);
+    assert.strictEqual(Buffer.concat(sink.chunks).toString(), 'abcdef');
+    assert.strictEqual(fs.readFileSync(cachePath).toString(), 'abcdef');
+    fs.unlinkSync(cachePath);
+  });
+
+  it('pipeAudioToClientAndCache leaves no cache entry when the stream fails', async () => {
+    const cachePath = path.join(os.tmpdir(), `tts-stream-fail-${process.pid}.mp3`);
+    const source = new Readable({ read() {} });
+    const sink = collectingWritable();
+
+    const piping = pipeAudioToClientAndCache(source, sink, cachePath);
+    source.push(Buffer.from('partial'));
+    source.destroy(new Error('upstream reset'));
+
+    await assert.rejects(piping, /upstream reset/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(fs.existsSync(cachePath), false);
+    const leftovers = fs.readdirSync(os.tmpdir()).filter(f => f.startsWith(path.basename(cachePath)));
+    assert.deepStrictEqual(leftovers, []);
+  });
+});
+
+describe('TTS Timings', () => {
+  it('generateMockTimings is deterministic and groups 어절', () => {
+    const t1 = generateMockTimings('커피 사 주세요.');
+    const t2 = generateMockTimings('커피 사 주세요.');
+    assert.deepStrictEqual(t1, t2);
+    assert.strictEqual(t1.syllables.length, 6);
+    assert.deepStrictEqual(t1.words.map(w => w.text), ['커피', '사', '주세요']);
+    assert.strictEqual(t1.words[2].syllableStart, 3);
+    assert.strictEqual(t1.words[2].syllableEnd, 5);
+  });
+
+  it('generateMockTimings is slower for slower speeds', () => {
+    assert.ok(generateMockTimings('안녕하세요', 0.8).duration > generateMockTimings('안녕하세요', 1.0).duration);
+  });
+
+  it('buildTimingsFromAlignment maps ElevenLabs character alignment', () => {
+    const timings = buildTimingsFromAlignment({
+      characters: ['네', ',', ' ', '좋', '아', '요'],
+      character_start_times_seconds: [0, 0.2, 0.25, 0.3, 0.5, 0.7],
+      character_end_times_seconds: [0.2, 0.25, 0.3, 0.5, 0.7, 0.9]
+    });
+    assert.strictEqual(timings.syllables.length, 4);
+    assert.deepStrictEqual(timings.words.map(w => [w.text, w.start, w.end]), [['네', 0, 0.2], ['좋아요', 0.3, 0.9]]);
+    assert.strictEqual(timings.duration, 0.9);
+  });
+
+  it('buildTimingsFromAlignment rejects inconsistent alignment', () => {
+    assert.strictEqual(buildTimingsFromAlignment({ characters: ['a'], character_start_times_seconds: [], character_end_times_seconds: [] }), null);
+  });
+
+  it('POST /api/tts with timestamps returns audio + timings, sidecar serves them', async () => {
+    const res = await request('POST', '/api/tts', { text: '안녕하세요 반가워요', timestamps: true });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.audioBase64);
+    assert.strictEqual(res.body.timings.words.length, 2);
+
+    const sidecar = await request('GET', `/api/tts/${res.body.cacheKey}/timings`);
+    assert.strictEqual(sidecar.status, 200);
+    assert.deepStrictEqual(sidecar.body.timings, res.body.timings);
+  });
+});
+
+describe('TTS Visemes', () => {
+  const shapesOf = char => syllableShapes(char).map(s => s.viseme);
+
+  it('decomposeSyllable splits Hangul into jamo', () => {
+    assert.deepStrictEqual(decomposeSyllable('밥'), { initial: 'ㅂ', medial: 'ㅏ', final: 'ㅂ' });
+    assert.deepStrictEqual(decomposeSyllable('요'), { initial: 'ㅇ', medial: 'ㅛ', final: '' });
+    assert.strictEqual(decomposeSyllable('a'), null);
+  });
+
+  it('maps the five vowel shapes and closes lips for ㅁ/ㅂ/ㅍ', () => {
+    assert.deepStrictEqual(shapesOf('아'), ['a']);
+    assert.deepStrictEqual(shapesOf('오'), ['o']);
+    assert.deepStrictEqual(shapesOf('우'), ['u']);
+    assert.deepStrictEqual(shapesOf('이'), ['i']);
+    assert.deepStrictEqual(shapesOf('으'), ['eu']);
+    assert.deepStrictEqual(shapesOf('마'), ['closed', 'a']);
+    assert.deepStrictEqual(shapesOf('팝'), ['closed', 'a', 'closed']);
+    assert.deepStrictEqual(shapesOf('삶'), ['a', 'closed'], 'ㄻ coda is pronounced ㅁ');
+    assert.deepStrictEqual(shapesOf('와'), ['o', 'a'], 'w-glide starts rounded');
+  });
+
+  it('buildVisemeTrack covers the timeline without overlaps', () => {
+    const timings = generateMockTimings('밥 먹었어요?');
+    const { duration, visemes } = buildVisemeTrack(timings);
+
+    assert.strictEqual(duration, timings.duration);
+    assert.strictEqual(visemes[0].start, 0);
+    assert.strictEqual(visemes[visemes.length - 1].end, duration);
+    for (let i = 1; i < visemes.length; i++) {
+      assert.ok(visemes[i].start >= visemes[i - 1].end - 0.001, 'Events are ordered');
+    }
+    assert.ok(visemes.some(v => v.viseme === 'rest' && v.syllableIndex === null), 'Word gap rests');
+    assert.ok(visemes.filter(v => v.viseme === 'closed').every(v => v.blendshape === 'MBP'));
+  });
+
+  it('estimateTimings stretches the syllable model to the audio duration', () => {
+    const timings = estimateTimings('안녕하세요', 2.0);
+    assert.strictEqual(timings.source, 'estimate');
+    assert.strictEqual(timings.duration, 2);
+    assert.strictEqual(timings.syllables.length, 5);
+  });
+
+  it('getAudioDuration reads WAV, PCM and constant-bitrate MP3 lengths', () => {
+    assert.strictEqual(getAudioDuration(createWavBuffer(Buffer.alloc(44100), 22050), 'wav'), 1);
+    assert.strictEqual(getAudioDuration(Buffer.alloc(22050), 'pcm'), 0.5);
+    assert.strictEqual(getAudioDuration(Buffer.alloc(16000), 'mp3'), 1);
+  });
+
+  it('GET /api/tts/:cacheKey/visemes is deterministic in mock mode', async () => {
+    const tts = await request('POST', '/api/tts', { text: '감사합니다' });
+    const cacheKey = tts.headers['x-cache-key'];
+
+    const first = await request('GET', `/api/tts/${cacheKey}/visemes`);
+    const second = await request('GET', `/api/tts/${cacheKey}/visemes`);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.ok, true);
+    assert.ok(first.body.visemes.length > 0);
+    assert.deepStrictEqual(first.body, second.body);
+  });
+
+  it('GET /api/tts/:cacheKey/visemes returns 404 for unknown entries', async () => {
+    const res = await request('GET', `/api/tts/${'0'.repeat(64)}/visemes`);
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('ttsVisemesHandler estimates from the cached audio when there are no timings', async () => {
+    const provider = {
+      name: 'fake',
+      voiceKey: voice => `viseme-test:${voice.id}`,
+      synthesize: async () => ({ ok: true, audio: createWavBuffer(Buffer.alloc(44100 * 2), 22050) })
+    };
+    const warmed = await warmTtsCache({ text: '밥 먹어요', voice: resolveVoice('adam'), speedProfile: 1, formatName: 'wav', providers: [provider] });
+
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; } };
+    ttsVisemesHandler({ params: { cacheKey: warmed.cacheKey }, query: {} }, res);
+
+    assert.strictEqual(res.statusCode, undefined);
+    assert.strictEqual(res.body.source, 'estimate');
+    assert.strictEqual(res.body.duration, 2);
+    assert.strictEqual(res.body.visemes[1].viseme, 'closed', '밥 starts with closed lips');
+    clearTTSCache();
+  });
+});
+
+describe('TTS Audio Processing', () => {
+  const RATE = 16000;
+  // Silence, then a 440Hz tone, then silence (PCM16 mono)
+  const tonePcm = ({ lead, tone, tail, amplitude }, rate = RATE) => {
+    const samples = new Float32Array(Math.round((lead + tone + tail) * rate));
+    const start = Math.round(lead * rate);
+    for (let i = 0; i < Math.round(tone * rate); i++) {
+      samples[start + i] = amplitude * Math.sin(2 * Math.PI * 440 * i / rate);
+    }
+    return samplesToPcm16(samples);
+  };
+
+  it('processPcm trims leading and trailing silence', () => {
+    const result = processPcm(tonePcm({ lead: 0.5, tone: 1, tail: 0.3, amplitude: 0.1 }), RATE, { targetDbfs: -20, silenceDbfs: -45 });
+    assert.ok(Math.abs(result.leadTrimmed - 0.45) < 0.011, `lead ${result.leadTrimmed}`);
+    assert.ok(Math.abs(result.tailTrimmed - 0.25) < 0.011, `tail ${result.tailTrimmed}`);
+    assert.ok(Math.abs(result.referenceDuration - 1.1) < 0.011, `duration ${result.referenceDuration}`);
+    assert.strictEqual(result.pcm.length, Math.round(result.referenceDuration * RATE) * 2);
+  });
+
+  it('processPcm normalizes loudness to the target without clipping', () => {
+    const quiet = processPcm(tonePcm({ lead: 0, tone: 1, tail: 0, amplitude: 0.01 }), RATE, { targetDbfs: -20, silenceDbfs: -60 });
+    assert.ok(Math.abs(quiet.loudnessDbfs + 20) <= 0.2, `loudness ${quiet.loudnessDbfs}`);
+    assert.ok(quiet.gainDb > 0);
+
+    // A tone already louder than -1dBFS peak can only be turned down
+    const loud = processPcm(tonePcm({ lead: 0, tone: 1, tail: 0, amplitude: 0.99 }), RATE, { targetDbfs: 0, silenceDbfs: -60 });
+    const peak = Math.max(...Array.from({ length: loud.pcm.length / 2 }, (_, i) => Math.abs(loud.pcm.readInt16LE(i * 2))));
+    assert.ok(peak / 32768 <= Math.pow(10, -1 / 20) + 0.001, `peak ${peak}`);
+  });
+
+  it('processPcm leaves all-silent audio unchanged', () => {
+    const silence = Buffer.alloc(RATE * 2);
+    const result = processPcm(silence, RATE, { targetDbfs: -20, silenceDbfs: -45 });
+    assert.strictEqual(result.pcm, silence);
+    assert.strictEqual(result.gainDb, 0);
+    assert.strictEqual(result.referenceDuration, 1);
+  });
+
+  it('postProcessAudio processes MP3/WAV/PCM formats and can be disabled', async () => {
+    assert.notStrictEqual(getCacheFormatId(OUTPUT_FORMATS.mp3), OUTPUT_FORMATS.mp3.id);
+    assert.notStrictEqual(getCacheFormatId(OUTPUT_FORMATS.wav), OUTPUT_FORMATS.wav.id);
+    assert.strictEqual((await postProcessAudio(Buffer.alloc(500, 7), OUTPUT_FORMATS.opus)).processed, false);
+
+    const wav = createWavBuffer(tonePcm({ lead: 0.5, tone: 0.5, tail: 0, amplitude: 0.1 }), RATE);
+    assert.strictEqual((await postProcessAudio(wav, OUTPUT_FORMATS.wav)).processed, true);
+
+    process.env.TTS_POSTPROCESS = 'false';
+    try {
+      assert.strictEqual((await postProcessAudio(wav, OUTPUT_FORMATS.wav)).processed, false);
+      assert.strictEqual(getCacheFormatId(OUTPUT_FORMATS.wav), OUTPUT_FORMATS.wav.id);
+      assert.strictEqual(getCacheFormatId(OUTPUT_FORMATS.mp3), OUTPUT_FORMATS.mp3.id, 'Unprocessed MP3 keeps its cache keys');
+      assert.strictEqual(getSynthesisFormat('mp3').formatName, 'mp3', 'Unprocessed MP3 is synthesized as MP3');
+    } finally {
+      delete process.env.TTS_POSTPROCESS;
+    }
+  });
+
+  it('warmTtsCache caches trimmed WAV audio', async () => {
+    const provider = {
+      name: 'fake',
+      voiceKey: voice => `processing-test:${voice.id}`,
+      synthesize: async () => ({ ok: true, audio: createWavBuffer(tonePcm({ lead: 1, tone: 0.5, tail: 1, amplitude: 0.1 }), RATE) })
+    };
+    const warmed = await warmTtsCache({ text: '네', voice: resolveVoice('adam'), speedProfile: 1, formatName: 'wav', providers: [provider] });
+
+    const cached = fs.readFileSync(path.join(TTS_CACHE_DIR, `${warmed.cacheKey}.wav`));
+    assert.ok(Math.abs(getAudioDuration(cached, 'wav') - 0.6) < 0.011);
+    clearTTSCache();
+  });
+
+  it('warmTtsCache caches trimmed MP3 audio (default format) synthesized as PCM', async () => {
+    const pcmRate = OUTPUT_FORMATS.pcm.sampleRate;
+    const requested = [];
+    const provider = {
+      name: 'fake',
+      voiceKey: voice => `processing-test:${voice.id}`,
+      synthesize: async ({ formatName }) => {
+        requested.push(formatName);
+        return { ok: true, audio: tonePcm({ lead: 1, tone: 0.5, tail: 1, amplitude: 0.1 }, pcmRate) };
+      }
+    };
+    const warmed = await warmTtsCache({ text: '네', voice: resolveVoice('adam'), speedProfile: 1, formatName: DEFAULT_FORMAT, providers: [provider] });
+
+    assert.deepStrictEqual(requested, ['pcm']);
+    const cached = fs.readFileSync(path.join(TTS_CACHE_DIR, `${warmed.cacheKey}.mp3`));
+    assert.strictEqual(cached[0], 0xff, 'Starts with an MPEG frame sync');
+    assert.strictEqual(cached[1] & 0xe0, 0xe0);
+    // Trimmed to the tone plus 50ms padding per side (2.5s untrimmed); encoder delay and flush add a few frames
+    const duration = getAudioDuration(cached, 'mp3');
+    assert.ok(duration > 0.55 && duration < 0.75, `duration ${duration}`);
+    clearTTSCache();
+  });
+
+  it('REAL mode /api/tts streams MP3 as received and processes it otherwise', async () => {
+    const ENV_KEYS = ['MODE', 'TTS_PROVIDERS', 'LOCAL_PROVIDER_URL'];
+    const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    const requested = [];
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        const { format } = JSON.parse(Buffer.concat(chunks).toString());
+        requested.push(format);
+        if (format === 'pcm') {
+          res.setHeader('Content-Type', 'audio/L16');
+          return res.end(tonePcm({ lead: 1, tone: 0.5, tail: 1, amplitude: 0.1 }, OUTPUT_FORMATS.pcm.sampleRate));
+        }
+        res.setHeader('Content-Type', 'audio/mpeg');
+        res.write(Buffer.alloc(300, 1));
+        res.end(Buffer.alloc(300, 2));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, resolve));
+    try {
+      process.env.MODE = 'REAL';
+      process.env.TTS_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+
+      const streamed = await request('POST', '/api/tts', { text: '스트림 처리', stream: true });
+      assert.strictEqual(streamed.status, 200);
+      assert.strictEqual(streamed.headers['x-stream'], 'true');
+      assert.strictEqual(streamed.headers['x-audio-processing'], 'none');
+      assert.strictEqual(streamed.body.length, 600);
+
+      const whole = await request('POST', '/api/tts', { text: '스트림 처리' });
+      assert.strictEqual(whole.status, 200);
+      assert.strictEqual(whole.headers['x-stream'], undefined);
+      assert.strictEqual(whole.headers['x-audio-processing'], 'trimmed,normalized');
+      assert.strictEqual(whole.body[0], 0xff, 'Encoded MP3');
+      assert.notStrictEqual(whole.headers['x-cache-key'], streamed.headers['x-cache-key'], 'Processed and unprocessed MP3 are cached apart');
+
+      assert.deepStrictEqual(requested, ['mp3', 'pcm']);
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+      clearTTSCache();
+    }
+  });
+
+  it('POST /api/tts reports the reference duration', async () => {
+    const wav = await request('POST', '/api/tts', { text: '안녕하세요', format: 'wav' });
+    assert.strictEqual(wav.headers['x-reference-duration'], '0.5');
+    assert.ok(wav.headers['x-audio-processing']);
+
+    const envelope = await request('POST', '/api/tts', { text: '안녕하세요', format: 'pcm', timestamps: true });
+    assert.strictEqual(envelope.body.referenceDuration, 0.5);
+  });
+});
+
+describe('TTS Drill', () => {
+  it('splitDrillSegments splits syllables and 어절 without punctuation', () => {
+    assert.deepStrictEqual(splitDrillSegments('밥 먹었어요?', 'syllable'), ['밥', '먹', '었', '어', '요']);
+    assert.deepStrictEqual(splitDrillSegments('밥 먹었어요?', 'word'), ['밥', '먹었어요']);
+  });
+
+  it('parseDrillOptions validates unit and gap', () => {
+    assert.deepStrictEqual(parseDrillOptions({}), { ok: true, drill: null });
+    assert.deepStrictEqual(parseDrillOptions({ drill: true }).drill, { unit: 'syllable', gapMs: 600 });
+    assert.deepStrictEqual(parseDrillOptions({ drill: 'word', gapMs: 250 }).drill, { unit: 'word', gapMs: 250 });
+    assert.strictEqual(parseDrillOptions({ drill: 'jamo' }).ok, false);
+    assert.strictEqual(parseDrillOptions({ drill: 'word', gapMs: 5000 }).ok, false);
+  });
+
+  it('joinDrillAudio places segments with silence gaps', () => {
+    const format = OUTPUT_FORMATS.pcm;
+    const second = Buffer.alloc(format.sampleRate * 2, 1);
+    const joined = joinDrillAudio([
+      { text: '네', pcm: second },
+      { text: '네', pcm: second }
+    ], 500, format);
+
+    assert.strictEqual(joined.duration, 2.5);
+    assert.strictEqual(joined.audio.length, format.sampleRate * 2 * 2.5);
+    assert.deepStrictEqual(joined.segments.map(s => [s.index, s.start, s.end]), [[0, 0, 1], [1, 1.5, 2.5]]);
+    assert.strictEqual(joined.audio.readInt16LE(format.sampleRate * 2 + 2), 0, 'Gap is silent');
+  });
+
+  it('POST /api/tts with drill returns joined WAV and a segment map', async () => {
+    const res = await request('POST', '/api/tts', { text: '안녕하세요', drill: 'syllable', gapMs: 300 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.format, 'wav', 'Drills default to WAV');
+    assert.deepStrictEqual(res.body.segments.map(s => s.kind), ['syllable', 'syllable', 'syllable', 'syllable', 'syllable', 'sentence']);
+    assert.strictEqual(res.body.segments[5].text, '안녕하세요');
+    assert.ok(Math.abs(res.body.segments[1].start - res.body.segments[0].end - 0.3) < 0.002);
+    assert.strictEqual(res.body.referenceDuration, res.body.segments[5].end);
+    assert.ok(Math.abs(getAudioDuration(Buffer.from(res.body.audioBase64, 'base64'), 'wav') - res.body.referenceDuration) < 0.001);
+    assert.ok(res.body.segments.every(s => /^[a-f0-9]{64}$/.test(s.cacheKey)));
+  });
+
+  it('POST /api/tts rejects drills in compressed formats or with timestamps', async () => {
+    const mp3 = await request('POST', '/api/tts', { text: '안녕하세요', drill: 'word', format: 'mp3' });
+    assert.strictEqual(mp3.status, 400);
+    const timestamps = await request('POST', '/api/tts', { text: '안녕하세요', drill: 'word', timestamps: true });
+    assert.strictEqual(timestamps.status, 400);
+  });
+});
+
+describe('Voices Endpoint', () => {
+  it('GET /api/voices lists catalog voices with tags', async () => {
+    const res = await request('GET', '/api/voices');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.ok(res.body.voices.length > 1, 'Should offer several voices');
+
+    for (const voice of res.body.voices) {
+      assert.ok(voice.id);
+      assert.ok(['female', 'male'].includes(voice.gender));
+      assert.ok(voice.age);
+      assert.ok(Array.isArray(voice.styles));
+      assert.ok(!('elevenLabsVoiceId' in voice), 'Upstream voice IDs stay server-side');
+    }
+  });
+
+  it('GET /api/voices includes a child voice', async () => {
+    const res = await request('GET', '/api/voices');
+    assert.ok(res.body.voices.some(v => v.age === 'child'));
+  });
+
+  it('POST /api/tts accepts a catalog voice', async () => {
+    const res = await request('POST', '/api/tts', { text: '안녕', voice: 'mimi' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['x-voice'], 'mimi');
+  });
+
+  it('POST /api/tts rejects voices outside the catalog', async () => {
+    const res = await request('POST', '/api/tts', { text: '안녕', voice: 'not-a-voice' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+    assert.ok(Array.isArray(res.body.validVoices));
+  });
+
+  it('POST /api/tts rejects out-of-range overrides', async () => {
+    const res = await request('POST', '/api/tts', { text: '안녕', stability: 2 });
+    assert.strictEqual(res.status, 400);
+    assert.ok(res.body.error.includes('stability'));
+  });
+
+  it('resolveVoice defaults and parseVoiceOverrides validate', () => {
+    assert.strictEqual(resolveVoice(undefined).id, DEFAULT_VOICE);
+    assert.strictEqual(resolveVoice('unknown'), null);
+    assert.deepStrictEqual(parseVoiceOverrides({ style: 0.4 }).overrides, { style: 0.4 });
+    assert.strictEqual(parseVoiceOverrides({ style: -1 }).ok, false);
+  });
+
+  it('resolveVoice applies ELEVENLABS_VOICE_ID to the default voice however it is requested', () => {
+    const saved = process.env.ELEVENLABS_VOICE_ID;
+    process.env.ELEVENLABS_VOICE_ID = 'custom-voice-id';
+    try {
+      for (const id of [undefined, '', DEFAULT_VOICE, DEFAULT_VOICE.toUpperCase()]) {
+        assert.strictEqual(resolveVoice(id).elevenLabsVoiceId, 'custom-voice-id', `voice ${id}`);
+      }
+      assert.notStrictEqual(resolveVoice('adam').elevenLabsVoiceId, 'custom-voice-id');
+    } finally {
+      if (saved === undefined) delete process.env.ELEVENLABS_VOICE_ID;
+      else process.env.ELEVENLABS_VOICE_ID = saved;
+    }
+  });
+});
+
+describe('Providers', () => {
+  const ENV_KEYS = ['TTS_PROVIDERS', 'STT_PROVIDERS', 'ELEVENLABS_API_KEY', 'LOCAL_PROVIDER_URL'];
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+  });
+
+  it('parseChain keeps order and drops unknown or duplicate names', () => {
+    assert.deepStrictEqual(parseChain('Local, bogus, elevenlabs, local'), ['local', 'elevenlabs']);
+    assert.deepStrictEqual(parseChain(''), []);
+    assert.deepStrictEqual(parseChain('constructor,toString,__proto__,local'), ['local']);
+  });
+
+  it('active provider is the first configured one in the chain', () => {
+    process.env.TTS_PROVIDERS = 'elevenlabs,local';
+    delete process.env.ELEVENLABS_API_KEY;
+    process.env.LOCAL_PROVIDER_URL = 'http://127.0.0.1:5002';
+    assert.strictEqual(getActiveProvider('tts').name, 'local');
+
+    process.env.ELEVENLABS_API_KEY = 'test-key';
+    assert.strictEqual(getActiveProvider('tts').name, 'elevenlabs');
+
+    delete process.env.ELEVENLABS_API_KEY;
+    delete process.env.LOCAL_PROVIDER_URL;
+    assert.strictEqual(getActiveProvider('tts'), null);
+  });
+
+  it('supportsTts checks format and timestamp capabilities', () => {
+    assert.strictEqual(supportsTts(PROVIDERS.elevenlabs, { formatName: 'opus', withTimestamps: true }), true);
+    assert.strictEqual(supportsTts(PROVIDERS.local, { formatName: 'mp3', withTimestamps: true }), false);
+    assert.strictEqual(supportsTts(PROVIDERS.local, { formatName: 'opus' }), false);
+  });
+
+  it('runWithFallback moves past failed and throwing providers', async () => {
+    const failing = { name: 'a', call: async () => ({ ok: false, status: 503, error: 'down', details: 'outage' }) };
+    const throwing = { name: 'b', call: async () => { throw new Error('ECONNREFUSED'); } };
+    const working = { name: 'c', call: async () => ({ ok: true, audio: Buffer.from('ok') }) };
+
+    const result = await runWithFallback('tts', [failing, throwing, working], p => p.call());
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.provider, 'c');
+    assert.deepStrictEqual(result.attempts.map(a => a.provider), ['a', 'b']);
+  });
+
+  it('runWithFallback reports every attempt when all providers fail', async () => {
+    const failing = { name: 'a', call: async () => ({ ok: false, status: 401, error: 'bad key', details: 'unauthorized' }) };
+    const throwing = { name: 'b', call: async () => { throw new Error('ECONNREFUSED'); } };
+
+    const result = await runWithFallback('stt', [failing, throwing], p => p.call());
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 502);
+    assert.strictEqual(result.attempts.length, 2);
+    assert.ok(result.details.includes('a: unauthorized'));
+  });
+
+  it('local provider talks to the HTTP stand-in', async () => {
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        if (req.url === '/tts') {
+          const body = JSON.parse(Buffer.concat(chunks).toString());
+          res.setHeader('Content-Type', 'audio/wav');
+          return res.end(Buffer.from(`audio:${body.voice}:${body.format}:${body.speed}`));
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: '안녕하세요', confidence: 0.9, words: [{ text: '안녕하세요', start: 0.2, end: 1.1 }] }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, resolve));
+    process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}/`;
+
+    try {
+      const tts = await PROVIDERS.local.synthesize({
+        text: '안녕',
+        voice: resolveVoice('mimi'),
+        voiceSettings: getVoiceSettings(0),
+        format: OUTPUT_FORMATS.wav,
+        formatName: 'wav'
+      });
+      assert.strictEqual(tts.ok, true);
+      assert.strictEqual(tts.audio.toString(), 'audio:mimi:wav:0.8');
+
+      const stt = await PROVIDERS.local.transcribe({ audioBuffer: generateTestWav(), language: 'ko' });
+      assert.deepStrictEqual(stt, {
+        ok: true,
+        rawText: '안녕하세요',
+        language: 'ko',
+        confidence: 0.9,
+        words: [{ word: '안녕하세요', start: 0.2, end: 1.1, confidence: null }]
+      });
+    } finally {
+      await new Promise(resolve => standIn.close(resolve));
+    }
+  });
+
+  it('GET /api/health reports the provider per service', async () => {
+    const res = await request('GET', '/api/health');
+    assert.strictEqual(res.body.ttsProvider, 'mock');
+    assert.strictEqual(res.body.sttProvider, 'mock');
+    assert.ok(Array.isArray(res.body.ttsProviderChain));
+    assert.ok(Array.isArray(res.body.sttProviderChain));
+  });
+});
+
+describe('TTS Pre-warm', () => {
+  // Fake provider with its own voice key so its cache entries never collide with real ones
+  const fakeProvider = {
+    name: 'fake',
+    calls: 0,
+    voiceKey: voice => `prewarm-test:${voice.id}`,
+    synthesize: async ({ text }) => {
+      fakeProvider.calls++;
+      if (text === '감사합니다') return { ok: false, status: 500, error: 'boom' };
+      return { ok: true, audio: Buffer.alloc(200, 1) };
+    }
+  };
+
+  it('parsePrewarmOptions defaults to every voice and speed profile', () => {
+    const { ok, options } = parsePrewarmOptions({});
+    assert.strictEqual(ok, true);
+    assert.ok(options.voices.length > 1);
+    assert.deepStrictEqual(options.speedProfiles, [0, 1, 2]);
+    assert.strictEqual(options.formatName, 'mp3');
+  });
+
+  it('parsePrewarmOptions rejects unknown voices, profiles and concurrency', () => {
+    assert.strictEqual(parsePrewarmOptions({ voices: 'nobody' }).ok, false);
+    assert.strictEqual(parsePrewarmOptions({ speedProfiles: '7' }).ok, false);
+    assert.strictEqual(parsePrewarmOptions({ concurrency: 0 }).ok, false);
+    assert.strictEqual(parsePrewarmOptions({ format: 'constructor' }).ok, false);
+    assert.deepStrictEqual(parsePrewarmOptions({ voices: 'mimi, adam', speedProfiles: '0' }).options.voices, ['mimi', 'adam']);
+  });
+
+  it('planPrewarm covers sentences × voices × speed profiles with a cost estimate', () => {
+    const { options } = parsePrewarmOptions({ voices: 'rachel,mimi', limit: 2 });
+    const { jobs, estimate } = planPrewarm(options, []);
+    assert.strictEqual(estimate.total, 12);
+    assert.strictEqual(jobs.length, 12);
+    assert.strictEqual(estimate.characters, jobs.reduce((sum, j) => sum + j.text.length, 0));
+    assert.ok(estimate.estimatedCostUsd >= 0);
+  });
+
+  it('runPool never exceeds the concurrency bound', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    await runPool(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+    });
+    assert.strictEqual(peak, 3);
+  });
+
+  it('runPrewarm fills the cache and a rerun skips finished entries', async () => {
+    const { options } = parsePrewarmOptions({ voices: 'adam', speedProfiles: '1', limit: 3, concurrency: 2 });
+    const first = planPrewarm(options, [fakeProvider]);
+    const progress = await runPrewarm(first.jobs, { ...options, providers: [fakeProvider] });
+
+    const failures = first.jobs.filter(j => j.text === '감사합니다').length;
+    assert.strictEqual(progress.done, first.jobs.length);
+    assert.strictEqual(progress.failed, failures);
+    assert.strictEqual(progress.synthesized, first.jobs.length - failures);
+
+    // Resume: only the failed entries are planned again
+    const second = planPrewarm(options, [fakeProvider]);
+    assert.strictEqual(second.estimate.cached, first.jobs.length - failures);
+    assert.strictEqual(second.jobs.length, failures);
+
+    clearTTSCache();
+  });
+
+  it('runPrewarm stops picking up jobs once aborted', async () => {
+    const { options } = parsePrewarmOptions({ voices: 'elli', speedProfiles: '0', limit: 5, concurrency: 1 });
+    const { jobs } = planPrewarm(options, [fakeProvider]);
+    const controller = new AbortController();
+    const progress = await runPrewarm(jobs, {
+      ...options,
+      providers: [fakeProvider],
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+    assert.strictEqual(progress.done, 1);
+    assert.strictEqual(progress.interrupted, true);
+    clearTTSCache();
+  });
+
+  it('POST /api/admin/prewarm returns an estimate until confirmed', async () => {
+    const res = await request('POST', '/api/admin/prewarm', { voices: 'mimi', limit: 2 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.started, false);
+    assert.strictEqual(res.body.estimate.total, 6);
+
+    const started = await request('POST', '/api/admin/prewarm', { voices: 'mimi', limit: 2, confirm: true });
+    assert.strictEqual(started.status, 202);
+    assert.strictEqual(started.body.started, true);
+    assert.strictEqual(started.body.status.progress.total, 6);
+  });
+
+  it('POST /api/admin/prewarm rejects invalid options', async () => {
+    const res = await request('POST', '/api/admin/prewarm', { format: 'flac' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+  });
+
+  it('admin routes without BACKEND_TOKEN refuse requests that did not come from this machine', async () => {
+    const proxied = { 'X-Forwarded-For': '203.0.113.7' };
+    const res = await request('POST', '/api/admin/prewarm', { voices: 'mimi', limit: 1, confirm: true }, proxied);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.ok, false);
+    assert.strictEqual((await request('GET', '/api/admin/prewarm', null, proxied)).status, 403);
+  });
+});
+
 describe('STT Endpoint', () => {
   // Clear cache before STT tests
   beforeEach(() => {
@@ -598,51 +1374,687 @@ describe('STT Endpoint', () => {
   });
 });
 
-describe('Feedback Endpoint', () => {
-  it('POST /api/feedback returns feedback for valid input', async () => {
-    const res = await request('POST', '/api/feedback', {
-      original: '안녕하세요',
-      spoken: '안녕하세요'
-    });
-    assert.strictEqual(res.status, 200);
-    assert.strictEqual(res.body.ok, true);
-    assert.ok(res.body.feedback);
-    assert.ok(typeof res.body.feedback === 'string');
+describe('STT Cache Keys', () => {
+  beforeEach(() => {
+    clearSTTCache();
   });
 
-  it('POST /api/feedback returns 400 for missing original', async () => {
-    const res = await request('POST', '/api/feedback', { spoken: 'test' });
-    assert.strictEqual(res.status, 400);
-    assert.strictEqual(res.body.ok, false);
-    assert.ok(res.body.error);
-    assert.ok(res.body.details);
+  // Same samples with an extra LIST chunk between fmt and data
+  const withListChunk = (wav) => {
+    const info = Buffer.from('INFOISFT\x0a\x00\x00\x00Recorder!\x00', 'latin1');
+    const list = Buffer.alloc(8);
+    list.write('LIST', 0);
+    list.writeUInt32LE(info.length, 4);
+    const out = Buffer.concat([wav.subarray(0, 36), list, info, wav.subarray(36)]);
+    out.writeUInt32LE(out.length - 8, 4);
+    return out;
+  };
+
+  it('generateCacheKey depends on content, language and model', () => {
+    const pcm = Buffer.from([1, 2, 3, 4]);
+    assert.strictEqual(generateSTTCacheKey(pcm, 'ko', 'elevenlabs:scribe_v1'), generateSTTCacheKey(Buffer.from(pcm), 'ko', 'elevenlabs:scribe_v1'));
+    assert.notStrictEqual(generateSTTCacheKey(pcm, 'ko', 'elevenlabs:scribe_v1'), generateSTTCacheKey(pcm, 'en', 'elevenlabs:scribe_v1'));
+    assert.notStrictEqual(generateSTTCacheKey(pcm, 'ko', 'elevenlabs:scribe_v1'), generateSTTCacheKey(pcm, 'ko', 'local'));
+  });
+
+  it('re-encoded WAV with the same samples hits the cache; another language misses', async () => {
+    const wav = generateTestWav(300);
+    const first = await requestMultipart('/api/stt', wav);
+    assert.strictEqual(first.headers['x-cache'], 'MISS');
+
+    const reencoded = await requestMultipart('/api/stt', withListChunk(wav));
+    assert.strictEqual(reencoded.headers['x-cache'], 'HIT');
+    assert.strictEqual(reencoded.headers['x-cache-key'], first.headers['x-cache-key']);
+
+    const english = await requestMultipart('/api/stt', wav, 'audio.wav', { language: 'en' });
+    assert.strictEqual(english.headers['x-cache'], 'MISS');
+    assert.notStrictEqual(english.headers['x-cache-key'], first.headers['x-cache-key']);
+  });
+
+  it('REAL mode /api/eval reuses /api/stt transcripts and forwards the language', async () => {
+    const ENV_KEYS = ['MODE', 'STT_PROVIDERS', 'LOCAL_PROVIDER_URL', 'XAI_API_KEY'];
+    const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    const languages = [];
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const match = Buffer.concat(chunks).toString('latin1').match(/name="language"\r\n\r\n([^\r]*)/);
+        languages.push(match ? match[1] : null);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: '커피 사 주세요' }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+      process.env.MODE = 'REAL';
+      process.env.STT_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+      delete process.env.XAI_API_KEY;
+
+      const wav = generateTestWav(300);
+      const stt = await requestMultipart('/api/stt', wav);
+      assert.strictEqual(stt.headers['x-cache'], 'MISS');
+
+      const evalRes = await requestMultipart('/api/eval', withListChunk(wav), 'audio.wav', { targetText: '커피 사 주세요' });
+      assert.strictEqual(evalRes.status, 200);
+      assert.strictEqual(evalRes.body.transcriptText, '커피 사 주세요');
+      assert.deepStrictEqual(languages, ['ko'], 'eval should reuse the cached transcript');
+
+      await requestMultipart('/api/eval', wav, 'audio.wav', { targetText: '커피 사 주세요', language: 'en' });
+      assert.deepStrictEqual(languages, ['ko', 'en']);
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+      clearSTTCache();
+    }
   });
+});
 
-  it('POST /api/feedback returns 400 for missing spoken', async () => {
-    const res = await request('POST', '/api/feedback', { original: 'test' });
-    assert.strictEqual(res.status, 400);
+describe('Audio Input Formats', () => {
+  // Minimal headers as recorded by browsers (WebM/Opus), iOS (M4A/AAC) and encoders
+  const webm = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84]), Buffer.from('webm....A_OPUS....')]);
+  const m4a = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A \0\0\0\0M4A mp42isom....mp4a....')]);
+  const oggOpus = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(24), Buffer.from('OpusHead')]);
+  const oggSpeex = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(24), Buffer.from('Speex   ')]);
+  const mp3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)]);
+  const adts = Buffer.concat([Buffer.from([0xFF, 0xF1, 0x50, 0x80]), Buffer.alloc(20)]);
+
+  it('sniffAudio identifies containers and codecs by magic bytes', () => {
+    const sniff = buffer => { const r = sniffAudio(buffer); return [r.container, r.codec, r.mimeType]; };
+    assert.deepStrictEqual(sniff(generateTestWav()), ['wav', 'pcm', 'audio/wav']);
+    assert.deepStrictEqual(sniff(webm), ['webm', 'opus', 'audio/webm']);
+    assert.deepStrictEqual(sniff(m4a), ['mp4', 'aac', 'audio/mp4']);
+    assert.deepStrictEqual(sniff(oggOpus), ['ogg', 'opus', 'audio/ogg']);
+    assert.deepStrictEqual(sniff(mp3), ['mp3', 'mp3', 'audio/mpeg']);
+    assert.deepStrictEqual(sniff(adts), ['aac', 'aac', 'audio/aac']);
+    assert.strictEqual(sniffAudio(Buffer.from('not audio at all')), null);
+  });
+
+  it('identifyAudio returns specific error codes', () => {
+    assert.strictEqual(identifyAudio(Buffer.alloc(0)).code, 'EMPTY_AUDIO');
+    assert.deepStrictEqual([identifyAudio(Buffer.from('<html>hello</html>')).code, identifyAudio(Buffer.from('<html>hello</html>')).status], ['UNSUPPORTED_FORMAT', 415]);
+    assert.strictEqual(identifyAudio(oggSpeex).code, 'UNSUPPORTED_CODEC');
+    assert.strictEqual(identifyAudio(webm).ok, true);
+  });
+
+  it('POST /api/stt rejects unrecognized uploads with 415', async () => {
+    const res = await requestMultipart('/api/stt', Buffer.from('definitely not a recording'), 'audio.wav');
+    assert.strictEqual(res.status, 415);
     assert.strictEqual(res.body.ok, false);
-    assert.ok(res.body.error);
+    assert.strictEqual(res.body.code, 'UNSUPPORTED_FORMAT');
   });
 
-  it('POST /api/feedback returns 400 for empty body', async () => {
-    const res = await request('POST', '/api/feedback', {});
-    assert.strictEqual(res.status, 400);
-    assert.strictEqual(res.body.ok, false);
+  it('decodeAudioInput converts 16-bit WAV directly and other WAV encodings in-process', async () => {
+    const wav = await decodeAudioInput(createWavBuffer(Buffer.alloc(3200), 16000));
+    assert.strictEqual(wav.ok, true);
+    assert.strictEqual(wav.input.container, 'wav');
+
+    const wav24 = await decodeAudioInput(createWavBuffer(Buffer.alloc(4800), 16000, 1, 24));
+    assert.strictEqual(wav24.ok, true);
+    assert.strictEqual(wav24.pcmBuffer.length, 3200);
   });
 
-  it('POST /api/feedback accepts optional mode parameter', async () => {
-    const res = await request('POST', '/api/feedback', {
-      original: '안녕하세요',
-      spoken: '안녕하세요',
-      mode: 'pronunciation'
+  describe('in-process decoding', () => {
+    const RATE = 48000;
+    let savedTimeout;
+
+    // 1 s, 440 Hz at amplitude 0.3
+    const tone = (rate) => Float32Array.from({ length: rate }, (_, i) => 0.3 * Math.sin(2 * Math.PI * 440 * i / rate));
+    const rms = (pcm) => {
+      const samples = pcm16ToSamples(pcm);
+      return Math.sqrt(samples.reduce((sum, x) => sum + x * x, 0) / samples.length);
+    };
+
+    beforeEach(() => {
+      savedTimeout = process.env.AUDIO_DECODE_TIMEOUT_MS;
     });
-    assert.strictEqual(res.status, 200);
-    assert.strictEqual(res.body.ok, true);
-    assert.ok(res.body.feedback);
-  });
 
-  it('POST /api/feedback uses default mode when invalid mode provided', async () => {
+    afterEach(() => {
+      if (savedTimeout === undefined) delete process.env.AUDIO_DECODE_TIMEOUT_MS;
+      else process.env.AUDIO_DECODE_TIMEOUT_MS = savedTimeout;
+    });
+
+    it('decodes a browser WebM/Opus recording to PCM16 mono 16kHz', async () => {
+      const { default: webmEncoder } = await import('@audio/encode-webm');
+      const encoder = await webmEncoder({ sampleRate: RATE, channels: 1, bitrate: 64 });
+      const recording = Buffer.concat([await encoder.encode([tone(RATE)]), await encoder.flush()].map(b => Buffer.from(b)));
+
+      const decoded = await decodeAudioInput(recording);
+      assert.strictEqual(decoded.ok, true, decoded.details);
+      assert.deepStrictEqual([decoded.input.container, decoded.input.codec, decoded.sampleRate], ['webm', 'opus', 16000]);
+      // Opus drops its pre-skip, so a little under 1 s comes back
+      const seconds = decoded.pcmBuffer.length / 2 / 16000;
+      assert.ok(seconds > 0.8 && seconds <= 1.01, `duration ${seconds}`);
+      assert.ok(Math.abs(rms(decoded.pcmBuffer) - 0.3 / Math.SQRT2) < 0.03, `rms ${rms(decoded.pcmBuffer)}`);
+    });
+
+    it('decodes MP3', async () => {
+      const mp3 = await encodeMp3(samplesToPcm16(tone(22050)), 22050, 64);
+      const decoded = await decodeAudioInput(mp3);
+      assert.strictEqual(decoded.ok, true, decoded.details);
+      assert.deepStrictEqual([decoded.input.container, decoded.sampleRate], ['mp3', 16000]);
+      assert.ok(Math.abs(rms(decoded.pcmBuffer) - 0.3 / Math.SQRT2) < 0.03, `rms ${rms(decoded.pcmBuffer)}`);
+    });
+
+    it('reports corrupt files as DECODE_FAILED', async () => {
+      const decoded = await decodeAudioInput(webm);
+      assert.deepStrictEqual([decoded.ok, decoded.code, decoded.status], [false, 'DECODE_FAILED', 422]);
+    });
+
+    it('stops a decode after AUDIO_DECODE_TIMEOUT_MS', async () => {
+      process.env.AUDIO_DECODE_TIMEOUT_MS = '1';
+      const decoded = await decodeAudioInput(webm);
+      assert.deepStrictEqual([decoded.code, decoded.error], ['DECODE_FAILED', 'Audio decoding timed out']);
+    });
+  });
+
+  it('sttHandler forwards the sniffed MIME type to the provider', async () => {
+    const ENV_KEYS = ['STT_PROVIDERS', 'LOCAL_PROVIDER_URL'];
+    const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    let upload = '';
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        upload = Buffer.concat(chunks).toString('latin1');
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: '안녕하세요' }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, resolve));
+    process.env.STT_PROVIDERS = 'local';
+    process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+
+    try {
+      const res = { set() {}, status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; } };
+      await sttHandler({ file: { buffer: webm }, body: {} }, res);
+      assert.strictEqual(res.body.ok, true);
+      assert.ok(upload.includes('filename="audio.webm"'));
+      assert.ok(upload.includes('Content-Type: audio/webm'));
+    } finally {
+      await new Promise(resolve => standIn.close(resolve));
+      for (const key of ENV_KEYS) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+      clearSTTCache();
+    }
+  });
+});
+
+describe('STT Word Timings', () => {
+  it('buildWordTimings flags low-confidence words and drops empty ones', () => {
+    const { words } = buildWordTimings([
+      { word: '커피', start: 0.3, end: 0.7, confidence: 0.95 },
+      { word: ' ', start: 0.7, end: 0.8, confidence: 0.99 },
+      { word: '주세요', start: 0.8, end: 1.4, confidence: 0.41 },
+      { word: '사', start: 1.5, end: 1.7, confidence: null }
+    ]);
+    assert.deepStrictEqual(words.map(w => [w.index, w.word, w.lowConfidence]), [[0, '커피', false], [1, '주세요', true], [2, '사', false]]);
+  });
+
+  it('buildWordTimings finds hesitations before words', () => {
+    const { hesitations } = buildWordTimings([
+      { word: '저는', start: 0.9, end: 1.3, confidence: 0.9 },
+      { word: '학생', start: 1.4, end: 1.8, confidence: 0.9 },
+      { word: '이에요', start: 2.6, end: 3.1, confidence: 0.9 }
+    ]);
+    assert.deepStrictEqual(hesitations, [
+      { wordIndex: 0, start: 0, end: 0.9, duration: 0.9 },
+      { wordIndex: 2, start: 1.8, end: 2.6, duration: 0.8 }
+    ]);
+  });
+
+  it('confidenceFromLogprob converts Scribe logprobs', () => {
+    assert.strictEqual(confidenceFromLogprob(0), 1);
+    assert.strictEqual(confidenceFromLogprob(Math.log(0.5)), 0.5);
+    assert.strictEqual(confidenceFromLogprob(undefined), null);
+  });
+
+  it('generateMockSttWords is deterministic with varied confidence', () => {
+    const first = generateMockSttWords('커피 사 주세요');
+    assert.deepStrictEqual(first, generateMockSttWords('커피 사 주세요'));
+    assert.deepStrictEqual(first.map(w => w.word), ['커피', '사', '주세요']);
+    assert.ok(first.every(w => w.confidence >= 0.5 && w.confidence < 1));
+  });
+
+  it('POST /api/stt and /api/eval return word confidence and hesitations', async () => {
+    const stt = await requestMultipart('/api/stt', generateTestWav(100));
+    assert.ok(typeof stt.body.words[0].confidence === 'number');
+    assert.ok(typeof stt.body.words[0].lowConfidence === 'boolean');
+    assert.ok(Array.isArray(stt.body.hesitations));
+
+    const evalRes = await requestMultipart('/api/eval', generateTestWav(100), 'audio.wav', { targetText: '커피 사 주세요' });
+    assert.deepStrictEqual(evalRes.body.words.map(w => w.word), ['커피', '사', '주세요']);
+    assert.ok(Array.isArray(evalRes.body.hesitations));
+  });
+});
+
+describe('Voice Activity Detection', () => {
+  // PCM16 16kHz: silence, 220Hz tone, silence
+  const speechPcm = (leadMs, toneMs, tailMs) => {
+    const rate = 16000;
+    const lead = Math.round(rate * leadMs / 1000);
+    const tone = Math.round(rate * toneMs / 1000);
+    const samples = new Float32Array(lead + tone + Math.round(rate * tailMs / 1000));
+    for (let i = 0; i < tone; i++) samples[lead + i] = 0.3 * Math.sin(2 * Math.PI * 220 * i / rate);
+    return samplesToPcm16(samples);
+  };
+
+  it('detectSpeech reports the speech span inside silence', () => {
+    const speech = detectSpeech(speechPcm(500, 600, 400), 16000);
+    assert.deepStrictEqual(speech.segments, [{ start: 0.5, end: 1.1 }]);
+    assert.strictEqual(speech.start, 0.5);
+    assert.strictEqual(speech.end, 1.1);
+    assert.strictEqual(speech.speechDuration, 0.6);
+    assert.strictEqual(speech.recordingDuration, 1.5);
+    assert.strictEqual(checkSpeech(speech), null);
+  });
+
+  it('quiet noise and clicks are not speech', () => {
+    const noise = new Float32Array(16000);
+    for (let i = 0; i < noise.length; i++) noise[i] = (((i * 7919) % 201) - 100) / 100 * 0.002;
+    const silent = detectSpeech(samplesToPcm16(noise), 16000);
+    assert.deepStrictEqual(silent.segments, []);
+    assert.strictEqual(checkSpeech(silent).code, 'NO_SPEECH');
+
+    const click = detectSpeech(speechPcm(300, 40, 300), 16000);
+    assert.strictEqual(checkSpeech(click).code, 'NO_SPEECH');
+
+    const short = detectSpeech(speechPcm(300, 80, 300), 16000);
+    assert.strictEqual(checkSpeech(short).code, 'SPEECH_TOO_SHORT');
+  });
+
+  it('trimToSpeech keeps padding around the speech', () => {
+    const pcm = speechPcm(1000, 500, 1000);
+    const trimmed = trimToSpeech(pcm, 16000, detectSpeech(pcm, 16000));
+    assert.strictEqual(trimmed.length / 2 / 16000, 0.7);
+  });
+
+  it('POST /api/stt and /api/eval reject silent recordings with NO_SPEECH', async () => {
+    const silentWav = createWavBuffer(Buffer.alloc(32000), 16000);
+
+    const stt = await requestMultipart('/api/stt', silentWav);
+    assert.strictEqual(stt.status, 422);
+    assert.strictEqual(stt.body.code, 'NO_SPEECH');
+
+    const evalRes = await requestMultipart('/api/eval', silentWav, 'audio.wav', { targetText: '안녕하세요' });
+    assert.strictEqual(evalRes.status, 422);
+    assert.strictEqual(evalRes.body.code, 'NO_SPEECH');
+  });
+
+  it('POST /api/stt reports the detected speech span', async () => {
+    const res = await requestMultipart('/api/stt', createWavBuffer(speechPcm(400, 800, 200), 16000));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.speech.start, 0.4);
+    assert.strictEqual(res.body.speech.end, 1.2);
+  });
+
+  it('REAL mode /api/stt and /api/eval upload only the speech and keep word times on the recording', async () => {
+    const ENV_KEYS = ['MODE', 'STT_PROVIDERS', 'LOCAL_PROVIDER_URL', 'XAI_API_KEY'];
+    const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    const uploadSeconds = [];
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const wav = body.subarray(body.indexOf('RIFF'));
+        uploadSeconds.push(wav.readUInt32LE(40) / 2 / wav.readUInt32LE(24));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: '커피', words: [{ text: '커피', start: 0.1, end: 0.9 }] }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+      process.env.MODE = 'REAL';
+      process.env.STT_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+      delete process.env.XAI_API_KEY;
+      clearSTTCache();
+
+      // 1.5s of silence, 0.8s of speech, 1.5s of silence
+      const wav = createWavBuffer(speechPcm(1500, 800, 1500), 16000);
+      const stt = await requestMultipart('/api/stt', wav);
+      assert.strictEqual(stt.status, 200);
+      // Speech plus 100ms padding on each side
+      assert.ok(Math.abs(uploadSeconds[0] - 1.0) < 0.01, `uploaded ${uploadSeconds[0]}s`);
+      assert.deepStrictEqual([stt.body.words[0].start, stt.body.words[0].end], [1.5, 2.3]);
+
+      clearSTTCache();
+      const evalRes = await requestMultipart('/api/eval', wav, 'audio.wav', { targetText: '커피' });
+      assert.strictEqual(evalRes.status, 200);
+      assert.ok(Math.abs(uploadSeconds[1] - 1.0) < 0.01, `uploaded ${uploadSeconds[1]}s`);
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+      clearSTTCache();
+    }
+  });
+});
+
+describe('Audio Diagnostics', () => {
+  // 2s at 16kHz: a 220Hz "voice" from 0.5s to 1.5s plus whatever the mic adds
+  const recording = (addNoise, voiceLevel = 0.3, rate = 16000) => {
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 * 2 - 1;
+    };
+    const samples = new Float32Array(rate * 2);
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / rate;
+      const voice = t > 0.5 && t < 1.5 ? voiceLevel * Math.sin(2 * Math.PI * 220 * t) : 0;
+      samples[i] = Math.max(-1, Math.min(1, voice + addNoise(t, random)));
+    }
+    return samplesToPcm16(samples);
+  };
+  const codes = diagnostics => diagnostics.hints.map(h => h.code);
+
+  it('a clean recording is good with no hints', () => {
+    const diagnostics = diagnoseAudio(recording(() => 0), 16000);
+    assert.strictEqual(diagnostics.quality, 'good');
+    assert.deepStrictEqual(diagnostics.hints, []);
+    assert.strictEqual(diagnostics.durationSeconds, 2);
+    assert.strictEqual(diagnostics.clippingRatio, 0);
+  });
+
+  it('detects clipping, low gain and DC offset', () => {
+    const clipped = diagnoseAudio(recording(() => 0, 3), 16000);
+    assert.ok(clipped.clippingRatio > 0.1);
+    assert.deepStrictEqual(codes(clipped), ['CLIPPING']);
+    assert.strictEqual(clipped.quality, 'poor');
+
+    const quiet = diagnoseAudio(recording(() => 0, 0.02), 16000);
+    assert.deepStrictEqual(codes(quiet), ['LOW_LEVEL']);
+    assert.ok(quiet.hints[0].ko && quiet.hints[0].en);
+
+    const offset = diagnoseAudio(recording(() => 0.05), 16000);
+    assert.strictEqual(offset.dcOffset, 0.05);
+    assert.deepStrictEqual(codes(offset), ['DC_OFFSET']);
+  });
+
+  it('estimates SNR and detects background noise and mains hum', () => {
+    const noisy = diagnoseAudio(recording((t, random) => 0.08 * random()), 16000);
+    assert.ok(noisy.snrDb < 15, `snr ${noisy.snrDb}`);
+    assert.deepStrictEqual(codes(noisy), ['NOISY']);
+
+    const hum = diagnoseAudio(recording(t => 0.01 * Math.sin(2 * Math.PI * 60 * t)), 16000);
+    assert.strictEqual(hum.humHz, 60);
+    assert.deepStrictEqual(codes(hum), ['HUM']);
+
+    const faintHiss = diagnoseAudio(recording((t, random) => 0.002 * random()), 16000);
+    assert.ok(faintHiss.snrDb > 30);
+    assert.strictEqual(faintHiss.humHz, null);
+    assert.deepStrictEqual(codes(faintHiss), []);
+  });
+
+  it('POST /api/audio/diagnose reports the WAV format and a low sample rate', async () => {
+    const wav = createWavBuffer(recording(() => 0, 0.3, 8000), 8000);
+    const res = await requestMultipart('/api/audio/diagnose', wav);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.deepStrictEqual(res.body.diagnostics.format, { container: 'wav', codec: 'pcm', sampleRate: 8000, numChannels: 1, bitsPerSample: 16 });
+    assert.deepStrictEqual(codes(res.body.diagnostics), ['LOW_SAMPLE_RATE']);
+
+    const missing = await request('POST', '/api/audio/diagnose', {});
+    assert.strictEqual(missing.status, 400);
+  });
+
+  it('POST /api/eval includes diagnostics only when requested', async () => {
+    const wav = createWavBuffer(recording(() => 0), 16000);
+    const plain = await requestMultipart('/api/eval', wav, 'audio.wav', { targetText: '안녕하세요' });
+    assert.strictEqual(plain.body.diagnostics, undefined);
+
+    const withDiagnostics = await requestMultipart('/api/eval', wav, 'audio.wav', { targetText: '안녕하세요', diagnostics: 'true' });
+    assert.strictEqual(withDiagnostics.body.diagnostics.quality, 'good');
+
+    const silent = await requestMultipart('/api/eval', createWavBuffer(Buffer.alloc(32000), 16000), 'audio.wav', { targetText: '안녕하세요', diagnostics: 'true' });
+    assert.strictEqual(silent.body.code, 'NO_SPEECH');
+    assert.deepStrictEqual(codes(silent.body.diagnostics), ['NO_SPEECH']);
+  });
+});
+
+/**
+ * Run a WS /api/stt/stream session
+ * Sends each message (objects as JSON, Buffers as PCM frames) with a delay in
+ * between, and resolves with the server messages once the socket closes.
+ */
+function streamStt(messages, delayMs = 20) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/api/stt/stream`);
+    const received = [];
+    ws.on('message', data => received.push(JSON.parse(data.toString())));
+    ws.on('close', code => resolve({ code, received }));
+    ws.on('error', reject);
+    ws.on('open', async () => {
+      for (const message of messages) {
+        if (ws.readyState !== WebSocket.OPEN) break;
+        ws.send(Buffer.isBuffer(message) ? message : JSON.stringify(message));
+        await new Promise(r => setTimeout(r, delayMs));
+      }
+    });
+  });
+}
+
+describe('STT Streaming', () => {
+  const pcmFrames = (seconds, frameSeconds = 0.5) =>
+    Array.from({ length: Math.ceil(seconds / frameSeconds) }, () => Buffer.alloc(16000 * 2 * frameSeconds));
+
+  it('mock stream emits growing partials with CER, then a final transcript', async () => {
+    const targetText = '커피 사 주세요';
+    const duration = generateMockTimings(targetText).duration;
+    const { code, received } = await streamStt([
+      { type: 'start', targetText },
+      ...pcmFrames(duration + 0.5),
+      { type: 'stop' }
+    ]);
+
+    assert.strictEqual(code, 1000);
+    assert.strictEqual(received[0].type, 'ready');
+    assert.strictEqual(received[0].sampleRate, 16000);
+
+    const partials = received.filter(m => m.type === 'partial');
+    assert.ok(partials.length >= 1, 'Should emit partial transcripts');
+    partials.forEach(p => assert.ok(targetText.startsWith(p.text)));
+    assert.ok(partials[0].cer > 0);
+
+    const final = received[received.length - 1];
+    assert.strictEqual(final.type, 'final');
+    assert.strictEqual(final.text, targetText);
+    assert.strictEqual(final.cer, 0);
+    assert.strictEqual(final.accuracyPercent, 100);
+    assert.deepStrictEqual(final.words.map(w => w.word), ['커피', '사', '주세요']);
+  });
+
+  it('rejects audio before the start message', async () => {
+    const { code, received } = await streamStt([Buffer.alloc(3200)]);
+    assert.strictEqual(code, 1008);
+    assert.strictEqual(received[0].type, 'error');
+    assert.strictEqual(received[0].code, 'NOT_STARTED');
+  });
+
+  it('rejects a start message without targetText', async () => {
+    const { code, received } = await streamStt([{ type: 'start', sampleRate: 16000 }]);
+    assert.strictEqual(code, 1008);
+    assert.strictEqual(received[0].code, 'BAD_START');
+  });
+
+  it('REAL mode transcribes the recording so far through a local stand-in', async () => {
+    const ENV_KEYS = ['MODE', 'STT_PROVIDERS', 'LOCAL_PROVIDER_URL'];
+    const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    const uploads = [];
+
+    // Stand-in recognizes more of the sentence the longer the upload is
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        uploads.push({ path: req.url, length: body.length, isWav: body.includes('RIFF') });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: body.length < 48000 ? '커피' : '커피 사 주세요' }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+      process.env.MODE = 'REAL';
+      process.env.STT_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+
+      const { code, received } = await streamStt([
+        { type: 'start', targetText: '커피 사 주세요' },
+        ...pcmFrames(2.5),
+        { type: 'stop' }
+      ], 100);
+
+      assert.strictEqual(code, 1000);
+      const partial = received.find(m => m.type === 'partial');
+      assert.strictEqual(partial.text, '커피');
+      assert.ok(partial.accuracyPercent < 100);
+
+      const final = received[received.length - 1];
+      assert.strictEqual(final.type, 'final');
+      assert.strictEqual(final.text, '커피 사 주세요');
+      assert.strictEqual(final.accuracyPercent, 100);
+      assert.strictEqual(final.provider, 'local');
+      assert.ok(uploads.every(u => u.path === '/stt' && u.isWav));
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+    }
+  });
+
+  it('REAL mode backs off partials so uploads stay linear in the recording', async () => {
+    const ENV_KEYS = ['MODE', 'STT_PROVIDERS', 'LOCAL_PROVIDER_URL'];
+    const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    const uploads = [];
+    const standIn = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        uploads.push(Buffer.concat(chunks).length);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: '커피' }));
+      });
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+      process.env.MODE = 'REAL';
+      process.env.STT_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+
+      const { code, received } = await streamStt([
+        { type: 'start', targetText: '커피 사 주세요' },
+        ...pcmFrames(8),
+        { type: 'stop' }
+      ], 100);
+
+      assert.strictEqual(code, 1000);
+      assert.strictEqual(received[0].partialBackoff, 2);
+      // Partials after 1s, 3s and 7s of audio (not every second), then the final upload
+      const partials = received.filter(m => m.type === 'partial');
+      assert.ok(partials.length >= 1 && partials.length <= 3, `${partials.length} partials`);
+      const finalBytes = uploads[uploads.length - 1];
+      const partialBytes = uploads.slice(0, -1).reduce((sum, n) => sum + n, 0);
+      assert.ok(partialBytes <= 2 * finalBytes, `${partialBytes} partial bytes for ${finalBytes}`);
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+    }
+  });
+
+  it('closes sessions that never start or go idle', async () => {
+    const saved = process.env.STT_STREAM_IDLE_MS;
+    process.env.STT_STREAM_IDLE_MS = '200';
+    try {
+      const silent = await streamStt([]);
+      assert.strictEqual(silent.code, 1008);
+      assert.strictEqual(silent.received[0].code, 'IDLE_TIMEOUT');
+
+      const idle = await streamStt([{ type: 'start', targetText: '커피 사 주세요' }, Buffer.alloc(3200)]);
+      assert.strictEqual(idle.code, 1008);
+      assert.strictEqual(idle.received[0].type, 'ready');
+      assert.strictEqual(idle.received[idle.received.length - 1].code, 'IDLE_TIMEOUT');
+    } finally {
+      if (saved === undefined) delete process.env.STT_STREAM_IDLE_MS;
+      else process.env.STT_STREAM_IDLE_MS = saved;
+    }
+  });
+
+  it('closes the socket on oversized messages', async () => {
+    const { code } = await streamStt([{ type: 'start', targetText: '커피' }, Buffer.alloc(MAX_MESSAGE_BYTES + 1)]);
+    assert.strictEqual(code, 1009);
+  });
+
+  it('applies the /api rate limit to upgrades', async () => {
+    for (let i = 0; i < 60; i++) await request('GET', '/api/health');
+    await assert.rejects(streamStt([{ type: 'start', targetText: '커피' }]), /429/);
+  });
+});
+
+describe('Feedback Endpoint', () => {
+  it('POST /api/feedback returns feedback for valid input', async () => {
+    const res = await request('POST', '/api/feedback', {
+      original: '안녕하세요',
+      spoken: '안녕하세요'
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.ok(res.body.feedback);
+    assert.ok(typeof res.body.feedback === 'string');
+  });
+
+  it('POST /api/feedback returns 400 for missing original', async () => {
+    const res = await request('POST', '/api/feedback', { spoken: 'test' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+    assert.ok(res.body.error);
+    assert.ok(res.body.details);
+  });
+
+  it('POST /api/feedback returns 400 for missing spoken', async () => {
+    const res = await request('POST', '/api/feedback', { original: 'test' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+    assert.ok(res.body.error);
+  });
+
+  it('POST /api/feedback returns 400 for empty body', async () => {
+    const res = await request('POST', '/api/feedback', {});
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+  });
+
+  it('POST /api/feedback accepts optional mode parameter', async () => {
+    const res = await request('POST', '/api/feedback', {
+      original: '안녕하세요',
+      spoken: '안녕하세요',
+      mode: 'pronunciation'
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.ok(res.body.feedback);
+  });
+
+  it('POST /api/feedback uses default mode when invalid mode provided', async () => {
     const res = await request('POST', '/api/feedback', {
       original: '안녕하세요',
       spoken: '안녕하세요',
@@ -865,6 +2277,499 @@ describe('Punctuation-Insensitive Scoring', () => {
   });
 });
 
+describe('Jamo-Level Scoring', () => {
+  it('composeSyllable inverts decomposeSyllable', () => {
+    for (const char of ['가', '갔', '뷁', '이']) {
+      assert.strictEqual(composeSyllable(decomposeSyllable(char)), char);
+    }
+    assert.strictEqual(composeSyllable({ initial: 'ㅏ', medial: 'ㅏ' }), null);
+  });
+
+  it('compareSyllables names the differing component', () => {
+    assert.deepStrictEqual(compareSyllables('케', '캐'), {
+      credit: 0.5,
+      jamo: [{ component: 'medial', expected: 'ㅔ', got: 'ㅐ' }]
+    });
+    assert.deepStrictEqual(compareSyllables('갔', '가').jamo, [{ component: 'final', expected: 'ㅆ', got: '' }]);
+    assert.deepStrictEqual(compareSyllables('가', 'a'), { credit: 0, jamo: null });
+  });
+
+  it('computeCER gives partial credit for a one-jamo miss', () => {
+    const nearMiss = computeCER('케이크', '캐이크');
+    const wrongSyllable = computeCER('케이크', '모이크');
+    assert.strictEqual(nearMiss.editDistance, 0.5);
+    assert.strictEqual(wrongSyllable.editDistance, 1);
+    assert.ok(nearMiss.cer < wrongSyllable.cer);
+  });
+
+  it('buildCharacterDiff tags wrong units with the jamo that differ', () => {
+    const diff = buildCharacterDiff('갔어요', '갓어요');
+    assert.deepStrictEqual(diff.units[0], {
+      unit: '갔',
+      status: 'wrong',
+      got: '갓',
+      credit: 0.667,
+      jamo: [{ component: 'final', expected: 'ㅆ', got: 'ㅅ' }]
+    });
+    assert.deepStrictEqual(diff.wrongUnits, ['갔']);
+  });
+});
+
+describe('Standard Pronunciation Scoring', () => {
+  it('pronounce applies 표준 발음법 rules', () => {
+    const cases = {
+      '같이': ['가치', 'palatalization'],
+      '먹는': ['멍는', 'nasalization'],
+      '국물': ['궁물', 'nasalization'],
+      '음악': ['으막', 'liaison'],
+      '신라': ['실라', 'lateralization'],
+      '학교': ['학꾜', 'tensification'],
+      '좋아': ['조아', 'h-deletion']
+    };
+    for (const [word, [pronunciation, rule]] of Object.entries(cases)) {
+      const result = pronounce(word);
+      assert.strictEqual(result.pronunciation, pronunciation, word);
+      assert.deepStrictEqual(result.rules.map(r => r.rule), [rule], word);
+    }
+  });
+
+  it('pronounce reports the span each rule affects', () => {
+    const result = pronounce('지금 같이 가요');
+    assert.strictEqual(result.pronunciation, '지금 가치 가요');
+    assert.deepStrictEqual(result.rules, [{ rule: 'palatalization', start: 3, end: 5, from: '같이', to: '가치' }]);
+  });
+
+  it('accepts the pronunciation of an 어절 as correct', () => {
+    const compared = normalizeForScoring('같이 먹어요', '가치 머거요');
+    assert.strictEqual(computeCER(compared.target, compared.transcript).cer, 0);
+    assert.deepStrictEqual(compared.phonology.map(p => [p.word, p.matched]), [
+      ['같이', 'pronunciation'],
+      ['먹어요', 'pronunciation']
+    ]);
+
+    const spelled = normalizeForScoring('같이 먹어요', '같이 먹어요');
+    assert.strictEqual(computeCER(spelled.target, spelled.transcript).cer, 0);
+    assert.ok(spelled.phonology.every(p => p.matched === 'spelling'));
+  });
+
+  it('diff tags the rule a learner applied or missed', () => {
+    const compared = normalizeForScoring('같이 가요', '가티 가요');
+    const units = buildCharacterDiff(compared.target, compared.transcript, { targetRules: compared.targetRules }).units;
+    assert.deepStrictEqual(units[0].phonology, { rules: ['palatalization'], applied: true });
+    assert.strictEqual(units[1].status, 'wrong');
+    assert.deepStrictEqual(units[1].phonology, { rules: ['palatalization'], applied: false });
+    assert.strictEqual(units[3].phonology, undefined);
+  });
+
+  it('scores a long sentence without re-scoring it per 어절', () => {
+    let target = '';
+    while (target.length < 600) target += '같이 먹어요 학교에 가요 ';
+    target = target.trim();
+    const transcript = target.replace(/같이/g, '가치');
+
+    const started = Date.now();
+    const compared = normalizeForScoring(target, transcript);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+    assert.strictEqual(computeCER(compared.target, compared.transcript).cer, 0);
+  });
+
+  it('/api/feedback rejects texts over the scoring limit', async () => {
+    const res = await request('POST', '/api/feedback', {
+      targetText: '가'.repeat(301),
+      transcriptText: '가'
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+    assert.strictEqual(res.body.error, 'Text too long');
+  });
+
+  it('/api/eval rejects an over-long targetText before screening the recording', async () => {
+    // Silence would be NO_SPEECH if the recording were screened first
+    const res = await requestMultipart('/api/eval', createWavBuffer(Buffer.alloc(32000), 16000), 'audio.wav', { targetText: '가'.repeat(301) });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Text too long');
+  });
+
+  it('REAL mode /api/eval rejects an over-long targetText without calling STT', async () => {
+    const ENV_KEYS = ['MODE', 'STT_PROVIDERS', 'LOCAL_PROVIDER_URL'];
+    const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    let calls = 0;
+    const standIn = http.createServer((req, res) => {
+      calls++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ text: '가' }));
+    });
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+
+    try {
+      process.env.MODE = 'REAL';
+      process.env.STT_PROVIDERS = 'local';
+      process.env.LOCAL_PROVIDER_URL = `http://127.0.0.1:${standIn.address().port}`;
+
+      const res = await requestMultipart('/api/eval', generateTestWav(300), 'audio.wav', { targetText: '가'.repeat(301) });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.error, 'Text too long');
+      assert.strictEqual(calls, 0);
+    } finally {
+      for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+      }
+      await new Promise(resolve => standIn.close(resolve));
+    }
+  });
+});
+
+describe('Korean Number and Loanword Normalization', () => {
+  it('reads numbers Sino-Korean and natively', () => {
+    assert.strictEqual(readSino('5000'), '오천');
+    assert.strictEqual(readSino('15000'), '만 오천');
+    assert.strictEqual(readSino('2024'), '이천이십사');
+    assert.strictEqual(readNative(3), '세');
+    assert.strictEqual(readNative(20), '스무');
+    assert.strictEqual(readNative(21), '스물한');
+  });
+
+  it('picks the reading from the counter word', () => {
+    const cases = [
+      ['세 시에 만나요', '3시에 만나요', '3시', '세 시', 'native-counter'],
+      ['오천 원이에요', '5,000원이에요', '5,000원', '오천 원', 'sino-counter'],
+      ['유월에 가요', '6월에 가요', '6월', '유월', 'month'],
+      ['삼십 퍼센트', '30%', '30%', '삼십 퍼센트', 'unit'],
+      ['케이티엑스 타요', 'KTX 타요', 'KTX', '케이티엑스', 'acronym'],
+      ['티비를 봐요', 'TV를 봐요', 'TV', '티비', 'loanword']
+    ];
+    for (const [target, transcript, from, to, rule] of cases) {
+      const compared = normalizeForScoring(target, transcript);
+      assert.strictEqual(compared.transcript, target, transcript);
+      assert.deepStrictEqual(compared.normalizations, [{ side: 'transcript', from, to, rule }]);
+    }
+  });
+
+  it('chooses between readings of ambiguous counters by the other text', () => {
+    assert.strictEqual(normalizeForScoring('세 번 했어요', '3번 했어요').transcript, '세 번 했어요');
+    assert.strictEqual(normalizeForScoring('삼 번 출구', '3번 출구').transcript, '삼 번 출구');
+    // Digits in the target are read out as well
+    assert.strictEqual(normalizeForScoring('2시에 와요', '두 시에 와요').target, '두 시에 와요');
+  });
+
+  it('chooses readings for a long digit-heavy sentence quickly', () => {
+    let target = '';
+    while (target.length < 600) target += '3번 버스로 2개 사서 3:30에 12명이 $5 내요 ';
+    const transcript = target.replace(/3번/g, '세 번').replace(/12명/g, '열두 명');
+    const distance = (a, b) => computeCER(a, b).editDistance;
+
+    const started = Date.now();
+    const readings = chooseReadings(target, transcript, distance);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+    assert.strictEqual(computeCER(readings.target, readings.transcript).cer, 0);
+  });
+
+  it('leaves words named like Object.prototype keys as written', () => {
+    for (const word of ['constructor', 'toString', '__proto__']) {
+      for (const transcript of [word, `3 ${word}`, `3${word}`]) {
+        const compared = normalizeForScoring('세 시에 만나요', transcript);
+        assert.ok(compared.transcript.endsWith(word), transcript);
+        assert.ok(compared.normalizations.every(n => n.rule !== 'loanword' && n.rule !== 'unit'), transcript);
+      }
+    }
+  });
+
+  it('leaves Hangul-only text unchanged', () => {
+    const compared = normalizeForScoring('커피 사 주세요.', '커피 사 주세요');
+    assert.strictEqual(compared.target, '커피 사 주세요');
+    assert.deepStrictEqual(compared.normalizations, []);
+  });
+
+  it('REAL mode /api/feedback scores digits as their reading and reports it', async () => {
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const res = await request('POST', '/api/feedback', {
+        targetText: '지금 세 시예요.',
+        transcriptText: '지금 3시예요'
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.textAccuracyPercent, 100);
+      assert.strictEqual(res.body.transcriptText, '지금 3시예요', 'original transcript is kept');
+      assert.deepStrictEqual(res.body.normalizations, [
+        { side: 'transcript', from: '3시', to: '세 시', rule: 'native-counter' }
+      ]);
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
+describe('Spacing Policy', () => {
+  it('charges a missing space per policy', () => {
+    assert.strictEqual(computeCER('커피 사 주세요', '커피사주세요', { spacing: 'strict' }).editDistance, 2);
+    assert.strictEqual(computeCER('커피 사 주세요', '커피사주세요', { spacing: 'spacing-as-half-penalty' }).editDistance, 1);
+    assert.strictEqual(computeCER('커피 사 주세요', '커피사주세요', { spacing: 'ignore-spacing' }).cer, 0);
+  });
+
+  it('never substitutes a space for a syllable', () => {
+    const { editDistance } = computeCER('가 나', '가다나', { spacing: 'ignore-spacing' });
+    assert.strictEqual(editDistance, 1, 'extra 다 is one insertion, the space is dropped for free');
+  });
+
+  it('diff marks spacing edits separately from wrong syllables', () => {
+    const diff = buildCharacterDiff('커피 사 주세요', '커피사 주 세요', { spacing: 'strict' });
+    assert.deepStrictEqual(diff.units.filter(u => u.unit === ' ').map(u => u.status), ['missing-space', 'correct', 'extra-space']);
+    assert.ok(diff.units.filter(u => u.unit !== ' ').every(u => u.status === 'correct'));
+    assert.deepStrictEqual(diff.wrongUnits, []);
+  });
+
+  it('REAL mode /api/feedback applies the requested policy and rejects unknown ones', async () => {
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const ignored = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피사주세요',
+        spacing: 'ignore-spacing'
+      });
+      assert.strictEqual(ignored.status, 200);
+      assert.strictEqual(ignored.body.textAccuracyPercent, 100);
+      assert.strictEqual(ignored.body.metrics.spacing, 'ignore-spacing');
+
+      const strict = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피사주세요',
+        spacing: 'strict'
+      });
+      assert.strictEqual(strict.body.textAccuracyPercent, 75);
+
+      const unset = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피사주세요'
+      });
+      assert.strictEqual(unset.body.metrics.spacing, 'strict', 'strict is the default, so existing scores do not change');
+      assert.strictEqual(unset.body.textAccuracyPercent, 75);
+
+      const invalid = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피사주세요',
+        spacing: 'loose'
+      });
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual(invalid.body.ok, false);
+      assert.ok(invalid.body.details.includes('ignore-spacing'));
+
+      for (const spacing of ['constructor', 'toString', '__proto__']) {
+        const inherited = await request('POST', '/api/feedback', {
+          targetText: '커피 사 주세요',
+          transcriptText: '커피사주세요',
+          spacing
+        });
+        assert.strictEqual(inherited.status, 400, spacing);
+        assert.strictEqual(inherited.body.error, 'Invalid "spacing"', spacing);
+      }
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
+describe('Word-Level Alignment', () => {
+  const wordsFor = (target, transcript) => {
+    const compared = normalizeForScoring(target, transcript);
+    return buildCharacterDiff(compared.target, compared.transcript, { targetRules: compared.targetRules }).words;
+  };
+
+  it('gives each target 어절 a verdict with its character diff nested', () => {
+    const words = wordsFor('커피 사 주세요', '녹차 주새요');
+    assert.deepStrictEqual(words.map(w => [w.word, w.got, w.status]), [
+      ['커피', '녹차', 'substituted'],
+      ['사', null, 'missing'],
+      ['주세요', '주새요', 'partial']
+    ]);
+    assert.strictEqual(words[2].accuracyPercent, 83);
+    assert.deepStrictEqual(words[2].units.map(u => u.status), ['correct', 'wrong', 'correct']);
+  });
+
+  it('reports learner words with no target counterpart as inserted', () => {
+    const words = wordsFor('커피 사 주세요', '커피 음 사 주세요');
+    assert.deepStrictEqual(words.map(w => w.status), ['correct', 'inserted', 'correct', 'correct']);
+    assert.deepStrictEqual(words[1], {
+      index: null, word: null, got: '음', status: 'inserted', accuracyPercent: null,
+      units: [{ unit: '음', status: 'extra' }]
+    });
+  });
+
+  it('keeps run-together or split words correct', () => {
+    assert.ok(wordsFor('커피 사 주세요', '커피사주세요').every(w => w.status === 'correct'));
+    const split = wordsFor('커피 사 주세요', '커피 사 주 세요');
+    assert.strictEqual(split[2].got, '주 세요');
+    assert.strictEqual(split[2].status, 'correct');
+  });
+
+  it('REAL mode /api/feedback returns diff.words', async () => {
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const res = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피 주세요'
+      });
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.diff.words.map(w => [w.index, w.status]), [[0, 'correct'], [1, 'missing'], [2, 'correct']]);
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
+describe('Romanization', () => {
+  it('romanizes per syllable in context, standard or as pronounced', () => {
+    assert.deepStrictEqual(romanizeSyllables('신라 먹어요'), ['sil', 'la', ' ', 'meo', 'geo', 'yo']);
+    assert.strictEqual(romanize('학교', { mode: 'standard' }), 'hakgyo');
+    assert.strictEqual(romanize('학교', { mode: 'pronunciation' }), 'hakkyo');
+  });
+
+  it('GET /api/romanize returns the romanization in the requested mode', async () => {
+    const res = await request('GET', `/api/romanize?text=${encodeURIComponent('학교 같이 가요')}&mode=pronunciation`);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { ok: true, text: '학교 같이 가요', mode: 'pronunciation', romanized: 'hakkyo gachi gayo' });
+
+    const standard = await request('GET', `/api/romanize?text=${encodeURIComponent('학교')}`);
+    assert.strictEqual(standard.body.romanized, 'hakgyo');
+  });
+
+  it('GET /api/romanize rejects a missing text or unknown mode', async () => {
+    assert.strictEqual((await request('GET', '/api/romanize')).status, 400);
+    const res = await request('GET', `/api/romanize?text=${encodeURIComponent('학교')}&mode=yale`);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+  });
+
+  it('rejects inherited object keys as romanization modes', async () => {
+    for (const mode of ['toString', 'constructor', '__proto__']) {
+      const res = await request('GET', `/api/romanize?text=${encodeURIComponent('학교')}&mode=${mode}`);
+      assert.strictEqual(res.status, 400, mode);
+      assert.strictEqual(res.body.error, 'Invalid romanization mode', mode);
+
+      const feedback = await request('POST', '/api/feedback', {
+        targetText: '학교',
+        transcriptText: '학교',
+        romanization: mode
+      });
+      assert.strictEqual(feedback.status, 400, mode);
+    }
+  });
+
+  it('REAL mode /api/feedback romanizes texts and diff units', async () => {
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const res = await request('POST', '/api/feedback', {
+        targetText: '같이 가요',
+        transcriptText: '가티 가요'
+      });
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.romanized, { mode: 'standard', targetText: 'gachi gayo', transcriptText: 'gati gayo' });
+      const wrong = res.body.diff.units.find(u => u.status === 'wrong');
+      assert.deepStrictEqual([wrong.unit, wrong.romanized, wrong.gotRomanized], ['치', 'chi', 'ti']);
+      assert.strictEqual(res.body.diff.words[0].units[1].romanized, 'chi', 'word units carry it too');
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
+describe('Scoring Tiers', () => {
+  const withTierEnv = async (env, fn) => {
+    const saved = { correct: process.env.SCORING_TIER_CORRECT, partial: process.env.SCORING_TIER_PARTIAL };
+    try {
+      process.env.SCORING_TIER_CORRECT = env.correct;
+      process.env.SCORING_TIER_PARTIAL = env.partial;
+      await fn();
+    } finally {
+      if (saved.correct === undefined) delete process.env.SCORING_TIER_CORRECT;
+      else process.env.SCORING_TIER_CORRECT = saved.correct;
+      if (saved.partial === undefined) delete process.env.SCORING_TIER_PARTIAL;
+      else process.env.SCORING_TIER_PARTIAL = saved.partial;
+    }
+  };
+
+  it('maps accuracy to tiers with configurable thresholds', async () => {
+    assert.deepStrictEqual([95, 90, 60, 49].map(p => getTier(p, { correct: 90, partial: 50 })), ['correct', 'correct', 'partial', 'severe']);
+    await withTierEnv({ correct: '90', partial: '65' }, () => {
+      assert.strictEqual(getTier(60), 'severe');
+    });
+    await withTierEnv({ correct: '40', partial: '80' }, () => {
+      assert.deepStrictEqual(getTierThresholds(), { correct: 90, partial: 65 }, 'inconsistent config falls back');
+    });
+  });
+
+  it('defaults match the Unity client pass mark (65%)', async () => {
+    await withTierEnv({ correct: '', partial: '' }, () => {
+      assert.deepStrictEqual(getTierThresholds(), { correct: 90, partial: 65 });
+      assert.deepStrictEqual([90, 89, 65, 64].map(p => getTier(p)), ['correct', 'partial', 'partial', 'severe']);
+      const pass = describeTiers().find(t => t.clientState === 'FEEDBACK_PASS');
+      assert.strictEqual(pass.tier, 'partial');
+      assert.strictEqual(pass.minAccuracyPercent, 65);
+    });
+  });
+
+  it('GET /api/config publishes the tier thresholds', async () => {
+    await withTierEnv({ correct: '90', partial: '65' }, async () => {
+      const res = await request('GET', '/api/config');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body.scoring.tiers, [
+        { tier: 'correct', minAccuracyPercent: 90, maxAccuracyPercent: 100, clientState: 'FEEDBACK_EXCELLENT' },
+        { tier: 'partial', minAccuracyPercent: 65, maxAccuracyPercent: 90, clientState: 'FEEDBACK_PASS' },
+        { tier: 'severe', minAccuracyPercent: 0, maxAccuracyPercent: 65, clientState: 'FEEDBACK_FAIL' }
+      ]);
+      assert.ok(res.body.scoring.spacing.policies.includes('strict'));
+    });
+  });
+
+  it('scoring responses carry the tier', async () => {
+    const stub = await request('POST', '/api/feedback', { targetText: '안녕하세요', transcriptText: '안녕하세요' });
+    assert.strictEqual(stub.body.tier, 'correct');
+
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const res = await request('POST', '/api/feedback', {
+        targetText: '커피 사 주세요',
+        transcriptText: '커피 주세요'
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.tier, getTier(res.body.textAccuracyPercent));
+      assert.strictEqual(res.body.tier, 'partial');
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
 describe('Sentences Endpoint', () => {
   it('GET /api/sentences returns sentences array', async () => {
     const res = await request('GET', '/api/sentences');
@@ -888,6 +2793,120 @@ describe('Sentences Endpoint', () => {
     assert.strictEqual(res.status, 400);
     assert.ok(res.body.error);
   });
+
+  it('GET /api/sentences exposes alternates for every sentence', async () => {
+    const res = await request('GET', '/api/sentences');
+    assert.ok(res.body.sentences.every(s => Array.isArray(s.alternates)));
+    const student = res.body.sentences.find(s => s.korean === '저는 학생이에요');
+    assert.ok(student.alternates.includes('전 학생이에요'));
+  });
+
+  it('shipped alternates are valid', () => {
+    for (const sentence of loadSentences().sentences) {
+      assert.deepStrictEqual(validateAlternates(sentence), [], `sentence ${sentence.id}`);
+    }
+  });
+
+  it('validateAlternates reports bad entries', () => {
+    const problems = validateAlternates({ id: 1, korean: '좋아요', alternates: ['좋아요.', '', '좋습니다', '좋습니다'] });
+    assert.strictEqual(problems.length, 3);
+    assert.deepStrictEqual(validateAlternates({ id: 1, korean: '좋아요', alternates: '좋습니다' }), ['"alternates" must be an array']);
+  });
+});
+
+describe('Accepted Alternates', () => {
+  it('finds the alternates of a target by text or sentenceId', () => {
+    assert.deepStrictEqual(getAcceptedVariants('저는 학생이에요.'), {
+      sentenceId: 8,
+      variants: ['저는 학생이에요.', '전 학생이에요', '저는 학생입니다']
+    });
+    assert.deepStrictEqual(getAcceptedVariants('처음 보는 문장이에요').variants, ['처음 보는 문장이에요']);
+    assert.strictEqual(getAcceptedVariants('저는 학생이에요', 99999), null);
+  });
+
+  it('REAL mode /api/feedback scores against the closest accepted variant', async () => {
+    const savedMode = process.env.MODE;
+    const savedKey = process.env.XAI_API_KEY;
+    try {
+      process.env.MODE = 'REAL';
+      delete process.env.XAI_API_KEY;
+
+      const res = await request('POST', '/api/feedback', {
+        targetText: '저는 학생이에요',
+        transcriptText: '전 학생이에요'
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.textAccuracyPercent, 100);
+      assert.deepStrictEqual(res.body.matchedVariant, { index: 1, text: '전 학생이에요', sentenceId: 8 });
+
+      const primary = await request('POST', '/api/feedback', {
+        targetText: '저는 학생이에요',
+        transcriptText: '저는 학생이에요'
+      });
+      assert.strictEqual(primary.body.matchedVariant.index, 0);
+
+      const unknown = await request('POST', '/api/feedback', {
+        targetText: '저는 학생이에요',
+        transcriptText: '전 학생이에요',
+        sentenceId: 99999
+      });
+      assert.strictEqual(unknown.status, 400);
+      assert.strictEqual(unknown.body.ok, false);
+    } finally {
+      if (savedMode === undefined) delete process.env.MODE;
+      else process.env.MODE = savedMode;
+      if (savedKey !== undefined) process.env.XAI_API_KEY = savedKey;
+    }
+  });
+});
+
+describe('Pronunciation Endpoint', () => {
+  it('romanize follows the pronunciation (Revised Romanization)', () => {
+    assert.strictEqual(romanize('같이 가요'), 'gachi gayo');
+    assert.strictEqual(romanize('신라'), 'silla');
+    assert.strictEqual(romanize('감사합니다'), 'gamsahamnida');
+    // Tensification is not written
+    assert.strictEqual(romanize('학교'), 'hakgyo');
+  });
+
+  it('GET /api/pronunciation returns pronunciation, romanization and explained rules', async () => {
+    clearPronunciationCache();
+    const res = await request('GET', `/api/pronunciation?text=${encodeURIComponent('같이 먹어요')}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.ok, true);
+    assert.strictEqual(res.body.pronunciation, '가치 머거요');
+    assert.strictEqual(res.body.display, '[가치 머거요]');
+    assert.strictEqual(res.body.romanization, 'gachi meogeoyo');
+    assert.strictEqual(res.body.cached, false);
+
+    const [palatalization, liaison] = res.body.rules;
+    assert.strictEqual(palatalization.rule, 'palatalization');
+    assert.strictEqual(palatalization.nameKo, '구개음화');
+    assert.ok(palatalization.ko && palatalization.en, 'rule has Korean and English explanations');
+    assert.deepStrictEqual([palatalization.start, palatalization.end, palatalization.from, palatalization.to], [0, 2, '같이', '가치']);
+    assert.deepStrictEqual([liaison.rule, liaison.from, liaison.to], ['liaison', '먹어', '머거']);
+
+    const again = await request('GET', `/api/pronunciation?text=${encodeURIComponent('같이 먹어요')}`);
+    assert.strictEqual(again.body.cached, true);
+  });
+
+  it('GET /api/pronunciation without text returns 400', async () => {
+    const res = await request('GET', '/api/pronunciation');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.ok, false);
+  });
+
+  it('GET /api/sentences?pronunciation=true attaches pronunciations', async () => {
+    const res = await request('GET', '/api/sentences?pronunciation=true');
+    assert.strictEqual(res.status, 200);
+    for (const sentence of res.body.sentences) {
+      assert.strictEqual(sentence.pronunciation.display, `[${pronounce(sentence.korean).pronunciation}]`);
+      assert.strictEqual(sentence.pronunciation.romanization, romanize(sentence.korean));
+    }
+
+    const plain = await request('GET', '/api/sentences');
+    assert.strictEqual(plain.body.sentences[0].pronunciation, undefined);
+  });
 });
 
 describe('404 Handler', () => {
@@ -0,0 +1,83 @@
+/**
+ * Audio Decode Worker - decodes one compressed upload to PCM16 mono
+ *
+ * Runs in a worker thread started by decodeCompressed (audioInput.js), so a
+ * decode that hangs or runs long can be terminated without blocking the
+ * server. The decoders are WASM/pure-JS ES modules, loaded on demand.
+ *
+ * workerData: { buffer: Uint8Array, decoder: string, sampleRate: number, maxSeconds: number }
+ * Posts { ok: true, pcm: ArrayBuffer } or { ok: false, code?: string, details: string }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Average the channels into one
+ * @param {Float32Array[]} channelData
+ * @param {number} length - Samples to keep per channel
+ * @returns {Float32Array}
+ */
+function downmix(channelData, length) {
+  if (channelData.length === 1) return channelData[0].subarray(0, length);
+  const mono = new Float32Array(length);
+  for (const channel of channelData) {
+    for (let i = 0; i < length; i++) mono[i] += channel[i];
+  }
+  for (let i = 0; i < length; i++) mono[i] /= channelData.length;
+  return mono;
+}
+
+/**
+ * Resample and convert to PCM16
+ * Downsampling averages the source samples each output sample covers (a box
+ * filter, enough to keep 48kHz recordings from aliasing into the speech band);
+ * upsampling interpolates linearly.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Buffer} PCM16 little-endian
+ */
+function toPcm16(samples, fromRate, toRate) {
+  const ratio = fromRate / toRate;
+  const outputSamples = Math.floor(samples.length / ratio);
+  const output = Buffer.alloc(outputSamples * 2);
+
+  for (let i = 0; i < outputSamples; i++) {
+    let value;
+    if (ratio > 1) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(samples.length, Math.max(start + 1, Math.floor((i + 1) * ratio)));
+      value = 0;
+      for (let j = start; j < end; j++) value += samples[j];
+      value /= end - start;
+    } else {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      value = samples[index] + (samples[next] - samples[index]) * (position - index);
+    }
+    const clamped = Math.max(-1, Math.min(1, value));
+    output.writeInt16LE(Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767), i * 2);
+  }
+
+  return output;
+}
+
+async function run({ buffer, decoder, sampleRate, maxSeconds }) {
+  const { default: decode } = await import(decoder);
+  const audio = await decode(buffer);
+  const channelData = (audio && audio.channelData) || [];
+  const sourceRate = audio && audio.sampleRate;
+  const decodedSamples = channelData.length > 0 ? channelData[0].length : 0;
+  if (!sourceRate || decodedSamples === 0) {
+    return { ok: false, details: 'No audio samples decoded' };
+  }
+
+  const length = Math.min(decodedSamples, Math.floor(maxSeconds * sourceRate));
+  const pcm = toPcm16(downmix(channelData, length), sourceRate, sampleRate);
+  return { ok: true, pcm: pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + pcm.length) };
+}
+
+run(workerData)
+  .then((result) => parentPort.postMessage(result, result.pcm ? [result.pcm] : []))
+  .catch((err) => parentPort.postMessage({ ok: false, code: err.code, details: err.message || String(err) }));
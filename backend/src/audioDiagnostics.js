@@ -0,0 +1,291 @@
+/**
+ * Audio Diagnostics - recording quality report for learner uploads
+ *
+ * Many bad scores are really bad recordings. This measures the decoded
+ * recording locally (no upstream calls) and turns problems into actionable
+ * hints in Korean and English:
+ *
+ *   peak / RMS level, clipping, noise floor + SNR (loudest vs quietest frames),
+ *   DC offset, mains hum (50/60Hz), duration, and the WAV format.
+ *
+ * Served by POST /api/audio/diagnose and, on request, as the `diagnostics`
+ * block of /api/eval.
+ */
+
+const { parseWavHeader, decodeAudioInput } = require('./pronounce');
+const { frameRms, pcm16ToSamples, toDb } = require('./audioProcessing');
+const { identifyAudio } = require('./audioInput');
+const { detectSpeech } = require('./vad');
+
+// Samples this close to full scale count as clipped
+const CLIP_LEVEL = 0.999;
+const SNR_CAP_DB = 60;
+const HUM_FREQUENCIES = [50, 60];
+// Share of the noise floor at the mains frequency (plus 2nd harmonic) that counts as hum
+const HUM_RATIO = 0.3;
+// Hum quieter than this is inaudible
+const MIN_HUM_DBFS = -70;
+const FRAME_SECONDS = 0.01;
+// Quietest frames measure the noise floor, loudest ones the speech level
+const QUIET_FRAME_SHARE = 0.2;
+const LOUD_FRAME_SHARE = 0.3;
+const MIN_NOISE_SECONDS = 0.1;
+
+const THRESHOLDS = {
+  clippingRatio: 0.001,
+  lowSpeechDbfs: -35,
+  noisySnrDb: 15,
+  veryNoisySnrDb: 8,
+  dcOffset: 0.02,
+  minSampleRate: 16000,
+  minDurationSeconds: 0.5
+};
+
+// Hint text per problem; level is the worst quality it implies
+const HINTS = {
+  NO_SPEECH: {
+    level: 'poor',
+    en: 'No speech was detected. Check that the right microphone is selected and speak after the beep.',
+    ko: '말소리가 감지되지 않았어요. 올바른 마이크가 선택되었는지 확인하고 다시 말해 보세요.'
+  },
+  CLIPPING: {
+    level: 'poor',
+    en: 'Your voice is distorting. Move a little away from the mic or speak more softly.',
+    ko: '소리가 찢어지고 있어요. 마이크에서 조금 떨어지거나 조금 더 작게 말해 보세요.'
+  },
+  LOW_LEVEL: {
+    level: 'fair',
+    en: 'The recording is very quiet. Move closer to the mic and speak a bit louder.',
+    ko: '녹음 소리가 너무 작아요. 마이크에 더 가까이 대고 조금 더 크게 말해 보세요.'
+  },
+  NOISY: {
+    level: 'fair',
+    en: 'There is a lot of background noise. Try recording somewhere quieter.',
+    ko: '주변 소음이 많아요. 더 조용한 곳에서 녹음해 보세요.'
+  },
+  HUM: {
+    level: 'fair',
+    en: 'Electrical hum detected. Unplug the charger or move away from other electronics.',
+    ko: '전기 잡음이 들려요. 충전기를 빼거나 다른 전자기기에서 떨어져서 녹음해 보세요.'
+  },
+  DC_OFFSET: {
+    level: 'fair',
+    en: 'The microphone signal is offset, which is usually a faulty or cheap mic. Try another microphone or headset.',
+    ko: '마이크 신호가 치우쳐 있어요. 다른 마이크나 이어폰 마이크를 사용해 보세요.'
+  },
+  LOW_SAMPLE_RATE: {
+    level: 'fair',
+    en: 'The recording sample rate is too low for clear speech. Record at 16kHz or higher.',
+    ko: '녹음 샘플레이트가 너무 낮아요. 16kHz 이상으로 녹음해 주세요.'
+  },
+  TOO_SHORT: {
+    level: 'fair',
+    en: 'The recording is very short. Say the whole sentence before stopping.',
+    ko: '녹음이 너무 짧아요. 문장을 끝까지 말한 뒤에 녹음을 멈춰 주세요.'
+  }
+};
+
+const QUALITY_ORDER = ['good', 'fair', 'poor'];
+
+function round1(value) {
+  return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Mean power of one frequency component (Goertzel)
+ * A sine of amplitude A gives A^2/2, the same as its contribution to the signal's mean square.
+ */
+function tonePower(samples, sampleRate, frequency) {
+  if (samples.length === 0) return 0;
+  const coeff = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  const power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+  return 2 * power / (samples.length * samples.length);
+}
+
+/**
+ * Measure a PCM16 mono recording
+ * @param {Buffer} pcmBuffer - PCM16 little-endian mono
+ * @param {number} sampleRate
+ * @param {object} [format] - Upload format ({ container, codec, sampleRate, numChannels, bitsPerSample })
+ * @returns {object} { quality, durationSeconds, peakDbfs, rmsDbfs, speechRmsDbfs, noiseFloorDbfs, snrDb, clippingRatio, dcOffset, humHz, format, speech, hints }
+ */
+function diagnoseAudio(pcmBuffer, sampleRate, format = null) {
+  const samples = pcm16ToSamples(pcmBuffer);
+  const speech = detectSpeech(pcmBuffer, sampleRate);
+
+  let peak = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const abs = Math.abs(samples[i]);
+    peak = Math.max(peak, abs);
+    sum += samples[i];
+    sumSquares += samples[i] * samples[i];
+    if (abs >= CLIP_LEVEL) clipped++;
+  }
+  const count = Math.max(1, samples.length);
+  const dcOffset = sum / count;
+
+  // Noise floor from the quietest frames, speech level from the loudest ones
+  // (VAD segments cannot be used: steady hum or hiss is loud enough to pass as speech)
+  // DC offset is reported on its own, so levels are measured without it
+  const centered = samples.map(sample => sample - dcOffset);
+  const { rms } = frameRms(centered, sampleRate, FRAME_SECONDS * 1000);
+  const powers = rms.map(level => level * level).sort((a, b) => a - b);
+  const meanPower = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const quietFrames = Math.floor(powers.length * QUIET_FRAME_SHARE);
+  const loudFrames = Math.floor(powers.length * LOUD_FRAME_SHARE);
+  const noisePower = quietFrames * FRAME_SECONDS >= MIN_NOISE_SECONDS ? meanPower(powers.slice(0, quietFrames)) : null;
+  const speechPower = speech.segments.length > 0 && loudFrames > 0 ? meanPower(powers.slice(-loudFrames)) : null;
+
+  let snrDb = null;
+  if (speechPower !== null && noisePower !== null) {
+    snrDb = noisePower > 0 ? Math.min(SNR_CAP_DB, toDb(Math.sqrt(speechPower / noisePower))) : SNR_CAP_DB;
+  }
+
+  // Hum: a mains component (plus 2nd harmonic) making up a large part of the noise floor
+  let humHz = null;
+  if (noisePower > 0) {
+    let strongest = 0;
+    for (const frequency of HUM_FREQUENCIES) {
+      const humPower = tonePower(centered, sampleRate, frequency) + tonePower(centered, sampleRate, frequency * 2);
+      const audible = toDb(Math.sqrt(humPower)) > MIN_HUM_DBFS;
+      if (audible && humPower >= noisePower * HUM_RATIO && humPower > strongest) {
+        strongest = humPower;
+        humHz = frequency;
+      }
+    }
+  }
+
+  const report = {
+    durationSeconds: round4(samples.length / sampleRate),
+    peakDbfs: round1(toDb(peak)),
+    rmsDbfs: round1(toDb(Math.sqrt(sumSquares / count))),
+    speechRmsDbfs: speechPower !== null ? round1(toDb(Math.sqrt(speechPower))) : null,
+    noiseFloorDbfs: noisePower !== null ? round1(toDb(Math.sqrt(noisePower))) : null,
+    snrDb: round1(snrDb),
+    clippingRatio: round4(clipped / count),
+    dcOffset: round4(dcOffset),
+    humHz,
+    format,
+    speech
+  };
+
+  const codes = [];
+  if (speech.segments.length === 0) codes.push('NO_SPEECH');
+  if (report.clippingRatio > THRESHOLDS.clippingRatio) codes.push('CLIPPING');
+  if (report.speechRmsDbfs !== null && report.speechRmsDbfs < THRESHOLDS.lowSpeechDbfs) codes.push('LOW_LEVEL');
+  if (snrDb !== null && snrDb < THRESHOLDS.noisySnrDb) codes.push('NOISY');
+  if (humHz) codes.push('HUM');
+  if (Math.abs(dcOffset) > THRESHOLDS.dcOffset) codes.push('DC_OFFSET');
+  if (format && format.sampleRate && format.sampleRate < THRESHOLDS.minSampleRate) codes.push('LOW_SAMPLE_RATE');
+  if (report.durationSeconds < THRESHOLDS.minDurationSeconds) codes.push('TOO_SHORT');
+
+  const hints = codes.map(code => ({
+    code,
+    level: code === 'NOISY' && snrDb < THRESHOLDS.veryNoisySnrDb ? 'poor' : HINTS[code].level,
+    en: HINTS[code].en,
+    ko: HINTS[code].ko
+  }));
+  const quality = hints.reduce((worst, hint) =>
+    QUALITY_ORDER.indexOf(hint.level) > QUALITY_ORDER.indexOf(worst) ? hint.level : worst, 'good');
+
+  return { quality, ...report, hints };
+}
+
+/**
+ * Decode an upload and diagnose it
+ * @param {Buffer} audioBuffer
+ * @returns {Promise<{ ok: true, diagnostics: object }|{ ok: false, code, status, error, details }>}
+ */
+async function diagnoseUpload(audioBuffer) {
+  const identified = identifyAudio(audioBuffer);
+  if (!identified.ok) return identified;
+  const { input } = identified;
+
+  const decoded = await decodeAudioInput(audioBuffer);
+  if (!decoded.ok) return decoded;
+
+  // The header describes what the device recorded (before conversion to 16kHz mono)
+  const header = input.container === 'wav' ? parseWavHeader(audioBuffer) : null;
+  const format = {
+    container: input.container,
+    codec: input.codec,
+    sampleRate: header ? header.sampleRate : null,
+    numChannels: header ? header.numChannels : null,
+    bitsPerSample: header ? header.bitsPerSample : null
+  };
+
+  return { ok: true, diagnostics: diagnoseAudio(decoded.pcmBuffer, decoded.sampleRate, format) };
+}
+
+/**
+ * POST /api/audio/diagnose handler
+ *
+ * Request: multipart/form-data with 'audio' file (any format accepted by /api/stt)
+ * Response: { ok, diagnostics: { quality, durationSeconds, peakDbfs, rmsDbfs, speechRmsDbfs,
+ *             noiseFloorDbfs, snrDb, clippingRatio, dcOffset, humHz, format, speech,
+ *             hints: [{ code, level, en, ko }] } }
+ */
+async function diagnoseHandler(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        ok: false,
+        error: 'No audio file uploaded',
+        details: 'Use multipart/form-data with field name "audio"'
+      });
+    }
+
+    const result = await diagnoseUpload(req.file.buffer);
+    if (!result.ok) {
+      return res.status(result.status || 400).json({
+        ok: false,
+        error: result.error,
+        code: result.code,
+        details: result.details
+      });
+    }
+
+    const { diagnostics } = result;
+    console.log(`[Diagnose] ${diagnostics.quality}: peak=${diagnostics.peakDbfs}dBFS snr=${diagnostics.snrDb}dB hints=${diagnostics.hints.map(h => h.code).join(',') || 'none'}`);
+    res.json({ ok: true, diagnostics });
+
+  } catch (err) {
+    console.error('[Diagnose] Error:', err.message);
+    res.status(500).json({
+      ok: false,
+      error: 'Audio diagnostics failed',
+      details: err.message
+    });
+  }
+}
+
+/**
+ * Whether a request asked for the optional diagnostics block
+ * @param {object} body - Form fields ({ diagnostics: 'true' })
+ */
+function wantsDiagnostics(body) {
+  const value = body && body.diagnostics;
+  return value === true || value === 'true' || value === '1';
+}
+
+module.exports = {
+  diagnoseAudio,
+  diagnoseUpload,
+  diagnoseHandler,
+  wantsDiagnostics,
+  HINTS
+};
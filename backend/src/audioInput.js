@@ -0,0 +1,264 @@
+/**
+ * Audio Input - container sniffing and decoding of learner recordings
+ *
+ * Browsers record WebM/Opus, iOS records M4A/AAC, and some clients upload
+ * MP3 or Ogg. Uploads are identified by their magic bytes (the multipart
+ * Content-Type and filename are not trusted), forwarded to the STT provider
+ * with the matching MIME type, and decoded to PCM16 mono for the realtime
+ * pronunciation analysis.
+ *
+ * 16-bit PCM WAV is converted directly (pronounce.js). Everything else is
+ * decoded in-process by the WASM/pure-JS @audio/decode-* modules, picked from
+ * the sniffed container (no probing). Because the uploads are untrusted, each
+ * decode runs in its own worker thread (audioDecodeWorker.js) with an empty
+ * environment, keeps at most MAX_DECODE_SECONDS of audio, and is terminated
+ * after AUDIO_DECODE_TIMEOUT_MS.
+ *
+ * Environment Variables:
+ * - AUDIO_DECODE_TIMEOUT_MS: Longest a decode may run (default: 20000)
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_DECODE_TIMEOUT_MS = 20000;
+// Longest recording decoded; anything after is dropped
+const MAX_DECODE_SECONDS = 120;
+// Codec identifiers are found near the start of WebM/Ogg files
+const HEADER_SCAN_BYTES = 64 * 1024;
+const DECODE_WORKER = path.join(__dirname, 'audioDecodeWorker.js');
+
+// Error codes for rejected uploads -> HTTP status
+const AUDIO_ERROR_STATUS = {
+  EMPTY_AUDIO: 400,
+  UNSUPPORTED_FORMAT: 415,
+  UNSUPPORTED_CODEC: 415,
+  DECODE_FAILED: 422,
+  NO_SPEECH: 422,
+  SPEECH_TOO_SHORT: 422,
+  DECODER_UNAVAILABLE: 501
+};
+
+const CONTAINERS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  webm: { mimeType: 'audio/webm', extension: 'webm' },
+  ogg: { mimeType: 'audio/ogg', extension: 'ogg' },
+  mp4: { mimeType: 'audio/mp4', extension: 'm4a' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  aac: { mimeType: 'audio/aac', extension: 'aac' },
+  flac: { mimeType: 'audio/flac', extension: 'flac' }
+};
+
+// Decoder module per container, or per container/codec where the container
+// holds several codecs (WebM and MP4 pick the codec themselves)
+const DECODERS = {
+  wav: '@audio/decode-wav',
+  webm: '@audio/decode-webm',
+  'ogg/opus': '@audio/decode-opus',
+  'ogg/vorbis': '@audio/decode-vorbis',
+  'ogg/flac': '@audio/decode-flac',
+  mp4: '@audio/decode-mp4',
+  mp3: '@audio/decode-mp3',
+  aac: '@audio/decode-aac',
+  flac: '@audio/decode-flac'
+};
+
+// WAV fmt codes (16-bit PCM is converted directly; the rest goes through @audio/decode-wav)
+const WAV_CODECS = { 1: 'pcm', 3: 'float', 0xFFFE: 'extensible' };
+
+function audioError(code, error, details) {
+  return { ok: false, code, status: AUDIO_ERROR_STATUS[code], error, details };
+}
+
+function includes(buffer, text, limit = buffer.length) {
+  return buffer.subarray(0, limit).includes(text);
+}
+
+function wavCodec(buffer) {
+  const fmt = buffer.indexOf('fmt ', 12);
+  if (fmt < 0 || fmt + 10 > buffer.length) return null;
+  const audioFormat = buffer.readUInt16LE(fmt + 8);
+  return WAV_CODECS[audioFormat] || `wav-0x${audioFormat.toString(16)}`;
+}
+
+function oggCodec(buffer) {
+  if (includes(buffer, 'OpusHead', HEADER_SCAN_BYTES)) return 'opus';
+  if (includes(buffer, '\x01vorbis', HEADER_SCAN_BYTES)) return 'vorbis';
+  if (includes(buffer, '\x7fFLAC', HEADER_SCAN_BYTES)) return 'flac';
+  return null;
+}
+
+function webmCodec(buffer) {
+  if (includes(buffer, 'A_OPUS', HEADER_SCAN_BYTES)) return 'opus';
+  if (includes(buffer, 'A_VORBIS', HEADER_SCAN_BYTES)) return 'vorbis';
+  if (includes(buffer, 'A_AAC', HEADER_SCAN_BYTES)) return 'aac';
+  return null;
+}
+
+function mp4Codec(buffer) {
+  // Sample entry types; the moov box may come after the audio data
+  if (includes(buffer, 'mp4a')) return 'aac';
+  if (includes(buffer, 'Opus')) return 'opus';
+  if (includes(buffer, 'alac')) return 'alac';
+  return null;
+}
+
+/**
+ * MPEG audio frame header: 11-bit sync, layer != reserved
+ * Layer bits 00 with sync is an AAC ADTS header instead.
+ */
+function mpegFrameType(buffer) {
+  if (buffer.length < 2 || buffer[0] !== 0xFF || (buffer[1] & 0xE0) !== 0xE0) return null;
+  const layer = (buffer[1] >> 1) & 0x03;
+  if ((buffer[1] & 0xF6) === 0xF0) return 'aac';
+  return layer === 0 ? null : 'mp3';
+}
+
+/**
+ * Identify an upload by its magic bytes
+ * @param {Buffer} buffer
+ * @returns {{ container: string, codec: string|null, mimeType: string, extension: string }|null}
+ *          null if the container is not recognized
+ */
+function sniffAudio(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  let container = null;
+  let codec = null;
+
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') {
+    container = 'wav';
+    codec = wavCodec(buffer);
+  } else if (buffer.readUInt32BE(0) === 0x1A45DFA3) {
+    // EBML header (WebM/Matroska)
+    container = 'webm';
+    codec = webmCodec(buffer);
+  } else if (buffer.toString('latin1', 0, 4) === 'OggS') {
+    container = 'ogg';
+    codec = oggCodec(buffer);
+  } else if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    container = 'mp4';
+    codec = mp4Codec(buffer);
+  } else if (buffer.toString('latin1', 0, 4) === 'fLaC') {
+    container = 'flac';
+    codec = 'flac';
+  } else if (buffer.toString('latin1', 0, 3) === 'ID3') {
+    container = 'mp3';
+    codec = 'mp3';
+  } else {
+    const frame = mpegFrameType(buffer);
+    if (frame) {
+      container = frame;
+      codec = frame;
+    }
+  }
+
+  if (!container) return null;
+  return { container, codec, ...CONTAINERS[container] };
+}
+
+/**
+ * Check an upload before it is sent to STT or decoded
+ * @param {Buffer} buffer
+ * @returns {{ ok: true, input: object }|{ ok: false, code, status, error, details }}
+ */
+function identifyAudio(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return audioError('EMPTY_AUDIO', 'Empty audio file', 'The uploaded "audio" file has no data');
+  }
+
+  const input = sniffAudio(buffer);
+  if (!input) {
+    return audioError(
+      'UNSUPPORTED_FORMAT',
+      'Unsupported audio format',
+      `Upload WAV, WebM, Ogg, M4A, MP3, AAC or FLAC (got ${buffer.subarray(0, 4).toString('hex')}...)`
+    );
+  }
+
+  if (input.codec === null && input.container !== 'webm') {
+    return audioError(
+      'UNSUPPORTED_CODEC',
+      `Unsupported codec in ${input.container.toUpperCase()} file`,
+      input.container === 'ogg' ? 'Ogg audio must be Opus, Vorbis or FLAC' : 'M4A audio must be AAC, ALAC or Opus'
+    );
+  }
+
+  return { ok: true, input };
+}
+
+function getDecodeTimeoutMs() {
+  const timeoutMs = parseInt(process.env.AUDIO_DECODE_TIMEOUT_MS, 10);
+  return Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_DECODE_TIMEOUT_MS;
+}
+
+/**
+ * In-process decoder module for an upload
+ * @param {object} input - From sniffAudio
+ * @returns {string|null}
+ */
+function getDecoder(input) {
+  const key = `${input.container}/${input.codec}`;
+  if (Object.prototype.hasOwnProperty.call(DECODERS, key)) return DECODERS[key];
+  if (Object.prototype.hasOwnProperty.call(DECODERS, input.container)) return DECODERS[input.container];
+  return null;
+}
+
+/**
+ * Decode an upload to PCM16 mono in a worker thread (see top of file)
+ * @param {Buffer} buffer
+ * @param {object} input - From sniffAudio
+ * @param {number} sampleRate - Output sample rate
+ * @returns {Promise<{ ok: true, pcmBuffer: Buffer, sampleRate: number }|{ ok: false, code, status, error, details }>}
+ */
+function decodeCompressed(buffer, input, sampleRate) {
+  const decoder = getDecoder(input);
+  if (!decoder) {
+    return Promise.resolve(audioError(
+      'UNSUPPORTED_CODEC',
+      `Unsupported codec in ${input.container.toUpperCase()} file`,
+      `No decoder for ${input.codec || 'unknown'} audio`
+    ));
+  }
+
+  const timeoutMs = getDecodeTimeoutMs();
+  return new Promise((resolve) => {
+    const worker = new Worker(DECODE_WORKER, {
+      workerData: { buffer: new Uint8Array(buffer), decoder, sampleRate, maxSeconds: MAX_DECODE_SECONDS },
+      env: {}
+    });
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish(audioError('DECODE_FAILED', 'Audio decoding timed out', `No result after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    worker.on('message', (result) => {
+      if (result.ok) return finish({ ok: true, pcmBuffer: Buffer.from(result.pcm), sampleRate });
+      finish(result.code === 'ERR_MODULE_NOT_FOUND'
+        ? audioError('DECODER_UNAVAILABLE', 'Audio decoding unavailable', `${decoder} is not installed; run npm install, or upload 16-bit WAV`)
+        : audioError('DECODE_FAILED', 'Audio decoding failed', result.details));
+    });
+    worker.on('error', (err) => {
+      finish(audioError('DECODE_FAILED', 'Audio decoding failed', err.message));
+    });
+    worker.on('exit', (code) => {
+      finish(audioError('DECODE_FAILED', 'Audio decoding failed', `Decoder exited with code ${code}`));
+    });
+  });
+}
+
+module.exports = {
+  sniffAudio,
+  identifyAudio,
+  decodeCompressed,
+  AUDIO_ERROR_STATUS
+};
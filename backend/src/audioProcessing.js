@@ -0,0 +1,284 @@
+/**
+ * TTS Audio Post-processing - silence trimming + loudness normalization
+ *
+ * Runs on PCM16 mono audio before it is cached, so every sentence starts on
+ * speech and plays at the same level. wav/pcm are processed as received; MP3
+ * (the default format) is synthesized as PCM, processed, then encoded in-process
+ * (lamejs). Opus is cached as received.
+ *
+ * Loudness is the RMS of speech frames (frames above the silence threshold)
+ * in dBFS, raised or lowered to the target with a peak ceiling so the gain
+ * never clips.
+ *
+ * Environment Variables:
+ * - TTS_POSTPROCESS: "false" disables trimming/normalization (default: enabled)
+ * - TTS_TARGET_DBFS: Target speech loudness (default: -20)
+ * - TTS_SILENCE_DBFS: Frames quieter than this count as silence (default: -45)
+ */
+
+const { extractPcmData, parseWavHeader, createWavBuffer } = require('./pronounce');
+const { OUTPUT_FORMATS } = require('./ttsFormats');
+
+const FRAME_MS = 10;
+// Silence kept before/after speech so onsets and releases are not clipped
+const PAD_MS = 50;
+const PEAK_CEILING_DBFS = -1;
+const INT16_FULL_SCALE = 32768;
+// Samples per MP3 encoder call (one MPEG-1 frame)
+const MP3_CHUNK_SAMPLES = 1152;
+// Encoder calls between yields to the event loop (~2.7s of 22.05kHz audio)
+const MP3_CHUNKS_PER_YIELD = 50;
+
+function getSettings() {
+  const target = parseFloat(process.env.TTS_TARGET_DBFS);
+  const silence = parseFloat(process.env.TTS_SILENCE_DBFS);
+  return {
+    enabled: String(process.env.TTS_POSTPROCESS || 'true').toLowerCase() !== 'false',
+    targetDbfs: Number.isFinite(target) ? target : -20,
+    silenceDbfs: Number.isFinite(silence) ? silence : -45
+  };
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Read PCM16 little-endian bytes into normalized samples (-1..1)
+ */
+function pcm16ToSamples(pcmBuffer) {
+  const samples = new Float32Array(Math.floor(pcmBuffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcmBuffer.readInt16LE(i * 2) / INT16_FULL_SCALE;
+  }
+  return samples;
+}
+
+function samplesToPcm16(samples) {
+  const pcmBuffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.round(samples[i] * INT16_FULL_SCALE);
+    pcmBuffer.writeInt16LE(Math.max(-INT16_FULL_SCALE, Math.min(INT16_FULL_SCALE - 1, value)), i * 2);
+  }
+  return pcmBuffer;
+}
+
+/**
+ * RMS level of fixed-size frames
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} [frameMs=10]
+ * @returns {{ frameSize: number, rms: number[] }}
+ */
+function frameRms(samples, sampleRate, frameMs = FRAME_MS) {
+  const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+  const rms = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    rms.push(Math.sqrt(sum / (end - start)));
+  }
+  return { frameSize, rms };
+}
+
+/**
+ * Sample range between the first and last non-silent frame (plus padding)
+ * @returns {{ start: number, end: number }|null} null if everything is silent
+ */
+function findSpeechBounds(samples, sampleRate, silenceDbfs) {
+  const { frameSize, rms } = frameRms(samples, sampleRate);
+  const first = rms.findIndex(level => toDb(level) > silenceDbfs);
+  if (first < 0) return null;
+
+  let last = rms.length - 1;
+  while (toDb(rms[last]) <= silenceDbfs) last--;
+
+  const pad = Math.round(sampleRate * PAD_MS / 1000);
+  return {
+    start: Math.max(0, first * frameSize - pad),
+    end: Math.min(samples.length, (last + 1) * frameSize + pad)
+  };
+}
+
+/**
+ * Speech loudness (RMS over non-silent frames) and peak, in dBFS
+ */
+function measureLoudness(samples, sampleRate, silenceDbfs) {
+  const { frameSize, rms } = frameRms(samples, sampleRate);
+  let sum = 0;
+  let count = 0;
+  rms.forEach((level, index) => {
+    if (toDb(level) <= silenceDbfs) return;
+    const end = Math.min((index + 1) * frameSize, samples.length);
+    for (let i = index * frameSize; i < end; i++) sum += samples[i] * samples[i];
+    count += end - index * frameSize;
+  });
+
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+
+  return {
+    loudnessDbfs: count > 0 ? toDb(Math.sqrt(sum / count)) : -Infinity,
+    peakDbfs: toDb(peak)
+  };
+}
+
+/**
+ * Trim silence and normalize loudness of PCM16 mono audio
+ * @param {Buffer} pcmBuffer - PCM16 little-endian mono
+ * @param {number} sampleRate
+ * @param {object} [settings] - { targetDbfs, silenceDbfs } (default: from env)
+ * @returns {{ pcm: Buffer, leadTrimmed: number, tailTrimmed: number, gainDb: number, loudnessDbfs: number|null, referenceDuration: number }}
+ */
+function processPcm(pcmBuffer, sampleRate, settings = getSettings()) {
+  let samples = pcm16ToSamples(pcmBuffer);
+  const bounds = findSpeechBounds(samples, sampleRate, settings.silenceDbfs);
+
+  // All silence: nothing to trim or normalize against
+  if (!bounds) {
+    return {
+      pcm: pcmBuffer,
+      leadTrimmed: 0,
+      tailTrimmed: 0,
+      gainDb: 0,
+      loudnessDbfs: null,
+      referenceDuration: round3(samples.length / sampleRate)
+    };
+  }
+
+  const leadTrimmed = bounds.start / sampleRate;
+  const tailTrimmed = (samples.length - bounds.end) / sampleRate;
+  samples = samples.slice(bounds.start, bounds.end);
+
+  const { loudnessDbfs, peakDbfs } = measureLoudness(samples, sampleRate, settings.silenceDbfs);
+  const gainDb = Math.min(settings.targetDbfs - loudnessDbfs, PEAK_CEILING_DBFS - peakDbfs);
+  const gain = Math.pow(10, gainDb / 20);
+  for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+
+  return {
+    pcm: samplesToPcm16(samples),
+    leadTrimmed: round3(leadTrimmed),
+    tailTrimmed: round3(tailTrimmed),
+    gainDb: Math.round(gainDb * 10) / 10,
+    loudnessDbfs: Math.round((loudnessDbfs + gainDb) * 10) / 10,
+    referenceDuration: round3(samples.length / sampleRate)
+  };
+}
+
+/**
+ * Whether synthesized audio in this format is post-processed
+ * PCM16 formats (wav/pcm, the ones with a sampleRate) are processed as received,
+ * formats with processAs (mp3) via that PCM format.
+ * @param {object} format - Entry from OUTPUT_FORMATS
+ */
+function isProcessedFormat(format) {
+  return getSettings().enabled && (!!format.sampleRate || !!format.processAs);
+}
+
+/**
+ * Format to request from TTS providers for a client format
+ * Post-processed MP3 is synthesized as PCM (see postProcessAudio).
+ * @param {string} formatName - Key of OUTPUT_FORMATS
+ * @returns {{ formatName: string, format: object }}
+ */
+function getSynthesisFormat(formatName) {
+  const format = OUTPUT_FORMATS[formatName];
+  if (format.processAs && isProcessedFormat(format)) {
+    return { formatName: format.processAs, format: OUTPUT_FORMATS[format.processAs] };
+  }
+  return { formatName, format };
+}
+
+/**
+ * Processing settings that change the audio, for TTS cache keys
+ * @param {object} format - Entry from OUTPUT_FORMATS
+ * @returns {string|null} null when the format is cached unprocessed
+ */
+function getProcessingTag(format) {
+  if (!isProcessedFormat(format)) return null;
+  const { targetDbfs, silenceDbfs } = getSettings();
+  return `trim${silenceDbfs}_norm${targetDbfs}`;
+}
+
+/**
+ * Whether /api/tts can stream this format with "stream": true
+ * WAV needs its final length up front and processed PCM the whole clip. MP3 is
+ * encoded after processing, so a stream request gets it unprocessed instead.
+ * @param {object} format - Entry from OUTPUT_FORMATS
+ */
+function isStreamableFormat(format) {
+  return !format.wrapWav && (!!format.processAs || !isProcessedFormat(format));
+}
+
+/**
+ * Encode PCM16 mono as constant-bitrate MP3
+ * @param {Buffer} pcmBuffer - PCM16 little-endian mono
+ * @param {number} sampleRate
+ * @param {number} bitrate - Bits per second
+ * @returns {Promise<Buffer>}
+ */
+async function encodeMp3(pcmBuffer, sampleRate, bitrate) {
+  // The encoder is published as an ES module
+  const { Mp3Encoder } = await import('@breezystack/lamejs');
+  const encoder = new Mp3Encoder(1, sampleRate, bitrate / 1000);
+  const samples = new Int16Array(pcmBuffer.buffer.slice(pcmBuffer.byteOffset, pcmBuffer.byteOffset + pcmBuffer.length - (pcmBuffer.length % 2)));
+  const frames = [];
+  for (let i = 0, chunk = 0; i < samples.length; i += MP3_CHUNK_SAMPLES, chunk++) {
+    // Long clips must not hold up other requests while they encode
+    if (chunk > 0 && chunk % MP3_CHUNKS_PER_YIELD === 0) await new Promise(setImmediate);
+    const frame = encoder.encodeBuffer(samples.subarray(i, i + MP3_CHUNK_SAMPLES));
+    if (frame.length > 0) frames.push(Buffer.from(frame));
+  }
+  frames.push(Buffer.from(encoder.flush()));
+  return Buffer.concat(frames);
+}
+
+/**
+ * Post-process synthesized audio and return it in the client format
+ * @param {Buffer} audio - Audio in the synthesis format (see getSynthesisFormat)
+ * @param {object} format - Client format, entry from OUTPUT_FORMATS
+ * @returns {Promise<{ audio: Buffer, processed: boolean, leadTrimmed?: number, referenceDuration?: number, gainDb?: number }>}
+ */
+async function postProcessAudio(audio, format) {
+  if (!isProcessedFormat(format)) {
+    return { audio, processed: false };
+  }
+
+  if (format.processAs) {
+    const { sampleRate } = OUTPUT_FORMATS[format.processAs];
+    const result = processPcm(audio, sampleRate);
+    return { ...result, audio: await encodeMp3(result.pcm, sampleRate, format.bitrate), processed: true };
+  }
+
+  if (format.wrapWav) {
+    const header = parseWavHeader(audio);
+    const pcm = extractPcmData(audio);
+    if (!header || !pcm || header.bitsPerSample !== 16 || header.numChannels !== 1) {
+      return { audio, processed: false };
+    }
+    const result = processPcm(pcm, header.sampleRate);
+    return { ...result, audio: createWavBuffer(result.pcm, header.sampleRate), processed: true };
+  }
+
+  const result = processPcm(audio, format.sampleRate);
+  return { ...result, audio: result.pcm, processed: true };
+}
+
+module.exports = {
+  postProcessAudio,
+  processPcm,
+  isProcessedFormat,
+  getSynthesisFormat,
+  getProcessingTag,
+  isStreamableFormat,
+  encodeMp3,
+  frameRms,
+  pcm16ToSamples,
+  samplesToPcm16,
+  toDb
+};
@@ -0,0 +1,154 @@
+/**
+ * Slow Drill - syllable-by-syllable / 어절-by-어절 TTS
+ *
+ * Splits a sentence into segments, and joins the separately synthesized
+ * segment audio (followed by the full sentence) into one clip with silence
+ * gaps in between:
+ *
+ *   안 · 녕 · 하 · 세 · 요 · 안녕하세요
+ *
+ * Segments are ordinary /api/tts cache entries, so "안" synthesized for one
+ * sentence is reused by every other sentence that contains it. Joining needs
+ * raw samples, so drills are produced in PCM formats (wav/pcm) only.
+ */
+
+const { extractPcmData, createWavBuffer } = require('./pronounce');
+const { isSpokenChar } = require('./timings');
+const { resolveOutputFormat, OUTPUT_FORMATS } = require('./ttsFormats');
+
+const DRILL_UNITS = ['syllable', 'word'];
+const DEFAULT_GAP_MS = 600;
+const MAX_GAP_MS = 3000;
+// Each segment is a synthesis request on a miss; keep drills to one sentence
+const MAX_DRILL_SEGMENTS = 30;
+const PCM_BYTES_PER_SAMPLE = 2;
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Validate drill options from a /api/tts request body
+ * @param {object} body - { drill: 'syllable'|'word'|true, gapMs? }
+ * @returns {{ ok: boolean, drill?: { unit: string, gapMs: number }|null, error?: string }} drill is null when not requested
+ */
+function parseDrillOptions(body) {
+  const value = body.drill;
+  if (value === undefined || value === null || value === false || value === '' || value === 'false') {
+    return { ok: true, drill: null };
+  }
+
+  const unit = value === true || value === 'true' ? 'syllable' : String(value).toLowerCase();
+  if (!DRILL_UNITS.includes(unit)) {
+    return { ok: false, error: `Invalid "drill" (use one of: ${DRILL_UNITS.join(', ')})` };
+  }
+
+  const gapMs = body.gapMs === undefined ? DEFAULT_GAP_MS : Number(body.gapMs);
+  if (!Number.isInteger(gapMs) || gapMs < 0 || gapMs > MAX_GAP_MS) {
+    return { ok: false, error: `Invalid "gapMs" (integer 0-${MAX_GAP_MS})` };
+  }
+
+  return { ok: true, drill: { unit, gapMs } };
+}
+
+/**
+ * Select the output format for a drill
+ * Drills default to WAV; an explicit non-PCM "format" field is rejected.
+ * @returns {{ ok: boolean, name?: string, format?: object, error?: string }}
+ */
+function resolveDrillFormat(body, acceptHeader) {
+  const result = resolveOutputFormat(body, acceptHeader);
+  if (!result.ok || result.format.sampleRate) return result;
+  if (body.format) {
+    return { ok: false, error: `Drill mode needs a PCM format (wav or pcm), not "${result.name}"` };
+  }
+  return { ok: true, name: 'wav', format: OUTPUT_FORMATS.wav };
+}
+
+/**
+ * Split a sentence into drill segments
+ * Syllables are spoken characters; 어절 are whitespace-separated words without punctuation.
+ * @param {string} text
+ * @param {string} unit - 'syllable' or 'word'
+ * @returns {string[]}
+ */
+function splitDrillSegments(text, unit) {
+  if (unit === 'word') {
+    return text
+      .split(/\s+/)
+      .map(word => Array.from(word).filter(isSpokenChar).join(''))
+      .filter(Boolean);
+  }
+  return Array.from(text).filter(isSpokenChar);
+}
+
+/**
+ * Drill playlist: each segment, then the full sentence
+ * @returns {Array<{ kind: string, text: string }>}
+ */
+function buildDrillPlan(text, unit) {
+  return [
+    ...splitDrillSegments(text, unit).map(segment => ({ kind: unit, text: segment })),
+    { kind: 'sentence', text }
+  ];
+}
+
+/**
+ * PCM16 samples of audio in a PCM output format
+ * @param {Buffer} audio
+ * @param {object} format - Entry from OUTPUT_FORMATS (wav or pcm)
+ * @returns {Buffer|null}
+ */
+function toPcm(audio, format) {
+  return format.wrapWav ? extractPcmData(audio) : audio;
+}
+
+/**
+ * Join segment audio with silence gaps
+ * @param {Array<{ pcm: Buffer }>} parts - In playback order; other fields are copied to the segment map
+ * @param {number} gapMs - Silence between parts
+ * @param {object} format - Entry from OUTPUT_FORMATS (wav or pcm)
+ * @returns {{ audio: Buffer, duration: number, segments: Array }} segments carry index, start and end (seconds)
+ */
+function joinDrillAudio(parts, gapMs, format) {
+  const bytesPerSecond = format.sampleRate * PCM_BYTES_PER_SAMPLE;
+  const gap = Buffer.alloc(Math.round(format.sampleRate * gapMs / 1000) * PCM_BYTES_PER_SAMPLE);
+  const chunks = [];
+  const segments = [];
+  let offset = 0;
+
+  parts.forEach(({ pcm, ...segment }, index) => {
+    if (index > 0) {
+      chunks.push(gap);
+      offset += gap.length;
+    }
+    segments.push({
+      index,
+      ...segment,
+      start: round3(offset / bytesPerSecond),
+      end: round3((offset + pcm.length) / bytesPerSecond)
+    });
+    chunks.push(pcm);
+    offset += pcm.length;
+  });
+
+  const pcm = Buffer.concat(chunks);
+  return {
+    audio: format.wrapWav ? createWavBuffer(pcm, format.sampleRate) : pcm,
+    duration: round3(offset / bytesPerSecond),
+    segments
+  };
+}
+
+module.exports = {
+  parseDrillOptions,
+  resolveDrillFormat,
+  splitDrillSegments,
+  buildDrillPlan,
+  joinDrillAudio,
+  toPcm,
+  DRILL_UNITS,
+  DEFAULT_GAP_MS,
+  MAX_GAP_MS,
+  MAX_DRILL_SEGMENTS
+};
@@ -3,23 +3,37 @@
  *
  * POST /api/eval
  * Single endpoint that performs:
- * A) ElevenLabs STT -> transcriptText
- * B) Punctuation-insensitive text scoring (accuracy/mistake)
+ * A) STT (provider chain) -> transcriptText
+ * B) Punctuation-insensitive text scoring (accuracy/mistake), numbers/loanwords read out in Hangul,
+ *    spelling or standard pronunciation accepted per 어절, closest accepted variant of the sentence
  * C) xAI Realtime pronunciation feedback (optional, graceful fallback)
  * D) xAI Text model grammar corrections
  *
  * Input (multipart/form-data):
- *   - targetText: string (required)
+ *   - targetText: string (required, max 300 characters; longer transcripts are rejected too)
  *   - locale: string (default: ko-KR)
- *   - audio: file (WAV format)
+ *   - language: STT language code (default: ko)
+ *   - diagnostics: "true" to include the recording quality report (optional)
+ *   - spacing: strict | ignore-spacing | spacing-as-half-penalty (default from SCORING_SPACING)
+ *   - sentenceId: sentence whose alternates are also accepted (default: looked up by targetText)
+ *   - romanization: standard | pronunciation (default standard)
+ *   - audio: file (WAV, WebM, Ogg, M4A, MP3, AAC or FLAC)
  *
  * Output:
  *   {
  *     ok: boolean,
  *     transcriptText: string,
+ *     romanized: {mode, targetText, transcriptText},
+ *     words: [{index, word, start, end, confidence, lowConfidence}],
+ *     hesitations: [{wordIndex, start, end, duration}],
+ *     speech: {start, end, speechDuration, recordingDuration, segments} | null,
  *     textAccuracyPercent: number,
+ *     tier: 'correct' | 'partial' | 'severe',
  *     mistakePercent: number,
- *     diff: { units, wrongUnits, wrongParts },
+ *     diff: { units, wrongUnits, wrongParts, words },
+ *     matchedVariant: {index, text, sentenceId},
+ *     normalizations: [{side, from, to, rule}],
+ *     phonology: [{word, pronunciation, rules, matched}],
  *     pronunciation: {
  *       available: boolean,
  *       weakPronunciation: [{token, reason, tip}],
@@ -30,6 +44,7 @@
  *       mistakes: [{youSaid, correct, why}],
  *       tutorComment: string
  *     },
+ *     diagnostics?: { quality, peakDbfs, rmsDbfs, snrDb, ..., hints } (see audioDiagnostics.js),
  *     error?: string
  *   }
  */
@@ -38,93 +53,52 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { retryFetch } = require('./retry');
-const { isElevenLabsConfigured, isXAIConfigured } = require('./mockMode');
+const { isXAIConfigured } = require('./mockMode');
+const { transcribeWithCache } = require('./stt');
 const { analyzePronunciation, isXAIRealtimeConfigured } = require('./xaiRealtimeClient');
-const { normalizeForKoreanCompare, computeCER, buildCharacterDiff } = require('./feedback');
-const { validateAndConvertAudio } = require('./pronounce');
+const { normalizeForKoreanCompare, buildCharacterDiff, chooseVariant, resolveSpacingPolicy, MAX_SCORED_TEXT_LENGTH } = require('./feedback');
+const { getAcceptedVariants } = require('./sentences');
+const { romanize, resolveRomanizationMode } = require('./romanize');
+const { getTier } = require('./scoringTiers');
+const { decodeAudioInput } = require('./pronounce');
+const { identifyAudio } = require('./audioInput');
+const { screenForSpeech, trimToSpeech } = require('./vad');
+const { diagnoseUpload, wantsDiagnostics } = require('./audioDiagnostics');
 
 // API timeout in milliseconds
-const STT_TIMEOUT_MS = 60000;
 const GRAMMAR_TIMEOUT_MS = 30000;
 
 // Maximum file size: 25MB
 const MAX_FILE_SIZE = 25 * 1024 * 1024;
 
 /**
- * Sanitize transcript text for UI display
- */
-function sanitizeTranscript(text) {
-  if (!text || typeof text !== 'string') return '';
-
-  return text
-    .replace(/\[[^\]]*\]/g, '')
-    .replace(/\((?:music|noise|background|applause|laughter|silence|inaudible|unclear|crosstalk|foreign|speaking\s+\w+)[^)]*\)/gi, '')
-    .replace(/<[^>]*>/g, '')
-    .replace(/\*[^*]+\*/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-/**
- * Call ElevenLabs STT API directly
- * @param {Buffer} audioBuffer - WAV audio buffer
+ * Transcribe via the STT provider chain, through the /api/stt cache
+ * @param {Buffer} audioBuffer - Recording
+ * @param {object} [input] - Container info from identifyAudio (default: WAV)
+ * @param {object} [options] - { language (default: ko), decoded: PCM from the VAD, speech: its result }
  * @returns {Promise<object>} STT result
  */
-async function callElevenLabsSTT(audioBuffer) {
-  if (!isElevenLabsConfigured()) {
-    return {
-      ok: false,
-      error: 'ELEVENLABS_API_KEY not configured'
-    };
-  }
-
-  const fetch = (await import('node-fetch')).default;
-  const { FormData, Blob } = await import('node-fetch');
-
-  const response = await retryFetch(async () => {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), STT_TIMEOUT_MS);
-
-    try {
-      const formData = new FormData();
-      const audioBlob = new Blob([audioBuffer], { type: 'audio/wav' });
-      formData.append('file', audioBlob, 'audio.wav');
-      formData.append('model_id', 'scribe_v1');
-
-      const res = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-        method: 'POST',
-        headers: {
-          'xi-api-key': process.env.ELEVENLABS_API_KEY
-        },
-        body: formData,
-        signal: controller.signal
-      });
-      clearTimeout(timeoutId);
-      return res;
-    } catch (err) {
-      clearTimeout(timeoutId);
-      throw err;
-    }
-  });
+async function callSTT(audioBuffer, input = { mimeType: 'audio/wav', extension: 'wav' }, { language = 'ko', decoded = null, speech = null } = {}) {
+  const transcription = await transcribeWithCache({ audioBuffer, input, language, decoded, speech });
 
-  if (!response.ok) {
-    const errorText = await response.text();
+  if (!transcription.ok) {
     return {
       ok: false,
-      error: `ElevenLabs STT error (${response.status}): ${errorText}`
+      error: `${transcription.error}: ${transcription.details}`
     };
   }
 
-  const apiResult = await response.json();
-  const rawText = apiResult.text || '';
-  const cleanText = sanitizeTranscript(rawText);
-
+  const { result } = transcription;
   return {
     ok: true,
-    text: cleanText,
-    rawText: rawText,
-    language: apiResult.language_code || 'ko',
-    confidence: apiResult.language_probability || null
+    cached: transcription.cached,
+    text: result.text,
+    rawText: result.rawTranscriptText,
+    language: result.language,
+    confidence: result.confidence,
+    provider: result.provider,
+    words: result.words,
+    hesitations: result.hesitations
   };
 }
 
@@ -286,6 +260,35 @@ async function evalHandler(req, res) {
       });
     }
 
+    if (targetText.length > MAX_SCORED_TEXT_LENGTH) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Text too long',
+        details: `"targetText" may have at most ${MAX_SCORED_TEXT_LENGTH} characters`
+      });
+    }
+
+    const policy = resolveSpacingPolicy(req.body.spacing);
+    if (!policy.ok) {
+      return res.status(400).json({ ok: false, error: policy.error, details: policy.details });
+    }
+    const { spacing } = policy;
+
+    const romanizationMode = resolveRomanizationMode(req.body.romanization);
+    if (!romanizationMode.ok) {
+      return res.status(400).json({ ok: false, error: romanizationMode.error, details: romanizationMode.details });
+    }
+    const romanization = romanizationMode.mode;
+
+    const accepted = getAcceptedVariants(targetText, req.body.sentenceId);
+    if (!accepted) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Unknown "sentenceId"',
+        details: 'Use an id from GET /api/sentences'
+      });
+    }
+
     // Validate audio file
     if (!req.file) {
       return res.status(400).json({
@@ -305,11 +308,44 @@ async function evalHandler(req, res) {
       });
     }
 
+    const identified = identifyAudio(audioBuffer);
+    if (!identified.ok) {
+      return res.status(identified.status).json({
+        ok: false,
+        error: identified.error,
+        code: identified.code,
+        details: identified.details
+      });
+    }
+
+    // Recording quality report (also useful when the recording is rejected below)
+    let diagnostics;
+    if (wantsDiagnostics(req.body)) {
+      const diagnosed = await diagnoseUpload(audioBuffer);
+      diagnostics = diagnosed.ok ? diagnosed.diagnostics : null;
+    }
+
+    // No speech: reject before any STT/Grok call
+    const screened = await screenForSpeech(audioBuffer);
+    if (!screened.ok) {
+      return res.status(screened.status).json({
+        ok: false,
+        error: screened.error,
+        code: screened.code,
+        details: screened.details,
+        diagnostics
+      });
+    }
+
     // =========================================================
-    // A) STT: ElevenLabs speech-to-text
+    // A) STT: speech-to-text (provider chain)
     // =========================================================
-    console.log('[Eval] Step A: STT...');
-    const sttResult = await callElevenLabsSTT(audioBuffer);
+    console.log(`[Eval] Step A: STT (${identified.input.mimeType})...`);
+    const sttResult = await callSTT(audioBuffer, identified.input, {
+      language: req.body.language || 'ko',
+      decoded: screened.decoded,
+      speech: screened.speech
+    });
 
     if (!sttResult.ok) {
       return res.status(503).json({
@@ -320,18 +356,28 @@ async function evalHandler(req, res) {
     }
 
     const transcriptText = sttResult.text;
-    console.log(`[Eval] STT result: "${transcriptText.substring(0, 50)}..."`);
+    console.log(`[Eval] STT result${sttResult.cached ? ' (cached)' : ''}: "${transcriptText.substring(0, 50)}..."`);
+
+    if (transcriptText.length > MAX_SCORED_TEXT_LENGTH) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Transcript too long',
+        details: `Recordings are scored up to ${MAX_SCORED_TEXT_LENGTH} transcribed characters; record one sentence at a time`
+      });
+    }
 
     // =========================================================
     // B) Text scoring: punctuation-insensitive CER
     // =========================================================
     console.log('[Eval] Step B: Text scoring...');
-    const { cer } = computeCER(targetText, transcriptText);
+    const variant = chooseVariant(accepted.variants, transcriptText, { spacing });
+    const { compared, cer } = variant;
     const wrongPercent = Math.round(cer * 100);
     const accuracyPercent = Math.max(0, 100 - wrongPercent);
-    const diff = buildCharacterDiff(targetText, transcriptText);
+    const tier = getTier(accuracyPercent);
+    const diff = buildCharacterDiff(compared.target, compared.transcript, { targetRules: compared.targetRules, spacing, romanization });
 
-    console.log(`[Eval] Score: accuracy=${accuracyPercent}%, cer=${cer}`);
+    console.log(`[Eval] Score: accuracy=${accuracyPercent}% (${tier}), cer=${cer}`);
 
     // =========================================================
     // C) Pronunciation: xAI Realtime (optional, graceful fallback)
@@ -346,13 +392,19 @@ async function evalHandler(req, res) {
 
     if (isXAIRealtimeConfigured()) {
       try {
-        // Convert audio for xAI
-        const audioConversion = validateAndConvertAudio(audioBuffer);
+        // Decode/convert audio for xAI (already decoded by VAD; trimmed to the speech)
+        const audioConversion = screened.decoded
+          ? {
+            ok: true,
+            pcmBuffer: trimToSpeech(screened.decoded.pcmBuffer, screened.decoded.sampleRate, screened.speech),
+            sampleRate: screened.decoded.sampleRate
+          }
+          : await decodeAudioInput(audioBuffer);
 
         if (audioConversion.ok) {
           const pronResult = await analyzePronunciation(
             audioConversion.pcmBuffer,
-            targetText,
+            variant.text,
             { transcriptText, locale, sampleRate: audioConversion.sampleRate }
           );
 
@@ -388,7 +440,7 @@ async function evalHandler(req, res) {
 
     if (isXAIConfigured()) {
       try {
-        const gramResult = await callGrokForGrammar(targetText, transcriptText);
+        const gramResult = await callGrokForGrammar(variant.text, transcriptText);
 
         if (gramResult.ok) {
           grammarResult = {
@@ -415,10 +467,25 @@ async function evalHandler(req, res) {
       transcriptText,
       rawTranscriptText: sttResult.rawText,
 
+      // Revised Romanization for learners who cannot read Hangul yet
+      romanized: {
+        mode: romanization,
+        targetText: romanize(targetText, { mode: romanization }),
+        transcriptText: romanize(transcriptText, { mode: romanization })
+      },
+
+      // Per-word timings/confidence and pauses (for highlighting)
+      words: sttResult.words,
+      hesitations: sttResult.hesitations,
+
+      // Detected speech span (VAD)
+      speech: screened.speech,
+
       // Top-level scores
       textAccuracyPercent: accuracyPercent,
       mistakePercent: wrongPercent,
       score: accuracyPercent,
+      tier, // correct | partial | severe (see GET /api/config)
 
       // Detailed metrics
       metrics: {
@@ -426,21 +493,35 @@ async function evalHandler(req, res) {
         wrongPercent,
         textAccuracyPercent: accuracyPercent,
         mistakePercent: wrongPercent,
-        cer: Math.round(cer * 1000) / 1000
+        cer: Math.round(cer * 1000) / 1000,
+        spacing
       },
 
       // Diff for highlighting
       diff: {
         units: diff.units,
         wrongUnits: diff.wrongUnits,
-        wrongParts: diff.wrongUnits
+        wrongParts: diff.wrongUnits,
+        words: diff.words
       },
 
+      // Accepted variant the transcript was scored against (index 0: targetText)
+      matchedVariant: { index: variant.index, text: variant.text, sentenceId: accepted.sentenceId },
+
+      // Numbers/units/loanwords read out before scoring
+      normalizations: compared.normalizations,
+
+      // 어절 compared as pronounced rather than spelled
+      phonology: compared.phonology,
+
       // Pronunciation (from xAI Realtime)
       pronunciation: pronunciationResult,
 
       // Grammar (from xAI Text)
-      grammar: grammarResult
+      grammar: grammarResult,
+
+      // Recording quality (only when requested)
+      diagnostics
     };
 
     console.log(`[Eval] Complete: accuracy=${accuracyPercent}%, pron=${pronunciationResult.available ? 'yes' : 'no'}, grammar=${grammarResult.mistakes.length} mistakes`);
@@ -459,6 +540,6 @@ async function evalHandler(req, res) {
 
 module.exports = {
   evalHandler,
-  callElevenLabsSTT,
+  callSTT,
   callGrokForGrammar
 };
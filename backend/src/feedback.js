@@ -1,18 +1,31 @@
 /**
  * Feedback Handler - CER-based Scoring + xAI Grok for Grammar
  *
- * Input: { targetText, transcriptText }
+ * Input: { targetText, transcriptText, spacing?, sentenceId? }
+ *   spacing: strict | ignore-spacing | spacing-as-half-penalty (default from SCORING_SPACING)
+ *   sentenceId: sentence whose alternates are also accepted (default: looked up by targetText)
  * Output: Structured feedback with metrics, diff, pronunciation, grammar
  *
  * Key features:
  * - CER (Character Error Rate) scoring ignores punctuation
- * - Character-level diff for highlighting
+ * - Spacing (띄어쓰기) policy: strict, ignore-spacing or spacing-as-half-penalty
+ * - Partial credit for syllables that differ in one jamo (케 vs 캐), see jamo.js
+ * - Digits, units and Latin loanwords are read out in Hangul before scoring (koreanNormalize.js)
+ * - Each target 어절 is compared as spelled or as pronounced, whichever the transcript matches (g2p.js)
+ * - Character-level diff for highlighting, naming the wrong 초성/중성/종성
  * - Grok LLM ONLY for grammar corrections (not pronunciation)
  * - Pronunciation section requires audio-based assessment (not available)
  */
 
 const { retryFetch } = require('./retry');
 const { isXAIConfigured } = require('./mockMode');
+const { chooseReadings } = require('./koreanNormalize');
+const { compareSyllables, COMPONENT_NAMES } = require('./jamo');
+const { choosePronunciations } = require('./g2p');
+const { alignWords, groupUnitsByWord } = require('./wordAlignment');
+const { getAcceptedVariants } = require('./sentences');
+const { romanize, romanizeUnits, resolveRomanizationMode } = require('./romanize');
+const { getTierThresholds, getTier } = require('./scoringTiers');
 
 // Default xAI model
 const DEFAULT_XAI_MODEL = 'grok-3';
@@ -20,6 +33,17 @@ const DEFAULT_XAI_MODEL = 'grok-3';
 // API timeout in milliseconds
 const API_TIMEOUT_MS = 30000;
 
+// Spacing (띄어쓰기) policies -> cost of a missing or extra space
+const SPACING_POLICIES = {
+  strict: 1,
+  'spacing-as-half-penalty': 0.5,
+  'ignore-spacing': 0
+};
+const DEFAULT_SPACING_POLICY = 'strict';
+
+// Longest targetText/transcript scored per request (word alignment is quadratic in length)
+const MAX_SCORED_TEXT_LENGTH = 300;
+
 // Comprehensive punctuation regex including Korean and CJK punctuation
 // Covers: ASCII punctuation, Korean punctuation marks, CJK symbols, full-width forms
 const PUNCTUATION_REGEX = /[.,!?;:'"()[\]{}…·~\-—–_@#$%^&*+=<>/\\|`「」『』【】〈〉《》〔〕〖〗〘〙〚〛\u2000-\u206F\u3000-\u303F\uFF00-\uFFEF]/g;
@@ -27,12 +51,13 @@ const PUNCTUATION_REGEX = /[.,!?;:'"()[\]{}…·~\-—–_@#$%^&*+=<>/\\|`「」
 /**
  * Normalize text for Korean comparison:
  * - Remove ALL punctuation (including periods, commas, question marks)
- * - Normalize Korean spacing (remove unnecessary spaces between Korean chars)
  * - Collapse whitespace
  * - Trim
  * - Lowercase for consistent comparison
  *
  * Example: "커피 사 주세요." and "커피 사 주세요" both normalize to "커피 사 주세요"
+ * Spaces are kept; how much a spacing difference costs is up to the spacing
+ * policy (see resolveSpacingPolicy).
  *
  * @param {string} text
  * @returns {string}
@@ -45,27 +70,65 @@ function normalizeForKoreanCompare(text) {
     .replace(/\s+/g, ' ')            // Collapse multiple whitespace to single space
     .trim();
 
-  // Light Korean spacing normalization:
-  // Remove spaces between purely Korean syllables if spacing looks irregular
-  // Keep spaces that appear intentional (like between words)
-  // This handles cases like "커피사주세요" vs "커피 사 주세요"
-  // We normalize by keeping natural word boundaries
-
   return normalized.toLowerCase();
 }
 
+/**
+ * Spacing policy for a request
+ * @param {string} [value] - Requested policy (default: SCORING_SPACING env, then strict)
+ * @returns {{ ok: true, spacing: string }|{ ok: false, error: string, details: string }}
+ */
+function resolveSpacingPolicy(value) {
+  const isPolicy = name => Object.prototype.hasOwnProperty.call(SPACING_POLICIES, name);
+  const envPolicy = process.env.SCORING_SPACING;
+  const spacing = value || (isPolicy(envPolicy) ? envPolicy : DEFAULT_SPACING_POLICY);
+  if (!isPolicy(spacing)) {
+    return {
+      ok: false,
+      error: 'Invalid "spacing"',
+      details: `Use one of: ${Object.keys(SPACING_POLICIES).join(', ')}`
+    };
+  }
+  return { ok: true, spacing };
+}
+
+/**
+ * Edit costs under a spacing policy
+ * - Inserting/deleting a space costs the policy's space cost, any other character 1
+ * - Substitutions get partial credit per matching jamo (갔 -> 갓 costs 1/3, 케 -> 캐 costs 1/2)
+ * - A space is never substituted for a character (that is a missing plus an extra unit)
+ * @param {string} spacing - Key of SPACING_POLICIES
+ */
+function editCosts(spacing) {
+  const spaceCost = SPACING_POLICIES[spacing];
+  return {
+    indel: char => (char === ' ' ? spaceCost : 1),
+    substitute: (expected, got) => ((expected === ' ') !== (got === ' ')
+      ? Infinity
+      : 1 - compareSyllables(expected, got).credit)
+  };
+}
+
 /**
  * Compute Character Error Rate (CER) using Levenshtein distance on characters
+ * Substitutions get partial credit per matching jamo, so editDistance can be fractional.
+ * Spacing differences cost what the spacing policy says; CER is relative to the
+ * cost of the whole reference under the same policy.
  * @param {string} reference - Target/expected text (normalized)
  * @param {string} hypothesis - Actual transcript (normalized)
+ * @param {object} [options]
+ * @param {string} [options.spacing] - Spacing policy (default: see resolveSpacingPolicy)
  * @returns {{ cer: number, editDistance: number }}
  */
-function computeCER(reference, hypothesis) {
+function computeCER(reference, hypothesis, { spacing = resolveSpacingPolicy().spacing } = {}) {
   const ref = normalizeForKoreanCompare(reference);
   const hyp = normalizeForKoreanCompare(hypothesis);
+  const costs = editCosts(spacing);
+  const refCost = [...ref].reduce((sum, char) => sum + costs.indel(char), 0);
 
-  if (ref.length === 0) {
-    return { cer: hyp.length > 0 ? 1 : 0, editDistance: hyp.length };
+  if (refCost === 0) {
+    const hypCost = [...hyp].reduce((sum, char) => sum + costs.indel(char), 0);
+    return { cer: hypCost > 0 ? 1 : 0, editDistance: hypCost };
   }
 
   const m = ref.length;
@@ -75,8 +138,8 @@ function computeCER(reference, hypothesis) {
   const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
 
   // Initialize base cases
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) dp[i][0] = dp[i - 1][0] + costs.indel(ref[i - 1]);
+  for (let j = 1; j <= n; j++) dp[0][j] = dp[0][j - 1] + costs.indel(hyp[j - 1]);
 
   // Fill DP table
   for (let i = 1; i <= m; i++) {
@@ -84,17 +147,17 @@ function computeCER(reference, hypothesis) {
       if (ref[i - 1] === hyp[j - 1]) {
         dp[i][j] = dp[i - 1][j - 1];
       } else {
-        dp[i][j] = 1 + Math.min(
-          dp[i - 1][j],     // Deletion
-          dp[i][j - 1],     // Insertion
-          dp[i - 1][j - 1]  // Substitution
+        dp[i][j] = Math.min(
+          dp[i - 1][j] + costs.indel(ref[i - 1]),     // Deletion
+          dp[i][j - 1] + costs.indel(hyp[j - 1]),     // Insertion
+          dp[i - 1][j - 1] + costs.substitute(ref[i - 1], hyp[j - 1])  // Substitution
         );
       }
     }
   }
 
-  const editDistance = dp[m][n];
-  const cer = editDistance / m;
+  const editDistance = Math.round(dp[m][n] * 1000) / 1000;
+  const cer = Math.min(1, editDistance / refCost);
 
   return {
     cer: Math.round(cer * 1000) / 1000, // Round to 3 decimal places
@@ -138,14 +201,61 @@ function computeWER(reference, hypothesis) {
 }
 
 /**
- * Build character-level diff for highlighting
- * Returns units with status: 'correct', 'wrong', 'missing', 'extra'
+ * Bring target and transcript to comparable forms before scoring
+ * Numbers, units, currency and Latin loanwords on either side are read out in
+ * Hangul, using the readings closest to the other text ("3시" vs "세 시").
+ * Then each target 어절 is taken as spelled or as pronounced (같이 / 가치),
+ * whichever is closer to the transcript.
+ * @param {string} targetText
+ * @param {string} transcriptText
+ * @param {object} [options]
+ * @param {string} [options.spacing] - Spacing policy used to compare candidate readings
+ * @returns {{ target: string, transcript: string, normalizations: Array<{ side, from, to, rule }>,
+ *             targetRules: string[][], phonology: Array<{ word, pronunciation, rules, matched }> }}
+ *          target is normalized (see normalizeForKoreanCompare); targetRules[i] lists the
+ *          phonological rules behind target character i (pass to buildCharacterDiff)
  */
-function buildCharacterDiff(reference, hypothesis) {
-  const ref = normalizeForKoreanCompare(reference);
-  const hyp = normalizeForKoreanCompare(hypothesis);
+function normalizeForScoring(targetText, transcriptText, { spacing } = {}) {
+  const distance = (ref, hyp) => computeCER(ref, hyp, { spacing }).editDistance;
+  const readings = chooseReadings(targetText, transcriptText, distance);
+  const spoken = choosePronunciations(normalizeForKoreanCompare(readings.target), readings.transcript, distance);
+  return {
+    target: spoken.target,
+    transcript: readings.transcript,
+    normalizations: readings.normalizations,
+    targetRules: spoken.charRules,
+    phonology: spoken.phonology
+  };
+}
 
-  const units = [];
+/**
+ * Score a transcript against each accepted variant of a sentence and keep the closest
+ * @param {string[]} variants - Accepted texts, preferred first (ties keep the earlier one)
+ * @param {string} transcriptText
+ * @param {object} [options]
+ * @param {string} [options.spacing] - Spacing policy
+ * @returns {{ index: number, text: string, compared: object, cer: number }}
+ *          compared is the normalizeForScoring result for the chosen variant
+ */
+function chooseVariant(variants, transcriptText, { spacing } = {}) {
+  let best = null;
+  variants.forEach((text, index) => {
+    const compared = normalizeForScoring(text, transcriptText, { spacing });
+    const { cer } = computeCER(compared.target, compared.transcript, { spacing });
+    if (!best || cer < best.cer) best = { index, text, compared, cer };
+  });
+  return best;
+}
+
+/**
+ * Character diff of one stretch of text (Levenshtein alignment with backtrace)
+ * @param {string} ref - Normalized reference
+ * @param {string} hyp - Normalized hypothesis
+ * @param {string[][]} targetRules - Per ref character
+ * @param {{ indel: function, substitute: function }} costs - From editCosts
+ * @returns {{ units: object[], wrongUnits: string[] }}
+ */
+function diffCharacters(ref, hyp, targetRules, costs) {
   const wrongUnits = [];
 
   // Use simple alignment for diff
@@ -156,8 +266,8 @@ function buildCharacterDiff(reference, hypothesis) {
   const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
   const ops = Array(m + 1).fill(null).map(() => Array(n + 1).fill(''));
 
-  for (let i = 0; i <= m; i++) { dp[i][0] = i; ops[i][0] = 'D'; }
-  for (let j = 0; j <= n; j++) { dp[0][j] = j; ops[0][j] = 'I'; }
+  for (let i = 1; i <= m; i++) { dp[i][0] = dp[i - 1][0] + costs.indel(ref[i - 1]); ops[i][0] = 'D'; }
+  for (let j = 1; j <= n; j++) { dp[0][j] = dp[0][j - 1] + costs.indel(hyp[j - 1]); ops[0][j] = 'I'; }
   ops[0][0] = '';
 
   for (let i = 1; i <= m; i++) {
@@ -166,9 +276,9 @@ function buildCharacterDiff(reference, hypothesis) {
         dp[i][j] = dp[i - 1][j - 1];
         ops[i][j] = 'M'; // Match
       } else {
-        const del = dp[i - 1][j] + 1;
-        const ins = dp[i][j - 1] + 1;
-        const sub = dp[i - 1][j - 1] + 1;
+        const del = dp[i - 1][j] + costs.indel(ref[i - 1]);
+        const ins = dp[i][j - 1] + costs.indel(hyp[j - 1]);
+        const sub = dp[i - 1][j - 1] + costs.substitute(ref[i - 1], hyp[j - 1]);
         const min = Math.min(del, ins, sub);
         dp[i][j] = min;
         if (min === sub) ops[i][j] = 'S'; // Substitution
@@ -181,43 +291,139 @@ function buildCharacterDiff(reference, hypothesis) {
   // Backtrace to build diff
   let i = m, j = n;
   const result = [];
+  const tagRules = (unit, index) => {
+    const rules = targetRules[index];
+    if (rules && rules.length > 0) unit.phonology = { rules, applied: unit.status === 'correct' };
+    return unit;
+  };
 
   while (i > 0 || j > 0) {
     const op = ops[i][j];
     if (op === 'M') {
-      result.unshift({ unit: ref[i - 1], status: 'correct' });
+      result.unshift(tagRules({ unit: ref[i - 1], status: 'correct' }, i - 1));
       i--; j--;
     } else if (op === 'S') {
-      result.unshift({ unit: ref[i - 1], status: 'wrong', got: hyp[j - 1] });
+      const { credit, jamo } = compareSyllables(ref[i - 1], hyp[j - 1]);
+      result.unshift(tagRules({ unit: ref[i - 1], status: 'wrong', got: hyp[j - 1], credit, jamo }, i - 1));
       wrongUnits.push(ref[i - 1]);
       i--; j--;
+    } else if (op === 'D' && ref[i - 1] === ' ') {
+      result.unshift({ unit: ' ', status: 'missing-space' });
+      i--;
     } else if (op === 'D') {
-      result.unshift({ unit: ref[i - 1], status: 'missing' });
+      result.unshift(tagRules({ unit: ref[i - 1], status: 'missing' }, i - 1));
       wrongUnits.push(ref[i - 1]);
       i--;
     } else if (op === 'I') {
-      result.unshift({ unit: hyp[j - 1], status: 'extra' });
+      result.unshift({ unit: hyp[j - 1], status: hyp[j - 1] === ' ' ? 'extra-space' : 'extra' });
       j--;
     } else {
       break;
     }
   }
 
+  return { units: result, wrongUnits };
+}
+
+/**
+ * Split normalized text into 어절 with their start offsets
+ */
+function splitWords(text) {
+  const words = [];
+  let start = 0;
+  for (const word of text.split(' ')) {
+    if (word) words.push({ word, start });
+    start += word.length + 1;
+  }
+  return words;
+}
+
+/**
+ * Build character-level diff for highlighting
+ * Returns units with status: 'correct', 'wrong', 'missing', 'extra', 'missing-space', 'extra-space'
+ * Spacing differences get their own statuses (unit: ' ') and never count as wrong
+ * syllables; how much they cost is up to the spacing policy (see computeCER).
+ * Wrong units also carry credit (0..1) and, for Hangul syllables, the jamo that
+ * differ: { unit: '케', status: 'wrong', got: '캐', credit: 0.5,
+ *           jamo: [{ component: 'medial', expected: 'ㅔ', got: 'ㅐ' }] }
+ * Target units changed by a pronunciation rule carry phonology: { rules, applied }
+ * (applied: the learner said it as pronounced; false when that syllable was missed).
+ *
+ * 어절 are aligned first, so characters are only compared within the learner's
+ * word(s) for the same target word; words lists the units per target 어절 with
+ * a verdict (see wordAlignment.js).
+ * @param {string} reference
+ * @param {string} hypothesis
+ * @param {object} [options]
+ * @param {string[][]} [options.targetRules] - Per normalized reference character (from normalizeForScoring)
+ * @param {string} [options.spacing] - Spacing policy (default: see resolveSpacingPolicy)
+ * @param {string} [options.romanization] - Romanization mode; when set, units get romanized
+ *                                          (and wrong units gotRomanized), see romanize.js
+ * @returns {{ units: object[], wrongUnits: string[], words: object[] }}
+ */
+function buildCharacterDiff(reference, hypothesis, { targetRules = [], spacing = resolveSpacingPolicy().spacing, romanization } = {}) {
+  const ref = normalizeForKoreanCompare(reference);
+  const hyp = normalizeForKoreanCompare(hypothesis);
+  const costs = editCosts(spacing);
+
+  const targetWords = splitWords(ref);
+  const learnerWords = splitWords(hyp);
+  const groups = alignWords(
+    targetWords.map(w => w.word),
+    learnerWords.map(w => w.word),
+    (a, b) => computeCER(a, b, { spacing }).editDistance
+  );
+
+  const units = [];
+  const wrongUnits = [];
+  const words = [];
+  let targetSeen = false;
+  let learnerSeen = false;
+
+  for (const group of groups) {
+    const hasTarget = group.target.length > 0;
+    const hasLearner = group.learner.length > 0;
+
+    // Space between this group and the previous one
+    const targetSpace = targetSeen && hasTarget;
+    const learnerSpace = learnerSeen && hasLearner;
+    if (targetSpace && learnerSpace) units.push({ unit: ' ', status: 'correct' });
+    else if (targetSpace) units.push({ unit: ' ', status: 'missing-space' });
+    else if (learnerSpace) units.push({ unit: ' ', status: 'extra-space' });
+
+    const groupRef = group.target.map(k => targetWords[k].word).join(' ');
+    const groupHyp = group.learner.map(k => learnerWords[k].word).join(' ');
+    const offset = hasTarget ? targetWords[group.target[0]].start : 0;
+    const segment = diffCharacters(groupRef, groupHyp, hasTarget ? targetRules.slice(offset) : [], costs);
+
+    units.push(...segment.units);
+    wrongUnits.push(...segment.wrongUnits);
+    for (const word of groupUnitsByWord(segment.units)) {
+      words.push(word.index === null ? word : { ...word, index: word.index + group.target[0] });
+    }
+
+    targetSeen = targetSeen || hasTarget;
+    learnerSeen = learnerSeen || hasLearner;
+  }
+
+  if (romanization) romanizeUnits(units, ref, hyp, { mode: romanization });
+
   return {
-    units: result,
-    wrongUnits: [...new Set(wrongUnits)] // Unique wrong characters
+    units,
+    wrongUnits: [...new Set(wrongUnits)], // Unique wrong characters
+    words
   };
 }
 
 /**
  * Build system prompt for xAI Grok - Friendly Korean Tutor for Kids
  *
- * 3-Tier Feedback System:
- * ✅ Correct (accuracy >= 90%): Praise + move on
- * ☑️ Partial (accuracy 50-89%): Gentle correction with specific comparison
- * ❌ Severe (accuracy < 50%): Full model + retry encouragement
+ * 3-Tier Feedback System (thresholds from scoringTiers.js, default 90/65):
+ * ✅ Correct (accuracy >= correct): Praise + move on
+ * ☑️ Partial (accuracy >= partial): Gentle correction with specific comparison
+ * ❌ Severe (accuracy < partial): Full model + retry encouragement
  */
-function buildGrammarSystemPrompt() {
+function buildGrammarSystemPrompt({ correct, partial } = getTierThresholds()) {
   return `당신은 친근한 한국어 튜터 "그록"이에요. 아이들에게 한국어를 가르치는 역할이에요.
 
 === 튜터 성격 ===
@@ -228,16 +434,16 @@ function buildGrammarSystemPrompt() {
 
 === 3단계 피드백 시스템 ===
 
-1. 정확함 (정확도 >= 90%):
+1. 정확함 (정확도 >= ${correct}%):
    - "정확해! 잘했어." 또는 "와, 완벽해!"
    - 짧고 긍정적인 칭찬
 
-2. 부분 오류 (정확도 50-89%, 1-2개 틀림):
+2. 부분 오류 (정확도 ${partial}-${correct}% 미만, 1-2개 틀림):
    - 먼저 칭찬: "좋았어!" 또는 "거의 다 맞았어!"
    - 틀린 부분 구체적 비교: "'X' 말고 'Y'처럼 발음하면 좋아"
    - 재시도 유도: "다시 해볼까?"
 
-3. 많이 틀림 (정확도 < 50%):
+3. 많이 틀림 (정확도 < ${partial}%):
    - 부드럽게: "음, 다시 한 번 해볼까?"
    - 정답 제시: "정확한 발음은 'X'이야."
    - 격려: "잘 들어봐~"
@@ -257,13 +463,13 @@ function buildGrammarSystemPrompt() {
 
 === 피드백 예시 ===
 
-정확함 (90%+):
+정확함 (${correct}%+):
 {"feedbackLevel":"correct","grammarMistakes":[],"commentKo":"정확해! 잘했어~"}
 
-부분 오류 (50-89%):
+부분 오류 (${partial}-${correct}% 미만):
 {"feedbackLevel":"partial","grammarMistakes":[{"youSaid":"캐이크","correct":"케이크","reasonKo":"'ㅐ' 말고 'ㅔ' 소리야"}],"commentKo":"좋았어! 그런데 '케이크' 발음이 조금 달랐어. '캐이크' 말고 '케이크'처럼 발음해 볼까?"}
 
-많이 틀림 (<50%):
+많이 틀림 (<${partial}%):
 {"feedbackLevel":"severe","grammarMistakes":[],"commentKo":"음, 다시 한 번 해볼까? 정확한 발음은 '커피 주세요'이야. 잘 들어봐~"}
 
 === 중요 규칙 ===
@@ -273,28 +479,41 @@ function buildGrammarSystemPrompt() {
 - JSON만 출력`;
 }
 
+/**
+ * Describe syllables that were only partly wrong, for the tutor prompt
+ * e.g. "케→캐 (중성 ㅔ→ㅐ)"
+ * @param {Array} units - Diff units from buildCharacterDiff
+ * @returns {string[]}
+ */
+function describeJamoMistakes(units) {
+  const name = jamo => jamo || '없음';
+  return units
+    .filter(u => u.status === 'wrong' && u.jamo && u.jamo.length > 0)
+    .map(u => `${u.unit}→${u.got} (${u.jamo.map(j => `${COMPONENT_NAMES[j.component]} ${name(j.expected)}→${name(j.got)}`).join(', ')})`);
+}
+
 /**
  * Build user prompt with accuracy level for 3-tier feedback
  */
-function buildGrammarUserPrompt(targetText, transcriptText, wrongUnits, accuracyPercent) {
+function buildGrammarUserPrompt(targetText, transcriptText, wrongUnits, accuracyPercent, units = []) {
   // Determine feedback level based on accuracy
-  let feedbackLevel;
+  const feedbackLevel = getTier(accuracyPercent);
   let instruction;
 
-  if (accuracyPercent >= 90) {
-    feedbackLevel = 'correct';
+  if (feedbackLevel === 'correct') {
     instruction = '칭찬해 주세요. "정확해! 잘했어~" 같은 짧은 칭찬.';
-  } else if (accuracyPercent >= 50) {
-    feedbackLevel = 'partial';
+  } else if (feedbackLevel === 'partial') {
     instruction = '먼저 칭찬하고, 틀린 부분을 구체적으로 비교해서 알려주세요. "좋았어! 그런데 X 발음이 조금 달랐어. Y 말고 Z처럼..."';
   } else {
-    feedbackLevel = 'severe';
     instruction = '부드럽게 다시 시도하도록 격려하세요. "음, 다시 한 번 해볼까? 정확한 발음은 X이야." 칭찬 금지!';
   }
 
-  const diffInfo = wrongUnits.length > 0
+  const jamoMistakes = describeJamoMistakes(units);
+  const diffInfo = (wrongUnits.length > 0
     ? `틀린 글자: ${wrongUnits.join(', ')}`
-    : '차이 없음';
+    : '차이 없음') + (jamoMistakes.length > 0
+    ? `\n자모 차이: ${jamoMistakes.join(', ')}`
+    : '');
 
   return `TARGET: "${targetText}"
 STUDENT: "${transcriptText}"
@@ -311,7 +530,7 @@ JSON만 출력:`;
  * Call xAI Grok API for tutor feedback
  * Returns { ok, tutor } on success or { ok: false, error, errorCode } on failure
  */
-async function callGrokForTutor(targetText, transcriptText, wrongUnits, accuracyPercent) {
+async function callGrokForTutor(targetText, transcriptText, wrongUnits, accuracyPercent, units = []) {
   const model = process.env.XAI_MODEL || DEFAULT_XAI_MODEL;
   const fetch = (await import('node-fetch')).default;
 
@@ -333,7 +552,7 @@ async function callGrokForTutor(targetText, transcriptText, wrongUnits, accuracy
           model,
           messages: [
             { role: 'system', content: buildGrammarSystemPrompt() },
-            { role: 'user', content: buildGrammarUserPrompt(targetText, transcriptText, wrongUnits, accuracyPercent) }
+            { role: 'user', content: buildGrammarUserPrompt(targetText, transcriptText, wrongUnits, accuracyPercent, units) }
           ],
           max_tokens: 500,
           temperature: 0.3
@@ -398,7 +617,7 @@ async function callGrokForTutor(targetText, transcriptText, wrongUnits, accuracy
 
     // Build tutor object with 3-tier feedback
     const tutor = {
-      feedbackLevel: parsed.feedbackLevel || (accuracyPercent >= 90 ? 'correct' : accuracyPercent >= 50 ? 'partial' : 'severe'),
+      feedbackLevel: parsed.feedbackLevel || getTier(accuracyPercent),
       grammarMistakes: (parsed.grammarMistakes || []).map(m => ({
         youSaid: m.youSaid || m.wrong || '',
         correct: m.correct || '',
@@ -426,8 +645,12 @@ async function callGrokForTutor(targetText, transcriptText, wrongUnits, accuracy
 /**
  * POST /api/feedback handler
  *
- * Input: { targetText, transcriptText }
- * Output: Structured feedback with metrics, diff, tutor (or tutorError)
+ * Input: { targetText, transcriptText, spacing?, sentenceId? }
+ *   targetText, transcriptText: at most 300 characters each
+ *   spacing: strict | ignore-spacing | spacing-as-half-penalty (default from SCORING_SPACING)
+ *   sentenceId: sentence whose alternates are also accepted (default: looked up by targetText)
+ *   romanization: standard | pronunciation (default standard), see romanize.js
+ * Output: Structured feedback with metrics, diff, normalizations, tutor (or tutorError)
  *
  * Response structure:
  * - tutor: { pronunciationWeak, pronunciationStrong, grammarMistakes, commentKo } on Grok success
@@ -454,23 +677,57 @@ async function feedbackHandler(req, res) {
       });
     }
 
-    // Compute CER-based metrics (ignores punctuation)
-    const { cer } = computeCER(targetText, transcriptText);
-    const wer = computeWER(targetText, transcriptText);
+    if (targetText.length > MAX_SCORED_TEXT_LENGTH || transcriptText.length > MAX_SCORED_TEXT_LENGTH) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Text too long',
+        details: `"targetText" and "transcriptText" may have at most ${MAX_SCORED_TEXT_LENGTH} characters`
+      });
+    }
+
+    const policy = resolveSpacingPolicy(req.body.spacing);
+    if (!policy.ok) {
+      return res.status(400).json({ ok: false, error: policy.error, details: policy.details });
+    }
+    const { spacing } = policy;
+
+    const romanizationMode = resolveRomanizationMode(req.body.romanization);
+    if (!romanizationMode.ok) {
+      return res.status(400).json({ ok: false, error: romanizationMode.error, details: romanizationMode.details });
+    }
+    const romanization = romanizationMode.mode;
+
+    const accepted = getAcceptedVariants(targetText, req.body.sentenceId);
+    if (!accepted) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Unknown "sentenceId"',
+        details: 'Use an id from GET /api/sentences'
+      });
+    }
+
+    // Score against the closest accepted variant (저는/전, 해요/합니다...);
+    // digits/units/loanwords are read out so "3시" and "세 시" compare equal
+    const variant = chooseVariant(accepted.variants, transcriptText, { spacing });
+    const { compared, cer } = variant;
+
+    // CER-based metrics (ignores punctuation)
+    const wer = computeWER(compared.target, compared.transcript);
     const wrongPercent = Math.round(cer * 100);
     const accuracyPercent = Math.max(0, 100 - wrongPercent);
+    const tier = getTier(accuracyPercent);
 
     // Build character-level diff
-    const diff = buildCharacterDiff(targetText, transcriptText);
+    const diff = buildCharacterDiff(compared.target, compared.transcript, { targetRules: compared.targetRules, spacing, romanization });
 
-    console.log(`[Feedback] Target: "${targetText.substring(0, 30)}..." | Transcript: "${transcriptText.substring(0, 30)}..." | Accuracy: ${accuracyPercent}%`);
+    console.log(`[Feedback] Target: "${targetText.substring(0, 30)}..." | Transcript: "${transcriptText.substring(0, 30)}..." | Accuracy: ${accuracyPercent}% (${tier})`);
 
     // Call xAI Grok for tutor feedback
     let tutor = null;
     let tutorError = null;
 
     if (isXAIConfigured()) {
-      const grokResult = await callGrokForTutor(targetText, transcriptText, diff.wrongUnits, accuracyPercent);
+      const grokResult = await callGrokForTutor(variant.text, transcriptText, diff.wrongUnits, accuracyPercent, diff.units);
 
       if (grokResult.ok) {
         tutor = grokResult.tutor;
@@ -500,10 +757,18 @@ async function feedbackHandler(req, res) {
       targetText,
       transcriptText,
 
+      // Revised Romanization for learners who cannot read Hangul yet
+      romanized: {
+        mode: romanization,
+        targetText: romanize(targetText, { mode: romanization }),
+        transcriptText: romanize(transcriptText, { mode: romanization })
+      },
+
       // Top-level score fields for easy UI binding
       textAccuracyPercent: accuracyPercent,
       mistakePercent: wrongPercent,
       score: accuracyPercent,
+      tier, // correct | partial | severe (see GET /api/config)
 
       // Detailed metrics
       metrics: {
@@ -512,16 +777,27 @@ async function feedbackHandler(req, res) {
         textAccuracyPercent: accuracyPercent,
         mistakePercent: wrongPercent,
         cer,
-        wer
+        wer,
+        spacing
       },
 
       // Diff for highlighting
       diff: {
         units: diff.units,
         wrongUnits: diff.wrongUnits,
-        wrongParts: diff.wrongUnits
+        wrongParts: diff.wrongUnits,
+        words: diff.words
       },
 
+      // Accepted variant the transcript was scored against (index 0: targetText)
+      matchedVariant: { index: variant.index, text: variant.text, sentenceId: accepted.sentenceId },
+
+      // Numbers/units/loanwords read out before scoring: [{ side, from, to, rule }]
+      normalizations: compared.normalizations,
+
+      // 어절 whose pronunciation differs from the spelling: [{ word, pronunciation, rules, matched }]
+      phonology: compared.phonology,
+
       // Tutor feedback from Grok (or null + error)
       tutor,
       tutorError,
@@ -562,5 +838,10 @@ module.exports = {
   normalizeForKoreanCompare,
   computeCER,
   computeWER,
-  buildCharacterDiff
+  normalizeForScoring,
+  buildCharacterDiff,
+  chooseVariant,
+  resolveSpacingPolicy,
+  SPACING_POLICIES,
+  MAX_SCORED_TEXT_LENGTH
 };
@@ -0,0 +1,310 @@
+/**
+ * Korean G2P - standard pronunciation (표준 발음법) of Hangul text
+ *
+ * STT sometimes spells what it heard rather than the word: 같이 -> 가치,
+ * 먹는 -> 멍는, 국물 -> 궁물. Scoring accepts the spelling or the pronunciation
+ * of each 어절 (see choosePronunciations), so a learner who pronounced the
+ * sentence correctly is not penalized for it.
+ *
+ * Rules are applied at each syllable boundary inside an 어절, in this order:
+ * - ㅎ 탈락 (h-deletion): 좋아 -> 조아, 않아 -> 아나
+ * - 격음화 (aspiration): 좋다 -> 조타, 축하 -> 추카
+ * - 구개음화 (palatalization): 같이 -> 가치, 굳이 -> 구지, 닫히다 -> 다치다
+ * - 연음 (liaison): 음악 -> 으막, 읽어 -> 일거
+ * - 비음화 (nasalization): 먹는 -> 멍는, 합니다 -> 함니다, 종로 -> 종노
+ * - 유음화 (lateralization): 신라 -> 실라, 설날 -> 설랄
+ * - 경음화 (tensification): 학교 -> 학꾜, 먹다 -> 먹따
+ * - 음절의 끝소리 규칙 (coda neutralization): 꽃 -> 꼳, 부엌 -> 부억
+ *
+ * Lexical exceptions (맛없다, 의견란, 밟다...) are not covered.
+ */
+
+const { decomposeSyllable, composeSyllable } = require('./jamo');
+const { alignSpans } = require('./spanAlignment');
+
+// Rule ids with their names and a one-line explanation for learners
+const RULES = {
+  'h-deletion': {
+    nameKo: 'ㅎ 탈락',
+    nameEn: 'ㅎ deletion',
+    ko: '받침 ㅎ은 모음 앞에서 소리 나지 않아요.',
+    en: 'A final ㅎ is silent before a vowel.'
+  },
+  aspiration: {
+    nameKo: '격음화',
+    nameEn: 'Aspiration',
+    ko: 'ㄱ, ㄷ, ㅂ, ㅈ이 ㅎ과 만나면 ㅋ, ㅌ, ㅍ, ㅊ으로 소리 나요.',
+    en: 'ㄱ, ㄷ, ㅂ, ㅈ next to ㅎ merge into ㅋ, ㅌ, ㅍ, ㅊ.'
+  },
+  palatalization: {
+    nameKo: '구개음화',
+    nameEn: 'Palatalization',
+    ko: '받침 ㄷ, ㅌ 뒤에 이가 오면 지, 치로 소리 나요.',
+    en: 'A final ㄷ or ㅌ before 이 is said as 지 or 치.'
+  },
+  liaison: {
+    nameKo: '연음',
+    nameEn: 'Liaison',
+    ko: '받침이 뒤 음절의 빈 자리(ㅇ)로 넘어가 소리 나요.',
+    en: 'A final consonant moves into the next syllable when it starts with a vowel.'
+  },
+  nasalization: {
+    nameKo: '비음화',
+    nameEn: 'Nasalization',
+    ko: 'ㄱ, ㄷ, ㅂ 받침이 ㄴ, ㅁ 앞에서 ㅇ, ㄴ, ㅁ으로 소리 나요. ㅁ, ㅇ 뒤의 ㄹ은 ㄴ이 돼요.',
+    en: 'Final ㄱ, ㄷ, ㅂ become ㅇ, ㄴ, ㅁ before ㄴ or ㅁ; ㄹ after ㅁ or ㅇ becomes ㄴ.'
+  },
+  lateralization: {
+    nameKo: '유음화',
+    nameEn: 'Lateralization',
+    ko: 'ㄴ과 ㄹ이 만나면 ㄴ이 ㄹ로 소리 나요.',
+    en: 'ㄴ next to ㄹ is said as ㄹ.'
+  },
+  tensification: {
+    nameKo: '경음화',
+    nameEn: 'Tensification',
+    ko: 'ㄱ, ㄷ, ㅂ 받침 뒤의 ㄱ, ㄷ, ㅂ, ㅅ, ㅈ은 된소리로 나요.',
+    en: 'ㄱ, ㄷ, ㅂ, ㅅ, ㅈ after a final ㄱ, ㄷ or ㅂ sound are tensed (ㄲ, ㄸ, ㅃ, ㅆ, ㅉ).'
+  },
+  'coda-neutralization': {
+    nameKo: '음절의 끝소리 규칙',
+    nameEn: 'Final consonant neutralization',
+    ko: '받침은 ㄱ, ㄴ, ㄷ, ㄹ, ㅁ, ㅂ, ㅇ 일곱 소리로만 나요.',
+    en: 'A final consonant is said as one of ㄱ, ㄴ, ㄷ, ㄹ, ㅁ, ㅂ, ㅇ.'
+  }
+};
+const RULE_IDS = Object.keys(RULES);
+
+// Changes STT writes out in a transcript: it spells 학교, not 학꾜, and 꽃, not 꼳
+const SPELLED_RULES = RULE_IDS.filter(rule => rule !== 'tensification' && rule !== 'coda-neutralization');
+
+// Final consonant -> the sound it makes at the end of a syllable
+const CODA_SOUNDS = {
+  'ㄱ': 'ㄱ', 'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄳ': 'ㄱ', 'ㄺ': 'ㄱ',
+  'ㄴ': 'ㄴ', 'ㄵ': 'ㄴ', 'ㄶ': 'ㄴ',
+  'ㄷ': 'ㄷ', 'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅎ': 'ㄷ',
+  'ㄹ': 'ㄹ', 'ㄼ': 'ㄹ', 'ㄽ': 'ㄹ', 'ㄾ': 'ㄹ', 'ㅀ': 'ㄹ',
+  'ㅁ': 'ㅁ', 'ㄻ': 'ㅁ',
+  'ㅂ': 'ㅂ', 'ㅍ': 'ㅂ', 'ㅄ': 'ㅂ', 'ㄿ': 'ㅂ',
+  'ㅇ': 'ㅇ'
+};
+
+// Double finals -> [consonant that stays, consonant that moves on to a following ㅇ]
+// (ㅅ moving out of ㄳ/ㄽ/ㅄ is tensed: 없어 -> 업써)
+const DOUBLE_FINALS = {
+  'ㄳ': ['ㄱ', 'ㅆ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'], 'ㄺ': ['ㄹ', 'ㄱ'],
+  'ㄻ': ['ㄹ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅆ'], 'ㄾ': ['ㄹ', 'ㅌ'],
+  'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅆ']
+};
+
+// Finals containing ㅎ -> what is left when the ㅎ goes
+const H_FINALS = { 'ㅎ': '', 'ㄶ': 'ㄴ', 'ㅀ': 'ㄹ' };
+
+// Consonant + ㅎ (either order) -> aspirated consonant
+const ASPIRATED = {
+  'ㄱ': 'ㅋ', 'ㄲ': 'ㅋ', 'ㅋ': 'ㅋ',
+  'ㄷ': 'ㅌ', 'ㅅ': 'ㅌ', 'ㅆ': 'ㅌ', 'ㅌ': 'ㅌ',
+  'ㅈ': 'ㅊ', 'ㅊ': 'ㅊ',
+  'ㅂ': 'ㅍ', 'ㅍ': 'ㅍ'
+};
+
+// Stop sounds before ㄴ/ㅁ (and ㄹ) -> nasal
+const NASALS = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' };
+
+// Plain consonants after a stop sound -> tense
+const TENSE = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+
+/**
+ * Apply the rules at the boundary between two syllables (mutates both)
+ * @param {object} a - Earlier syllable { initial, medial, final }
+ * @param {object} b - Following syllable
+ * @param {Set<string>} enabled - Rule ids to apply
+ * @returns {string[]} Rules applied
+ */
+function applyBoundary(a, b, enabled) {
+  const applied = [];
+  const apply = (rule, change) => {
+    if (!enabled.has(rule)) return false;
+    change();
+    applied.push(rule);
+    return true;
+  };
+
+  // ㅎ in the final: dropped, or merged into the next consonant
+  if (a.final in H_FINALS) {
+    const rest = H_FINALS[a.final];
+    if (b.initial === 'ㅇ') {
+      apply('h-deletion', () => { a.final = rest; });
+    } else if (['ㄱ', 'ㄷ', 'ㅈ'].includes(b.initial)) {
+      apply('aspiration', () => { b.initial = ASPIRATED[b.initial]; a.final = rest; });
+    } else if (b.initial === 'ㅅ') {
+      apply('tensification', () => { b.initial = 'ㅆ'; a.final = rest; });
+    } else if (b.initial === 'ㄴ') {
+      if (a.final === 'ㅎ') apply('nasalization', () => { a.final = 'ㄴ'; });
+      else apply('h-deletion', () => { a.final = rest; });
+    }
+  }
+
+  // Stop + ㅎ: one aspirated consonant (ㄷ before 히 becomes 치)
+  if (b.initial === 'ㅎ' && a.final) {
+    const [stay, move] = DOUBLE_FINALS[a.final] || ['', a.final];
+    if (move in ASPIRATED) {
+      const palatal = move === 'ㄷ' && b.medial === 'ㅣ';
+      apply('aspiration', () => { a.final = stay; b.initial = palatal ? 'ㅊ' : ASPIRATED[move]; });
+      if (palatal) apply('palatalization', () => {});
+    }
+  }
+
+  // ㄷ/ㅌ + 이 -> 지/치
+  if (b.initial === 'ㅇ' && b.medial === 'ㅣ' && ['ㄷ', 'ㅌ', 'ㄾ'].includes(a.final)) {
+    apply('palatalization', () => {
+      b.initial = a.final === 'ㄷ' ? 'ㅈ' : 'ㅊ';
+      a.final = a.final === 'ㄾ' ? 'ㄹ' : '';
+    });
+  }
+
+  // Final consonant moves into a following empty ㅇ
+  if (b.initial === 'ㅇ' && a.final && a.final !== 'ㅇ') {
+    const [stay, move] = DOUBLE_FINALS[a.final] || ['', a.final];
+    apply('liaison', () => { a.final = stay; b.initial = move; });
+  }
+
+  if (!a.final) return applied;
+  const sound = CODA_SOUNDS[a.final];
+
+  // Stops become nasal before ㄴ/ㅁ; ㄹ becomes ㄴ after ㅁ/ㅇ (and after stops, which then nasalize)
+  if (sound in NASALS && (b.initial === 'ㄴ' || b.initial === 'ㅁ')) {
+    apply('nasalization', () => { a.final = NASALS[sound]; });
+  } else if (b.initial === 'ㄹ' && (sound === 'ㅁ' || sound === 'ㅇ')) {
+    apply('nasalization', () => { b.initial = 'ㄴ'; });
+  } else if (b.initial === 'ㄹ' && sound in NASALS) {
+    apply('nasalization', () => { a.final = NASALS[sound]; b.initial = 'ㄴ'; });
+  } else if (sound === 'ㄴ' && b.initial === 'ㄹ') {
+    apply('lateralization', () => { a.final = 'ㄹ'; });
+  } else if (sound === 'ㄹ' && b.initial === 'ㄴ') {
+    apply('lateralization', () => { b.initial = 'ㄹ'; });
+  } else if (sound in NASALS && b.initial in TENSE) {
+    apply('tensification', () => { b.initial = TENSE[b.initial]; });
+  }
+
+  return applied;
+}
+
+/**
+ * Standard pronunciation of Hangul text
+ * Rules apply within each run of Hangul syllables (an 어절); the result has the
+ * same length as the input, so character positions line up.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string[]} [options.rules] - Rule ids to apply (default: all)
+ * @returns {{ text: string, pronunciation: string, rules: Array<{ rule: string, start: number, end: number, from: string, to: string }> }}
+ *          rules: each application with the span it affects ([start, end) in text)
+ */
+function pronounce(text, { rules = RULE_IDS } = {}) {
+  const source = typeof text === 'string' ? text : '';
+  const enabled = new Set(rules);
+  const chars = source.split('');
+  const syllables = chars.map(decomposeSyllable);
+  const applied = [];
+
+  for (let i = 0; i < syllables.length - 1; i++) {
+    if (!syllables[i] || !syllables[i + 1]) continue;
+    for (const rule of applyBoundary(syllables[i], syllables[i + 1], enabled)) {
+      applied.push({ rule, start: i, end: i + 2 });
+    }
+  }
+
+  if (enabled.has('coda-neutralization')) {
+    syllables.forEach((syllable, i) => {
+      if (!syllable || !syllable.final || CODA_SOUNDS[syllable.final] === syllable.final) return;
+      syllable.final = CODA_SOUNDS[syllable.final];
+      applied.push({ rule: 'coda-neutralization', start: i, end: i + 1 });
+    });
+  }
+
+  const pronunciation = chars.map((char, i) => (syllables[i] && composeSyllable(syllables[i])) || char).join('');
+  return {
+    text: source,
+    pronunciation,
+    rules: applied
+      .sort((x, y) => x.start - y.start)
+      .map(r => ({ ...r, from: source.slice(r.start, r.end), to: pronunciation.slice(r.start, r.end) }))
+  };
+}
+
+/**
+ * Pick, for each target 어절, the spelling or pronunciation closest to the transcript
+ * Each 어절 is tried as written, as STT would spell its pronunciation (no
+ * tensing/neutralization) and in full standard pronunciation, against the
+ * stretch of the transcript the 어절 lines up with (see spanAlignment.js).
+ * @param {string} targetText - Normalized target (single spaces, no punctuation)
+ * @param {string} transcriptText
+ * @param {Function} distance - (target, transcript) => edit distance
+ * @returns {{ target: string, charRules: string[][], phonology: Array<{ word, pronunciation, rules, matched }> }}
+ *          charRules[i]: rules behind target character i (empty where the 어절 is compared as written);
+ *          phonology: 어절 whose pronunciation differs from the spelling, matched 'spelling' or 'pronunciation'
+ */
+function choosePronunciations(targetText, transcriptText, distance) {
+  const words = targetText.split(' ');
+  const forms = words.map((word) => {
+    const standard = pronounce(word);
+    if (standard.rules.length === 0) return [{ text: word, rules: [] }];
+    const spelled = pronounce(word, { rules: SPELLED_RULES });
+    const options = [{ text: word, rules: [] }, { text: spelled.pronunciation, rules: spelled.rules }, { text: standard.pronunciation, rules: standard.rules }];
+    return options.filter((option, i) => options.findIndex(o => o.text === option.text) === i);
+  });
+
+  // Every form of an 어절 has the length of its spelling, so the spans hold for all of them
+  const spans = [];
+  let start = 0;
+  for (const word of words) {
+    spans.push([start, start + word.length]);
+    start += word.length + 1;
+  }
+  const contested = forms.flatMap((options, i) => (options.length > 1 ? [i] : []));
+  const heard = alignSpans(targetText, transcriptText, contested.map(i => spans[i]));
+
+  const choices = words.map(() => 0);
+  contested.forEach((i, k) => {
+    let best = { option: 0, distance: Infinity };
+    forms[i].forEach(({ text }, option) => {
+      const d = distance(text, heard[k]);
+      if (d < best.distance) best = { option, distance: d };
+    });
+    choices[i] = best.option;
+  });
+  const render = () => forms.map((options, i) => options[choices[i]].text).join(' ');
+
+  const charRules = [];
+  const phonology = [];
+  forms.forEach((options, i) => {
+    const chosen = options[choices[i]];
+    const offset = charRules.length;
+    for (let k = 0; k < chosen.text.length; k++) charRules.push([]);
+    for (const { rule, start, end } of chosen.rules) {
+      for (let k = start; k < end; k++) {
+        if (!charRules[offset + k].includes(rule)) charRules[offset + k].push(rule);
+      }
+    }
+    if (i < forms.length - 1) charRules.push([]);
+
+    if (options.length > 1) {
+      const standard = options[options.length - 1];
+      phonology.push({
+        word: words[i],
+        pronunciation: standard.text,
+        rules: [...new Set(standard.rules.map(r => r.rule))],
+        matched: choices[i] === 0 ? 'spelling' : 'pronunciation'
+      });
+    }
+  });
+
+  return { target: render(), charRules, phonology };
+}
+
+module.exports = {
+  pronounce,
+  choosePronunciations,
+  RULES,
+  SPELLED_RULES
+};
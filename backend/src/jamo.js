@@ -0,0 +1,92 @@
+/**
+ * Hangul Jamo - syllable decomposition and per-component comparison
+ *
+ * A Hangul syllable block is an initial consonant (초성), a vowel (중성) and an
+ * optional final consonant (종성). Comparing the components lets scoring give
+ * partial credit for a near-miss (케 vs 캐 only differs in the vowel) and lets
+ * the diff say which part of the syllable was off.
+ */
+
+// Hangul syllable block layout (Unicode): ((initial * 21) + medial) * 28 + final
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const MEDIAL_COUNT = 21;
+const FINAL_COUNT = 28;
+
+const INITIALS = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const MEDIALS = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'];
+const FINALS = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// Components in syllable order
+const COMPONENTS = ['initial', 'medial', 'final'];
+
+// Korean names used in tutor prompts
+const COMPONENT_NAMES = {
+  initial: '초성',
+  medial: '중성',
+  final: '종성'
+};
+
+/**
+ * Split a Hangul syllable block into jamo
+ * @param {string} char - One character
+ * @returns {{ initial: string, medial: string, final: string }|null} null if not a Hangul syllable
+ */
+function decomposeSyllable(char) {
+  const code = char.charCodeAt(0);
+  if (code < HANGUL_BASE || code > HANGUL_LAST) return null;
+
+  const offset = code - HANGUL_BASE;
+  return {
+    initial: INITIALS[Math.floor(offset / (MEDIAL_COUNT * FINAL_COUNT))],
+    medial: MEDIALS[Math.floor(offset / FINAL_COUNT) % MEDIAL_COUNT],
+    final: FINALS[offset % FINAL_COUNT]
+  };
+}
+
+/**
+ * Build a syllable block from jamo (inverse of decomposeSyllable)
+ * @param {{ initial: string, medial: string, final?: string }} jamo
+ * @returns {string|null} null if a component is not a valid jamo for its position
+ */
+function composeSyllable({ initial, medial, final = '' }) {
+  const i = INITIALS.indexOf(initial);
+  const m = MEDIALS.indexOf(medial);
+  const f = FINALS.indexOf(final);
+  if (i < 0 || m < 0 || f < 0) return null;
+  return String.fromCharCode(HANGUL_BASE + (i * MEDIAL_COUNT + m) * FINAL_COUNT + f);
+}
+
+/**
+ * Compare a spoken character with the expected one, component by component
+ * @param {string} expected - Target character
+ * @param {string} got - Transcript character
+ * @returns {{ credit: number, jamo: Array<{ component: string, expected: string, got: string }>|null }}
+ *          credit 0..1 (share of matching components; two syllables without 종성
+ *          are compared on 초성/중성 only, so 케/모 earns nothing); jamo lists the
+ *          components that differ, null unless both characters are Hangul syllables
+ */
+function compareSyllables(expected, got) {
+  if (expected === got) return { credit: 1, jamo: [] };
+
+  const a = decomposeSyllable(expected);
+  const b = decomposeSyllable(got);
+  if (!a || !b) return { credit: 0, jamo: null };
+
+  const components = a.final || b.final ? COMPONENTS : COMPONENTS.slice(0, 2);
+  const jamo = components
+    .filter(component => a[component] !== b[component])
+    .map(component => ({ component, expected: a[component], got: b[component] }));
+
+  return {
+    credit: Math.round((1 - jamo.length / components.length) * 1000) / 1000,
+    jamo
+  };
+}
+
+module.exports = {
+  decomposeSyllable,
+  composeSyllable,
+  compareSyllables,
+  COMPONENT_NAMES
+};
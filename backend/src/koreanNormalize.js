@@ -0,0 +1,388 @@
+/**
+ * Korean Text Normalization - numbers, units and loanwords before scoring
+ *
+ * STT often spells what the learner said with digits or Latin letters
+ * ("3시", "5,000원", "KTX") where the target sentence is written in Hangul
+ * ("세 시", "오천 원", "케이티엑스"), or the other way round. Every such token
+ * is expanded into its possible Hangul readings, and scoring compares the
+ * readings that best match the other text (see chooseReadings).
+ *
+ * Readings:
+ * - Numbers before a native counter (시, 개, 명, 살, 마리...) are read natively: 3시 -> 세 시
+ * - Numbers before a Sino-Korean counter (분, 원, 층, 년...) are read Sino-Korean: 5,000원 -> 오천 원
+ * - Counters used both ways (번, 분) get both readings: 3번 -> 세 번 / 삼 번
+ * - Bare numbers are read Sino-Korean or as native cardinals: 2 -> 이 / 둘
+ * - Times, decimals, units and currency: 3:30 -> 세 시 삼십 분, 1.5km -> 일 점 오 킬로미터, $5 -> 오 달러
+ * - Latin words: a loanword table (OK -> 오케이, TV -> 티비), other acronyms are spelled out (KTX -> 케이티엑스)
+ */
+
+const { alignSpans } = require('./spanAlignment');
+
+const SINO_DIGITS = ['영', '일', '이', '삼', '사', '오', '육', '칠', '팔', '구'];
+const SINO_SMALL_UNITS = ['', '십', '백', '천'];
+const SINO_LARGE_UNITS = ['', '만', '억', '조'];
+
+const NATIVE_CARDINALS = ['', '하나', '둘', '셋', '넷', '다섯', '여섯', '일곱', '여덟', '아홉'];
+// Forms used before a counter (한 개, not 하나 개)
+const NATIVE_ATTRIBUTIVES = ['', '한', '두', '세', '네', '다섯', '여섯', '일곱', '여덟', '아홉'];
+const NATIVE_TENS = ['', '열', '스물', '서른', '마흔', '쉰', '예순', '일흔', '여든', '아흔'];
+
+// Counters read with native numbers (세 시, 두 명)
+const NATIVE_COUNTERS = [
+  '시간', '시', '개', '명', '마리', '살', '잔', '병', '권', '장', '대', '벌', '켤레',
+  '그릇', '송이', '가지', '군데', '사람', '달', '척', '채', '통', '줄'
+];
+// Counters read with Sino-Korean numbers (오천 원, 삼 층)
+const SINO_COUNTERS = [
+  '개월', '년', '월', '일', '주일', '주', '초', '원', '층', '호선', '호', '인분', '학년',
+  '도', '페이지', '쪽', '회', '등', '위', '세', '점', '킬로', '미터', '그램', '퍼센트',
+  '프로', '달러', '엔', '유로', '센티', '리터', '동', '차', '번지'
+];
+// Counters whose reading depends on meaning (세 번 "three times" / 삼 번 "number three",
+// 세 분 "three people" / 삼 분 "three minutes")
+const EITHER_COUNTERS = ['번', '분'];
+
+// Months with irregular readings (유월, not 육월)
+const MONTH_READINGS = { 6: '유월', 10: '시월' };
+
+// Hours above this are read Sino-Korean (14시 -> 십사 시)
+const MAX_NATIVE_HOUR = 12;
+
+// Unit symbols written after a number (first reading is the standard one)
+const UNITS = {
+  '%': ['퍼센트', '프로'],
+  '℃': ['도'],
+  '°c': ['도'],
+  '°': ['도'],
+  km: ['킬로미터', '킬로'],
+  kg: ['킬로그램', '킬로'],
+  cm: ['센티미터', '센티'],
+  mm: ['밀리미터', '밀리'],
+  ml: ['밀리리터', '밀리'],
+  m: ['미터'],
+  g: ['그램'],
+  l: ['리터'],
+  kcal: ['킬로칼로리', '칼로리'],
+  mb: ['메가바이트', '메가'],
+  gb: ['기가바이트', '기가']
+};
+
+// Currency symbols written before a number
+const CURRENCIES = {
+  '$': '달러',
+  '₩': '원',
+  '€': '유로',
+  '¥': '엔',
+  '£': '파운드'
+};
+
+// Latin-letter words STT writes for common loanwords (keys lowercase, hyphens removed)
+const LOANWORDS = {
+  ok: ['오케이'],
+  okay: ['오케이'],
+  tv: ['티비', '티브이'],
+  pc: ['피시', '피씨'],
+  wifi: ['와이파이'],
+  email: ['이메일'],
+  sns: ['에스엔에스'],
+  kpop: ['케이팝'],
+  app: ['앱'],
+  bus: ['버스'],
+  taxi: ['택시'],
+  hotel: ['호텔'],
+  menu: ['메뉴'],
+  coffee: ['커피'],
+  computer: ['컴퓨터'],
+  internet: ['인터넷'],
+  phone: ['폰'],
+  smartphone: ['스마트폰'],
+  youtube: ['유튜브']
+};
+
+// Letter names for spelling out acronyms (KTX -> 케이티엑스)
+const LETTER_NAMES = {
+  a: '에이', b: '비', c: '씨', d: '디', e: '이', f: '에프', g: '지', h: '에이치', i: '아이',
+  j: '제이', k: '케이', l: '엘', m: '엠', n: '엔', o: '오', p: '피', q: '큐', r: '알', s: '에스',
+  t: '티', u: '유', v: '브이', w: '더블유', x: '엑스', y: '와이', z: '지'
+};
+
+// A number (optionally with a currency prefix, decimal part or :mm minutes), or a Latin word
+const TOKEN_REGEX = /(?:([$₩€¥£])\s?)?(\d{1,3}(?:,\d{3})+(?!\d)|\d+)(?:\.(\d+)|:([0-5]\d)(?!\d))?|[A-Za-z]+(?:-[A-Za-z]+)*/g;
+// Unit symbol right after a number
+const UNIT_REGEX = /^ ?(%|℃|°C|°|[A-Za-z]+)(?![A-Za-z])/i;
+// Hangul word right after a number
+const HANGUL_WORD_REGEX = /^ ?([가-힣]+)/;
+
+// Longest counters first so 시간 wins over 시 and 개월 over 개
+const COUNTERS = [
+  ...NATIVE_COUNTERS.map(word => ({ word, kind: 'native' })),
+  ...SINO_COUNTERS.map(word => ({ word, kind: 'sino' })),
+  ...EITHER_COUNTERS.map(word => ({ word, kind: 'either' }))
+].sort((a, b) => b.word.length - a.word.length);
+
+/**
+ * Read each digit Sino-Korean (일 점 오 -> the "오" part)
+ */
+function readDigits(digits) {
+  return [...digits].map(d => SINO_DIGITS[d]).join('');
+}
+
+/**
+ * Sino-Korean reading of 1..9999 (일 is dropped before 십/백/천: 천오백, not 일천오백)
+ */
+function readSinoGroup(value) {
+  const digits = String(value).padStart(4, '0');
+  let out = '';
+  for (let i = 0; i < 4; i++) {
+    const digit = Number(digits[i]);
+    if (digit === 0) continue;
+    const unit = SINO_SMALL_UNITS[3 - i];
+    out += (digit === 1 && unit ? '' : SINO_DIGITS[digit]) + unit;
+  }
+  return out;
+}
+
+/**
+ * Sino-Korean reading of a non-negative integer, spaced every 만 as in standard spelling
+ * @param {string} digits - Decimal digits (no separators)
+ * @returns {string} e.g. "5000" -> "오천", "15000" -> "만 오천"
+ */
+function readSino(digits) {
+  const trimmed = digits.replace(/^0+/, '');
+  if (!trimmed) return SINO_DIGITS[0];
+  if (trimmed.length > 4 * SINO_LARGE_UNITS.length) return readDigits(trimmed);
+
+  const words = [];
+  const groups = Math.ceil(trimmed.length / 4);
+  for (let g = groups - 1; g >= 0; g--) {
+    const end = trimmed.length - g * 4;
+    const value = Number(trimmed.slice(Math.max(0, end - 4), end));
+    if (value === 0) continue;
+    // 만, not 일만 (but 일억, 일조)
+    words.push((g === 1 && value === 1 ? '' : readSinoGroup(value)) + SINO_LARGE_UNITS[g]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Native reading of a count before a counter (1..99 natively, hundreds and up Sino-Korean)
+ * @param {number} value
+ * @returns {string} e.g. 3 -> "세", 20 -> "스무", 21 -> "스물한", 105 -> "백다섯"
+ */
+function readNative(value) {
+  if (value === 0) return SINO_DIGITS[0];
+  const rest = value % 100;
+  const hundreds = value >= 100 ? readSino(String(value - rest)) : '';
+  if (rest === 0) return hundreds;
+  if (rest === 20) return hundreds + '스무';
+  return hundreds + NATIVE_TENS[Math.floor(rest / 10)] + NATIVE_ATTRIBUTIVES[rest % 10];
+}
+
+/**
+ * Native cardinal for a bare number (하나, 둘, 스물셋), or null outside 1..99
+ */
+function readNativeCardinal(value) {
+  if (value < 1 || value > 99) return null;
+  return NATIVE_TENS[Math.floor(value / 10)] + NATIVE_CARDINALS[value % 10];
+}
+
+/**
+ * Reading followed by a counter/unit word, spaced (standard spelling) and unspaced
+ */
+function withWord(reading, word, rule) {
+  return [
+    { text: `${reading} ${word}`, rule },
+    { text: reading + word, rule }
+  ];
+}
+
+/**
+ * Readings of a number followed by a counter
+ * @param {string} digits
+ * @param {{ word: string, kind: string }} counter
+ */
+function readCounted(digits, counter) {
+  const value = Number(digits);
+  const sino = readSino(digits);
+
+  if (counter.word === '월' && MONTH_READINGS[value]) {
+    return [{ text: MONTH_READINGS[value], rule: 'month' }];
+  }
+  if (counter.kind === 'sino' || (counter.word === '시' && value > MAX_NATIVE_HOUR)) {
+    return withWord(sino, counter.word, 'sino-counter');
+  }
+  const native = withWord(readNative(value), counter.word, 'native-counter');
+  if (counter.kind === 'native') return native;
+  return [...native, ...withWord(sino, counter.word, 'sino-counter')];
+}
+
+/**
+ * Entry of a reading table for text taken from the input
+ * Own keys only, so words like "constructor" are not read as Object.prototype.
+ * @returns {*} The entry, or undefined
+ */
+function lookup(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+}
+
+/**
+ * Readings of a Latin-letter word, or null to leave it as written
+ */
+function readLatin(word) {
+  const loanword = lookup(LOANWORDS, word.toLowerCase().replace(/-/g, ''));
+  if (loanword) return loanword.map(text => ({ text, rule: 'loanword' }));
+
+  // Acronyms only: lowercase words are more likely English than spelled letters
+  if (/^[A-Z]{2,6}$/.test(word)) {
+    return [{ text: [...word.toLowerCase()].map(c => LETTER_NAMES[c]).join(''), rule: 'acronym' }];
+  }
+  return null;
+}
+
+/**
+ * Split text into plain strings and expandable tokens
+ * @param {string} text
+ * @returns {Array<string|{ from: string, options: Array<{ text: string, rule: string }> }>}
+ *          options[0] is the standard reading
+ */
+function expandText(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const parts = [];
+  let cursor = 0;
+  const tokenRegex = new RegExp(TOKEN_REGEX.source, 'g');
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const [token, currency, integer, decimal, minutes] = match;
+    let end = match.index + token.length;
+    let options = null;
+
+    if (integer === undefined) {
+      options = readLatin(token);
+    } else {
+      const digits = integer.replace(/,/g, '');
+      const after = text.slice(end);
+      const unit = !currency && !minutes && after.match(UNIT_REGEX);
+      const unitWords = unit && lookup(UNITS, unit[1].toLowerCase());
+      const hangul = after.match(HANGUL_WORD_REGEX);
+      const counter = hangul && !currency && !decimal && !minutes
+        ? COUNTERS.find(c => hangul[1].startsWith(c.word))
+        : null;
+      const number = decimal ? `${readSino(digits)} 점 ${readDigits(decimal)}` : readSino(digits);
+
+      if (currency) {
+        options = withWord(number, CURRENCIES[currency], 'currency');
+      } else if (minutes) {
+        const hour = Number(digits);
+        const hourReading = hour > MAX_NATIVE_HOUR ? readSino(digits) : readNative(hour);
+        const minute = Number(minutes);
+        options = minute === 0
+          ? [{ text: `${hourReading} 시`, rule: 'time' }]
+          : [{ text: `${hourReading} 시 ${readSino(minutes)} 분`, rule: 'time' }];
+        if (minute === 30) options.push({ text: `${hourReading} 시 반`, rule: 'time' });
+      } else if (unitWords) {
+        options = unitWords.flatMap(word => withWord(number, word, 'unit'));
+        end += unit[0].length;
+      } else if (counter) {
+        options = readCounted(digits, counter);
+        end += hangul[0].length - hangul[1].length + counter.word.length;
+      } else if (decimal) {
+        options = [{ text: number, rule: 'decimal' }];
+      } else {
+        options = [{ text: number, rule: 'sino-number' }];
+        const cardinal = readNativeCardinal(Number(digits));
+        if (cardinal) options.push({ text: cardinal, rule: 'native-number' });
+      }
+    }
+
+    if (!options) continue;
+    if (match.index > cursor) parts.push(text.slice(cursor, match.index));
+    parts.push({ from: text.slice(match.index, end).trim(), options });
+    cursor = end;
+    tokenRegex.lastIndex = end;
+  }
+
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+}
+
+/**
+ * Join expanded parts using the chosen option of each token
+ * @returns {{ text: string, spans: Array<[number, number]|null> }} spans: [start, end) of each token in text
+ */
+function renderParts(parts, choices) {
+  let text = '';
+  const spans = parts.map((part, i) => {
+    const start = text.length;
+    text += typeof part === 'string' ? part : part.options[choices[i]].text;
+    return typeof part === 'string' ? null : [start, text.length];
+  });
+  return { text, spans };
+}
+
+/**
+ * Normalize target and transcript for comparison, picking for every token the
+ * reading closest to the other text
+ * Tokens are decided transcript first (STT is where digits usually come from),
+ * then target. Each token's readings are compared only with the stretch of the
+ * other text it lines up with (see spanAlignment.js), so long inputs stay fast.
+ * @param {string} targetText
+ * @param {string} transcriptText
+ * @param {Function} distance - (target, transcript) => edit distance
+ * @returns {{ target: string, transcript: string, normalizations: Array<{ side: string, from: string, to: string, rule: string }> }}
+ */
+function chooseReadings(targetText, transcriptText, distance) {
+  const expanded = {
+    target: expandText(targetText),
+    transcript: expandText(transcriptText)
+  };
+  const hasTokens = parts => parts.some(part => typeof part !== 'string');
+  if (!hasTokens(expanded.target) && !hasTokens(expanded.transcript)) {
+    return { target: targetText || '', transcript: transcriptText || '', normalizations: [] };
+  }
+
+  const choices = {
+    target: expanded.target.map(() => 0),
+    transcript: expanded.transcript.map(() => 0)
+  };
+
+  for (const [side, other] of [['transcript', 'target'], ['target', 'transcript']]) {
+    const rendered = renderParts(expanded[side], choices[side]);
+    const otherText = renderParts(expanded[other], choices[other]).text;
+    const contested = expanded[side].flatMap((part, i) => (typeof part !== 'string' && part.options.length > 1 ? [i] : []));
+    const spans = alignSpans(rendered.text, otherText, contested.map(i => rendered.spans[i]));
+    const compare = (reading, span) => (side === 'target' ? distance(reading, span) : distance(span, reading));
+
+    contested.forEach((i, k) => {
+      let best = { option: 0, distance: Infinity };
+      expanded[side][i].options.forEach(({ text }, option) => {
+        const d = compare(text, spans[k]);
+        if (d < best.distance) best = { option, distance: d };
+      });
+      choices[side][i] = best.option;
+    });
+  }
+
+  const normalizations = [];
+  for (const side of ['target', 'transcript']) {
+    expanded[side].forEach((part, i) => {
+      if (typeof part === 'string') return;
+      const { text, rule } = part.options[choices[side][i]];
+      normalizations.push({ side, from: part.from, to: text, rule });
+    });
+  }
+
+  return {
+    target: renderParts(expanded.target, choices.target).text,
+    transcript: renderParts(expanded.transcript, choices.transcript).text,
+    normalizations
+  };
+}
+
+module.exports = {
+  readSino,
+  readNative,
+  expandText,
+  chooseReadings
+};
@@ -3,13 +3,17 @@
  *
  * Environment Variables:
  * - MODE: "REAL" (default) or "MOCK"
- * - ELEVENLABS_API_KEY: Required for TTS and STT
+ * - ELEVENLABS_API_KEY: ElevenLabs TTS and STT provider
+ * - LOCAL_PROVIDER_URL: Local TTS/STT stand-in provider
+ * - TTS_PROVIDERS / STT_PROVIDERS: Provider fallback chains (see providers/index.js)
  * - XAI_API_KEY: Required for LLM feedback (Grok)
  *
  * In REAL mode, missing keys return HTTP 503 errors.
  * In MOCK mode (explicit), fallbacks are used.
  */
 
+const { getChain, getProviderStatus, PROVIDERS } = require('./providers');
+
 /**
  * Get current mode from env (default: REAL)
  */
@@ -43,14 +47,21 @@ function isXAIConfigured() {
  * Get configuration status for /api/health
  */
 function getConfigStatus() {
+  const mode = getMode();
+  const tts = getProviderStatus('tts');
+  const stt = getProviderStatus('stt');
+
   return {
-    mode: getMode(),
-    ttsConfigured: isElevenLabsConfigured(),
-    sttConfigured: isElevenLabsConfigured(), // Same key for ElevenLabs
+    mode,
+    ttsConfigured: tts.active !== null,
+    sttConfigured: stt.active !== null,
     llmConfigured: isXAIConfigured(),
-    ttsProvider: 'elevenlabs',
-    sttProvider: 'elevenlabs',
-    llmProvider: 'xai'
+    // Active provider = first configured provider in the chain (stubs answer in MOCK mode)
+    ttsProvider: mode === 'mock' ? 'mock' : tts.active,
+    sttProvider: mode === 'mock' ? 'mock' : stt.active,
+    llmProvider: 'xai',
+    ttsProviderChain: tts.chain,
+    sttProviderChain: stt.chain
   };
 }
 
@@ -59,11 +70,23 @@ function getConfigStatus() {
  */
 function getMissingKeys() {
   const missing = [];
-  if (!isElevenLabsConfigured()) missing.push('ELEVENLABS_API_KEY');
+  const providerNames = new Set([...getChain('tts'), ...getChain('stt')]);
+  for (const name of providerNames) {
+    if (!PROVIDERS[name].isConfigured()) missing.push(PROVIDERS[name].envKey);
+  }
   if (!isXAIConfigured()) missing.push('XAI_API_KEY');
   return missing;
 }
 
+/**
+ * Startup status line for a provider chain, e.g. "TTS (elevenlabs > local):  ✓ LOCAL"
+ */
+function providerStatusLine(service) {
+  const { active, chain } = getProviderStatus(service);
+  const label = `${service.toUpperCase()} (${chain.map(p => p.name).join(' > ')}):`;
+  return `   - ${label.padEnd(22)} ${active ? `✓ ${active.toUpperCase()}` : '✗ MISSING KEY'}`;
+}
+
 /**
  * Log startup configuration status
  */
@@ -78,8 +101,8 @@ function logStartupStatus() {
   console.log('='.repeat(50));
   console.log('');
   console.log('   Service Status:');
-  console.log(`   - TTS (ElevenLabs):      ${status.ttsConfigured ? '✓ CONFIGURED' : '✗ MISSING KEY'}`);
-  console.log(`   - STT (ElevenLabs):      ${status.sttConfigured ? '✓ CONFIGURED' : '✗ MISSING KEY'}`);
+  console.log(providerStatusLine('tts'));
+  console.log(providerStatusLine('stt'));
   console.log(`   - LLM (xAI Grok):        ${status.llmConfigured ? '✓ CONFIGURED' : '✗ MISSING KEY'}`);
 
   if (missing.length > 0 && mode === 'real') {
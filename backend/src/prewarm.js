@@ -0,0 +1,345 @@
+/**
+ * TTS Cache Pre-warm
+ *
+ * Walks the sentence bank for every voice × speed profile and fills the TTS
+ * cache ahead of time, so no learner pays (or waits) for a first play.
+ *
+ * Used by tools/prewarm.js (CLI) and POST /api/admin/prewarm.
+ *
+ * The cache itself is the checkpoint: entries already on disk are skipped and
+ * cache writes are atomic, so an interrupted run resumes where it stopped
+ * when started again.
+ */
+
+const { loadSentences } = require('./sentences');
+const { resolveVoice, VOICES } = require('./voices');
+const { isTtsCached, warmTtsCache, SPEED_PROFILES } = require('./tts');
+const { OUTPUT_FORMATS, DEFAULT_FORMAT, isOutputFormat } = require('./ttsFormats');
+const { getConfiguredProviders, supportsTts } = require('./providers');
+const { getSynthesisFormat } = require('./audioProcessing');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+// Keep only the most recent failures in progress reports
+const MAX_REPORTED_ERRORS = 20;
+
+// USD per 1,000 characters, per provider (ElevenLabs bills by character)
+const COST_PER_1K_CHARS = {
+  elevenlabs: parseFloat(process.env.ELEVENLABS_COST_PER_1K_CHARS) || 0.30,
+  local: 0
+};
+
+/**
+ * Accept arrays or comma-separated strings
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Validate pre-warm options from the CLI or an admin request
+ * @param {object} input - { voices?, speedProfiles?, format?, concurrency?, limit? }
+ * @returns {{ ok: boolean, options?: object, error?: string }}
+ */
+function parsePrewarmOptions(input = {}) {
+  const voices = (toList(input.voices) || VOICES.map(v => v.id)).map(v => v.toLowerCase());
+  const unknownVoice = voices.find(id => !VOICES.some(v => v.id === id));
+  if (unknownVoice) {
+    return { ok: false, error: `Unknown voice "${unknownVoice}" (use: ${VOICES.map(v => v.id).join(', ')})` };
+  }
+
+  const speedProfiles = (toList(input.speedProfiles) || Object.keys(SPEED_PROFILES)).map(Number);
+  const unknownProfile = speedProfiles.find(id => !Object.prototype.hasOwnProperty.call(SPEED_PROFILES, id));
+  if (unknownProfile !== undefined) {
+    return { ok: false, error: `Unknown speed profile "${unknownProfile}" (use: ${Object.keys(SPEED_PROFILES).join(', ')})` };
+  }
+
+  const formatName = String(input.format || DEFAULT_FORMAT).toLowerCase();
+  if (!isOutputFormat(formatName)) {
+    return { ok: false, error: `Unsupported format "${input.format}" (use: ${Object.keys(OUTPUT_FORMATS).join(', ')})` };
+  }
+
+  const concurrency = input.concurrency === undefined ? DEFAULT_CONCURRENCY : parseInt(input.concurrency, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return { ok: false, error: `Invalid concurrency (must be 1-${MAX_CONCURRENCY})` };
+  }
+
+  const limit = input.limit === undefined ? null : parseInt(input.limit, 10);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return { ok: false, error: 'Invalid limit (must be a positive integer)' };
+  }
+
+  return {
+    ok: true,
+    options: {
+      voices: [...new Set(voices)],
+      speedProfiles: [...new Set(speedProfiles)],
+      formatName,
+      concurrency,
+      limit
+    }
+  };
+}
+
+/**
+ * TTS providers a pre-warm run would use, in fallback order
+ */
+function getPrewarmProviders(formatName) {
+  return getConfiguredProviders('tts').filter(p => supportsTts(p, getSynthesisFormat(formatName)));
+}
+
+/**
+ * Build the job list and cost estimate
+ * Entries already cached (by any candidate provider) are counted but not queued.
+ * @param {object} options - From parsePrewarmOptions
+ * @param {object[]} providers - From getPrewarmProviders (empty: nothing counts as cached)
+ * @returns {{ jobs: Array, estimate: object }}
+ */
+function planPrewarm(options, providers) {
+  const { voices, speedProfiles, formatName, limit } = options;
+  const sentences = loadSentences().sentences.slice(0, limit || undefined);
+  const jobs = [];
+  let total = 0;
+  let cached = 0;
+
+  for (const sentence of sentences) {
+    for (const voiceId of voices) {
+      const voice = resolveVoice(voiceId);
+      for (const speedProfile of speedProfiles) {
+        total++;
+        const job = { sentenceId: sentence.id, text: sentence.korean, voice, speedProfile };
+        if (providers.length > 0 && isTtsCached({ ...job, formatName, providers })) {
+          cached++;
+        } else {
+          jobs.push(job);
+        }
+      }
+    }
+  }
+
+  const characters = jobs.reduce((sum, job) => sum + job.text.length, 0);
+  const provider = providers.length > 0 ? providers[0].name : null;
+  const costPer1k = provider ? COST_PER_1K_CHARS[provider] || 0 : COST_PER_1K_CHARS.elevenlabs;
+
+  return {
+    jobs,
+    estimate: {
+      sentences: sentences.length,
+      voices,
+      speedProfiles,
+      format: formatName,
+      provider,
+      total,
+      cached,
+      remaining: jobs.length,
+      characters,
+      costPer1kChars: costPer1k,
+      estimatedCostUsd: Math.round(characters / 1000 * costPer1k * 100) / 100
+    }
+  };
+}
+
+/**
+ * Run jobs with at most `concurrency` in flight
+ * Stops picking up new jobs once shouldStop() returns true.
+ */
+async function runPool(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+}
+
+/**
+ * Synthesize planned jobs into the cache
+ * @param {Array} jobs - From planPrewarm
+ * @param {object} options
+ * @param {string} options.formatName
+ * @param {number} options.concurrency
+ * @param {object[]} options.providers
+ * @param {Function} [options.onProgress] - (progress, job, result) after each job
+ * @param {AbortSignal} [options.signal] - Abort to stop after in-flight jobs finish
+ * @returns {Promise<object>} Final progress
+ */
+async function runPrewarm(jobs, { formatName, concurrency, providers, onProgress, signal }) {
+  const progress = {
+    total: jobs.length,
+    done: 0,
+    synthesized: 0,
+    skipped: 0,
+    failed: 0,
+    characters: 0,
+    interrupted: false,
+    errors: []
+  };
+
+  await runPool(jobs, concurrency, async (job) => {
+    let result;
+    try {
+      result = await warmTtsCache({ ...job, formatName, providers });
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+
+    progress.done++;
+    if (!result.ok) {
+      progress.failed++;
+      progress.errors.push({
+        sentenceId: job.sentenceId,
+        voice: job.voice.id,
+        speedProfile: job.speedProfile,
+        error: result.details ? `${result.error}: ${result.details}` : result.error
+      });
+      progress.errors = progress.errors.slice(-MAX_REPORTED_ERRORS);
+    } else if (result.cached) {
+      // Filled by a user request or another run since planning
+      progress.skipped++;
+    } else {
+      progress.synthesized++;
+      progress.characters += job.text.length;
+    }
+
+    if (onProgress) onProgress(progress, job, result);
+  }, () => !!(signal && signal.aborted));
+
+  progress.interrupted = progress.done < progress.total;
+  return progress;
+}
+
+// =========================
+// Admin route state (one run per process)
+// =========================
+
+let currentRun = null;
+
+function runSnapshot(run) {
+  if (!run) return null;
+  return {
+    running: run.running,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    estimate: run.estimate,
+    progress: { ...run.progress, errors: run.progress.errors.slice() }
+  };
+}
+
+/**
+ * POST /api/admin/prewarm handler
+ *
+ * Body: { voices?, speedProfiles?, format?, concurrency?, limit?, confirm?: boolean }
+ * Without confirm: returns the plan and cost estimate only.
+ * With confirm: starts a background run (202); poll GET /api/admin/prewarm for progress.
+ */
+function prewarmHandler(req, res) {
+  const parsed = parsePrewarmOptions(req.body || {});
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: parsed.error });
+  }
+  const { options } = parsed;
+
+  const providers = getPrewarmProviders(options.formatName);
+  if (providers.length === 0) {
+    return res.status(503).json({
+      ok: false,
+      error: 'Service unavailable',
+      details: `No configured TTS provider supports format "${options.formatName}"`
+    });
+  }
+
+  if (currentRun && currentRun.running) {
+    return res.status(409).json({
+      ok: false,
+      error: 'Pre-warm already running',
+      status: runSnapshot(currentRun)
+    });
+  }
+
+  const { jobs, estimate } = planPrewarm(options, providers);
+
+  if (req.body?.confirm !== true) {
+    return res.json({
+      ok: true,
+      started: false,
+      estimate,
+      details: 'Resend with "confirm": true to start'
+    });
+  }
+
+  const controller = new AbortController();
+  const run = {
+    running: true,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    estimate,
+    controller,
+    progress: { total: jobs.length, done: 0, synthesized: 0, skipped: 0, failed: 0, characters: 0, interrupted: false, errors: [] }
+  };
+  currentRun = run;
+
+  console.log(`[Prewarm] Starting: ${estimate.remaining} entries (${estimate.cached} cached), ~$${estimate.estimatedCostUsd}`);
+
+  runPrewarm(jobs, {
+    formatName: options.formatName,
+    concurrency: options.concurrency,
+    providers,
+    signal: controller.signal,
+    onProgress: (progress) => {
+      run.progress = progress;
+      if (progress.done % 50 === 0) {
+        console.log(`[Prewarm] ${progress.done}/${progress.total} (synthesized=${progress.synthesized}, failed=${progress.failed})`);
+      }
+    }
+  })
+    .then((progress) => {
+      run.progress = progress;
+      console.log(`[Prewarm] ${progress.interrupted ? 'Stopped' : 'Finished'}: synthesized=${progress.synthesized}, skipped=${progress.skipped}, failed=${progress.failed}`);
+    })
+    .catch((err) => {
+      console.error('[Prewarm] Error:', err.message);
+    })
+    .finally(() => {
+      run.running = false;
+      run.finishedAt = new Date().toISOString();
+    });
+
+  res.status(202).json({ ok: true, started: true, status: runSnapshot(run) });
+}
+
+/**
+ * GET /api/admin/prewarm handler - progress of the current/last run
+ */
+function prewarmStatusHandler(req, res) {
+  res.json({ ok: true, status: runSnapshot(currentRun) });
+}
+
+/**
+ * POST /api/admin/prewarm/cancel handler
+ * In-flight jobs finish; rerunning later resumes from the cache.
+ */
+function prewarmCancelHandler(req, res) {
+  if (!currentRun || !currentRun.running) {
+    return res.status(409).json({ ok: false, error: 'No pre-warm running' });
+  }
+  currentRun.controller.abort();
+  res.json({ ok: true, status: runSnapshot(currentRun) });
+}
+
+module.exports = {
+  prewarmHandler,
+  prewarmStatusHandler,
+  prewarmCancelHandler,
+  parsePrewarmOptions,
+  getPrewarmProviders,
+  planPrewarm,
+  runPrewarm,
+  runPool,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY
+};
@@ -8,7 +8,7 @@
  *   - targetText: string (required)
  *   - transcriptText: string (optional, from STT)
  *   - locale: string (default: ko-KR)
- *   - audio: file (WAV format)
+ *   - audio: file (WAV, WebM, Ogg, M4A, MP3, AAC or FLAC)
  *
  * Output:
  *   {
@@ -24,6 +24,7 @@
  */
 
 const { analyzePronunciation, isXAIRealtimeConfigured } = require('./xaiRealtimeClient');
+const { identifyAudio, decodeCompressed, AUDIO_ERROR_STATUS } = require('./audioInput');
 
 // Expected audio format
 const EXPECTED_SAMPLE_RATE = 16000;
@@ -108,6 +109,35 @@ function extractPcmData(wavBuffer) {
   return null;
 }
 
+/**
+ * Wrap raw PCM data in a WAV (RIFF) container
+ * @param {Buffer} pcmBuffer - PCM samples (little-endian)
+ * @param {number} sampleRate
+ * @param {number} [numChannels=1]
+ * @param {number} [bitsPerSample=16]
+ * @returns {Buffer} WAV file buffer
+ */
+function createWavBuffer(pcmBuffer, sampleRate, numChannels = 1, bitsPerSample = 16) {
+  const blockAlign = numChannels * (bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+
+  return Buffer.concat([header, pcmBuffer]);
+}
+
 /**
  * Convert stereo PCM to mono by averaging channels
  * @param {Buffer} stereoBuffer - Stereo PCM16 data
@@ -154,7 +184,7 @@ function resample(pcmBuffer, fromRate, toRate) {
 /**
  * Validate and convert audio to expected format
  * @param {Buffer} audioBuffer - WAV file buffer
- * @returns {object} { ok, pcmBuffer, error }
+ * @returns {object} { ok, pcmBuffer, error, code } (code: see AUDIO_ERROR_STATUS in audioInput.js)
  */
 function validateAndConvertAudio(audioBuffer) {
   // Parse WAV header
@@ -162,6 +192,7 @@ function validateAndConvertAudio(audioBuffer) {
   if (!format) {
     return {
       ok: false,
+      code: 'DECODE_FAILED',
       error: 'Invalid WAV file. Please record in WAV format.'
     };
   }
@@ -170,6 +201,7 @@ function validateAndConvertAudio(audioBuffer) {
   if (format.audioFormat !== 1) {
     return {
       ok: false,
+      code: 'UNSUPPORTED_CODEC',
       error: `Unsupported audio format: ${format.audioFormat}. Please record PCM WAV.`
     };
   }
@@ -178,6 +210,7 @@ function validateAndConvertAudio(audioBuffer) {
   if (format.bitsPerSample !== 16) {
     return {
       ok: false,
+      code: 'UNSUPPORTED_CODEC',
       error: `Unsupported bits per sample: ${format.bitsPerSample}. Please record 16-bit audio.`
     };
   }
@@ -187,6 +220,7 @@ function validateAndConvertAudio(audioBuffer) {
   if (!pcmData) {
     return {
       ok: false,
+      code: 'DECODE_FAILED',
       error: 'Could not extract audio data from WAV file.'
     };
   }
@@ -200,6 +234,7 @@ function validateAndConvertAudio(audioBuffer) {
   } else if (format.numChannels !== 1) {
     return {
       ok: false,
+      code: 'UNSUPPORTED_CODEC',
       error: `Unsupported channel count: ${format.numChannels}. Please record mono or stereo.`
     };
   }
@@ -219,6 +254,40 @@ function validateAndConvertAudio(audioBuffer) {
   };
 }
 
+/**
+ * Decode any supported upload to PCM16 mono 16kHz
+ * 16-bit PCM WAV is converted in-process; other WAV encodings and compressed
+ * recordings (WebM/Ogg/M4A/MP3/AAC/FLAC) are decoded by decodeCompressed.
+ * @param {Buffer} audioBuffer
+ * @returns {Promise<object>} { ok, pcmBuffer, sampleRate, input } or { ok: false, code, status, error, details }
+ */
+async function decodeAudioInput(audioBuffer) {
+  const identified = identifyAudio(audioBuffer);
+  if (!identified.ok) return identified;
+  const { input } = identified;
+
+  let wavError = null;
+  if (input.container === 'wav') {
+    const result = validateAndConvertAudio(audioBuffer);
+    if (result.ok) return { ...result, input };
+    if (result.code === 'DECODE_FAILED') {
+      return { ...result, status: AUDIO_ERROR_STATUS[result.code] };
+    }
+    wavError = result;
+  }
+
+  console.log(`[Pronounce] Decoding ${input.container}/${input.codec || 'unknown'} (${audioBuffer.length} bytes)`);
+  const decoded = await decodeCompressed(audioBuffer, input, EXPECTED_SAMPLE_RATE);
+  if (!decoded.ok) {
+    // Without a decoder, report why the WAV itself was not usable
+    if (wavError && decoded.code === 'DECODER_UNAVAILABLE') {
+      return { ...wavError, status: AUDIO_ERROR_STATUS[wavError.code], details: decoded.details };
+    }
+    return decoded;
+  }
+  return { ...decoded, input };
+}
+
 /**
  * POST /api/pronounce_grok handler
  */
@@ -259,12 +328,14 @@ async function pronounceHandler(req, res) {
     console.log(`[Pronounce] Received audio: ${audioBuffer.length} bytes`);
 
     // Validate and convert audio
-    const audioResult = validateAndConvertAudio(audioBuffer);
+    const audioResult = await decodeAudioInput(audioBuffer);
     if (!audioResult.ok) {
-      return res.status(400).json({
+      return res.status(audioResult.status || 400).json({
         ok: false,
         error: audioResult.error,
-        hint: 'Record audio as PCM16 mono 16000Hz WAV.'
+        code: audioResult.code,
+        details: audioResult.details,
+        hint: 'Record audio as PCM16 mono 16000Hz WAV, WebM/Opus or M4A/AAC.'
       });
     }
 
@@ -308,6 +379,8 @@ async function pronounceHandler(req, res) {
 module.exports = {
   pronounceHandler,
   validateAndConvertAudio,
+  decodeAudioInput,
   parseWavHeader,
-  extractPcmData
+  extractPcmData,
+  createWavBuffer
 };
@@ -0,0 +1,94 @@
+/**
+ * Pronunciation Display - how a Korean sentence is actually said
+ *
+ * GET /api/pronunciation?text=같이 가요
+ * Returns the standard pronunciation in Hangul ([가치 가요]), its Revised
+ * Romanization, and every sound-change rule applied with a short Korean/English
+ * explanation and the span of the text it affects.
+ *
+ * Results are computed by g2p.js and kept in a small in-memory cache per
+ * sentence; /api/sentences?pronunciation=true attaches them to each entry.
+ */
+
+const { pronounce, RULES } = require('./g2p');
+const { romanize } = require('./romanize');
+
+const MAX_TEXT_LENGTH = 500;
+// Oldest sentences are evicted past this many entries
+const MAX_CACHE_ENTRIES = 1000;
+
+const pronunciationCache = new Map();
+
+/**
+ * Pronunciation of a sentence (cached)
+ * @param {string} text
+ * @returns {{ text, pronunciation, display, romanization, rules: Array<{ rule, nameKo, nameEn, ko, en, start, end, from, to }>, cached: boolean }}
+ *          rules: spans are [start, end) character offsets in text
+ */
+function getPronunciation(text) {
+  if (pronunciationCache.has(text)) {
+    return { ...pronunciationCache.get(text), cached: true };
+  }
+
+  const result = pronounce(text);
+  const entry = {
+    text,
+    pronunciation: result.pronunciation,
+    display: `[${result.pronunciation}]`,
+    romanization: romanize(text),
+    rules: result.rules.map(({ rule, start, end, from, to }) => ({ rule, ...RULES[rule], start, end, from, to }))
+  };
+
+  if (pronunciationCache.size >= MAX_CACHE_ENTRIES) {
+    pronunciationCache.delete(pronunciationCache.keys().next().value);
+  }
+  pronunciationCache.set(text, entry);
+  return { ...entry, cached: false };
+}
+
+/**
+ * GET /api/pronunciation handler
+ *
+ * Query: text (required, max 500 characters)
+ * Response: { ok, text, pronunciation, display, romanization, rules, cached }
+ */
+function pronunciationHandler(req, res) {
+  const text = typeof req.query.text === 'string' ? req.query.text.trim() : '';
+
+  if (!text) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Missing "text" query parameter',
+      details: 'Use GET /api/pronunciation?text=<Korean sentence>'
+    });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Text too long',
+      details: `Maximum length is ${MAX_TEXT_LENGTH} characters`
+    });
+  }
+
+  const result = getPronunciation(text);
+  console.log(`[Pronunciation] "${text.substring(0, 30)}" -> ${result.display} (${result.rules.length} rules${result.cached ? ', cached' : ''})`);
+  res.json({ ok: true, ...result });
+}
+
+function getPronunciationCacheStats() {
+  return { entries: pronunciationCache.size, maxEntries: MAX_CACHE_ENTRIES };
+}
+
+function clearPronunciationCache() {
+  const cleared = pronunciationCache.size;
+  pronunciationCache.clear();
+  return { cleared };
+}
+
+module.exports = {
+  pronunciationHandler,
+  getPronunciation,
+  getPronunciationCacheStats,
+  clearPronunciationCache
+};
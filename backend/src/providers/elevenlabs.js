@@ -0,0 +1,176 @@
+/**
+ * ElevenLabs Provider - TTS (eleven_multilingual_v2) + STT (scribe_v1)
+ *
+ * Implements the provider interface used by providers/index.js:
+ *   name, isConfigured(), capabilities(), voiceKey(voice), sttModelKey(),
+ *   synthesize(request), transcribe(request)
+ *
+ * ElevenLabs API: https://elevenlabs.io/docs/api-reference
+ */
+
+const { postWithRetry } = require('./http');
+const { createWavBuffer } = require('../pronounce');
+const { confidenceFromLogprob } = require('../sttWords');
+
+const NAME = 'elevenlabs';
+const API_BASE_URL = 'https://api.elevenlabs.io/v1';
+
+const TTS_MODEL_ID = 'eleven_multilingual_v2';
+const STT_MODEL_ID = 'scribe_v1';
+
+// API timeouts in milliseconds (TTS covers response headers only when streaming)
+const TTS_TIMEOUT_MS = 30000;
+const STT_TIMEOUT_MS = 60000;
+
+function isConfigured() {
+  return !!process.env.ELEVENLABS_API_KEY;
+}
+
+function capabilities() {
+  return {
+    tts: { formats: ['mp3', 'wav', 'pcm', 'opus'], streaming: true, timestamps: true },
+    stt: { wordTimestamps: true }
+  };
+}
+
+/**
+ * Voice identity used in TTS cache keys (the upstream voice ID)
+ */
+function voiceKey(voice) {
+  return voice.elevenLabsVoiceId;
+}
+
+/**
+ * Transcription model identity used in STT cache keys
+ */
+function sttModelKey() {
+  return `${NAME}:${STT_MODEL_ID}`;
+}
+
+/**
+ * Synthesize speech
+ * @param {object} request
+ * @param {string} request.text
+ * @param {object} request.voice - Catalog voice entry
+ * @param {object} request.voiceSettings - Merged ElevenLabs voice_settings
+ * @param {object} request.format - Entry from OUTPUT_FORMATS
+ * @param {boolean} [request.withTimestamps=false] - Also return character alignment
+ * @param {boolean} [request.stream=false] - Return the upstream body as a stream
+ * @returns {Promise<object>} { ok, audio?, stream?, alignment? } or { ok: false, status, error, details }
+ */
+async function synthesize({ text, voice, voiceSettings, format, withTimestamps = false, stream = false }) {
+  const voiceId = voiceKey(voice);
+  const endpoint = withTimestamps ? `${voiceId}/with-timestamps` : stream ? `${voiceId}/stream` : voiceId;
+  const url = `${API_BASE_URL}/text-to-speech/${endpoint}?output_format=${format.upstream}`;
+
+  const response = await postWithRetry(url, () => ({
+    headers: {
+      'Accept': withTimestamps ? 'application/json' : format.contentType,
+      'Content-Type': 'application/json',
+      'xi-api-key': process.env.ELEVENLABS_API_KEY
+    },
+    body: JSON.stringify({
+      text,
+      model_id: TTS_MODEL_ID,
+      voice_settings: voiceSettings
+    })
+  }), TTS_TIMEOUT_MS);
+
+  console.log(`[ElevenLabs] TTS response: status=${response.status}, content-type=${response.headers.get('content-type')}`);
+
+  if (!response.ok) {
+    return {
+      ok: false,
+      status: response.status,
+      error: 'ElevenLabs API error',
+      details: await response.text()
+    };
+  }
+
+  // Streamed PCM cannot be wrapped in WAV up front, so callers never stream WAV
+  if (stream) {
+    return { ok: true, stream: response.body };
+  }
+
+  let upstreamAudio;
+  let alignment = null;
+  if (withTimestamps) {
+    const result = await response.json();
+    upstreamAudio = Buffer.from(result.audio_base64 || '', 'base64');
+    alignment = result.alignment || null;
+  } else {
+    upstreamAudio = Buffer.from(await response.arrayBuffer());
+  }
+
+  if (upstreamAudio.length === 0) {
+    return {
+      ok: false,
+      status: 502,
+      error: 'ElevenLabs returned empty audio',
+      details: 'Audio buffer is empty'
+    };
+  }
+
+  const audio = format.wrapWav ? createWavBuffer(upstreamAudio, format.sampleRate) : upstreamAudio;
+  return { ok: true, audio, alignment };
+}
+
+/**
+ * Transcribe speech with Scribe
+ * @param {object} request
+ * @param {Buffer} request.audioBuffer
+ * @param {string} [request.language] - Forced language code (auto-detect when omitted)
+ * @param {string} [request.mimeType='audio/wav']
+ * @param {string} [request.filename='audio.wav']
+ * @returns {Promise<object>} { ok, rawText, language, confidence, words } or { ok: false, status, error, details }
+ *          words: [{ word, start, end, confidence }] (confidence from Scribe's per-word logprob)
+ */
+async function transcribe({ audioBuffer, language, mimeType = 'audio/wav', filename = 'audio.wav' }) {
+  const { FormData, Blob } = await import('node-fetch');
+
+  const response = await postWithRetry(`${API_BASE_URL}/speech-to-text`, () => {
+    const formData = new FormData();
+    formData.append('file', new Blob([audioBuffer], { type: mimeType }), filename);
+    formData.append('model_id', STT_MODEL_ID);
+    // CRITICAL: Force the language to prevent Chinese/other language detection
+    if (language) formData.append('language_code', language);
+    formData.append('timestamps_granularity', 'word');
+    return {
+      headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY },
+      body: formData
+    };
+  }, STT_TIMEOUT_MS);
+
+  if (!response.ok) {
+    return {
+      ok: false,
+      status: response.status,
+      error: 'ElevenLabs STT API error',
+      details: await response.text()
+    };
+  }
+
+  const apiResult = await response.json();
+
+  return {
+    ok: true,
+    rawText: apiResult.text || '',
+    language: apiResult.language_code || language || 'ko',
+    confidence: apiResult.language_probability || null,
+    // Scribe also lists spacing and audio events ([laughter]); keep spoken words only
+    words: (apiResult.words || [])
+      .filter(w => w.type === 'word')
+      .map(w => ({ word: w.text, start: w.start, end: w.end, confidence: confidenceFromLogprob(w.logprob) }))
+  };
+}
+
+module.exports = {
+  name: NAME,
+  envKey: 'ELEVENLABS_API_KEY',
+  isConfigured,
+  capabilities,
+  voiceKey,
+  sttModelKey,
+  synthesize,
+  transcribe
+};
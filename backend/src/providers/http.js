@@ -0,0 +1,35 @@
+/**
+ * Shared HTTP helper for providers
+ */
+
+const { retryFetch } = require('../retry');
+
+/**
+ * POST with retry and a per-attempt abort timeout
+ * The timeout covers the response headers; streamed bodies are guarded by the caller.
+ * @param {string} url
+ * @param {Function} buildInit - Returns fetch init (called per attempt so bodies are fresh)
+ * @param {number} timeoutMs
+ * @returns {Promise<Response>}
+ */
+async function postWithRetry(url, buildInit, timeoutMs) {
+  const fetch = (await import('node-fetch')).default;
+
+  return retryFetch(async () => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await fetch(url, { method: 'POST', ...buildInit(), signal: controller.signal });
+      clearTimeout(timeoutId);
+      return res;
+    } catch (err) {
+      clearTimeout(timeoutId);
+      throw err;
+    }
+  });
+}
+
+module.exports = {
+  postWithRetry
+};
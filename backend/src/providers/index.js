@@ -0,0 +1,188 @@
+/**
+ * Provider Registry - pluggable TTS/STT backends with ordered fallback
+ *
+ * Each provider module exports:
+ *   name            - Registry key
+ *   envKey          - Env variable that enables it (reported when missing)
+ *   isConfigured()  - Whether its env settings are present
+ *   capabilities()  - { tts: { formats, streaming, timestamps }, stt: { wordTimestamps } }
+ *   voiceKey(voice) - Voice identity for TTS cache keys
+ *   sttModelKey()   - Transcription model identity for STT cache keys
+ *   synthesize(req) - { ok, audio | stream, alignment? } or { ok: false, status, error, details }
+ *   transcribe(req) - { ok, rawText, language, confidence } or { ok: false, status, error, details }
+ *
+ * Environment Variables:
+ * - TTS_PROVIDERS: Comma-separated fallback chain (default: elevenlabs)
+ * - STT_PROVIDERS: Comma-separated fallback chain (default: elevenlabs)
+ *
+ * Providers in a chain that are not configured are skipped; the first
+ * configured one is the active provider reported by /api/health.
+ */
+
+const elevenlabs = require('./elevenlabs');
+const local = require('./local');
+
+const PROVIDERS = {
+  [elevenlabs.name]: elevenlabs,
+  [local.name]: local
+};
+
+const DEFAULT_CHAIN = 'elevenlabs';
+
+const CHAIN_ENV = {
+  tts: 'TTS_PROVIDERS',
+  stt: 'STT_PROVIDERS'
+};
+
+/**
+ * Parse a provider chain setting
+ * Unknown names are dropped with a warning; duplicates keep their first position.
+ * @param {string} value - e.g. "elevenlabs,local"
+ * @returns {string[]} Provider names in fallback order
+ */
+function parseChain(value) {
+  const names = [];
+  for (const raw of String(value || '').split(',')) {
+    const name = raw.trim().toLowerCase();
+    if (!name || names.includes(name)) continue;
+    if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+      console.warn(`[Providers] Unknown provider "${name}" ignored`);
+      continue;
+    }
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Provider names in the chain for a service, configured or not
+ * @param {'tts'|'stt'} service
+ * @returns {string[]}
+ */
+function getChain(service) {
+  return parseChain(process.env[CHAIN_ENV[service]] || DEFAULT_CHAIN);
+}
+
+/**
+ * Configured providers for a service, in fallback order
+ * @param {'tts'|'stt'} service
+ * @returns {object[]}
+ */
+function getConfiguredProviders(service) {
+  return getChain(service)
+    .map(name => PROVIDERS[name])
+    .filter(provider => provider.isConfigured());
+}
+
+/**
+ * The provider that will be tried first for a service
+ * @param {'tts'|'stt'} service
+ * @returns {object|null}
+ */
+function getActiveProvider(service) {
+  return getConfiguredProviders(service)[0] || null;
+}
+
+/**
+ * Check whether a provider can serve a TTS request
+ * @param {object} provider
+ * @param {{ formatName: string, withTimestamps?: boolean }} request
+ */
+function supportsTts(provider, { formatName, withTimestamps = false }) {
+  const caps = provider.capabilities().tts;
+  return caps.formats.includes(formatName) && (!withTimestamps || caps.timestamps);
+}
+
+/**
+ * Try providers in order until one succeeds
+ * Thrown errors and { ok: false } results both move on to the next provider.
+ * @param {'tts'|'stt'} service - For logging and error messages
+ * @param {object[]} providers - Candidates in fallback order
+ * @param {Function} call - (provider) => Promise<result>
+ * @returns {Promise<object>} Successful result plus { provider, attempts },
+ *          or { ok: false, status: 502, error, details, attempts }
+ */
+async function runWithFallback(service, providers, call) {
+  const attempts = [];
+
+  for (const provider of providers) {
+    try {
+      const result = await call(provider);
+      if (result.ok) {
+        if (attempts.length > 0) {
+          console.warn(`[Providers] ${service.toUpperCase()} fell back to ${provider.name} after: ${attempts.map(a => a.provider).join(', ')}`);
+        }
+        return { ...result, provider: provider.name, attempts };
+      }
+      attempts.push({ provider: provider.name, status: result.status, error: result.error, details: result.details });
+    } catch (err) {
+      attempts.push({ provider: provider.name, error: err.message });
+    }
+    const last = attempts[attempts.length - 1];
+    console.error(`[Providers] ${service.toUpperCase()} provider ${provider.name} failed (${last.status || 'error'}): ${last.details || last.error}`);
+  }
+
+  if (attempts.length === 1) {
+    return { ok: false, status: 502, error: attempts[0].error, details: attempts[0].details || attempts[0].error, attempts };
+  }
+
+  return {
+    ok: false,
+    status: 502,
+    error: `All ${service.toUpperCase()} providers failed`,
+    details: attempts.map(a => `${a.provider}: ${a.details || a.error}`).join('; '),
+    attempts
+  };
+}
+
+/**
+ * Synthesize with fallback across the given providers
+ * @param {object[]} providers
+ * @param {object} request - { text, voice, voiceSettings, format, formatName, withTimestamps?, stream? }
+ */
+function synthesizeWithFallback(providers, request) {
+  return runWithFallback('tts', providers, provider => provider.synthesize(request));
+}
+
+/**
+ * Transcribe with fallback across the configured STT chain
+ * @param {object} request - { audioBuffer, language?, mimeType?, filename? }
+ */
+function transcribeWithFallback(request) {
+  const providers = getConfiguredProviders('stt');
+  if (providers.length === 0) {
+    return Promise.resolve({
+      ok: false,
+      status: 503,
+      error: 'No STT provider configured',
+      details: `Configure a provider listed in ${CHAIN_ENV.stt}`,
+      attempts: []
+    });
+  }
+  return runWithFallback('stt', providers, provider => provider.transcribe(request));
+}
+
+/**
+ * Provider status per service for /api/health
+ */
+function getProviderStatus(service) {
+  const active = getActiveProvider(service);
+  return {
+    active: active ? active.name : null,
+    chain: getChain(service).map(name => ({ name, configured: PROVIDERS[name].isConfigured() }))
+  };
+}
+
+module.exports = {
+  getChain,
+  getConfiguredProviders,
+  getActiveProvider,
+  getProviderStatus,
+  supportsTts,
+  runWithFallback,
+  synthesizeWithFallback,
+  transcribeWithFallback,
+  parseChain,
+  PROVIDERS,
+  CHAIN_ENV
+};
@@ -0,0 +1,160 @@
+/**
+ * Local Provider - TTS + STT via a self-hosted HTTP stand-in
+ *
+ * Lets classrooms run without internet access (e.g. a Piper/Whisper box on
+ * the LAN) and serves as a fallback when ElevenLabs is down.
+ *
+ * Environment Variables:
+ * - LOCAL_PROVIDER_URL: Base URL of the stand-in (e.g. http://192.168.0.10:5002)
+ * - LOCAL_PROVIDER_TTS_FORMATS: Comma-separated formats it can return (default: mp3,wav,pcm)
+ *
+ * Stand-in contract:
+ *   POST {url}/tts  JSON { text, voice, format, speed, stability, style }
+ *                   -> audio bytes in the requested format (chunked responses are fine)
+ *   POST {url}/stt  multipart { file, language }
+ *                   -> JSON { text, language?, confidence?, words?: [{ word, start, end, confidence? }] }
+ */
+
+const { postWithRetry } = require('./http');
+
+const NAME = 'local';
+const DEFAULT_TTS_FORMATS = 'mp3,wav,pcm';
+
+// Local hardware can be slow on long sentences
+const TTS_TIMEOUT_MS = 30000;
+const STT_TIMEOUT_MS = 60000;
+
+function getBaseUrl() {
+  return (process.env.LOCAL_PROVIDER_URL || '').replace(/\/+$/, '');
+}
+
+function isConfigured() {
+  return !!getBaseUrl();
+}
+
+function capabilities() {
+  const formats = (process.env.LOCAL_PROVIDER_TTS_FORMATS || DEFAULT_TTS_FORMATS)
+    .split(',')
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    tts: { formats, streaming: true, timestamps: false },
+    stt: { wordTimestamps: false }
+  };
+}
+
+/**
+ * Voice identity used in TTS cache keys
+ * Prefixed so local audio never collides with ElevenLabs entries.
+ */
+function voiceKey(voice) {
+  return `${NAME}:${voice.id}`;
+}
+
+/**
+ * Transcription model identity used in STT cache keys
+ * The stand-in contract has no model selection, so the provider is the model.
+ */
+function sttModelKey() {
+  return NAME;
+}
+
+/**
+ * Synthesize speech
+ * @param {object} request - See providers/elevenlabs.js synthesize()
+ * @returns {Promise<object>} { ok, audio?, stream? } or { ok: false, status, error, details }
+ */
+async function synthesize({ text, voice, voiceSettings, formatName, stream = false }) {
+  const response = await postWithRetry(`${getBaseUrl()}/tts`, () => ({
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text,
+      voice: voice.id,
+      format: formatName,
+      speed: voiceSettings.speed,
+      stability: voiceSettings.stability,
+      style: voiceSettings.style
+    })
+  }), TTS_TIMEOUT_MS);
+
+  console.log(`[Local] TTS response: status=${response.status}, content-type=${response.headers.get('content-type')}`);
+
+  if (!response.ok) {
+    return {
+      ok: false,
+      status: response.status,
+      error: 'Local TTS error',
+      details: await response.text()
+    };
+  }
+
+  if (stream) {
+    return { ok: true, stream: response.body };
+  }
+
+  const audio = Buffer.from(await response.arrayBuffer());
+  if (audio.length === 0) {
+    return {
+      ok: false,
+      status: 502,
+      error: 'Local TTS returned empty audio',
+      details: 'Audio buffer is empty'
+    };
+  }
+
+  return { ok: true, audio, alignment: null };
+}
+
+/**
+ * Transcribe speech
+ * @param {object} request - See providers/elevenlabs.js transcribe()
+ * @returns {Promise<object>} { ok, rawText, language, confidence, words } or { ok: false, status, error, details }
+ */
+async function transcribe({ audioBuffer, language, mimeType = 'audio/wav', filename = 'audio.wav' }) {
+  const { FormData, Blob } = await import('node-fetch');
+
+  const response = await postWithRetry(`${getBaseUrl()}/stt`, () => {
+    const formData = new FormData();
+    formData.append('file', new Blob([audioBuffer], { type: mimeType }), filename);
+    if (language) formData.append('language', language);
+    return { body: formData };
+  }, STT_TIMEOUT_MS);
+
+  if (!response.ok) {
+    return {
+      ok: false,
+      status: response.status,
+      error: 'Local STT error',
+      details: await response.text()
+    };
+  }
+
+  const result = await response.json();
+
+  return {
+    ok: true,
+    rawText: result.text || '',
+    language: result.language || language || 'ko',
+    confidence: typeof result.confidence === 'number' ? result.confidence : null,
+    words: Array.isArray(result.words)
+      ? result.words.map(w => ({
+        word: w.word ?? w.text,
+        start: w.start,
+        end: w.end,
+        confidence: typeof w.confidence === 'number' ? w.confidence : null
+      }))
+      : []
+  };
+}
+
+module.exports = {
+  name: NAME,
+  envKey: 'LOCAL_PROVIDER_URL',
+  isConfigured,
+  capabilities,
+  voiceKey,
+  sttModelKey,
+  synthesize,
+  transcribe
+};
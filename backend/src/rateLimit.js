@@ -25,6 +25,50 @@ function cleanupExpired() {
 // Cleanup every 5 minutes
 setInterval(cleanupExpired, 5 * 60 * 1000);
 
+/**
+ * Count one request for an IP
+ * @param {string} ip
+ * @param {number} limit - Max requests per window
+ * @returns {{ limited: boolean, remaining: number, resetSeconds: number }}
+ */
+function checkRateLimit(ip, limit = DEFAULT_LIMIT) {
+  const now = Date.now();
+  let data = ipStore.get(ip);
+
+  // Initialize or reset if window expired
+  if (!data || now > data.resetTime) {
+    data = {
+      count: 0,
+      resetTime: now + WINDOW_MS
+    };
+    ipStore.set(ip, data);
+  }
+
+  // Increment count
+  data.count++;
+
+  const limited = data.count > limit;
+  if (limited) {
+    console.log(`[RateLimit] Blocked: ${ip} (${data.count}/${limit} requests)`);
+  }
+  return {
+    limited,
+    remaining: Math.max(0, limit - data.count),
+    resetSeconds: Math.ceil((data.resetTime - now) / 1000)
+  };
+}
+
+/**
+ * Client IP of a raw request outside Express (WebSocket upgrades)
+ * Matches req.ip with "trust proxy" set to 1: the address added by the nearest
+ * proxy, else the socket peer.
+ */
+function getUpgradeIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',').pop().trim();
+  return req.socket.remoteAddress || 'unknown';
+}
+
 /**
  * Rate limit middleware factory
  * @param {number} limit - Max requests per window (default: 60)
@@ -38,32 +82,15 @@ function createRateLimiter(limit = DEFAULT_LIMIT) {
                req.connection?.remoteAddress ||
                'unknown';
 
-    const now = Date.now();
-    let data = ipStore.get(ip);
-
-    // Initialize or reset if window expired
-    if (!data || now > data.resetTime) {
-      data = {
-        count: 0,
-        resetTime: now + WINDOW_MS
-      };
-      ipStore.set(ip, data);
-    }
-
-    // Increment count
-    data.count++;
+    const { limited, remaining, resetSeconds } = checkRateLimit(ip, limit);
 
     // Set rate limit headers
-    const remaining = Math.max(0, limit - data.count);
-    const resetSeconds = Math.ceil((data.resetTime - now) / 1000);
-
     res.set('X-RateLimit-Limit', String(limit));
     res.set('X-RateLimit-Remaining', String(remaining));
     res.set('X-RateLimit-Reset', String(resetSeconds));
 
     // Check if over limit
-    if (data.count > limit) {
-      console.log(`[RateLimit] Blocked: ${ip} (${data.count}/${limit} requests)`);
+    if (limited) {
       return res.status(429).json({
         ok: false,
         error: 'Too many requests',
@@ -100,6 +127,8 @@ function clearAll() {
 
 module.exports = {
   createRateLimiter,
+  checkRateLimit,
+  getUpgradeIp,
   getStats,
   clearAll,
   DEFAULT_LIMIT,
@@ -0,0 +1,188 @@
+/**
+ * Revised Romanization of Korean (국어의 로마자 표기법)
+ *
+ * Revised Romanization follows pronunciation: 같이 -> gachi, 신라 -> silla.
+ * The text is run through the standard pronunciation rules (g2p.js) first:
+ * - standard: the sound changes the system writes (all but tensification: 학교 -> hakgyo)
+ * - pronunciation: everything as said, tensification included (학교 -> hakkyo)
+ *
+ * GET /api/romanize?text=같이 가요&mode=pronunciation
+ */
+
+const { decomposeSyllable } = require('./jamo');
+const { pronounce, RULES } = require('./g2p');
+
+const MAX_TEXT_LENGTH = 500;
+
+const INITIALS = {
+  'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm', 'ㅂ': 'b', 'ㅃ': 'pp',
+  'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj', 'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+};
+
+const MEDIALS = {
+  'ㅏ': 'a', 'ㅐ': 'ae', 'ㅑ': 'ya', 'ㅒ': 'yae', 'ㅓ': 'eo', 'ㅔ': 'e', 'ㅕ': 'yeo', 'ㅖ': 'ye',
+  'ㅗ': 'o', 'ㅘ': 'wa', 'ㅙ': 'wae', 'ㅚ': 'oe', 'ㅛ': 'yo', 'ㅜ': 'u', 'ㅝ': 'wo', 'ㅞ': 'we',
+  'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'eu', 'ㅢ': 'ui', 'ㅣ': 'i'
+};
+
+// Finals are written by the sound they make (only k, n, t, l, m, p, ng occur)
+const FINALS = {
+  '': '', 'ㄱ': 'k', 'ㄲ': 'k', 'ㅋ': 'k', 'ㄳ': 'k', 'ㄺ': 'k',
+  'ㄴ': 'n', 'ㄵ': 'n', 'ㄶ': 'n',
+  'ㄷ': 't', 'ㅅ': 't', 'ㅆ': 't', 'ㅈ': 't', 'ㅊ': 't', 'ㅌ': 't', 'ㅎ': 't',
+  'ㄹ': 'l', 'ㄼ': 'l', 'ㄽ': 'l', 'ㄾ': 'l', 'ㅀ': 'l',
+  'ㅁ': 'm', 'ㄻ': 'm',
+  'ㅂ': 'p', 'ㅍ': 'p', 'ㅄ': 'p', 'ㄿ': 'p',
+  'ㅇ': 'ng'
+};
+
+// Sound changes written per mode
+const MODES = {
+  standard: Object.keys(RULES).filter(rule => rule !== 'tensification'),
+  pronunciation: Object.keys(RULES)
+};
+const DEFAULT_MODE = 'standard';
+
+/**
+ * Romanization mode for a request
+ * @param {string} [value] - Requested mode (default: standard)
+ * @returns {{ ok: true, mode: string }|{ ok: false, error: string, details: string }}
+ */
+function resolveRomanizationMode(value) {
+  const mode = value || DEFAULT_MODE;
+  if (!Object.prototype.hasOwnProperty.call(MODES, mode)) {
+    return {
+      ok: false,
+      error: 'Invalid romanization mode',
+      details: `Use one of: ${Object.keys(MODES).join(', ')}`
+    };
+  }
+  return { ok: true, mode };
+}
+
+/**
+ * Transliterate Hangul letter by letter, one entry per character (no sound changes applied)
+ * ㄹ is "l" after a final ㄹ (ll) and "r" elsewhere. Other characters are kept.
+ * @param {string} text
+ * @returns {string[]} Same length as text
+ */
+function transliterateSyllables(text) {
+  const out = [];
+  let previous = null;
+  for (const char of text) {
+    const jamo = decomposeSyllable(char);
+    if (!jamo) {
+      out.push(char);
+      previous = null;
+      continue;
+    }
+    let initial = jamo.initial === 'ㄹ' && previous && previous.final === 'ㄹ' ? 'l' : INITIALS[jamo.initial];
+    // A tense consonant after the same stop is written once: 학꾜 -> hakkyo
+    if (previous && initial.length === 2 && initial[0] === initial[1] && FINALS[previous.final] === initial[0]) {
+      initial = initial[0];
+    }
+    out.push(initial + MEDIALS[jamo.medial] + FINALS[jamo.final]);
+    previous = jamo;
+  }
+  return out;
+}
+
+/**
+ * Transliterate Hangul letter by letter (no sound changes applied)
+ * @param {string} text
+ * @returns {string}
+ */
+function transliterate(text) {
+  return transliterateSyllables(text).join('');
+}
+
+/**
+ * Revised Romanization of each character, read in context (같이 -> ["ga", "chi"])
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.mode] - standard | pronunciation
+ * @returns {string[]} Same length as text
+ */
+function romanizeSyllables(text, { mode = DEFAULT_MODE } = {}) {
+  return transliterateSyllables(pronounce(text, { rules: MODES[mode] }).pronunciation);
+}
+
+/**
+ * Revised Romanization of Korean text
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.mode] - standard | pronunciation
+ * @returns {string} e.g. "같이 가요" -> "gachi gayo"
+ */
+function romanize(text, options) {
+  return romanizeSyllables(text, options).join('');
+}
+
+/**
+ * Add romanized to each diff unit (and gotRomanized to wrong units), in place
+ * @param {object[]} units - From buildCharacterDiff
+ * @param {string} reference - Normalized text the diff was built on
+ * @param {string} hypothesis - Normalized text the diff was built on
+ * @param {object} [options]
+ * @param {string} [options.mode] - standard | pronunciation
+ * @returns {object[]} units
+ */
+function romanizeUnits(units, reference, hypothesis, options) {
+  const target = romanizeSyllables(reference, options);
+  const transcript = romanizeSyllables(hypothesis, options);
+  let i = 0;
+  let j = 0;
+  for (const unit of units) {
+    const onTarget = unit.status !== 'extra' && unit.status !== 'extra-space';
+    const onTranscript = unit.status !== 'missing' && unit.status !== 'missing-space';
+    unit.romanized = onTarget ? target[i] : transcript[j];
+    if (unit.status === 'wrong') unit.gotRomanized = transcript[j];
+    if (onTarget) i++;
+    if (onTranscript) j++;
+  }
+  return units;
+}
+
+/**
+ * GET /api/romanize handler
+ *
+ * Query: text (required, max 500 characters), mode (standard | pronunciation, default standard)
+ * Response: { ok, text, mode, romanized }
+ */
+function romanizeHandler(req, res) {
+  const text = typeof req.query.text === 'string' ? req.query.text.trim() : '';
+
+  if (!text) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Missing "text" query parameter',
+      details: 'Use GET /api/romanize?text=<Korean sentence>'
+    });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Text too long',
+      details: `Maximum length is ${MAX_TEXT_LENGTH} characters`
+    });
+  }
+
+  const resolved = resolveRomanizationMode(req.query.mode);
+  if (!resolved.ok) {
+    return res.status(400).json({ ok: false, error: resolved.error, details: resolved.details });
+  }
+
+  const romanized = romanize(text, { mode: resolved.mode });
+  console.log(`[Romanize] "${text.substring(0, 30)}" -> "${romanized.substring(0, 40)}" (${resolved.mode})`);
+  res.json({ ok: true, text, mode: resolved.mode, romanized });
+}
+
+module.exports = {
+  romanize,
+  romanizeSyllables,
+  romanizeUnits,
+  transliterate,
+  resolveRomanizationMode,
+  romanizeHandler
+};
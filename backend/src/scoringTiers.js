@@ -0,0 +1,75 @@
+/**
+ * Scoring Tiers - what an accuracy score means for feedback
+ *
+ * One policy for every scoring response and the tutor prompt:
+ * - correct: accuracy >= SCORING_TIER_CORRECT (default 90)
+ * - partial: accuracy >= SCORING_TIER_PARTIAL (default 65)
+ * - severe:  below that
+ *
+ * Clients read the thresholds from GET /api/config instead of hard-coding them.
+ * The Unity tutor states map as correct -> FEEDBACK_EXCELLENT, partial ->
+ * FEEDBACK_PASS, severe -> FEEDBACK_FAIL.
+ */
+
+// Same as the Unity client's pass mark (FEEDBACK_PASS from 65%, EXCELLENT from 90%)
+const DEFAULT_THRESHOLDS = { correct: 90, partial: 65 };
+
+const TIERS = [
+  { tier: 'correct', clientState: 'FEEDBACK_EXCELLENT' },
+  { tier: 'partial', clientState: 'FEEDBACK_PASS' },
+  { tier: 'severe', clientState: 'FEEDBACK_FAIL' }
+];
+
+const isPercent = value => Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Tier thresholds from config
+ * Falls back to the defaults when a value is not a percentage or partial > correct.
+ * @returns {{ correct: number, partial: number }} Minimum accuracyPercent per tier
+ */
+function getTierThresholds() {
+  const correct = parseFloat(process.env.SCORING_TIER_CORRECT);
+  const partial = parseFloat(process.env.SCORING_TIER_PARTIAL);
+  const thresholds = {
+    correct: isPercent(correct) ? correct : DEFAULT_THRESHOLDS.correct,
+    partial: isPercent(partial) ? partial : DEFAULT_THRESHOLDS.partial
+  };
+  return thresholds.partial <= thresholds.correct ? thresholds : { ...DEFAULT_THRESHOLDS };
+}
+
+/**
+ * Tier of an accuracy score
+ * @param {number} accuracyPercent - 0..100
+ * @param {{ correct: number, partial: number }} [thresholds] - Default: from config
+ * @returns {'correct'|'partial'|'severe'}
+ */
+function getTier(accuracyPercent, thresholds = getTierThresholds()) {
+  if (accuracyPercent >= thresholds.correct) return 'correct';
+  if (accuracyPercent >= thresholds.partial) return 'partial';
+  return 'severe';
+}
+
+/**
+ * Tier policy as published to clients
+ * @returns {Array<{ tier: string, minAccuracyPercent: number, maxAccuracyPercent: number, clientState: string }>}
+ *          maxAccuracyPercent is exclusive except for correct (100)
+ */
+function describeTiers(thresholds = getTierThresholds()) {
+  const bounds = {
+    correct: [thresholds.correct, 100],
+    partial: [thresholds.partial, thresholds.correct],
+    severe: [0, thresholds.partial]
+  };
+  return TIERS.map(({ tier, clientState }) => ({
+    tier,
+    minAccuracyPercent: bounds[tier][0],
+    maxAccuracyPercent: bounds[tier][1],
+    clientState
+  }));
+}
+
+module.exports = {
+  getTierThresholds,
+  getTier,
+  describeTiers
+};
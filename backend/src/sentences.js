@@ -1,10 +1,14 @@
 /**
  * Sentences Handler
  * Serves Korean sentences for shadowing practice
+ *
+ * A sentence may list equally correct variants in "alternates"
+ * (저는/전, 해요/합니다 endings...); scoring accepts the closest one.
  */
 
 const path = require('path');
 const fs = require('fs');
+const { getPronunciation } = require('./pronunciation');
 
 // Load sentences from JSON file
 let sentencesData = null;
@@ -17,6 +21,7 @@ function loadSentences() {
   try {
     const raw = fs.readFileSync(filePath, 'utf8');
     sentencesData = JSON.parse(raw);
+    sentencesData.sentences = sentencesData.sentences.map(checkAlternates);
     console.log(`[Sentences] Loaded ${sentencesData.sentences.length} sentences`);
     return sentencesData;
   } catch (err) {
@@ -24,20 +29,113 @@ function loadSentences() {
     // Return minimal fallback
     return {
       sentences: [
-        { id: 1, korean: "안녕하세요", english: "Hello", category: "daily" },
-        { id: 2, korean: "감사합니다", english: "Thank you", category: "daily" }
+        { id: 1, korean: "안녕하세요", english: "Hello", category: "daily", alternates: [] },
+        { id: 2, korean: "감사합니다", english: "Thank you", category: "daily", alternates: [] }
       ]
     };
   }
 }
 
+// Punctuation, symbols and spacing don't make two texts different sentences
+const comparable = text => text.replace(/[\s\p{P}\p{S}]/gu, '').toLowerCase();
+
+/**
+ * Problems with one alternate of a sentence
+ * @param {object} sentence
+ * @param {*} alternate
+ * @param {number} index - Position in sentence.alternates
+ * @returns {string|null} null if the alternate is valid
+ */
+function checkAlternate(sentence, alternate, index) {
+  if (typeof alternate !== 'string' || !alternate.trim()) return 'must be a non-empty string';
+  if (comparable(alternate) === comparable(sentence.korean)) return 'same as "korean"';
+  const earlier = sentence.alternates.slice(0, index).some(a => typeof a === 'string' && comparable(a) === comparable(alternate));
+  if (earlier) return 'duplicate';
+  return null;
+}
+
+/**
+ * Validate a sentence's alternates
+ * @param {object} sentence
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateAlternates(sentence) {
+  if (sentence.alternates === undefined) return [];
+  if (!Array.isArray(sentence.alternates)) return ['"alternates" must be an array'];
+  return sentence.alternates
+    .map((alternate, index) => {
+      const problem = checkAlternate(sentence, alternate, index);
+      return problem && `alternate ${index} (${JSON.stringify(alternate)}): ${problem}`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Keep the valid alternates of a sentence (logs the rest)
+ */
+function checkAlternates(sentence) {
+  for (const problem of validateAlternates(sentence)) {
+    console.warn(`[Sentences] Sentence ${sentence.id}: ignoring ${problem}`);
+  }
+  const alternates = Array.isArray(sentence.alternates)
+    ? sentence.alternates.filter((alternate, index) => !checkAlternate(sentence, alternate, index))
+    : [];
+  return { ...sentence, alternates };
+}
+
+/**
+ * Find a sentence by id, or by its Korean text (ignoring punctuation and spacing)
+ * @param {{ id?: number|string, text?: string }} query
+ * @returns {object|null}
+ */
+function findSentence({ id, text }) {
+  const { sentences } = loadSentences();
+  if (id !== undefined && id !== null && id !== '') {
+    return sentences.find(s => String(s.id) === String(id)) || null;
+  }
+  const key = comparable(text || '');
+  return sentences.find(s => comparable(s.korean) === key) || null;
+}
+
+/**
+ * Accepted answers for a target text: the text itself, then its sentence's alternates
+ * @param {string} targetText
+ * @param {number|string} [sentenceId] - Sentence to take alternates from (default: looked up by text)
+ * @returns {{ sentenceId: number|null, variants: string[] }|null} null if sentenceId is unknown
+ */
+function getAcceptedVariants(targetText, sentenceId) {
+  const byId = sentenceId !== undefined && sentenceId !== null && sentenceId !== '';
+  const sentence = findSentence({ id: sentenceId, text: targetText });
+  if (byId && !sentence) return null;
+  if (!sentence) return { sentenceId: null, variants: [targetText] };
+
+  const variants = [targetText];
+  for (const text of [sentence.korean, ...sentence.alternates]) {
+    if (!variants.some(v => comparable(v) === comparable(text))) variants.push(text);
+  }
+  return { sentenceId: sentence.id, variants };
+}
+
+/**
+ * Pronunciation fields attached to a sentence entry
+ */
+function describePronunciation(korean) {
+  const { pronunciation, display, romanization, rules } = getPronunciation(korean);
+  return { pronunciation, display, romanization, rules };
+}
+
 /**
  * GET /api/sentences handler
+ *
+ * Query: category (optional), pronunciation=true to attach each sentence's
+ * standard pronunciation, romanization and rules (see pronunciation.js)
+ * Each sentence lists its accepted alternates (empty array when none).
  */
 function getSentences(req, res) {
   try {
     const data = loadSentences();
     const { category } = req.query;
+    const withPronunciation = String(req.query.pronunciation).toLowerCase() === 'true';
 
     let sentences = data.sentences;
 
@@ -53,6 +151,10 @@ function getSentences(req, res) {
       sentences = sentences.filter(s => s.category === category);
     }
 
+    if (withPronunciation) {
+      sentences = sentences.map(s => ({ ...s, pronunciation: describePronunciation(s.korean) }));
+    }
+
     res.json({
       total: sentences.length,
       categories: ['daily', 'travel', 'cafe', 'school', 'work'],
@@ -71,4 +173,4 @@ function reloadSentences() {
   return loadSentences();
 }
 
-module.exports = { getSentences, loadSentences, reloadSentences };
+module.exports = { getSentences, loadSentences, reloadSentences, validateAlternates, findSentence, getAcceptedVariants };
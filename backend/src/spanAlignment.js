@@ -0,0 +1,58 @@
+/**
+ * Span alignment - which part of the other text lines up with a stretch of this one
+ *
+ * Choosing a reading (koreanNormalize.js) or a pronunciation (g2p.js) per token
+ * only needs the stretch of the other text the token lines up with. Both texts
+ * are aligned once (plain Levenshtein, O(n·m)) and each option is then compared
+ * with its own span, instead of re-scoring the whole sentence per option.
+ */
+
+/**
+ * Stretch of the hypothesis aligned with each span of the reference
+ * Characters the hypothesis inserts at a span's edges are included, so adjacent
+ * spans may share them.
+ * @param {string} reference
+ * @param {string} hypothesis
+ * @param {Array<[number, number]>} spans - [start, end) offsets in reference
+ * @returns {string[]} One hypothesis substring per span
+ */
+function alignSpans(reference, hypothesis, spans) {
+  const m = reference.length;
+  const n = hypothesis.length;
+
+  const dp = Array(m + 1).fill(null).map(() => new Uint32Array(n + 1));
+  for (let i = 1; i <= m; i++) dp[i][0] = i;
+  for (let j = 1; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      dp[i][j] = reference[i - 1] === hypothesis[j - 1]
+        ? dp[i - 1][j - 1]
+        : 1 + Math.min(dp[i - 1][j - 1], dp[i - 1][j], dp[i][j - 1]);
+    }
+  }
+
+  // First and last hypothesis offset the alignment path visits at each reference offset
+  const first = new Array(m + 1).fill(0);
+  const last = new Array(m + 1).fill(0);
+  let i = m, j = n;
+  last[m] = n;
+  first[m] = n;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1)) {
+      i--; j--;
+      last[i] = j;
+    } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+      i--;
+      last[i] = j;
+    } else {
+      j--;
+    }
+    first[i] = j;
+  }
+
+  return spans.map(([start, end]) => hypothesis.slice(first[start], last[end]));
+}
+
+module.exports = {
+  alignSpans
+};
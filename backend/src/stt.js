@@ -1,17 +1,18 @@
 /**
- * STT Handler - ElevenLabs Speech-to-Text
+ * STT Handler - Speech-to-Text via the provider chain (ElevenLabs, local stand-in)
  *
  * REAL mode only - no mock fallback.
- * Returns HTTP 503 if ELEVENLABS_API_KEY not configured.
- *
- * ElevenLabs STT API: https://elevenlabs.io/docs/api-reference/speech-to-text
+ * Returns HTTP 503 if no provider in STT_PROVIDERS is configured.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { retryFetch } = require('./retry');
-const { isElevenLabsConfigured } = require('./mockMode');
+const { getConfiguredProviders, getActiveProvider, transcribeWithFallback, PROVIDERS, CHAIN_ENV } = require('./providers');
+const { buildWordTimings } = require('./sttWords');
+const { identifyAudio } = require('./audioInput');
+const { screenForSpeech, getSpeechRange } = require('./vad');
+const { decodeAudioInput, createWavBuffer } = require('./pronounce');
 
 // Cache directory for STT results
 const STT_CACHE_DIR = path.join(__dirname, '..', 'cache', 'stt');
@@ -21,9 +22,6 @@ if (!fs.existsSync(STT_CACHE_DIR)) {
   fs.mkdirSync(STT_CACHE_DIR, { recursive: true });
 }
 
-// API timeout in milliseconds
-const API_TIMEOUT_MS = 60000;
-
 // Maximum file size: 25MB
 const MAX_FILE_SIZE = 25 * 1024 * 1024;
 
@@ -54,10 +52,39 @@ function sanitizeTranscript(text) {
 }
 
 /**
- * Generate cache key from audio buffer
+ * Identity of the model that will transcribe (the active STT provider's)
+ */
+function getSttModelKey() {
+  const provider = getActiveProvider('stt');
+  return provider ? provider.sttModelKey() : 'none';
+}
+
+/**
+ * Generate cache key from audio content, language and model
+ * @param {Buffer} content - Normalized PCM (see getCacheContent), or the upload bytes
+ * @param {string} [language='ko']
+ * @param {string} [model] - Model identity (default: active STT provider)
  */
-function generateCacheKey(audioBuffer) {
-  return crypto.createHash('sha256').update(audioBuffer).digest('hex');
+function generateCacheKey(content, language = 'ko', model = getSttModelKey()) {
+  return crypto.createHash('sha256')
+    .update(`${model}\n${language}\n`)
+    .update(content)
+    .digest('hex');
+}
+
+/**
+ * Audio content for the cache key
+ * The decoded PCM16 mono 16kHz samples, so the same speech re-encoded with a
+ * different WAV header (or extra chunks) hits the same entry. Uploads that
+ * cannot be decoded locally are keyed on their bytes.
+ * @param {Buffer} audioBuffer - Upload
+ * @param {object} [decoded] - { pcmBuffer } if already decoded
+ * @returns {Promise<Buffer>}
+ */
+async function getCacheContent(audioBuffer, decoded = null) {
+  if (decoded) return decoded.pcmBuffer;
+  const result = await decodeAudioInput(audioBuffer);
+  return result.ok ? result.pcmBuffer : audioBuffer;
 }
 
 function getCachePath(cacheKey) {
@@ -77,20 +104,123 @@ function writeCache(cacheKey, result) {
   fs.writeFileSync(getCachePath(cacheKey), JSON.stringify(result, null, 2), 'utf8');
 }
 
+/**
+ * What to send the STT provider
+ * With the VAD's result only the speech (plus padding) is uploaded, as WAV, so
+ * leading/trailing silence is neither billed nor transcribed; offset maps the
+ * provider's word times back onto the recording.
+ * @returns {{ audioBuffer: Buffer, mimeType: string, filename: string, offset: number }}
+ */
+function getUpload(audioBuffer, input, decoded, speech) {
+  const range = decoded && speech ? getSpeechRange(decoded.sampleRate, speech) : null;
+  if (!range) {
+    return { audioBuffer, mimeType: input.mimeType, filename: `audio.${input.extension}`, offset: 0 };
+  }
+  return {
+    audioBuffer: createWavBuffer(decoded.pcmBuffer.subarray(range.startSample * 2, range.endSample * 2), decoded.sampleRate),
+    mimeType: 'audio/wav',
+    filename: 'audio.wav',
+    offset: range.startSample / decoded.sampleRate
+  };
+}
+
+/**
+ * Transcribe through the STT cache (shared by /api/stt and /api/eval)
+ * @param {object} request
+ * @param {Buffer} request.audioBuffer - Upload that passed identifyAudio
+ * @param {object} request.input - Container info from identifyAudio
+ * @param {string} [request.language='ko']
+ * @param {object} [request.decoded] - { pcmBuffer, sampleRate } if already decoded (e.g. by the VAD)
+ * @param {object} [request.speech] - VAD result for decoded; the provider then gets only the speech
+ * @param {string} [request.model] - Model identity for the key (default: active STT provider)
+ * @param {Function} [request.transcribe] - Replaces the provider chain (MODE=MOCK)
+ * @returns {Promise<object>} { ok, cached, cacheKey, result } or { ok: false, status, error, details, attempts }
+ *   result: { ok, text, transcriptText, rawTranscriptText, language, confidence, provider, words, hesitations }
+ */
+async function transcribeWithCache({ audioBuffer, input, language = 'ko', decoded = null, speech = null, model = getSttModelKey(), transcribe }) {
+  const cacheKey = generateCacheKey(await getCacheContent(audioBuffer, decoded), language, model);
+
+  if (isCached(cacheKey)) {
+    console.log(`[STT] Cache HIT for ${cacheKey.substring(0, 12)}...`);
+    const result = readCache(cacheKey);
+    // Entries cached before word timings were recorded
+    result.words = result.words || [];
+    result.hesitations = result.hesitations || [];
+    return { ok: true, cached: true, cacheKey, result };
+  }
+
+  const upload = getUpload(audioBuffer, input, decoded, speech);
+  console.log(`[STT] Transcribing ${cacheKey.substring(0, 12)}... (${upload.audioBuffer.length} bytes, ${upload.mimeType}, language_code: ${language})`);
+  const sttResult = transcribe
+    ? await transcribe()
+    : await transcribeWithFallback({
+      audioBuffer: upload.audioBuffer,
+      language,
+      mimeType: upload.mimeType,
+      filename: upload.filename
+    });
+
+  if (!sttResult.ok) {
+    return { ...sttResult, cacheKey };
+  }
+
+  // Word times relative to the recording, not the trimmed upload
+  const shift = t => (typeof t === 'number' ? Math.round((t + upload.offset) * 1000) / 1000 : t);
+  const words = transcribe || !upload.offset || !sttResult.words
+    ? sttResult.words
+    : sttResult.words.map(w => ({ ...w, start: shift(w.start), end: shift(w.end) }));
+
+  // Get raw text and sanitize for UI
+  const rawText = sttResult.rawText || '';
+  const cleanText = sanitizeTranscript(rawText);
+
+  // Build standardized response
+  const result = {
+    ok: true,
+    text: cleanText,                   // Clean text for UI display
+    transcriptText: cleanText,         // Alias for UI (preferred field name)
+    rawTranscriptText: rawText,        // Original text for debugging
+    language: sttResult.language,
+    confidence: sttResult.confidence,
+    provider: sttResult.provider,
+    ...buildWordTimings(words)
+  };
+
+  // A fallback provider's transcript does not belong under the active model's key
+  const producer = PROVIDERS[sttResult.provider];
+  if (transcribe || (producer && producer.sttModelKey() === model)) {
+    writeCache(cacheKey, result);
+  }
+
+  console.log(`[STT] Result: "${cleanText.substring(0, 50)}${cleanText.length > 50 ? '...' : ''}"`);
+  if (rawText !== cleanText) {
+    console.log(`[STT] Raw (pre-sanitize): "${rawText.substring(0, 50)}${rawText.length > 50 ? '...' : ''}"`);
+  }
+
+  return { ok: true, cached: false, cacheKey, result };
+}
+
 /**
  * POST /api/stt handler
  *
- * Request: multipart/form-data with 'audio' file
- * Response: { ok, text, confidence? }
+ * Request: multipart/form-data with 'audio' file (WAV, WebM, Ogg, M4A, MP3, AAC or FLAC;
+ *          identified by content, so the upload's own Content-Type does not matter)
+ * Response: { ok, text, confidence?, provider, words, hesitations, speech }
+ *   words: [{ index, word, start, end, confidence, lowConfidence }] (seconds)
+ *   hesitations: [{ wordIndex, start, end, duration }] - long pauses before a word
+ *   speech: { start, end, speechDuration, recordingDuration, segments } from VAD,
+ *           null if the upload could not be decoded locally
+ * Recordings without speech are rejected (422 NO_SPEECH / SPEECH_TOO_SHORT)
+ * before the provider is called.
  */
 async function sttHandler(req, res) {
   try {
     // Check if configured
-    if (!isElevenLabsConfigured()) {
+    if (getConfiguredProviders('stt').length === 0) {
       return res.status(503).json({
         ok: false,
         error: 'Service unavailable',
-        details: 'ELEVENLABS_API_KEY not configured'
+        details: `No STT provider configured (${CHAIN_ENV.stt})`
       });
     }
 
@@ -114,88 +244,55 @@ async function sttHandler(req, res) {
       });
     }
 
-    // Check cache
-    const cacheKey = generateCacheKey(audioBuffer);
-    if (isCached(cacheKey)) {
-      console.log(`[STT] Cache HIT for ${cacheKey.substring(0, 12)}...`);
-      const cachedResult = readCache(cacheKey);
-      cachedResult.cached = true;
-      res.set('X-Cache', 'HIT');
-      return res.json(cachedResult);
+    // Identify the container so the provider gets the right MIME type
+    const identified = identifyAudio(audioBuffer);
+    if (!identified.ok) {
+      return res.status(identified.status).json({
+        ok: false,
+        error: identified.error,
+        code: identified.code,
+        details: identified.details
+      });
     }
+    const { input } = identified;
 
-    // Call ElevenLabs STT API
-    console.log(`[STT] Calling ElevenLabs STT for ${cacheKey.substring(0, 12)}... (${audioBuffer.length} bytes)`);
-
-    const fetch = (await import('node-fetch')).default;
-    const { FormData, Blob } = await import('node-fetch');
-
-    const response = await retryFetch(async () => {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
-
-      try {
-        const formData = new FormData();
-        const audioBlob = new Blob([audioBuffer], { type: 'audio/wav' });
-        formData.append('file', audioBlob, 'audio.wav');
-        formData.append('model_id', 'scribe_v1'); // ElevenLabs Scribe model
-        // CRITICAL: Force Korean language to prevent Chinese/other language detection
-        // Get language from request body (default to Korean)
-        const requestedLanguage = req.body?.language || 'ko';
-        formData.append('language_code', requestedLanguage);
-        console.log(`[STT] Using language_code: ${requestedLanguage}`);
-
-        const res = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-          method: 'POST',
-          headers: {
-            'xi-api-key': process.env.ELEVENLABS_API_KEY
-          },
-          body: formData,
-          signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-        return res;
-      } catch (err) {
-        clearTimeout(timeoutId);
-        throw err;
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[STT] ElevenLabs error (${response.status}):`, errorText);
-      return res.status(response.status).json({
+    // Reject silent recordings before paying for (or hallucinating) a transcript
+    const screened = await screenForSpeech(audioBuffer);
+    if (!screened.ok) {
+      return res.status(screened.status).json({
         ok: false,
-        error: 'ElevenLabs STT API error',
-        details: errorText
+        error: screened.error,
+        code: screened.code,
+        details: screened.details
       });
     }
 
-    const apiResult = await response.json();
-
-    // Get raw text and sanitize for UI
-    const rawText = apiResult.text || '';
-    const cleanText = sanitizeTranscript(rawText);
-
-    // Build standardized response
-    const result = {
-      ok: true,
-      text: cleanText,                   // Clean text for UI display
-      transcriptText: cleanText,         // Alias for UI (preferred field name)
-      rawTranscriptText: rawText,        // Original text for debugging
-      language: apiResult.language_code || 'ko',
-      confidence: apiResult.language_probability || null
-    };
+    // CRITICAL: Force Korean language to prevent Chinese/other language detection
+    // Get language from request body (default to Korean)
+    const transcription = await transcribeWithCache({
+      audioBuffer,
+      input,
+      language: req.body?.language || 'ko',
+      decoded: screened.decoded,
+      speech: screened.speech
+    });
 
-    // Cache the result
-    writeCache(cacheKey, result);
-    console.log(`[STT] Result: "${cleanText.substring(0, 50)}${cleanText.length > 50 ? '...' : ''}"`);
-    if (rawText !== cleanText) {
-      console.log(`[STT] Raw (pre-sanitize): "${rawText.substring(0, 50)}${rawText.length > 50 ? '...' : ''}"`);
+    if (!transcription.ok) {
+      return res.status(transcription.status).json({
+        ok: false,
+        error: transcription.error,
+        details: transcription.details,
+        attempts: transcription.attempts
+      });
     }
 
-    res.set('X-Cache', 'MISS');
-    res.json(result);
+    res.set('X-Cache', transcription.cached ? 'HIT' : 'MISS');
+    res.set('X-Cache-Key', transcription.cacheKey);
+    res.json({
+      ...transcription.result,
+      ...(transcription.cached && { cached: true }),
+      speech: screened.speech
+    });
 
   } catch (err) {
     console.error('[STT] Error:', err.message);
@@ -245,6 +342,9 @@ function clearSTTCache() {
 
 module.exports = {
   sttHandler,
+  transcribeWithCache,
+  generateCacheKey,
+  sanitizeTranscript,
   getSTTCacheStats,
   clearSTTCache
 };
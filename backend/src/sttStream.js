@@ -0,0 +1,372 @@
+/**
+ * Streaming STT - live partial transcripts over WebSocket
+ *
+ * WS /api/stt/stream lets the learner see what was recognized while still
+ * speaking. The client streams raw PCM16 mono frames; every
+ * STT_STREAM_PARTIAL_MS of new audio the recording so far is transcribed and
+ * a partial transcript is pushed back together with the running CER against
+ * the target sentence. With the paid provider chain the interval grows by
+ * STT_STREAM_PARTIAL_BACKOFF after each partial, so the audio uploaded for
+ * partials stays within a small multiple of the recording instead of growing
+ * with its square.
+ *
+ * Protocol (JSON text messages, audio as binary messages):
+ *   client -> { type: 'start', targetText, language?: 'ko', sampleRate?: 16000 }
+ *   server -> { type: 'ready', language, sampleRate, partialIntervalMs, partialBackoff, maxSeconds }
+ *   client -> <binary PCM16 little-endian mono frames>...
+ *   server -> { type: 'partial', text, cer, accuracyPercent, tier, audioSeconds }
+ *   client -> { type: 'stop' }
+ *   server -> { type: 'final', text, cer, accuracyPercent, tier, audioSeconds, provider, words, hesitations }
+ *             then closes the socket (1000)
+ *   server -> { type: 'error', code, error, details } on failure (socket is closed)
+ *
+ * Transcription is done by a transcriber ({ transcribe(pcm, sampleRate, { final }) })
+ * created per session: the STT provider chain in REAL mode, a simulator in MODE=MOCK.
+ *
+ * Upgrades count against the /api rate limit. Sessions that send no "start"
+ * or go quiet for STT_STREAM_IDLE_MS, or run longer than twice
+ * STT_STREAM_MAX_SECONDS without "stop", are closed.
+ *
+ * Environment Variables:
+ * - STT_STREAM_PARTIAL_MS: Audio between partial transcripts (default: 1000)
+ * - STT_STREAM_PARTIAL_BACKOFF: Interval multiplier after each provider partial (default: 2, 1 = fixed)
+ * - STT_STREAM_MAX_SECONDS: Longest recording accepted per session (default: 30)
+ * - STT_STREAM_IDLE_MS: Longest wait for the next message (default: 10000)
+ */
+
+const { WebSocketServer } = require('ws');
+const { computeCER, normalizeForScoring } = require('./feedback');
+const { getTier } = require('./scoringTiers');
+const { createWavBuffer } = require('./pronounce');
+const { sanitizeTranscript } = require('./stt');
+const { buildWordTimings } = require('./sttWords');
+const { getConfiguredProviders, transcribeWithFallback, CHAIN_ENV } = require('./providers');
+
+const STREAM_PATH = '/api/stt/stream';
+const DEFAULT_SAMPLE_RATE = 16000;
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+const MAX_TARGET_LENGTH = 500;
+const PCM_BYTES_PER_SAMPLE = 2;
+// Largest WebSocket message (about 2.7s of 48kHz PCM16 per frame)
+const MAX_MESSAGE_BYTES = 256 * 1024;
+// Wall-clock allowance per second of recording before a session without "stop" is closed
+const SESSION_TIME_FACTOR = 2;
+
+// Close codes (RFC 6455)
+const CLOSE_NORMAL = 1000;
+const CLOSE_POLICY = 1008;
+const CLOSE_TOO_BIG = 1009;
+const CLOSE_ERROR = 1011;
+
+function getSettings() {
+  const partialMs = parseInt(process.env.STT_STREAM_PARTIAL_MS, 10);
+  const maxSeconds = parseFloat(process.env.STT_STREAM_MAX_SECONDS);
+  return {
+    partialIntervalMs: Number.isInteger(partialMs) && partialMs > 0 ? partialMs : 1000,
+    maxSeconds: Number.isFinite(maxSeconds) && maxSeconds > 0 ? maxSeconds : 30
+  };
+}
+
+function getIdleMs() {
+  const idleMs = parseInt(process.env.STT_STREAM_IDLE_MS, 10);
+  return Number.isInteger(idleMs) && idleMs > 0 ? idleMs : 10000;
+}
+
+function getPartialBackoff() {
+  const backoff = parseFloat(process.env.STT_STREAM_PARTIAL_BACKOFF);
+  return Number.isFinite(backoff) && backoff >= 1 ? backoff : 2;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Running score of a transcript against the target sentence
+ * @returns {{ cer: number, accuracyPercent: number, tier: string }}
+ */
+function scoreTranscript(targetText, text) {
+  const compared = normalizeForScoring(targetText, text);
+  const { cer } = computeCER(compared.target, compared.transcript);
+  const accuracyPercent = Math.max(0, 100 - Math.round(cer * 100));
+  return {
+    cer: round3(cer),
+    accuracyPercent,
+    tier: getTier(accuracyPercent)
+  };
+}
+
+/**
+ * Validate the start message
+ * @param {object} message - { targetText, language?, sampleRate? }
+ * @returns {{ ok: boolean, start?: { targetText, language, sampleRate }, error?: string }}
+ */
+function parseStartMessage(message) {
+  const targetText = typeof message.targetText === 'string' ? message.targetText.trim() : '';
+  if (!targetText) {
+    return { ok: false, error: 'Missing "targetText" in start message' };
+  }
+  if (targetText.length > MAX_TARGET_LENGTH) {
+    return { ok: false, error: `"targetText" is too long (max ${MAX_TARGET_LENGTH} characters)` };
+  }
+
+  const sampleRate = message.sampleRate === undefined ? DEFAULT_SAMPLE_RATE : Number(message.sampleRate);
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    return { ok: false, error: `Invalid "sampleRate" (integer ${MIN_SAMPLE_RATE}-${MAX_SAMPLE_RATE})` };
+  }
+
+  const language = typeof message.language === 'string' && message.language ? message.language : 'ko';
+  return { ok: true, start: { targetText, language, sampleRate } };
+}
+
+/**
+ * Transcriber backed by the STT provider chain
+ * Each call uploads the whole recording so far as WAV, so partials back off
+ * (partialBackoff, see STT_STREAM_PARTIAL_BACKOFF).
+ * @param {{ language: string }} start
+ * @returns {object} Transcriber, or { error, details } if no provider is configured
+ */
+function createProviderTranscriber({ language }) {
+  if (getConfiguredProviders('stt').length === 0) {
+    return { error: 'Service unavailable', details: `No STT provider configured (${CHAIN_ENV.stt})` };
+  }
+
+  return {
+    partialBackoff: getPartialBackoff(),
+    async transcribe(pcm, sampleRate) {
+      const result = await transcribeWithFallback({
+        audioBuffer: createWavBuffer(pcm, sampleRate),
+        language,
+        mimeType: 'audio/wav',
+        filename: 'audio.wav'
+      });
+      if (!result.ok) return result;
+      return {
+        ok: true,
+        text: sanitizeTranscript(result.rawText || ''),
+        words: result.words,
+        provider: result.provider
+      };
+    }
+  };
+}
+
+/**
+ * One streaming session (one WebSocket connection)
+ */
+function handleConnection(ws, createTranscriber) {
+  const settings = getSettings();
+  const idleMs = getIdleMs();
+  const chunks = [];
+  let start = null;
+  let transcriber = null;
+  let totalBytes = 0;
+  let transcribedBytes = 0;
+  let intervalBytes = 0;
+  let partial = null;
+  let stopped = false;
+  let idleTimer = null;
+  let sessionTimer = null;
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const clearTimers = () => {
+    clearTimeout(idleTimer);
+    clearTimeout(sessionTimer);
+  };
+
+  const fail = (code, error, details, closeCode = CLOSE_POLICY) => {
+    stopped = true;
+    clearTimers();
+    send({ type: 'error', code, error, details });
+    ws.close(closeCode, code);
+  };
+
+  // Sockets that never start, or stop sending, must not stay open
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      fail('IDLE_TIMEOUT', 'Session idle', `No message for ${idleMs}ms; send "start", audio and "stop"`);
+    }, idleMs);
+  };
+
+  const audioSeconds = () => round3(totalBytes / PCM_BYTES_PER_SAMPLE / start.sampleRate);
+  const currentPcm = () => {
+    // Drop a trailing odd byte so the upload is whole samples
+    const pcm = Buffer.concat(chunks);
+    return pcm.subarray(0, pcm.length - (pcm.length % PCM_BYTES_PER_SAMPLE));
+  };
+
+  const runPartial = () => {
+    transcribedBytes = totalBytes;
+    intervalBytes *= transcriber.partialBackoff || 1;
+    partial = transcriber.transcribe(currentPcm(), start.sampleRate, { final: false })
+      .then((result) => {
+        if (stopped) return;
+        if (!result.ok) {
+          // A failed partial is not fatal; the final transcription tries again
+          console.warn(`[STT Stream] Partial failed: ${result.error}`);
+          return;
+        }
+        send({ type: 'partial', text: result.text, ...scoreTranscript(start.targetText, result.text), audioSeconds: audioSeconds() });
+      })
+      .catch(err => console.warn(`[STT Stream] Partial failed: ${err.message}`))
+      .finally(() => {
+        partial = null;
+      });
+  };
+
+  const onStart = (message) => {
+    if (start) return fail('ALREADY_STARTED', 'Session already started', 'Send "start" once per connection');
+
+    const parsed = parseStartMessage(message);
+    if (!parsed.ok) return fail('BAD_START', 'Invalid start message', parsed.error);
+
+    transcriber = createTranscriber(parsed.start);
+    if (transcriber.error) return fail('STT_UNAVAILABLE', transcriber.error, transcriber.details, CLOSE_ERROR);
+
+    start = parsed.start;
+    intervalBytes = start.sampleRate * PCM_BYTES_PER_SAMPLE * settings.partialIntervalMs / 1000;
+    sessionTimer = setTimeout(() => {
+      fail('SESSION_TIMEOUT', 'Session too long', `Send "stop" within ${settings.maxSeconds * SESSION_TIME_FACTOR}s of "start"`);
+    }, settings.maxSeconds * SESSION_TIME_FACTOR * 1000);
+    console.log(`[STT Stream] Started: "${start.targetText.substring(0, 30)}" (${start.sampleRate} Hz, ${start.language})`);
+    send({ type: 'ready', language: start.language, sampleRate: start.sampleRate, ...settings, partialBackoff: transcriber.partialBackoff || 1 });
+  };
+
+  const onAudio = (data) => {
+    if (!start) return fail('NOT_STARTED', 'Session not started', 'Send a "start" message before audio');
+
+    chunks.push(data);
+    totalBytes += data.length;
+    if (audioSeconds() > settings.maxSeconds) {
+      return fail('AUDIO_TOO_LONG', 'Recording too long', `Maximum is ${settings.maxSeconds}s per session`, CLOSE_TOO_BIG);
+    }
+
+    if (!partial && totalBytes - transcribedBytes >= intervalBytes) runPartial();
+  };
+
+  const onStop = async () => {
+    if (!start) return fail('NOT_STARTED', 'Session not started', 'Send a "start" message before "stop"');
+    stopped = true;
+    clearTimers();
+
+    if (totalBytes < PCM_BYTES_PER_SAMPLE) {
+      return fail('EMPTY_AUDIO', 'No audio received', 'Send PCM16 frames before "stop"');
+    }
+
+    if (partial) await partial;
+
+    let result;
+    try {
+      result = await transcriber.transcribe(currentPcm(), start.sampleRate, { final: true });
+    } catch (err) {
+      result = { ok: false, error: 'Transcription failed', details: err.message };
+    }
+    if (!result.ok) {
+      return fail('STT_FAILED', result.error || 'Transcription failed', result.details, CLOSE_ERROR);
+    }
+
+    const score = scoreTranscript(start.targetText, result.text);
+    console.log(`[STT Stream] Final: "${result.text.substring(0, 30)}" | Accuracy: ${score.accuracyPercent}% (${audioSeconds()}s)`);
+    send({
+      type: 'final',
+      text: result.text,
+      ...score,
+      audioSeconds: audioSeconds(),
+      provider: result.provider,
+      ...buildWordTimings(result.words)
+    });
+    ws.close(CLOSE_NORMAL, 'done');
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (stopped) return;
+    resetIdleTimer();
+    if (isBinary) return onAudio(data);
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      return fail('BAD_MESSAGE', 'Invalid message', 'Text messages must be JSON');
+    }
+
+    if (message && message.type === 'start') return onStart(message);
+    if (message && message.type === 'stop') return onStop();
+    fail('BAD_MESSAGE', 'Invalid message', 'Expected { type: "start" } or { type: "stop" }');
+  });
+
+  ws.on('error', err => console.warn(`[STT Stream] Socket error: ${err.message}`));
+  ws.on('close', clearTimers);
+  resetIdleTimer();
+}
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ * @param {object} [headers] - Extra response headers
+ */
+function rejectUpgrade(socket, status, message, headers = {}) {
+  const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  socket.end(`HTTP/1.1 ${status} ${message}\r\n${extra}Connection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Bearer token from the Authorization header or a ?token= query parameter
+ * (browser WebSocket clients cannot set headers)
+ */
+function getRequestToken(req, url) {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.slice(7);
+  return url.searchParams.get('token');
+}
+
+/**
+ * Serve WS /api/stt/stream on an HTTP server
+ * @param {http.Server} server
+ * @param {object} options
+ * @param {Function} options.createTranscriber - (start) => transcriber or { error, details }
+ * @param {string} [options.token] - Required Bearer token (BACKEND_TOKEN), if any
+ * @param {Function} [options.rateLimit] - (req) => { limited, resetSeconds }; upgrades run
+ *        outside Express, so the /api rate limiter is applied here
+ * @returns {WebSocketServer}
+ */
+function attachSttStream(server, { createTranscriber, token, rateLimit }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    if (rateLimit) {
+      const { limited, resetSeconds } = rateLimit(req);
+      if (limited) return rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': resetSeconds });
+    }
+
+    if (token) {
+      const requestToken = getRequestToken(req, url);
+      if (!requestToken) return rejectUpgrade(socket, 401, 'Unauthorized');
+      if (requestToken !== token) return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, createTranscriber);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  attachSttStream,
+  createProviderTranscriber,
+  parseStartMessage,
+  scoreTranscript,
+  MAX_MESSAGE_BYTES,
+  STREAM_PATH
+};
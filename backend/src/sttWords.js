@@ -0,0 +1,116 @@
+/**
+ * STT Word Timings - per-word timestamps and confidence from transcription
+ *
+ * Providers map their word lists to { word, start, end, confidence } (seconds,
+ * confidence 0-1 or null). This module flags low-confidence words for
+ * highlighting and finds hesitations (long pauses before a word).
+ *
+ * Environment Variables:
+ * - STT_LOW_CONFIDENCE: Words below this confidence are flagged (default: 0.6)
+ * - STT_HESITATION_SECONDS: Pauses at least this long count as hesitations (default: 0.5)
+ */
+
+const { generateMockTimings } = require('./timings');
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function getThresholds() {
+  const lowConfidence = parseFloat(process.env.STT_LOW_CONFIDENCE);
+  const hesitation = parseFloat(process.env.STT_HESITATION_SECONDS);
+  return {
+    lowConfidence: Number.isFinite(lowConfidence) ? lowConfidence : 0.6,
+    hesitationSeconds: Number.isFinite(hesitation) ? hesitation : 0.5
+  };
+}
+
+/**
+ * Convert a log probability to a 0-1 confidence
+ * @param {number} logprob
+ * @returns {number|null}
+ */
+function confidenceFromLogprob(logprob) {
+  return typeof logprob === 'number' && Number.isFinite(logprob)
+    ? round3(Math.min(1, Math.exp(logprob)))
+    : null;
+}
+
+/**
+ * Clean provider words and flag low-confidence ones
+ * Drops empty words and words without usable times.
+ * @param {Array<{ word: string, start: number, end: number, confidence: number|null }>} words
+ * @returns {Array<{ index: number, word: string, start: number, end: number, confidence: number|null, lowConfidence: boolean }>}
+ */
+function finalizeWords(words) {
+  if (!Array.isArray(words)) return [];
+  const { lowConfidence } = getThresholds();
+
+  return words
+    .filter(w => w && typeof w.word === 'string' && w.word.trim() &&
+      Number.isFinite(w.start) && Number.isFinite(w.end))
+    .map((w, index) => {
+      const confidence = typeof w.confidence === 'number' ? round3(w.confidence) : null;
+      return {
+        index,
+        word: w.word.trim(),
+        start: round3(w.start),
+        end: round3(Math.max(w.start, w.end)),
+        confidence,
+        lowConfidence: confidence !== null && confidence < lowConfidence
+      };
+    });
+}
+
+/**
+ * Pauses before words (including before the first word) long enough to count as hesitation
+ * @param {Array} words - From finalizeWords
+ * @returns {Array<{ wordIndex: number, start: number, end: number, duration: number }>}
+ *          wordIndex is the word the learner hesitated before
+ */
+function findHesitations(words) {
+  const { hesitationSeconds } = getThresholds();
+  const hesitations = [];
+  let previousEnd = 0;
+
+  for (const word of words) {
+    const duration = round3(word.start - previousEnd);
+    if (duration >= hesitationSeconds) {
+      hesitations.push({ wordIndex: word.index, start: previousEnd, end: word.start, duration });
+    }
+    previousEnd = Math.max(previousEnd, word.end);
+  }
+  return hesitations;
+}
+
+/**
+ * Word timings fields for STT/eval responses
+ * @param {Array} providerWords - Provider word list (see top of file)
+ * @returns {{ words: Array, hesitations: Array }}
+ */
+function buildWordTimings(providerWords) {
+  const words = finalizeWords(providerWords);
+  return { words, hesitations: findHesitations(words) };
+}
+
+/**
+ * Deterministic words for MODE=MOCK
+ * Timings follow the TTS mock timing model; confidence varies per word (from
+ * its characters) so clients see both normal and low-confidence words.
+ * @param {string} text
+ * @returns {Array<{ word, start, end, confidence }>}
+ */
+function generateMockSttWords(text) {
+  return generateMockTimings(text).words.map(w => {
+    const codeSum = Array.from(w.text).reduce((sum, ch) => sum + ch.codePointAt(0), 0);
+    return { word: w.text, start: w.start, end: w.end, confidence: round3(0.5 + (codeSum % 50) / 100) };
+  });
+}
+
+module.exports = {
+  buildWordTimings,
+  finalizeWords,
+  findHesitations,
+  confidenceFromLogprob,
+  generateMockSttWords
+};
@@ -7,6 +7,24 @@
 
 const fs = require('fs');
 const path = require('path');
+const { resolveSpeedProfile, getVoiceSettings, generateCacheKey, getCacheFormatId, validateDrill, SPEED_PROFILES } = require('./tts');
+const { parseDrillOptions, resolveDrillFormat, buildDrillPlan, joinDrillAudio } = require('./drill');
+const { resolveOutputFormat, getAudioDuration } = require('./ttsFormats');
+const { isProcessedFormat, isStreamableFormat } = require('./audioProcessing');
+const { createWavBuffer } = require('./pronounce');
+const { generateMockTimings } = require('./timings');
+const { buildWordTimings, generateMockSttWords } = require('./sttWords');
+const { identifyAudio } = require('./audioInput');
+const { screenForSpeech } = require('./vad');
+const { transcribeWithCache } = require('./stt');
+const { diagnoseUpload, wantsDiagnostics } = require('./audioDiagnostics');
+const { buildVisemeTrack } = require('./visemes');
+const { resolveVoice, parseVoiceOverrides, listVoices, VOICES, DEFAULT_VOICE } = require('./voices');
+const { parsePrewarmOptions, planPrewarm } = require('./prewarm');
+const { resolveSpacingPolicy, MAX_SCORED_TEXT_LENGTH } = require('./feedback');
+const { getAcceptedVariants } = require('./sentences');
+const { romanize, resolveRomanizationMode } = require('./romanize');
+const { getTier } = require('./scoringTiers');
 
 // Minimal MP3 silence (0.5 seconds) - base64 encoded
 // This is a valid MP3 file that plays silence
@@ -25,8 +43,129 @@ VlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZW
 VlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZWVlZW
 `.replace(/\s+/g, '');
 
+// Length of generated stub silence for non-MP3 formats
+const STUB_SILENCE_SECONDS = 0.5;
+
+// Ogg Opus stub: 20ms frames of a 1-byte CELT packet (TOC 0xF8, zero-length
+// frame), which decoders play back as silence (RFC 6716 section 3.2.1)
+const OPUS_FRAME_SAMPLES = 960; // 20ms @ 48kHz
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * CRC-32 as used by Ogg (polynomial 0x04C11DB7, no reflection)
+ */
+function oggCrc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc ^= byte << 24;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04C11DB7) : (crc << 1);
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Build one Ogg page holding the given packets (each < 255 bytes)
+ */
+function buildOggPage(packets, { headerType, granule, sequence }) {
+  const header = Buffer.alloc(27 + packets.length);
+  header.write('OggS', 0);
+  header.writeUInt8(0, 4); // version
+  header.writeUInt8(headerType, 5);
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(0x5354, 14); // stream serial
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt8(packets.length, 26);
+  packets.forEach((packet, i) => header.writeUInt8(packet.length, 27 + i));
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc32(page), 22);
+  return page;
+}
+
+/**
+ * Build a short silent Ogg Opus file
+ */
+function buildStubOggOpus() {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0);
+  opusHead.writeUInt8(1, 8); // version
+  opusHead.writeUInt8(1, 9); // mono
+  opusHead.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  opusHead.writeUInt32LE(48000, 12);
+
+  const vendor = Buffer.from('stub');
+  const opusTags = Buffer.alloc(16 + vendor.length);
+  opusTags.write('OpusTags', 0);
+  opusTags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(opusTags, 12);
+
+  const frameCount = Math.round(STUB_SILENCE_SECONDS * 48000 / OPUS_FRAME_SAMPLES);
+  const frames = Array.from({ length: frameCount }, () => Buffer.from([0xF8]));
+
+  return Buffer.concat([
+    buildOggPage([opusHead], { headerType: 0x02, granule: 0, sequence: 0 }),
+    buildOggPage([opusTags], { headerType: 0x00, granule: 0, sequence: 1 }),
+    buildOggPage(frames, { headerType: 0x04, granule: OPUS_PRE_SKIP + frameCount * OPUS_FRAME_SAMPLES, sequence: 2 })
+  ]);
+}
+
 /**
- * Stub TTS handler - returns a short silence MP3
+ * Silent stub audio in the requested output format
+ */
+function buildStubAudio(format) {
+  if (format.extension === 'mp3') {
+    return Buffer.from(STUB_AUDIO_BASE64, 'base64');
+  }
+  if (format.extension === 'ogg') {
+    return buildStubOggOpus();
+  }
+  const pcm = Buffer.alloc(Math.round(STUB_SILENCE_SECONDS * format.sampleRate) * 2);
+  return format.wrapWav ? createWavBuffer(pcm, format.sampleRate) : pcm;
+}
+
+// Chunk size for stub streaming responses
+const STUB_STREAM_CHUNK_BYTES = 256;
+
+// Mock timings by cache key, for the sidecar route (stub mode has no disk cache)
+const stubTimings = new Map();
+// cacheKey -> { text, speed } for every stub TTS response (viseme lookups)
+const stubEntries = new Map();
+
+/**
+ * Stub slow drill - each segment is silence as long as its mock timings
+ */
+function sendStubDrill(res, { text, voice, voiceSettings, speedProfile, formatName, format, drill }) {
+  const parts = buildDrillPlan(text, drill.unit).map(item => ({
+    ...item,
+    cacheKey: generateCacheKey(item.text, voice.elevenLabsVoiceId, voiceSettings, getCacheFormatId(format)),
+    provider: 'mock',
+    cached: false,
+    pcm: Buffer.alloc(Math.round(generateMockTimings(item.text, voiceSettings.speed).duration * format.sampleRate) * 2)
+  }));
+  const joined = joinDrillAudio(parts, drill.gapMs, format);
+
+  res.set('X-Reference-Duration', String(joined.duration));
+  res.set('X-Audio-Processing', 'none');
+  res.json({
+    ok: true,
+    mock: true,
+    drill: drill.unit,
+    gapMs: drill.gapMs,
+    voice: voice.id,
+    speedProfile,
+    format: formatName,
+    contentType: format.contentType,
+    referenceDuration: joined.duration,
+    audioBase64: joined.audio.toString('base64'),
+    segments: joined.segments
+  });
+}
+
+/**
+ * Stub TTS handler - returns short silence in the negotiated format (MP3 by default)
+ * With timestamps=true, returns a JSON envelope with deterministic mock timings.
  */
 function stubTtsHandler(req, res) {
   const { text } = req.body;
@@ -38,38 +177,346 @@ function stubTtsHandler(req, res) {
     });
   }
 
-  console.log(`[STUB TTS] Returning silence for: "${text.substring(0, 30)}..."`);
+  // Same catalog validation as the real handler so clients hit the same 400s
+  const voice = resolveVoice(req.body.voice);
+  if (!voice) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown voice "${req.body.voice}"`,
+      validVoices: VOICES.map(v => v.id)
+    });
+  }
+
+  const overrideResult = parseVoiceOverrides(req.body);
+  if (!overrideResult.ok) {
+    return res.status(400).json({
+      ok: false,
+      error: overrideResult.error
+    });
+  }
+
+  const drillResult = parseDrillOptions(req.body);
+  if (!drillResult.ok) {
+    return res.status(400).json({
+      ok: false,
+      error: drillResult.error
+    });
+  }
+  const { drill } = drillResult;
+
+  const formatResult = drill
+    ? resolveDrillFormat(req.body, req.headers.accept)
+    : resolveOutputFormat(req.body, req.headers.accept);
+  if (!formatResult.ok) {
+    return res.status(400).json({
+      ok: false,
+      error: formatResult.error
+    });
+  }
+  const { name: formatName, format } = formatResult;
+
+  const withTimestamps = req.body.timestamps === true || req.body.timestamps === 'true';
+  const drillError = drill && validateDrill(text, drill, withTimestamps);
+  if (drillError) {
+    return res.status(400).json({
+      ok: false,
+      error: drillError
+    });
+  }
+
+  // Same streaming rule as the real handler (streamed MP3 is keyed unprocessed)
+  const stream = (req.body.stream === true || req.body.stream === 'true') && !drill && !withTimestamps && isStreamableFormat(format);
+  const speedProfile = resolveSpeedProfile(req.body.speedProfile);
+  const voiceSettings = getVoiceSettings(speedProfile, voice.voiceSettings, overrideResult.overrides);
+  const cacheKey = generateCacheKey(text, voice.elevenLabsVoiceId, voiceSettings, getCacheFormatId(format, isProcessedFormat(format) && !stream));
+
+  console.log(`[STUB TTS] Returning silence for: "${text.substring(0, 30)}..." [${voice.id}, ${SPEED_PROFILES[speedProfile].name}, ${formatName}]`);
+
+  res.set('X-Voice', voice.id);
+  res.set('X-Speed-Profile', String(speedProfile));
+  res.set('X-Speed-Profile-Name', SPEED_PROFILES[speedProfile].name);
+  res.set('X-Audio-Format', formatName);
+  res.set('Vary', 'Accept');
+
+  if (drill) {
+    return sendStubDrill(res, { text, voice, voiceSettings, speedProfile, formatName, format, drill });
+  }
+
+  res.set('X-Cache-Key', cacheKey);
+  res.set('X-TTS-Provider', 'mock');
+
+  const audioBuffer = buildStubAudio(format);
+  // Stub silence has nothing to trim or normalize
+  const referenceDuration = Math.round(getAudioDuration(audioBuffer, formatName) * 1000) / 1000;
+  res.set('X-Reference-Duration', String(referenceDuration));
+  res.set('X-Audio-Processing', 'none');
+  stubEntries.set(cacheKey, { text, speed: voiceSettings.speed });
+
+  if (withTimestamps) {
+    const timings = generateMockTimings(text, voiceSettings.speed);
+    stubTimings.set(cacheKey, timings);
+    return res.json({
+      ok: true,
+      mock: true,
+      cacheKey,
+      provider: 'mock',
+      voice: voice.id,
+      speedProfile,
+      format: formatName,
+      contentType: format.contentType,
+      referenceDuration,
+      audioBase64: audioBuffer.toString('base64'),
+      timings
+    });
+  }
+
+  res.set('Content-Type', format.contentType);
+
+  // Streaming mode: send chunked (no Content-Length) like the real stream path
+  if (stream) {
+    res.set('X-Stream', 'true');
+    for (let offset = 0; offset < audioBuffer.length; offset += STUB_STREAM_CHUNK_BYTES) {
+      res.write(audioBuffer.subarray(offset, offset + STUB_STREAM_CHUNK_BYTES));
+    }
+    return res.end();
+  }
 
-  const audioBuffer = Buffer.from(STUB_AUDIO_BASE64, 'base64');
-  res.set('Content-Type', 'audio/mpeg');
   res.set('Content-Length', audioBuffer.length);
   res.send(audioBuffer);
 }
 
+/**
+ * Stub TTS timings sidecar - serves timings generated by stubTtsHandler
+ */
+function stubTtsTimingsHandler(req, res) {
+  const { cacheKey } = req.params;
+  const timings = stubTimings.get(cacheKey);
+
+  if (!timings) {
+    return res.status(404).json({
+      ok: false,
+      error: 'Timings not found',
+      details: 'Request /api/tts with "timestamps": true first'
+    });
+  }
+
+  res.json({ ok: true, mock: true, cacheKey, timings });
+}
+
+/**
+ * Stub TTS visemes - deterministic track from mock timings
+ * Works for keys returned by stubTtsHandler, or any key when ?text= is given.
+ */
+function stubTtsVisemesHandler(req, res) {
+  const { cacheKey } = req.params;
+  const entry = stubEntries.get(cacheKey);
+  const text = entry ? entry.text : req.query.text;
+
+  if (!text) {
+    return res.status(404).json({
+      ok: false,
+      error: 'TTS entry not found',
+      details: 'Request /api/tts first and use its X-Cache-Key'
+    });
+  }
+
+  const timings = stubTimings.get(cacheKey) || generateMockTimings(text, entry ? entry.speed : 1.0);
+  res.json({ ok: true, mock: true, cacheKey, source: timings.source, ...buildVisemeTrack(timings) });
+}
+
+/**
+ * Stub Voices handler - same catalog as REAL mode, flagged as mock
+ */
+function stubVoicesHandler(req, res) {
+  console.log('[STUB VOICES] Returning voice catalog');
+
+  res.json({
+    ok: true,
+    mock: true,
+    total: VOICES.length,
+    defaultVoice: DEFAULT_VOICE,
+    voices: listVoices()
+  });
+}
+
+/**
+ * Stub pre-warm handler - same plan as REAL mode, nothing is synthesized
+ * Nothing counts as cached and the estimate is free (no provider is called).
+ */
+function stubPrewarmHandler(req, res) {
+  const parsed = parsePrewarmOptions(req.body || {});
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: parsed.error });
+  }
+
+  const { estimate } = planPrewarm(parsed.options, []);
+  Object.assign(estimate, { provider: 'mock', costPer1kChars: 0, estimatedCostUsd: 0 });
+
+  console.log(`[STUB PREWARM] Planned ${estimate.remaining} entries (confirm=${req.body?.confirm === true})`);
+
+  if (req.body?.confirm !== true) {
+    return res.json({ ok: true, mock: true, started: false, estimate, details: 'Resend with "confirm": true to start' });
+  }
+
+  const now = new Date().toISOString();
+  res.status(202).json({
+    ok: true,
+    mock: true,
+    started: true,
+    status: {
+      running: false,
+      startedAt: now,
+      finishedAt: now,
+      estimate,
+      progress: {
+        total: estimate.remaining,
+        done: estimate.remaining,
+        synthesized: estimate.remaining,
+        skipped: 0,
+        failed: 0,
+        characters: estimate.characters,
+        interrupted: false,
+        errors: []
+      }
+    }
+  });
+}
+
+/**
+ * Reject uploads the real handlers would reject (same codes and statuses)
+ * @returns {boolean} true if an error response was sent
+ */
+function rejectUnsupportedAudio(req, res) {
+  if (!req.file) return false;
+  const identified = identifyAudio(req.file.buffer);
+  if (identified.ok) return false;
+  res.status(identified.status).json({
+    ok: false,
+    error: identified.error,
+    code: identified.code,
+    details: identified.details
+  });
+  return true;
+}
+
+/**
+ * Run the real VAD on a mock-mode upload (it is local, so clients see NO_SPEECH offline too)
+ * @param {object} [extra] - Fields added to a rejection body
+ * @returns {Promise<{ speech: object|null, decoded: object|null }|null>} null if a rejection was sent
+ */
+async function screenStubAudio(req, res, extra = {}) {
+  if (!req.file) return { speech: null, decoded: null };
+  const screened = await screenForSpeech(req.file.buffer);
+  if (screened.ok) return { speech: screened.speech, decoded: screened.decoded };
+  res.status(screened.status).json({
+    ok: false,
+    error: screened.error,
+    code: screened.code,
+    details: screened.details,
+    ...extra
+  });
+  return null;
+}
+
 /**
  * Stub STT handler - returns a mock transcription
+ * Goes through the real STT cache (model "mock"), so cache behaviour can be tested offline.
  */
-function stubSttHandler(req, res) {
+async function stubSttHandler(req, res) {
+  if (!req.file) {
+    return res.status(400).json({
+      ok: false,
+      error: 'No audio file uploaded',
+      details: 'Use multipart/form-data with field name "audio"'
+    });
+  }
+  if (rejectUnsupportedAudio(req, res)) return;
+  const screened = await screenStubAudio(req, res);
+  if (!screened) return;
   console.log('[STUB STT] Returning mock transcription');
 
+  const transcription = await transcribeWithCache({
+    audioBuffer: req.file.buffer,
+    input: identifyAudio(req.file.buffer).input,
+    language: req.body.language || 'ko',
+    decoded: screened.decoded,
+    model: 'mock',
+    transcribe: async () => ({
+      ok: true,
+      rawText: '안녕하세요',
+      language: 'ko',
+      words: generateMockSttWords('안녕하세요'),
+      provider: 'mock'
+    })
+  });
+
+  res.set('X-Cache', transcription.cached ? 'HIT' : 'MISS');
+  res.set('X-Cache-Key', transcription.cacheKey);
   res.json({
-    ok: true,
-    text: '안녕하세요',
-    transcriptText: '안녕하세요',
-    rawTranscriptText: '안녕하세요.',
-    words: [
-      { word: '안녕하세요', start: 0.0, end: 1.5 }
-    ],
-    language: 'ko',
+    ...transcription.result,
+    speech: screened.speech,
     duration: 1.5
   });
 }
 
+/**
+ * Stub streaming STT transcriber (WS /api/stt/stream)
+ * Simulates a learner reading the target sentence at the mock timing model's
+ * pace: partials contain the syllables spoken within the audio received so
+ * far, and the final transcript is the full sentence.
+ * @param {{ targetText: string }} start - Parsed start message
+ * @returns {{ transcribe: Function }}
+ */
+function createStubSttTranscriber({ targetText }) {
+  const { syllables } = generateMockTimings(targetText);
+
+  return {
+    async transcribe(pcm, sampleRate, { final }) {
+      if (final) {
+        return { ok: true, text: targetText, words: generateMockSttWords(targetText), provider: 'mock' };
+      }
+
+      const seconds = pcm.length / 2 / sampleRate;
+      const words = [];
+      for (const syllable of syllables) {
+        if (syllable.end > seconds) break;
+        words[syllable.wordIndex] = (words[syllable.wordIndex] || '') + syllable.text;
+      }
+      return { ok: true, text: words.join(' '), provider: 'mock' };
+    }
+  };
+}
+
 /**
  * Stub Eval handler - returns mock evaluation
  */
-function stubEvalHandler(req, res) {
+async function stubEvalHandler(req, res) {
+  // Same order as evalHandler: the text is checked before any audio work
   const targetText = req.body.targetText || '안녕하세요';
+  if (targetText.length > MAX_SCORED_TEXT_LENGTH) {
+    return res.status(400).json({ ok: false, error: 'Text too long', details: `"targetText" may have at most ${MAX_SCORED_TEXT_LENGTH} characters` });
+  }
+  if (rejectUnsupportedAudio(req, res)) return;
+  const policy = resolveSpacingPolicy(req.body.spacing);
+  if (!policy.ok) {
+    return res.status(400).json({ ok: false, error: policy.error, details: policy.details });
+  }
+  // Diagnostics are computed locally, so mock mode returns the real report
+  let diagnostics;
+  if (req.file && wantsDiagnostics(req.body)) {
+    const diagnosed = await diagnoseUpload(req.file.buffer);
+    diagnostics = diagnosed.ok ? diagnosed.diagnostics : null;
+  }
+  const screened = await screenStubAudio(req, res, { diagnostics });
+  if (!screened) return;
+  const accepted = getAcceptedVariants(targetText, req.body.sentenceId);
+  if (!accepted) {
+    return res.status(400).json({ ok: false, error: 'Unknown "sentenceId"', details: 'Use an id from GET /api/sentences' });
+  }
+  const romanization = resolveRomanizationMode(req.body.romanization);
+  if (!romanization.ok) {
+    return res.status(400).json({ ok: false, error: romanization.error, details: romanization.details });
+  }
 
   console.log(`[STUB EVAL] Returning mock eval for: "${targetText.substring(0, 30)}..."`);
 
@@ -78,21 +525,34 @@ function stubEvalHandler(req, res) {
     targetText: targetText,
     transcriptText: targetText, // Perfect match for testing
     rawTranscriptText: targetText,
+    romanized: {
+      mode: romanization.mode,
+      targetText: romanize(targetText, { mode: romanization.mode }),
+      transcriptText: romanize(targetText, { mode: romanization.mode })
+    },
+    ...buildWordTimings(generateMockSttWords(targetText)),
+    speech: screened.speech,
     textAccuracyPercent: 100,
     mistakePercent: 0,
     score: 100,
+    tier: getTier(100),
     metrics: {
       accuracyPercent: 100,
       wrongPercent: 0,
       textAccuracyPercent: 100,
       mistakePercent: 0,
-      cer: 0.0
+      cer: 0.0,
+      spacing: policy.spacing
     },
     diff: {
       units: [],
       wrongUnits: [],
-      wrongParts: []
+      wrongParts: [],
+      words: []
     },
+    matchedVariant: { index: 0, text: targetText, sentenceId: accepted.sentenceId },
+    normalizations: [],
+    phonology: [],
     pronunciation: {
       available: true,
       weakPronunciation: [],
@@ -104,7 +564,8 @@ function stubEvalHandler(req, res) {
     grammar: {
       mistakes: [],
       tutorComment: 'Perfect! No grammar issues detected.'
-    }
+    },
+    diagnostics
   });
 }
 
@@ -115,6 +576,25 @@ function stubFeedbackHandler(req, res) {
   const { targetText, transcriptText, sttText } = req.body;
   const spoken = transcriptText || sttText || '';
   const target = targetText || '';
+  if (target.length > MAX_SCORED_TEXT_LENGTH || spoken.length > MAX_SCORED_TEXT_LENGTH) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Text too long',
+      details: `"targetText" and "transcriptText" may have at most ${MAX_SCORED_TEXT_LENGTH} characters`
+    });
+  }
+  const policy = resolveSpacingPolicy(req.body.spacing);
+  if (!policy.ok) {
+    return res.status(400).json({ ok: false, error: policy.error, details: policy.details });
+  }
+  const accepted = getAcceptedVariants(target, req.body.sentenceId);
+  if (!accepted) {
+    return res.status(400).json({ ok: false, error: 'Unknown "sentenceId"', details: 'Use an id from GET /api/sentences' });
+  }
+  const romanization = resolveRomanizationMode(req.body.romanization);
+  if (!romanization.ok) {
+    return res.status(400).json({ ok: false, error: romanization.error, details: romanization.details });
+  }
 
   console.log(`[STUB FEEDBACK] Mock feedback for target="${target.substring(0, 20)}..."`);
 
@@ -122,22 +602,33 @@ function stubFeedbackHandler(req, res) {
     ok: true,
     targetText: target,
     transcriptText: spoken || target,
+    romanized: {
+      mode: romanization.mode,
+      targetText: romanize(target, { mode: romanization.mode }),
+      transcriptText: romanize(spoken || target, { mode: romanization.mode })
+    },
     textAccuracyPercent: 95,
     mistakePercent: 5,
     score: 95,
+    tier: getTier(95),
     metrics: {
       accuracyPercent: 95,
       wrongPercent: 5,
       textAccuracyPercent: 95,
       mistakePercent: 5,
       cer: 0.05,
-      wer: 0.0
+      wer: 0.0,
+      spacing: policy.spacing
     },
     diff: {
       units: [],
       wrongUnits: [],
-      wrongParts: []
+      wrongParts: [],
+      words: []
     },
+    matchedVariant: { index: 0, text: target, sentenceId: accepted.sentenceId },
+    normalizations: [],
+    phonology: [],
     pronunciation: {
       available: true,
       good: [],
@@ -185,6 +676,7 @@ function stubGrokHandler(req, res) {
  * Stub Pronounce handler - returns mock pronunciation feedback
  */
 function stubPronounceHandler(req, res) {
+  if (rejectUnsupportedAudio(req, res)) return;
   const targetText = req.body.targetText || '안녕하세요';
 
   console.log(`[STUB PRONOUNCE] Mock pronunciation for: "${targetText.substring(0, 30)}..."`);
@@ -203,7 +695,12 @@ function stubPronounceHandler(req, res) {
 
 module.exports = {
   stubTtsHandler,
+  stubTtsTimingsHandler,
+  stubTtsVisemesHandler,
+  stubVoicesHandler,
+  stubPrewarmHandler,
   stubSttHandler,
+  createStubSttTranscriber,
   stubEvalHandler,
   stubFeedbackHandler,
   stubGrokHandler,
@@ -0,0 +1,182 @@
+/**
+ * TTS Timing Utilities
+ *
+ * Turns character-level TTS alignment into per-syllable and per-어절 (word)
+ * start/end times for lip-sync and karaoke-style highlighting.
+ *
+ * - REAL mode: built from ElevenLabs /with-timestamps character alignment
+ * - No alignment: estimate from syllable count fitted to the audio duration
+ * - MOCK mode: deterministic estimate from syllable count and speed
+ */
+
+// Mock timing model (seconds at speed 1.0)
+const MOCK_LEAD_IN = 0.05;
+const MOCK_SYLLABLE_DURATION = 0.22;
+const MOCK_WORD_GAP = 0.12;
+const MOCK_PUNCTUATION_PAUSE = 0.3;
+
+/**
+ * A spoken unit is a letter or digit (one Hangul syllable block = one unit)
+ */
+function isSpokenChar(ch) {
+  return /[\p{L}\p{N}]/u.test(ch);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Group timed characters into syllables and 어절
+ * @param {Array<{char: string, start: number, end: number}>} chars
+ * @returns {{ duration: number, syllables: Array, words: Array }}
+ */
+function groupTimings(chars) {
+  const syllables = [];
+  const words = [];
+  let current = null;
+
+  const closeWord = () => {
+    if (current) {
+      words.push(current);
+      current = null;
+    }
+  };
+
+  for (const { char, start, end } of chars) {
+    if (/\s/.test(char)) {
+      closeWord();
+      continue;
+    }
+    if (!isSpokenChar(char)) continue;
+
+    const syllable = {
+      index: syllables.length,
+      text: char,
+      start: round3(start),
+      end: round3(end),
+      wordIndex: current ? current.index : words.length
+    };
+    syllables.push(syllable);
+
+    if (!current) {
+      current = {
+        index: words.length,
+        text: '',
+        start: syllable.start,
+        end: syllable.end,
+        syllableStart: syllable.index,
+        syllableEnd: syllable.index
+      };
+    }
+    current.text += char;
+    current.end = syllable.end;
+    current.syllableEnd = syllable.index;
+  }
+  closeWord();
+
+  const lastEnd = chars.length > 0 ? chars[chars.length - 1].end : 0;
+
+  return {
+    duration: round3(lastEnd),
+    syllables,
+    words
+  };
+}
+
+/**
+ * Build timings from an ElevenLabs alignment object
+ * @param {object} alignment - { characters, character_start_times_seconds, character_end_times_seconds }
+ * @returns {object|null} Timings or null if alignment is missing/inconsistent
+ */
+function buildTimingsFromAlignment(alignment) {
+  if (!alignment || !Array.isArray(alignment.characters)) return null;
+
+  const { characters, character_start_times_seconds: starts, character_end_times_seconds: ends } = alignment;
+  if (!Array.isArray(starts) || !Array.isArray(ends) ||
+      starts.length !== characters.length || ends.length !== characters.length) {
+    return null;
+  }
+
+  const chars = characters.map((char, i) => ({ char, start: starts[i], end: ends[i] }));
+  return { source: 'elevenlabs', ...groupTimings(chars) };
+}
+
+/**
+ * Generate deterministic timings for MODE=MOCK
+ * Same text + speed always yields the same timings.
+ * @param {string} text
+ * @param {number} [speed=1.0] - Speed multiplier from the TTS speed profile
+ * @returns {object}
+ */
+function generateMockTimings(text, speed = 1.0) {
+  const scale = 1 / (speed || 1);
+  const chars = [];
+  let t = MOCK_LEAD_IN;
+
+  for (const char of Array.from(text || '')) {
+    let length = 0;
+    if (/\s/.test(char)) {
+      length = MOCK_WORD_GAP;
+    } else if (isSpokenChar(char)) {
+      length = MOCK_SYLLABLE_DURATION;
+    } else {
+      length = MOCK_PUNCTUATION_PAUSE;
+    }
+    length *= scale;
+    chars.push({ char, start: t, end: t + length });
+    t += length;
+  }
+
+  return { source: 'mock', ...groupTimings(chars) };
+}
+
+/**
+ * Estimate timings when no alignment exists
+ * Uses the mock timing model (relative syllable, gap and pause lengths)
+ * stretched to the real audio duration.
+ * @param {string} text
+ * @param {number} duration - Audio duration in seconds
+ * @returns {object}
+ */
+function estimateTimings(text, duration) {
+  const model = generateMockTimings(text);
+  const scale = model.duration > 0 && duration > 0 ? duration / model.duration : 1;
+  const scaleItem = item => ({ ...item, start: round3(item.start * scale), end: round3(item.end * scale) });
+
+  return {
+    source: 'estimate',
+    duration: round3(model.duration * scale),
+    syllables: model.syllables.map(scaleItem),
+    words: model.words.map(scaleItem)
+  };
+}
+
+/**
+ * Move timings earlier after leading audio was trimmed
+ * Times are clamped to the trimmed audio (0..duration).
+ * @param {object} timings
+ * @param {number} offset - Seconds removed from the start
+ * @param {number} duration - Duration of the trimmed audio
+ * @returns {object}
+ */
+function shiftTimings(timings, offset, duration) {
+  const clamp = t => round3(Math.min(duration, Math.max(0, t - offset)));
+  const shiftItem = item => ({ ...item, start: clamp(item.start), end: clamp(item.end) });
+
+  return {
+    ...timings,
+    duration: round3(duration),
+    syllables: timings.syllables.map(shiftItem),
+    words: timings.words.map(shiftItem)
+  };
+}
+
+module.exports = {
+  buildTimingsFromAlignment,
+  generateMockTimings,
+  estimateTimings,
+  shiftTimings,
+  groupTimings,
+  isSpokenChar
+};
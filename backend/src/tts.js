@@ -1,15 +1,20 @@
 /**
- * TTS Handler - ElevenLabs Text-to-Speech
+ * TTS Handler - Text-to-Speech via the provider chain (ElevenLabs, local stand-in)
  *
  * REAL mode only - no mock fallback.
- * Returns HTTP 503 if ELEVENLABS_API_KEY not configured.
+ * Returns HTTP 503 if no provider in TTS_PROVIDERS is configured.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { retryFetch } = require('./retry');
-const { isElevenLabsConfigured } = require('./mockMode');
+const { getConfiguredProviders, supportsTts, synthesizeWithFallback, CHAIN_ENV } = require('./providers');
+const { resolveVoice, parseVoiceOverrides, VOICES } = require('./voices');
+const { buildTimingsFromAlignment, estimateTimings, generateMockTimings, shiftTimings } = require('./timings');
+const { resolveOutputFormat, getAudioDuration, formatForExtension, OUTPUT_FORMATS } = require('./ttsFormats');
+const { buildVisemeTrack } = require('./visemes');
+const { postProcessAudio, isProcessedFormat, isStreamableFormat, getSynthesisFormat, getProcessingTag } = require('./audioProcessing');
+const { parseDrillOptions, resolveDrillFormat, buildDrillPlan, joinDrillAudio, toPcm, MAX_DRILL_SEGMENTS } = require('./drill');
 
 // Cache directory for TTS files
 const TTS_CACHE_DIR = path.join(__dirname, '..', 'cache', 'tts');
@@ -19,11 +24,6 @@ if (!fs.existsSync(TTS_CACHE_DIR)) {
   fs.mkdirSync(TTS_CACHE_DIR, { recursive: true });
 }
 
-// Default ElevenLabs parameters
-const DEFAULT_MODEL_ID = 'eleven_multilingual_v2';
-const DEFAULT_OUTPUT_FORMAT = 'mp3_44100_128';
-const DEFAULT_VOICE_ID = '21m00Tcm4TlvDq8ikWAM'; // Rachel voice
-
 // Default voice settings
 const DEFAULT_VOICE_SETTINGS = {
   stability: 0.5,
@@ -32,47 +32,557 @@ const DEFAULT_VOICE_SETTINGS = {
   use_speaker_boost: true
 };
 
-// API timeout in milliseconds
+// Speed profiles (matches Unity TtsPlayer: 0=slow, 1=normal, 2=fast)
+// Each profile overrides DEFAULT_VOICE_SETTINGS. The slow profile also raises
+// stability so beginners get evenly paced, clearly articulated syllables.
+const SPEED_PROFILES = {
+  0: { name: 'slow', voiceSettings: { speed: 0.8, stability: 0.65 } },
+  1: { name: 'normal', voiceSettings: { speed: 1.0 } },
+  2: { name: 'fast', voiceSettings: { speed: 1.15 } }
+};
+const DEFAULT_SPEED_PROFILE = 1;
+
+// Stall timeout for streamed upstream audio in milliseconds
 const API_TIMEOUT_MS = 30000;
 
+/**
+ * Resolve a requested speed profile to a known profile id
+ * Accepts numbers or numeric strings; anything else falls back to normal.
+ * @param {number|string|undefined} value
+ * @returns {number}
+ */
+function resolveSpeedProfile(value) {
+  const id = parseInt(value, 10);
+  return Object.prototype.hasOwnProperty.call(SPEED_PROFILES, id) ? id : DEFAULT_SPEED_PROFILE;
+}
+
+/**
+ * Build ElevenLabs voice_settings
+ * Precedence: defaults < catalog voice < speed profile < request overrides
+ * @param {number} profileId - Resolved speed profile id
+ * @param {object} [voiceSettings] - Catalog voice settings
+ * @param {object} [overrides] - Validated request overrides (stability/style)
+ * @returns {object}
+ */
+function getVoiceSettings(profileId, voiceSettings = {}, overrides = {}) {
+  return {
+    ...DEFAULT_VOICE_SETTINGS,
+    ...voiceSettings,
+    ...SPEED_PROFILES[profileId].voiceSettings,
+    ...overrides
+  };
+}
+
 /**
  * Generate cache key using sha256
+ * Every synthesis setting is part of the key so that profiles never share audio.
  */
-function generateCacheKey(text, voiceId) {
-  const data = JSON.stringify({ text, voiceId });
+function generateCacheKey(text, voiceId, voiceSettings, outputFormat) {
+  const data = JSON.stringify({ text, voiceId, voiceSettings, outputFormat });
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
-function getCachePath(cacheKey) {
-  return path.join(TTS_CACHE_DIR, `${cacheKey}.mp3`);
+/**
+ * Output format part of the cache key
+ * Post-processed formats include the processing settings, so changing the
+ * loudness target or silence threshold never serves stale audio.
+ * @param {object} format - Entry from OUTPUT_FORMATS
+ * @param {boolean} [processed] - Default: whether the format is post-processed
+ */
+function getCacheFormatId(format, processed = isProcessedFormat(format)) {
+  if (!processed) return format.id;
+  return `${format.processedId || format.id}+${getProcessingTag(format)}`;
+}
+
+// Audio file extensions written to the TTS cache (one per output format)
+const AUDIO_EXTENSIONS = [...new Set(Object.values(OUTPUT_FORMATS).map(f => `.${f.extension}`))];
+
+function isAudioCacheFile(file) {
+  return AUDIO_EXTENSIONS.some(ext => file.endsWith(ext));
+}
+
+function getCachePath(cacheKey, extension = 'mp3') {
+  return path.join(TTS_CACHE_DIR, `${cacheKey}.${extension}`);
+}
+
+function isCached(cacheKey, extension) {
+  return fs.existsSync(getCachePath(cacheKey, extension));
+}
+
+function readCache(cacheKey, extension) {
+  return fs.readFileSync(getCachePath(cacheKey, extension));
+}
+
+/**
+ * Write a cache entry atomically (temp file + rename)
+ * A process killed mid-write (e.g. an interrupted pre-warm) never leaves a truncated entry.
+ */
+function writeCache(cacheKey, data, extension) {
+  const cachePath = getCachePath(cacheKey, extension);
+  const tmpPath = `${cachePath}.${process.pid}.partial`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, cachePath);
+}
+
+function getTimingsPath(cacheKey) {
+  return path.join(TTS_CACHE_DIR, `${cacheKey}.timings.json`);
+}
+
+function readTimings(cacheKey) {
+  const timingsPath = getTimingsPath(cacheKey);
+  if (!fs.existsSync(timingsPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(timingsPath, 'utf8'));
+  } catch (err) {
+    console.error('[TTS] Timings cache read error:', err.message);
+    return null;
+  }
+}
+
+function writeTimings(cacheKey, timings) {
+  fs.writeFileSync(getTimingsPath(cacheKey), JSON.stringify(timings), 'utf8');
+}
+
+/**
+ * Entry metadata sidecar ({ text, voice, speedProfile, format })
+ * Lets cache-keyed routes (visemes) recover what an entry says.
+ */
+function getMetaPath(cacheKey) {
+  return path.join(TTS_CACHE_DIR, `${cacheKey}.meta.json`);
+}
+
+function readMeta(cacheKey) {
+  try {
+    return JSON.parse(fs.readFileSync(getMetaPath(cacheKey), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeMeta(cacheKey, meta) {
+  fs.writeFileSync(getMetaPath(cacheKey), JSON.stringify(meta), 'utf8');
+}
+
+/**
+ * Locate a cached audio file by key
+ * @returns {{ formatName: string, audio: Buffer }|null}
+ */
+function findCachedAudio(cacheKey) {
+  for (const ext of AUDIO_EXTENSIONS) {
+    const extension = ext.slice(1);
+    if (isCached(cacheKey, extension)) {
+      return { formatName: formatForExtension(extension), audio: readCache(cacheKey, extension) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Cache keys for a synthesis request, one per candidate provider
+ * Keys include the provider's voice identity so audio from different engines is never mixed.
+ * @returns {Array<{ provider, cacheKey }>} In fallback order
+ */
+function getCacheEntries(providers, text, voice, voiceSettings, format, processed) {
+  return providers.map(provider => ({
+    provider,
+    cacheKey: generateCacheKey(text, provider.voiceKey(voice), voiceSettings, getCacheFormatId(format, processed))
+  }));
+}
+
+/**
+ * Find the first candidate whose audio is already cached
+ * @param {Array<{ provider, cacheKey }>} entries - Candidates in fallback order
+ * @param {object} format - Entry from OUTPUT_FORMATS
+ * @param {boolean} [withTimings=false] - Also require cached timings
+ * @returns {{ provider, cacheKey, audio, timings }|null}
+ */
+function findCachedEntry(entries, format, withTimings = false) {
+  for (const entry of entries) {
+    if (!isCached(entry.cacheKey, format.extension)) continue;
+    const timings = withTimings ? readTimings(entry.cacheKey) : null;
+    if (withTimings && !timings) continue;
+    const audio = readCache(entry.cacheKey, format.extension);
+    if (audio && audio.length > 100) {
+      return { ...entry, audio, timings };
+    }
+    console.log(`[TTS] Cache invalid for ${entry.cacheKey.substring(0, 12)}..., refetching`);
+  }
+  return null;
 }
 
-function isCached(cacheKey) {
-  return fs.existsSync(getCachePath(cacheKey));
+function setEntryHeaders(res, providerName, cacheKey) {
+  res.set('X-TTS-Provider', providerName);
+  res.set('X-Cache-Key', cacheKey);
 }
 
-function readCache(cacheKey) {
-  return fs.readFileSync(getCachePath(cacheKey));
+/**
+ * Trim silence and normalize loudness before audio is cached
+ * @param {Buffer} audio - Audio in the synthesis format (see getSynthesisFormat)
+ * @param {object} format - Client format
+ * @returns {Promise<{ audio: Buffer, processed: boolean, leadTrimmed?: number, referenceDuration?: number }>}
+ */
+async function processForCache(audio, format) {
+  const result = await postProcessAudio(audio, format);
+  if (result.processed) {
+    console.log(`[TTS] Post-processed: trimmed ${result.leadTrimmed}s/${result.tailTrimmed}s, gain ${result.gainDb}dB, ${result.referenceDuration}s`);
+  }
+  return result;
+}
+
+/**
+ * Report the playback duration and post-processing of the audio being sent
+ * X-Reference-Duration is the clip length learners are compared against
+ * (trimmed length for processed formats, estimated for MP3).
+ * @returns {number|null} Duration in seconds
+ */
+function setAudioHeaders(res, audio, formatName, format, processed = isProcessedFormat(format)) {
+  const duration = getAudioDuration(audio, formatName);
+  if (duration) {
+    res.set('X-Reference-Duration', String(Math.round(duration * 1000) / 1000));
+  }
+  res.set('X-Audio-Processing', processed ? 'trimmed,normalized' : 'none');
+  return duration ? Math.round(duration * 1000) / 1000 : null;
+}
+
+function sendSynthesisError(res, result) {
+  return res.status(result.status === 503 ? 503 : 502).json({
+    ok: false,
+    error: result.error,
+    details: result.details,
+    attempts: result.attempts
+  });
+}
+
+/**
+ * Send audio + timings as a JSON envelope
+ * Audio and timings share the cache key; timings are stored next to the audio.
+ */
+async function sendWithTimings(res, entries, request, speedProfile) {
+  const { text, voice, formatName, format } = request;
+  const envelope = (providerName, cacheKey, audioBuffer, timings) => ({
+    ok: true,
+    cacheKey,
+    provider: providerName,
+    voice: voice.id,
+    speedProfile,
+    format: formatName,
+    contentType: format.contentType,
+    referenceDuration: setAudioHeaders(res, audioBuffer, formatName, format),
+    audioBase64: audioBuffer.toString('base64'),
+    timings
+  });
+
+  const hit = findCachedEntry(entries, format, true);
+  if (hit) {
+    console.log(`[TTS] Cache HIT (with timings) for "${text.substring(0, 30)}..." [${hit.provider.name}]`);
+    setEntryHeaders(res, hit.provider.name, hit.cacheKey);
+    res.set('X-Cache', 'HIT');
+    return res.json(envelope(hit.provider.name, hit.cacheKey, hit.audio, hit.timings));
+  }
+
+  console.log(`[TTS] Synthesizing with timestamps for "${text.substring(0, 30)}..."`);
+  const result = await synthesizeWithFallback(entries.map(e => e.provider), { ...request, ...getSynthesisFormat(request.formatName), withTimestamps: true });
+  if (!result.ok) {
+    return sendSynthesisError(res, result);
+  }
+
+  let timings = buildTimingsFromAlignment(result.alignment);
+  if (!timings) {
+    console.error(`[TTS] ${result.provider} returned no alignment`);
+    return res.status(502).json({
+      ok: false,
+      error: 'Incomplete timestamp response',
+      details: 'Alignment missing'
+    });
+  }
+
+  // Timings follow the audio when leading silence is trimmed
+  const processed = await processForCache(result.audio, format);
+  if (processed.processed) {
+    timings = shiftTimings(timings, processed.leadTrimmed, processed.referenceDuration);
+  }
+
+  const { cacheKey } = entries.find(e => e.provider.name === result.provider);
+  writeCache(cacheKey, processed.audio, format.extension);
+  writeTimings(cacheKey, timings);
+  writeMeta(cacheKey, request.meta);
+  console.log(`[TTS] Cached ${processed.audio.length} bytes + ${timings.syllables.length} syllable timings`);
+
+  setEntryHeaders(res, result.provider, cacheKey);
+  res.set('X-Cache', 'MISS');
+  res.json(envelope(result.provider, cacheKey, processed.audio, timings));
 }
 
-function writeCache(cacheKey, data) {
-  fs.writeFileSync(getCachePath(cacheKey), data);
+/**
+ * Send a slow drill (segments + full sentence joined with silence gaps) as a JSON envelope
+ * Segments are synthesized one at a time through the normal cache, so repeated
+ * syllables/어절 are only ever synthesized once per voice and speed profile.
+ */
+async function sendDrill(res, providers, request, speedProfile, drill) {
+  const { text, voice, voiceSettings, format, formatName } = request;
+  const plan = buildDrillPlan(text, drill.unit);
+
+  const parts = [];
+  for (const item of plan) {
+    const meta = { text: item.text, voice: voice.id, speedProfile, format: formatName };
+    const result = await synthesizeToCache({ text: item.text, voice, voiceSettings, format, formatName, providers, meta });
+    if (!result.ok) {
+      return sendSynthesisError(res, { ...result, details: `Segment "${item.text}": ${result.details || result.error}` });
+    }
+    const pcm = toPcm(result.audio, format);
+    if (!pcm) {
+      return res.status(502).json({
+        ok: false,
+        error: 'Invalid segment audio',
+        details: `Segment "${item.text}" from ${result.provider} is not valid ${formatName}`
+      });
+    }
+    parts.push({ ...item, cacheKey: result.cacheKey, provider: result.provider, cached: result.cached, pcm });
+  }
+
+  const joined = joinDrillAudio(parts, drill.gapMs, format);
+  const synthesized = parts.filter(p => !p.cached).length;
+  console.log(`[TTS] Drill (${drill.unit}) for "${text.substring(0, 30)}...": ${parts.length} segments, ${synthesized} synthesized, ${joined.duration}s`);
+
+  res.set('X-Cache', synthesized === 0 ? 'HIT' : 'MISS');
+  res.json({
+    ok: true,
+    drill: drill.unit,
+    gapMs: drill.gapMs,
+    voice: voice.id,
+    speedProfile,
+    format: formatName,
+    contentType: format.contentType,
+    referenceDuration: setAudioHeaders(res, joined.audio, formatName, format),
+    audioBase64: joined.audio.toString('base64'),
+    segments: joined.segments
+  });
+}
+
+/**
+ * Pipe an upstream audio stream to the client while writing it to the cache
+ *
+ * Chunks go to a temp file that is renamed into place only after the stream
+ * ends cleanly, so a failed or abandoned stream never leaves a partial entry.
+ * Headers are not flushed until the first chunk, so errors before any audio
+ * can still be answered with a JSON error by the caller.
+ *
+ * @param {Readable} source - Upstream audio body
+ * @param {Writable} res - Client response
+ * @param {string} cachePath - Final cache file path
+ * @param {number} [stallTimeoutMs] - Fail if no chunk arrives for this long
+ * @returns {Promise<{ bytes: number }>} Rejects if the stream fails or the client disconnects
+ */
+function pipeAudioToClientAndCache(source, res, cachePath, stallTimeoutMs = API_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const tmpPath = `${cachePath}.${process.pid}.${Date.now()}.partial`;
+    const file = fs.createWriteStream(tmpPath);
+    let bytes = 0;
+    let settled = false;
+    let stallTimer = null;
+
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => fail(new Error(`Upstream stream stalled for ${stallTimeoutMs}ms`)), stallTimeoutMs);
+    };
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stallTimer);
+      source.destroy();
+      file.destroy();
+      fs.unlink(tmpPath, () => {});
+      reject(Object.assign(err, { bytesSent: bytes }));
+    };
+
+    source.on('data', (chunk) => {
+      bytes += chunk.length;
+      armStallTimer();
+      file.write(chunk);
+      if (!res.write(chunk)) {
+        source.pause();
+        res.once('drain', () => source.resume());
+      }
+    });
+
+    source.on('end', () => {
+      if (settled) return;
+      clearTimeout(stallTimer);
+      if (bytes === 0) {
+        return fail(new Error('Upstream returned empty audio'));
+      }
+      settled = true;
+      res.end();
+      file.end(() => {
+        fs.rename(tmpPath, cachePath, (err) => {
+          if (err) {
+            console.error('[TTS] Failed to finalize streamed cache entry:', err.message);
+            fs.unlink(tmpPath, () => {});
+          }
+          resolve({ bytes });
+        });
+      });
+    });
+
+    source.on('error', fail);
+    file.on('error', fail);
+    res.on('close', () => {
+      if (!res.writableFinished) fail(new Error('Client disconnected'));
+    });
+
+    armStallTimer();
+  });
+}
+
+/**
+ * Stream a cache MISS to the client as chunked audio
+ * Fallback only applies until a provider starts streaming.
+ */
+async function streamWithCache(res, { source, cacheKey, format, meta }) {
+  res.set('Content-Type', format.contentType);
+  res.set('X-Cache', 'MISS');
+  res.set('X-Stream', 'true');
+  res.set('X-Audio-Processing', 'none');
+
+  try {
+    const { bytes } = await pipeAudioToClientAndCache(source, res, getCachePath(cacheKey, format.extension));
+    writeMeta(cacheKey, meta);
+    console.log(`[TTS] Streamed and cached ${bytes} bytes`);
+  } catch (err) {
+    console.error(`[TTS] Stream failed after ${err.bytesSent} bytes: ${err.message}`);
+    if (!res.headersSent) {
+      return res.status(502).json({
+        ok: false,
+        error: 'TTS stream failed',
+        details: err.message
+      });
+    }
+    // Audio already started - abort the chunked response so the client sees the failure
+    res.destroy();
+  }
+}
+
+/**
+ * GET /api/tts/:cacheKey/timings handler
+ * Sidecar lookup for timings of an already synthesized /api/tts entry.
+ */
+function ttsTimingsHandler(req, res) {
+  const { cacheKey } = req.params;
+
+  if (!/^[a-f0-9]{64}$/.test(cacheKey)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Invalid cache key'
+    });
+  }
+
+  const timings = readTimings(cacheKey);
+  if (!timings) {
+    return res.status(404).json({
+      ok: false,
+      error: 'Timings not found',
+      details: 'Request /api/tts with "timestamps": true first'
+    });
+  }
+
+  res.json({ ok: true, cacheKey, timings });
+}
+
+/**
+ * GET /api/tts/:cacheKey/visemes handler
+ * Viseme track for an already synthesized /api/tts entry. Uses the entry's
+ * timings when it was requested with timestamps, otherwise estimates them
+ * from syllable count and audio duration.
+ * Query: ?text= (only needed for entries cached before text was recorded)
+ */
+function ttsVisemesHandler(req, res) {
+  const { cacheKey } = req.params;
+
+  if (!/^[a-f0-9]{64}$/.test(cacheKey)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'Invalid cache key'
+    });
+  }
+
+  let timings = readTimings(cacheKey);
+  if (!timings) {
+    const cached = findCachedAudio(cacheKey);
+    if (!cached) {
+      return res.status(404).json({
+        ok: false,
+        error: 'TTS entry not found',
+        details: 'Request /api/tts first and use its X-Cache-Key'
+      });
+    }
+
+    const meta = readMeta(cacheKey);
+    const text = meta ? meta.text : req.query.text;
+    if (!text || typeof text !== 'string') {
+      return res.status(404).json({
+        ok: false,
+        error: 'Text unknown for this entry',
+        details: 'Pass the synthesized sentence as ?text='
+      });
+    }
+
+    const duration = getAudioDuration(cached.audio, cached.formatName);
+    timings = duration ? estimateTimings(text, duration) : { ...generateMockTimings(text), source: 'estimate' };
+  }
+
+  res.json({
+    ok: true,
+    cacheKey,
+    source: timings.source,
+    ...buildVisemeTrack(timings)
+  });
+}
+
+/**
+ * Drill requests that cannot be served (shared with the MODE=MOCK stub)
+ * @returns {string|null} Error message, or null if the drill is valid
+ */
+function validateDrill(text, drill, withTimestamps) {
+  if (withTimestamps) {
+    return '"drill" and "timestamps" cannot be combined (drill responses include a segment map)';
+  }
+  const segments = buildDrillPlan(text, drill.unit).length - 1;
+  if (segments === 0) {
+    return 'Nothing to drill (text has no syllables)';
+  }
+  if (segments > MAX_DRILL_SEGMENTS) {
+    return `Too many drill segments (${segments}, max ${MAX_DRILL_SEGMENTS}); use "drill": "word" or a shorter sentence`;
+  }
+  return null;
 }
 
 /**
  * POST /api/tts handler
  *
- * Request body: { text: string }
- * Response: audio/mpeg
+ * Request body: { text: string, speedProfile?: 0|1|2, voice?: string, stability?: number, style?: number,
+ *                 format?: 'mp3'|'wav'|'pcm'|'opus', timestamps?: boolean, stream?: boolean,
+ *                 drill?: 'syllable'|'word', gapMs?: number }
+ * Format: "format" field, else the Accept header, else mp3
+ * Provider: first provider in TTS_PROVIDERS that is configured and supports the request;
+ *           later ones are tried if it fails (X-TTS-Provider reports which one answered)
+ * Response: audio in the negotiated format (X-Speed-Profile, X-Voice and X-Audio-Format
+ *           headers report what was used; chunked when stream=true and the audio is not cached yet)
+ *           or JSON { ok, cacheKey, provider, referenceDuration, audioBase64, timings } when timestamps=true
+ *           or JSON { ok, drill, gapMs, referenceDuration, audioBase64, segments } when drill is set
+ * MP3/WAV/PCM audio is silence-trimmed and loudness-normalized before caching (see audioProcessing.js),
+ * except streamed MP3, which is sent and cached as received (X-Audio-Processing: none);
+ * X-Reference-Duration reports the clip length (not sent for streamed responses)
  */
 async function ttsHandler(req, res) {
   try {
-    // Check if configured
-    if (!isElevenLabsConfigured()) {
+    // Check if any provider is configured
+    const providers = getConfiguredProviders('tts');
+    if (providers.length === 0) {
       return res.status(503).json({
         ok: false,
         error: 'Service unavailable',
-        details: 'ELEVENLABS_API_KEY not configured'
+        details: `No TTS provider configured (${CHAIN_ENV.tts})`
       });
     }
 
@@ -93,87 +603,129 @@ async function ttsHandler(req, res) {
       });
     }
 
-    // Get voice ID from env or use default
-    const voiceId = process.env.ELEVENLABS_VOICE_ID || DEFAULT_VOICE_ID;
+    // Resolve voice from the allowlisted catalog
+    const voice = resolveVoice(req.body.voice);
+    if (!voice) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown voice "${req.body.voice}"`,
+        validVoices: VOICES.map(v => v.id)
+      });
+    }
 
-    // Check cache
-    const cacheKey = generateCacheKey(text, voiceId);
-    if (isCached(cacheKey)) {
-      const cachedAudio = readCache(cacheKey);
-      if (cachedAudio && cachedAudio.length > 100) {
-        console.log(`[TTS] Cache HIT for "${text.substring(0, 30)}..." (${cachedAudio.length} bytes)`);
-        res.set('Content-Type', 'audio/mpeg');
-        res.set('X-Cache', 'HIT');
-        return res.send(cachedAudio);
-      } else {
-        console.log(`[TTS] Cache invalid for "${text.substring(0, 30)}...", refetching`);
-      }
+    const overrideResult = parseVoiceOverrides(req.body);
+    if (!overrideResult.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: overrideResult.error
+      });
+    }
+
+    const drillResult = parseDrillOptions(req.body);
+    if (!drillResult.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: drillResult.error
+      });
+    }
+    const { drill } = drillResult;
+
+    const formatResult = drill
+      ? resolveDrillFormat(req.body, req.headers.accept)
+      : resolveOutputFormat(req.body, req.headers.accept);
+    if (!formatResult.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: formatResult.error
+      });
     }
+    const { name: formatName, format } = formatResult;
 
-    // Call ElevenLabs API
-    console.log(`[TTS] Calling ElevenLabs for "${text.substring(0, 30)}..."`);
-
-    const fetch = (await import('node-fetch')).default;
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?output_format=${DEFAULT_OUTPUT_FORMAT}`;
-
-    const response = await retryFetch(async () => {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
-
-      try {
-        const res = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': process.env.ELEVENLABS_API_KEY
-          },
-          body: JSON.stringify({
-            text,
-            model_id: DEFAULT_MODEL_ID,
-            voice_settings: DEFAULT_VOICE_SETTINGS
-          }),
-          signal: controller.signal
+    // Resolve speed profile (invalid values fall back to normal)
+    const speedProfile = resolveSpeedProfile(req.body.speedProfile);
+    const profileName = SPEED_PROFILES[speedProfile].name;
+    const voiceSettings = getVoiceSettings(speedProfile, voice.voiceSettings, overrideResult.overrides);
+
+    res.set('X-Voice', voice.id);
+    res.set('X-Speed-Profile', String(speedProfile));
+    res.set('X-Speed-Profile-Name', profileName);
+    res.set('X-Audio-Format', formatName);
+    res.set('Vary', 'Accept');
+
+    const withTimestamps = req.body.timestamps === true || req.body.timestamps === 'true';
+    if (drill) {
+      const drillError = validateDrill(text, drill, withTimestamps);
+      if (drillError) {
+        return res.status(400).json({
+          ok: false,
+          error: drillError
         });
-        clearTimeout(timeoutId);
-        return res;
-      } catch (err) {
-        clearTimeout(timeoutId);
-        throw err;
       }
-    });
+    }
 
-    // Log response details
-    console.log(`[TTS] ElevenLabs response: status=${response.status}, content-type=${response.headers.get('content-type')}`);
+    // Streaming mode: pipe upstream audio as it arrives (cache hits below are served whole).
+    // Streamed MP3 is sent as received, since it only exists processed once the whole clip is encoded.
+    const stream = (req.body.stream === true || req.body.stream === 'true') && !drill && !withTimestamps && isStreamableFormat(format);
+    const processed = isProcessedFormat(format) && !stream;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[TTS] ElevenLabs error (${response.status}):`, errorText);
-      return res.status(502).json({
+    // Providers are asked for the synthesis format (PCM for post-processed MP3)
+    const synthesis = processed ? getSynthesisFormat(formatName) : { formatName, format };
+    const candidates = providers.filter(p => supportsTts(p, { formatName: synthesis.formatName, withTimestamps }));
+    if (candidates.length === 0) {
+      return res.status(400).json({
         ok: false,
-        error: 'ElevenLabs API error',
-        details: errorText
+        error: `No configured TTS provider supports ${withTimestamps ? 'timestamps in ' : ''}format "${formatName}"`
       });
     }
 
-    const audioBuffer = Buffer.from(await response.arrayBuffer());
-    console.log(`[TTS] Received MP3: ${audioBuffer.length} bytes`);
+    const entries = getCacheEntries(candidates, text, voice, voiceSettings, format, processed);
+    const meta = { text, voice: voice.id, speedProfile, format: formatName };
+    const request = { text, voice, voiceSettings, format, formatName, meta };
 
-    // Validate audio data
-    if (!audioBuffer || audioBuffer.length === 0) {
-      console.error('[TTS] ElevenLabs returned empty audio');
-      return res.status(502).json({
-        ok: false,
-        error: 'ElevenLabs returned empty audio',
-        details: 'Audio buffer is empty'
-      });
+    // Drill mode: JSON envelope with joined segment audio + segment map
+    if (drill) {
+      return sendDrill(res, candidates, request, speedProfile, drill);
+    }
+
+    // Timestamp mode: JSON envelope with audio + syllable/어절 timings
+    if (withTimestamps) {
+      return sendWithTimings(res, entries, request, speedProfile);
+    }
+
+    // Check cache
+    const hit = findCachedEntry(entries, format);
+    if (hit) {
+      console.log(`[TTS] Cache HIT for "${text.substring(0, 30)}..." [${hit.provider.name}, ${profileName}, ${formatName}] (${hit.audio.length} bytes)`);
+      setEntryHeaders(res, hit.provider.name, hit.cacheKey);
+      setAudioHeaders(res, hit.audio, formatName, format, processed);
+      res.set('Content-Type', format.contentType);
+      res.set('X-Cache', 'HIT');
+      return res.send(hit.audio);
     }
 
+    console.log(`[TTS] Synthesizing "${text.substring(0, 30)}..." [${voice.id}, ${profileName}, speed=${voiceSettings.speed}${stream ? ', stream' : ''}]`);
+    const result = await synthesizeWithFallback(candidates, { ...request, ...synthesis, stream });
+    if (!result.ok) {
+      return sendSynthesisError(res, result);
+    }
+
+    const { cacheKey } = entries.find(e => e.provider.name === result.provider);
+    setEntryHeaders(res, result.provider, cacheKey);
+
+    if (result.stream) {
+      return streamWithCache(res, { source: result.stream, cacheKey, format, meta });
+    }
+
+    console.log(`[TTS] Received ${synthesis.formatName} from ${result.provider}: ${result.audio.length} bytes`);
+    const audioBuffer = processed ? (await processForCache(result.audio, format)).audio : result.audio;
+
     // Cache the result
-    writeCache(cacheKey, audioBuffer);
+    writeCache(cacheKey, audioBuffer, format.extension);
+    writeMeta(cacheKey, meta);
     console.log(`[TTS] Cached ${audioBuffer.length} bytes`);
 
-    res.set('Content-Type', 'audio/mpeg');
+    setAudioHeaders(res, audioBuffer, formatName, format, processed);
+    res.set('Content-Type', format.contentType);
     res.set('X-Cache', 'MISS');
     res.send(audioBuffer);
 
@@ -187,6 +739,71 @@ async function ttsHandler(req, res) {
   }
 }
 
+/**
+ * Return a cached entry or synthesize (and cache) it, without streaming
+ * @param {object} request - { text, voice, voiceSettings, format, formatName, providers, meta }
+ * @returns {Promise<object>} { ok, cached, provider, cacheKey, audio } or the failed synthesis result
+ */
+async function synthesizeToCache({ text, voice, voiceSettings, format, formatName, providers, meta }) {
+  const entries = getCacheEntries(providers, text, voice, voiceSettings, format);
+
+  const hit = findCachedEntry(entries, format);
+  if (hit) {
+    return { ok: true, cached: true, provider: hit.provider.name, cacheKey: hit.cacheKey, audio: hit.audio };
+  }
+
+  const result = await synthesizeWithFallback(providers, { text, voice, voiceSettings, ...getSynthesisFormat(formatName) });
+  if (!result.ok) {
+    return result;
+  }
+
+  const { audio } = await processForCache(result.audio, format);
+  const { cacheKey } = entries.find(e => e.provider.name === result.provider);
+  writeCache(cacheKey, audio, format.extension);
+  writeMeta(cacheKey, meta);
+  return { ok: true, cached: false, provider: result.provider, cacheKey, audio };
+}
+
+/**
+ * Check whether /api/tts would serve this text from cache
+ * Mirrors the handler's lookup (any candidate provider's entry counts) without reading audio.
+ * @param {object} request - { text, voice, speedProfile, formatName, providers }
+ * @returns {boolean}
+ */
+function isTtsCached({ text, voice, speedProfile, formatName, providers }) {
+  const format = OUTPUT_FORMATS[formatName];
+  const voiceSettings = getVoiceSettings(speedProfile, voice.voiceSettings);
+
+  return getCacheEntries(providers, text, voice, voiceSettings, format).some(({ cacheKey }) => {
+    try {
+      return fs.statSync(getCachePath(cacheKey, format.extension)).size > 100;
+    } catch (err) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Synthesize into the cache without a client (used by the pre-warm job)
+ * Uses the same keys, fallback chain and cache files as /api/tts with default voice settings.
+ * @param {object} request - { text, voice, speedProfile, formatName, providers }
+ * @returns {Promise<object>} { ok, cached, provider, cacheKey, bytes? } or { ok: false, error, details }
+ */
+async function warmTtsCache({ text, voice, speedProfile, formatName, providers }) {
+  const format = OUTPUT_FORMATS[formatName];
+  const voiceSettings = getVoiceSettings(speedProfile, voice.voiceSettings);
+  const meta = { text, voice: voice.id, speedProfile, format: formatName };
+
+  const result = await synthesizeToCache({ text, voice, voiceSettings, format, formatName, providers, meta });
+  if (!result.ok) {
+    return { ok: false, error: result.error, details: result.details };
+  }
+  if (result.cached) {
+    return { ok: true, cached: true, provider: result.provider, cacheKey: result.cacheKey };
+  }
+  return { ok: true, cached: false, provider: result.provider, cacheKey: result.cacheKey, bytes: result.audio.length };
+}
+
 /**
  * Get TTS cache statistics
  */
@@ -195,7 +812,7 @@ function getTTSCacheStats() {
     if (!fs.existsSync(TTS_CACHE_DIR)) {
       return { entries: 0, totalSizeBytes: 0 };
     }
-    const files = fs.readdirSync(TTS_CACHE_DIR).filter(f => f.endsWith('.wav') || f.endsWith('.mp3'));
+    const files = fs.readdirSync(TTS_CACHE_DIR).filter(isAudioCacheFile);
     let totalSize = 0;
     for (const file of files) {
       const stat = fs.statSync(path.join(TTS_CACHE_DIR, file));
@@ -213,10 +830,14 @@ function getTTSCacheStats() {
 function clearTTSCache() {
   try {
     if (!fs.existsSync(TTS_CACHE_DIR)) return { cleared: 0 };
-    const files = fs.readdirSync(TTS_CACHE_DIR).filter(f => f.endsWith('.wav') || f.endsWith('.mp3'));
+    const files = fs.readdirSync(TTS_CACHE_DIR).filter(isAudioCacheFile);
     for (const file of files) {
       fs.unlinkSync(path.join(TTS_CACHE_DIR, file));
     }
+    // Sidecar files (timings) and interrupted streams are not counted as entries
+    fs.readdirSync(TTS_CACHE_DIR)
+      .filter(f => f.endsWith('.json') || f.endsWith('.partial'))
+      .forEach(f => fs.unlinkSync(path.join(TTS_CACHE_DIR, f)));
     return { cleared: files.length };
   } catch (err) {
     return { error: err.message };
@@ -225,6 +846,18 @@ function clearTTSCache() {
 
 module.exports = {
   ttsHandler,
+  ttsTimingsHandler,
+  ttsVisemesHandler,
   getTTSCacheStats,
-  clearTTSCache
+  clearTTSCache,
+  generateCacheKey,
+  getCacheFormatId,
+  validateDrill,
+  pipeAudioToClientAndCache,
+  isTtsCached,
+  warmTtsCache,
+  resolveSpeedProfile,
+  getVoiceSettings,
+  SPEED_PROFILES,
+  DEFAULT_SPEED_PROFILE
 };
@@ -0,0 +1,182 @@
+/**
+ * TTS Output Formats
+ *
+ * Maps client-facing formats to ElevenLabs output_format values and selects
+ * one per request from the "format" body field or the Accept header.
+ *
+ * Formats:
+ * - mp3:  audio/mpeg (default); synthesized as PCM and encoded here when post-processed
+ * - wav:  audio/wav, PCM16 mono (upstream PCM wrapped in a WAV header)
+ * - pcm:  raw PCM16 little-endian mono (audio/L16)
+ * - opus: audio/ogg (Opus)
+ */
+
+const { parseWavHeader, extractPcmData } = require('./pronounce');
+
+const PCM_SAMPLE_RATE = 22050;
+const PCM_BYTES_PER_SAMPLE = 2;
+const OPUS_GRANULE_RATE = 48000;
+
+// id is part of the TTS cache key; mp3 keeps the upstream value so unprocessed
+// entries cached before format negotiation stay valid. Post-processed MP3 is
+// encoded at the PCM rate and cached under processedId instead.
+const OUTPUT_FORMATS = {
+  mp3: {
+    id: 'mp3_44100_128',
+    upstream: 'mp3_44100_128',
+    contentType: 'audio/mpeg',
+    extension: 'mp3',
+    bitrate: 128000,
+    // Post-processing needs samples: synthesize as this format, then encode (audioProcessing.js)
+    processAs: 'pcm',
+    processedId: `mp3_${PCM_SAMPLE_RATE}_128`
+  },
+  wav: {
+    id: `wav_${PCM_SAMPLE_RATE}`,
+    upstream: `pcm_${PCM_SAMPLE_RATE}`,
+    contentType: 'audio/wav',
+    extension: 'wav',
+    sampleRate: PCM_SAMPLE_RATE,
+    wrapWav: true
+  },
+  pcm: {
+    id: `pcm_${PCM_SAMPLE_RATE}`,
+    upstream: `pcm_${PCM_SAMPLE_RATE}`,
+    contentType: `audio/L16; rate=${PCM_SAMPLE_RATE}; channels=1`,
+    extension: 'pcm',
+    sampleRate: PCM_SAMPLE_RATE
+  },
+  opus: {
+    id: 'opus_48000_64',
+    upstream: 'opus_48000_64',
+    contentType: 'audio/ogg; codecs=opus',
+    extension: 'ogg'
+  }
+};
+
+const DEFAULT_FORMAT = 'mp3';
+
+// Accept header media types -> format name
+const MEDIA_TYPE_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/l16': 'pcm',
+  'audio/pcm': 'pcm',
+  'audio/ogg': 'opus',
+  'audio/opus': 'opus'
+};
+
+/**
+ * Whether name is one of OUTPUT_FORMATS (own keys only, so "constructor" is not a format)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isOutputFormat(name) {
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, name);
+}
+
+/**
+ * Format name for a cache file extension
+ */
+function formatForExtension(extension) {
+  return Object.keys(OUTPUT_FORMATS).find(name => OUTPUT_FORMATS[name].extension === extension) || null;
+}
+
+/**
+ * Playback duration of synthesized audio
+ * Exact for WAV/PCM/Ogg Opus; MP3 assumes the constant bitrate ElevenLabs produces.
+ * @param {Buffer} buffer
+ * @param {string} formatName - Key of OUTPUT_FORMATS
+ * @returns {number|null} Seconds, or null if it cannot be determined
+ */
+function getAudioDuration(buffer, formatName) {
+  const format = OUTPUT_FORMATS[formatName];
+  if (!format || !buffer || buffer.length === 0) return null;
+
+  switch (formatName) {
+    case 'wav': {
+      const header = parseWavHeader(buffer);
+      const pcm = extractPcmData(buffer);
+      return header && pcm && header.byteRate ? pcm.length / header.byteRate : null;
+    }
+    case 'pcm':
+      return buffer.length / (format.sampleRate * PCM_BYTES_PER_SAMPLE);
+    case 'mp3':
+      return (buffer.length * 8) / format.bitrate;
+    case 'opus': {
+      // Granule position of the last Ogg page counts 48 kHz samples, including pre-skip
+      const lastPage = buffer.lastIndexOf('OggS');
+      const head = buffer.indexOf('OpusHead');
+      if (lastPage < 0 || lastPage + 14 > buffer.length) return null;
+      const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+      const preSkip = head >= 0 ? buffer.readUInt16LE(head + 10) : 0;
+      return Math.max(0, granule - preSkip) / OPUS_GRANULE_RATE;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an Accept header into media types ordered by q-value
+ * @param {string} header
+ * @returns {string[]} Lowercased media types, most preferred first
+ */
+function parseAccept(header) {
+  if (!header || typeof header !== 'string') return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { type: type.trim().toLowerCase(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.type && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.type);
+}
+
+/**
+ * Select the output format for a TTS request
+ * An explicit "format" field wins over the Accept header. Accept headers
+ * without a supported audio type (wildcards included) get the default format.
+ * @param {object} body - Request body
+ * @param {string} [acceptHeader] - Request Accept header
+ * @returns {{ ok: boolean, name?: string, format?: object, error?: string }}
+ */
+function resolveOutputFormat(body, acceptHeader) {
+  if (body.format !== undefined && body.format !== null && body.format !== '') {
+    const name = String(body.format).toLowerCase();
+    if (!isOutputFormat(name)) {
+      return {
+        ok: false,
+        error: `Unsupported format "${body.format}" (use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+      };
+    }
+    return { ok: true, name, format: OUTPUT_FORMATS[name] };
+  }
+
+  for (const type of parseAccept(acceptHeader)) {
+    if (Object.prototype.hasOwnProperty.call(MEDIA_TYPE_FORMATS, type)) {
+      const name = MEDIA_TYPE_FORMATS[type];
+      return { ok: true, name, format: OUTPUT_FORMATS[name] };
+    }
+  }
+
+  return { ok: true, name: DEFAULT_FORMAT, format: OUTPUT_FORMATS[DEFAULT_FORMAT] };
+}
+
+module.exports = {
+  resolveOutputFormat,
+  isOutputFormat,
+  getAudioDuration,
+  formatForExtension,
+  parseAccept,
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT
+};
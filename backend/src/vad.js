@@ -0,0 +1,202 @@
+/**
+ * Voice Activity Detection - find speech in learner recordings
+ *
+ * Runs on the PCM16 mono audio decoded by pronounce.js before any upstream
+ * call, so silent recordings are rejected without paying for STT/Grok (and
+ * without the STT model hallucinating text for silence).
+ *
+ * A 20ms frame is speech when its energy is above VAD_SPEECH_DBFS and its
+ * zero-crossing rate is in the voiced range; frames with noise-like ZCR
+ * (hiss, fricatives) only count when clearly louder. Speech frames are joined
+ * into segments across short pauses, and segments shorter than a click are
+ * dropped.
+ *
+ * Environment Variables:
+ * - VAD_ENABLED: "false" disables detection and rejection (default: enabled)
+ * - VAD_SPEECH_DBFS: Frames quieter than this are silence (default: -45)
+ * - VAD_MIN_SPEECH_MS: Less detected speech than this is rejected (default: 100)
+ */
+
+const { decodeAudioInput } = require('./pronounce');
+const { frameRms, pcm16ToSamples, toDb } = require('./audioProcessing');
+const { AUDIO_ERROR_STATUS } = require('./audioInput');
+
+const FRAME_MS = 20;
+// Zero crossings per sample above this sound like noise rather than voicing
+const MAX_VOICED_ZCR = 0.3;
+// Noise-like frames count as speech when this much louder than the threshold
+const NOISY_FRAME_MARGIN_DB = 15;
+// Pauses shorter than this stay inside one segment
+const MERGE_GAP_MS = 200;
+// Segments shorter than this are clicks/bumps
+const MIN_SEGMENT_MS = 60;
+// Silence kept around speech when trimming
+const PAD_MS = 100;
+
+function getSettings() {
+  const speechDbfs = parseFloat(process.env.VAD_SPEECH_DBFS);
+  const minSpeechMs = parseInt(process.env.VAD_MIN_SPEECH_MS, 10);
+  return {
+    enabled: String(process.env.VAD_ENABLED || 'true').toLowerCase() !== 'false',
+    speechDbfs: Number.isFinite(speechDbfs) ? speechDbfs : -45,
+    minSpeechMs: Number.isInteger(minSpeechMs) && minSpeechMs >= 0 ? minSpeechMs : 100
+  };
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Zero crossings per sample for each frame
+ */
+function frameZeroCrossings(samples, frameSize) {
+  const rates = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(start + frameSize, samples.length);
+    let crossings = 0;
+    for (let i = start + 1; i < end; i++) {
+      if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+    rates.push(crossings / Math.max(1, end - start - 1));
+  }
+  return rates;
+}
+
+/**
+ * Find speech segments in PCM16 mono audio
+ * @param {Buffer} pcmBuffer - PCM16 little-endian mono
+ * @param {number} sampleRate
+ * @param {object} [settings] - { speechDbfs } (default: from env)
+ * @returns {{ start: number|null, end: number|null, speechDuration: number, recordingDuration: number, segments: Array<{ start: number, end: number }> }}
+ *          Seconds; start/end span all segments and are null when there is no speech
+ */
+function detectSpeech(pcmBuffer, sampleRate, settings = getSettings()) {
+  const samples = pcm16ToSamples(pcmBuffer);
+  const { frameSize, rms } = frameRms(samples, sampleRate, FRAME_MS);
+  const zcr = frameZeroCrossings(samples, frameSize);
+
+  const isSpeech = rms.map((level, i) => {
+    const db = toDb(level);
+    return db > settings.speechDbfs && (zcr[i] <= MAX_VOICED_ZCR || db > settings.speechDbfs + NOISY_FRAME_MARGIN_DB);
+  });
+
+  // Runs of speech frames, in frame indexes [start, end)
+  const runs = [];
+  isSpeech.forEach((speech, i) => {
+    if (!speech) return;
+    const last = runs[runs.length - 1];
+    if (last && (i - last.end) * FRAME_MS <= MERGE_GAP_MS) last.end = i + 1;
+    else runs.push({ start: i, end: i + 1 });
+  });
+
+  const toSeconds = frame => Math.min(frame * frameSize, samples.length) / sampleRate;
+  const segments = runs
+    .filter(run => (run.end - run.start) * FRAME_MS >= MIN_SEGMENT_MS)
+    .map(run => ({ start: round3(toSeconds(run.start)), end: round3(toSeconds(run.end)) }));
+
+  return {
+    start: segments.length > 0 ? segments[0].start : null,
+    end: segments.length > 0 ? segments[segments.length - 1].end : null,
+    speechDuration: round3(segments.reduce((sum, s) => sum + s.end - s.start, 0)),
+    recordingDuration: round3(samples.length / sampleRate),
+    segments
+  };
+}
+
+/**
+ * Reject a recording without enough speech
+ * @param {object} speech - From detectSpeech
+ * @param {object} [settings] - { minSpeechMs } (default: from env)
+ * @returns {{ ok: false, code, status, error, details }|null} null when the recording is usable
+ */
+function checkSpeech(speech, settings = getSettings()) {
+  if (speech.segments.length === 0) {
+    return {
+      ok: false,
+      code: 'NO_SPEECH',
+      status: AUDIO_ERROR_STATUS.NO_SPEECH,
+      error: 'No speech detected',
+      details: `The ${speech.recordingDuration}s recording is silent; speak closer to the microphone and try again`
+    };
+  }
+  if (speech.speechDuration * 1000 < settings.minSpeechMs) {
+    return {
+      ok: false,
+      code: 'SPEECH_TOO_SHORT',
+      status: AUDIO_ERROR_STATUS.SPEECH_TOO_SHORT,
+      error: 'Speech too short',
+      details: `Detected ${Math.round(speech.speechDuration * 1000)}ms of speech (minimum ${settings.minSpeechMs}ms)`
+    };
+  }
+  return null;
+}
+
+/**
+ * Samples kept by trimToSpeech
+ * @param {number} sampleRate
+ * @param {object} speech - From detectSpeech
+ * @returns {{ startSample: number, endSample: number }|null} null when no speech was found
+ */
+function getSpeechRange(sampleRate, speech) {
+  if (speech.start === null) return null;
+  const pad = PAD_MS / 1000;
+  return {
+    startSample: Math.floor(Math.max(0, speech.start - pad) * sampleRate),
+    endSample: Math.ceil(Math.min(speech.recordingDuration, speech.end + pad) * sampleRate)
+  };
+}
+
+/**
+ * Cut leading/trailing silence (keeping a little padding)
+ * @param {Buffer} pcmBuffer - PCM16 little-endian mono
+ * @param {number} sampleRate
+ * @param {object} speech - From detectSpeech
+ * @returns {Buffer}
+ */
+function trimToSpeech(pcmBuffer, sampleRate, speech) {
+  const range = getSpeechRange(sampleRate, speech);
+  if (!range) return pcmBuffer;
+  return pcmBuffer.subarray(range.startSample * 2, range.endSample * 2);
+}
+
+/**
+ * Screen an upload for speech before it is sent upstream
+ * Uploads that cannot be decoded here (e.g. corrupt files)
+ * are passed through with speech: null and left to the STT provider.
+ * @param {Buffer} audioBuffer - Upload that passed identifyAudio
+ * @returns {Promise<{ ok: true, speech: object|null, decoded: { pcmBuffer, sampleRate }|null }|{ ok: false, code, status, error, details }>}
+ *          decoded is the whole recording (PCM16 mono 16kHz); see trimToSpeech
+ */
+async function screenForSpeech(audioBuffer) {
+  const settings = getSettings();
+  if (!settings.enabled) return { ok: true, speech: null, decoded: null };
+
+  const decoded = await decodeAudioInput(audioBuffer);
+  if (!decoded.ok) {
+    console.log(`[VAD] Skipped: ${decoded.error}`);
+    return { ok: true, speech: null, decoded: null };
+  }
+
+  const speech = detectSpeech(decoded.pcmBuffer, decoded.sampleRate, settings);
+  const rejection = checkSpeech(speech, settings);
+  if (rejection) {
+    console.log(`[VAD] Rejected (${rejection.code}): ${speech.speechDuration}s speech in ${speech.recordingDuration}s`);
+    return rejection;
+  }
+
+  console.log(`[VAD] Speech ${speech.start}s-${speech.end}s (${speech.speechDuration}s of ${speech.recordingDuration}s)`);
+  return {
+    ok: true,
+    speech,
+    decoded: { pcmBuffer: decoded.pcmBuffer, sampleRate: decoded.sampleRate }
+  };
+}
+
+module.exports = {
+  detectSpeech,
+  checkSpeech,
+  getSpeechRange,
+  trimToSpeech,
+  screenForSpeech
+};
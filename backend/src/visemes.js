@@ -0,0 +1,165 @@
+/**
+ * Viseme Track Generation - Korean lip-sync for the Unity avatar
+ *
+ * Turns Hangul text plus TTS timings into a sequence of mouth shapes built
+ * from the jamo of each syllable:
+ * - Vowel (중성) shapes: ㅏ (open), ㅗ (rounded), ㅜ (protruded), ㅣ (spread), ㅡ (flat)
+ *   Compound and y/w-glide vowels start with a short glide shape.
+ * - Closed lips for bilabial consonants ㅁ/ㅂ/ㅃ/ㅍ (초성 onset and 종성 coda)
+ * - "rest" between words and around the utterance
+ *
+ * Each viseme also names the TtsMouthController blendshape it drives
+ * (AA, OH, OU, EE, IH, MBP).
+ */
+
+const { decomposeSyllable } = require('./jamo');
+
+// Mouth shapes and the avatar blendshape each one drives
+const VISEMES = {
+  a: { jamo: 'ㅏ', blendshape: 'AA' },
+  o: { jamo: 'ㅗ', blendshape: 'OH' },
+  u: { jamo: 'ㅜ', blendshape: 'OU' },
+  i: { jamo: 'ㅣ', blendshape: 'EE' },
+  eu: { jamo: 'ㅡ', blendshape: 'IH' },
+  closed: { jamo: 'ㅁ', blendshape: 'MBP' },
+  rest: { jamo: null, blendshape: null }
+};
+
+// Medial vowel -> [glide shape or null, vowel shape, weight]
+// Weight scales the blendshape (e.g. ㅓ opens the jaw less than ㅏ).
+const MEDIAL_SHAPES = {
+  'ㅏ': [null, 'a', 1.0],
+  'ㅐ': [null, 'i', 0.7],
+  'ㅑ': ['i', 'a', 1.0],
+  'ㅒ': ['i', 'i', 0.7],
+  'ㅓ': [null, 'a', 0.7],
+  'ㅔ': [null, 'i', 0.7],
+  'ㅕ': ['i', 'a', 0.7],
+  'ㅖ': ['i', 'i', 0.7],
+  'ㅗ': [null, 'o', 1.0],
+  'ㅘ': ['o', 'a', 1.0],
+  'ㅙ': ['o', 'i', 0.7],
+  'ㅚ': ['o', 'i', 0.7],
+  'ㅛ': ['i', 'o', 1.0],
+  'ㅜ': [null, 'u', 1.0],
+  'ㅝ': ['u', 'a', 0.7],
+  'ㅞ': ['u', 'i', 0.7],
+  'ㅟ': ['u', 'i', 1.0],
+  'ㅠ': ['i', 'u', 1.0],
+  'ㅡ': [null, 'eu', 1.0],
+  'ㅢ': ['eu', 'i', 1.0],
+  'ㅣ': [null, 'i', 1.0]
+};
+
+const BILABIAL_INITIALS = new Set(['ㅁ', 'ㅂ', 'ㅃ', 'ㅍ']);
+// Codas pronounced as ㅁ/ㅂ (ㄻ -> ㅁ, ㄿ/ㅄ -> ㅂ)
+const BILABIAL_FINALS = new Set(['ㅁ', 'ㅂ', 'ㅍ', 'ㅄ', 'ㄻ', 'ㄿ']);
+
+// Segment sizing within a syllable
+const CLOSURE_FRACTION = 0.25;
+const CLOSURE_MAX_SECONDS = 0.06;
+const GLIDE_FRACTION = 0.3;
+// Gaps shorter than this between syllables are not worth a rest shape
+const MIN_REST_SECONDS = 0.03;
+// Non-Hangul spoken characters (digits, Latin) get a neutral half-open mouth
+const NEUTRAL = ['a', 0.5];
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Mouth shapes for one syllable as relative segments
+ * @param {string} char
+ * @returns {Array<{ viseme: string, weight: number, share: number }>} shares sum to 1
+ */
+function syllableShapes(char) {
+  const jamo = decomposeSyllable(char);
+  if (!jamo) {
+    return [{ viseme: NEUTRAL[0], weight: NEUTRAL[1], share: 1 }];
+  }
+
+  const [glide, vowel, weight] = MEDIAL_SHAPES[jamo.medial];
+  const onset = BILABIAL_INITIALS.has(jamo.initial);
+  const coda = BILABIAL_FINALS.has(jamo.final);
+  const shapes = [];
+
+  let vowelShare = 1;
+  if (onset) vowelShare -= CLOSURE_FRACTION;
+  if (coda) vowelShare -= CLOSURE_FRACTION;
+
+  if (onset) shapes.push({ viseme: 'closed', weight: 1, share: CLOSURE_FRACTION });
+  if (glide && glide !== vowel) {
+    shapes.push({ viseme: glide, weight: 0.6, share: vowelShare * GLIDE_FRACTION });
+    vowelShare *= 1 - GLIDE_FRACTION;
+  }
+  shapes.push({ viseme: vowel, weight, share: vowelShare });
+  if (coda) shapes.push({ viseme: 'closed', weight: 1, share: CLOSURE_FRACTION });
+
+  return shapes;
+}
+
+/**
+ * Place a syllable's shapes on the timeline
+ * Lip closures are capped so long (slow-profile) syllables keep their vowel.
+ */
+function placeSyllable(syllable) {
+  const shapes = syllableShapes(syllable.text);
+  const duration = syllable.end - syllable.start;
+  const closure = Math.min(duration * CLOSURE_FRACTION, CLOSURE_MAX_SECONDS);
+  const closureCount = shapes.filter(s => s.viseme === 'closed').length;
+  const openSeconds = duration - closure * closureCount;
+  const openShare = shapes.filter(s => s.viseme !== 'closed').reduce((sum, s) => sum + s.share, 0);
+
+  const events = [];
+  let t = syllable.start;
+  for (const shape of shapes) {
+    const length = shape.viseme === 'closed' ? closure : openSeconds * (shape.share / openShare);
+    events.push({
+      viseme: shape.viseme,
+      blendshape: VISEMES[shape.viseme].blendshape,
+      weight: shape.weight,
+      start: round3(t),
+      end: round3(t + length),
+      syllableIndex: syllable.index
+    });
+    t += length;
+  }
+  return events;
+}
+
+function restEvent(start, end) {
+  return { viseme: 'rest', blendshape: null, weight: 0, start: round3(start), end: round3(end), syllableIndex: null };
+}
+
+/**
+ * Build a viseme track from syllable timings
+ * @param {object} timings - { duration, syllables: [{ index, text, start, end }] } (see timings.js)
+ * @returns {{ duration: number, visemes: Array }}
+ */
+function buildVisemeTrack(timings) {
+  const visemes = [];
+  let cursor = 0;
+
+  for (const syllable of timings.syllables) {
+    if (syllable.start - cursor >= MIN_REST_SECONDS) {
+      visemes.push(restEvent(cursor, syllable.start));
+    }
+    visemes.push(...placeSyllable(syllable));
+    cursor = syllable.end;
+  }
+
+  const duration = Math.max(timings.duration || 0, cursor);
+  if (duration - cursor >= MIN_REST_SECONDS || visemes.length === 0) {
+    visemes.push(restEvent(cursor, duration));
+  }
+
+  return { duration: round3(duration), visemes };
+}
+
+module.exports = {
+  buildVisemeTrack,
+  decomposeSyllable,
+  syllableShapes,
+  VISEMES
+};
@@ -0,0 +1,153 @@
+/**
+ * Voice Catalog - allowlisted TTS voices
+ *
+ * Clients pick a voice by catalog id (never by raw ElevenLabs voice ID),
+ * so only voices listed here can be synthesized and billed.
+ *
+ * GET /api/voices lists the catalog with gender, age and style tags.
+ */
+
+// Allowed range for per-request voice setting overrides
+const OVERRIDE_FIELDS = ['stability', 'style'];
+const OVERRIDE_MIN = 0;
+const OVERRIDE_MAX = 1;
+
+// Voice catalog (ElevenLabs premade multilingual voices)
+// voiceSettings are merged over the TTS defaults before speed profiles and overrides.
+const VOICES = [
+  {
+    id: 'rachel',
+    name: 'Rachel',
+    elevenLabsVoiceId: '21m00Tcm4TlvDq8ikWAM',
+    gender: 'female',
+    age: 'adult',
+    styles: ['calm', 'clear', 'narration'],
+    voiceSettings: {}
+  },
+  {
+    id: 'adam',
+    name: 'Adam',
+    elevenLabsVoiceId: 'pNInz6obpgDQGcFmaJgB',
+    gender: 'male',
+    age: 'adult',
+    styles: ['deep', 'steady'],
+    voiceSettings: {}
+  },
+  {
+    id: 'antoni',
+    name: 'Antoni',
+    elevenLabsVoiceId: 'ErXwobaYiN019PkySvjV',
+    gender: 'male',
+    age: 'young',
+    styles: ['friendly', 'conversational'],
+    voiceSettings: { style: 0.1 }
+  },
+  {
+    id: 'elli',
+    name: 'Elli',
+    elevenLabsVoiceId: 'MF3mGyEYCl7XYWbV9V6O',
+    gender: 'female',
+    age: 'young',
+    styles: ['bright', 'expressive'],
+    voiceSettings: { style: 0.2 }
+  },
+  {
+    id: 'mimi',
+    name: 'Mimi',
+    elevenLabsVoiceId: 'zrHiDhphv9ZnVXBqCLjz',
+    gender: 'female',
+    age: 'child',
+    styles: ['playful', 'kids'],
+    voiceSettings: { stability: 0.6, style: 0.3 }
+  }
+];
+
+const DEFAULT_VOICE = 'rachel';
+
+/**
+ * Look up a catalog voice by id
+ * Omitting the id selects the default voice. ELEVENLABS_VOICE_ID overrides the
+ * default voice's upstream ID for existing deployments, whether the default is
+ * requested by name or by omission, so both hit the same upstream voice and cache.
+ * @param {string|undefined} id - Catalog voice id
+ * @returns {object|null} Voice entry or null if not in the catalog
+ */
+function resolveVoice(id) {
+  if (id === undefined || id === null || id === '') id = DEFAULT_VOICE;
+  if (typeof id !== 'string') return null;
+
+  const voice = VOICES.find(v => v.id === id.toLowerCase());
+  if (!voice) return null;
+  if (voice.id === DEFAULT_VOICE && process.env.ELEVENLABS_VOICE_ID) {
+    return { ...voice, elevenLabsVoiceId: process.env.ELEVENLABS_VOICE_ID };
+  }
+  return voice;
+}
+
+/**
+ * Validate stability/style overrides from a request body
+ * @param {object} body - Request body
+ * @returns {{ ok: boolean, overrides?: object, error?: string }}
+ */
+function parseVoiceOverrides(body) {
+  const overrides = {};
+
+  for (const field of OVERRIDE_FIELDS) {
+    if (body[field] === undefined || body[field] === null) continue;
+
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < OVERRIDE_MIN || value > OVERRIDE_MAX) {
+      return {
+        ok: false,
+        error: `Invalid "${field}" (must be a number between ${OVERRIDE_MIN} and ${OVERRIDE_MAX})`
+      };
+    }
+    overrides[field] = value;
+  }
+
+  return { ok: true, overrides };
+}
+
+/**
+ * Public view of the catalog (upstream voice IDs stay server-side)
+ */
+function listVoices() {
+  return VOICES.map(v => ({
+    id: v.id,
+    name: v.name,
+    gender: v.gender,
+    age: v.age,
+    styles: v.styles,
+    default: v.id === DEFAULT_VOICE
+  }));
+}
+
+/**
+ * GET /api/voices handler
+ * Query: ?gender=female|male&age=child|young|adult&style=<tag> (optional)
+ */
+function voicesHandler(req, res) {
+  const { gender, age, style } = req.query;
+
+  let voices = listVoices();
+  if (gender) voices = voices.filter(v => v.gender === gender);
+  if (age) voices = voices.filter(v => v.age === age);
+  if (style) voices = voices.filter(v => v.styles.includes(style));
+
+  res.json({
+    ok: true,
+    total: voices.length,
+    defaultVoice: DEFAULT_VOICE,
+    overrides: OVERRIDE_FIELDS.map(field => ({ field, min: OVERRIDE_MIN, max: OVERRIDE_MAX })),
+    voices
+  });
+}
+
+module.exports = {
+  voicesHandler,
+  resolveVoice,
+  parseVoiceOverrides,
+  listVoices,
+  VOICES,
+  DEFAULT_VOICE
+};
@@ -0,0 +1,178 @@
+/**
+ * Word-level (어절) alignment - per-word verdicts for the diff
+ *
+ * Target and learner 어절 are aligned first (alignWords), allowing for words the
+ * learner ran together or split (커피사 for 커피 사), so a word is only ever
+ * compared with the learner's word(s) in the same place. Each aligned group then
+ * gets a character diff, and groupUnitsByWord turns its units into per-word
+ * verdicts with the units nested under the word for highlighting:
+ *
+ *   { index: 2, word: '주세요', got: '주새요', status: 'partial', accuracyPercent: 83,
+ *     units: [{ unit: '주', status: 'correct' }, { unit: '세', status: 'wrong', ... }, ...] }
+ */
+
+// Most target words one learner word may cover (and the reverse)
+const MAX_RUN_TOGETHER = 3;
+
+// Below this per-word accuracy the learner said a different word, not a near-miss
+const SUBSTITUTED_BELOW_PERCENT = 50;
+
+const consumesTarget = unit => unit.status !== 'extra' && unit.status !== 'extra-space';
+const consumesTranscript = unit => unit.status !== 'missing' && unit.status !== 'missing-space';
+
+/**
+ * Cost of a unit against its word (spacing is scored separately, see computeCER)
+ */
+function unitCost(unit) {
+  if (unit.unit === ' ') return 0;
+  if (unit.status === 'wrong') return 1 - unit.credit;
+  if (unit.status === 'missing' || unit.status === 'extra') return 1;
+  return 0;
+}
+
+/**
+ * Align target 어절 with learner 어절
+ * Each step pairs one target word with one learner word, drops a word on either
+ * side, or pairs up to MAX_RUN_TOGETHER words on one side with a single word on the other.
+ * @param {string[]} targetWords
+ * @param {string[]} learnerWords
+ * @param {function(string, string): number} distance - Edit cost between two (space-joined) texts
+ * @returns {Array<{ target: number[], learner: number[] }>} Word indices per group, in order
+ */
+function alignWords(targetWords, learnerWords, distance) {
+  const m = targetWords.length;
+  const n = learnerWords.length;
+  const steps = [[1, 1], [1, 0], [0, 1]];
+  for (let k = 2; k <= MAX_RUN_TOGETHER; k++) steps.push([k, 1], [1, k]);
+
+  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(Infinity));
+  const back = Array(m + 1).fill(null).map(() => Array(n + 1).fill(null));
+  dp[0][0] = 0;
+
+  for (let i = 0; i <= m; i++) {
+    for (let j = 0; j <= n; j++) {
+      for (const [a, b] of steps) {
+        if (a > i || b > j) continue;
+        const cost = dp[i - a][j - b] + distance(
+          targetWords.slice(i - a, i).join(' '),
+          learnerWords.slice(j - b, j).join(' ')
+        );
+        if (cost < dp[i][j]) {
+          dp[i][j] = cost;
+          back[i][j] = [a, b];
+        }
+      }
+    }
+  }
+
+  const groups = [];
+  let i = m, j = n;
+  while (i > 0 || j > 0) {
+    const [a, b] = back[i][j];
+    groups.unshift({
+      target: Array.from({ length: a }, (_, k) => i - a + k),
+      learner: Array.from({ length: b }, (_, k) => j - b + k)
+    });
+    i -= a;
+    j -= b;
+  }
+  return groups;
+}
+
+/**
+ * Group character diff units into target 어절
+ * @param {Array<{ unit: string, status: string }>} units - Character diff of one aligned group
+ * @returns {Array<{ index: number|null, word: string|null, got: string|null, status: string,
+ *                   accuracyPercent: number|null, units: object[] }>}
+ *          index counts target words within units; status: correct | partial | substituted |
+ *          missing (target words), inserted (learner words with no target counterpart:
+ *          index, word and accuracyPercent are null).
+ *          got is the learner's text lined up with the word (null when missing); spaces
+ *          between words are left out, a space the learner put inside a word is kept.
+ */
+function groupUnitsByWord(units) {
+  // Which target word / transcript word each unit belongs to
+  let targetWord = 0;
+  let transcriptWord = 0;
+  const placed = units.map(unit => {
+    const isSpace = unit.unit === ' ';
+    const entry = {
+      unit,
+      target: consumesTarget(unit) && !isSpace ? targetWord : null,
+      transcript: consumesTranscript(unit) && !isSpace ? transcriptWord : null
+    };
+    if (isSpace && consumesTarget(unit)) targetWord++;
+    if (isSpace && consumesTranscript(unit)) transcriptWord++;
+    return entry;
+  });
+
+  // Target words each transcript word lines up with (several when words were run together)
+  const targetsOf = new Map();
+  for (const { target, transcript } of placed) {
+    if (target === null || transcript === null) continue;
+    if (!targetsOf.has(transcript)) targetsOf.set(transcript, new Set());
+    targetsOf.get(transcript).add(target);
+  }
+
+  // Owner of each unit: a target word, or an inserted transcript word for stray extras
+  let lastTarget = null;
+  for (const entry of placed) {
+    if (entry.target !== null) {
+      entry.owner = `t${entry.target}`;
+      lastTarget = entry.target;
+    } else if (entry.transcript !== null) {
+      const candidates = targetsOf.get(entry.transcript);
+      if (!candidates) entry.owner = `i${entry.transcript}`;
+      else entry.owner = `t${candidates.has(lastTarget) ? lastTarget : Math.min(...candidates)}`;
+    }
+  }
+  // A space the learner put inside a word stays with that word
+  placed.forEach((entry, i) => {
+    if (entry.owner || entry.unit.status !== 'extra-space') return;
+    const before = placed.slice(0, i).reverse().find(e => e.owner);
+    const after = placed.slice(i + 1).find(e => e.owner);
+    if (before && after && before.owner === after.owner) entry.owner = before.owner;
+  });
+
+  const groups = new Map();
+  for (const entry of placed) {
+    if (!entry.owner) continue;
+    if (!groups.has(entry.owner)) groups.set(entry.owner, []);
+    groups.get(entry.owner).push(entry.unit);
+  }
+
+  return [...groups.entries()].map(([owner, wordUnits]) => {
+    const got = wordUnits
+      .filter(consumesTranscript)
+      .map(unit => (unit.status === 'wrong' ? unit.got : unit.unit))
+      .join('');
+
+    if (owner.startsWith('i')) {
+      return { index: null, word: null, got, status: 'inserted', accuracyPercent: null, units: wordUnits };
+    }
+
+    const word = wordUnits.filter(consumesTarget).map(unit => unit.unit).join('');
+    const cost = wordUnits.reduce((sum, unit) => sum + unitCost(unit), 0);
+    const accuracyPercent = Math.max(0, Math.round((1 - cost / word.length) * 100));
+
+    let status;
+    if (!got.trim()) status = 'missing';
+    else if (cost === 0) status = 'correct';
+    else if (accuracyPercent < SUBSTITUTED_BELOW_PERCENT) status = 'substituted';
+    else status = 'partial';
+
+    return {
+      index: Number(owner.slice(1)),
+      word,
+      got: status === 'missing' ? null : got,
+      status,
+      accuracyPercent,
+      units: wordUnits
+    };
+  });
+}
+
+module.exports = {
+  alignWords,
+  groupUnitsByWord
+};
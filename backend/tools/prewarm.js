@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * TTS Pre-warm - fill the TTS cache for the whole sentence bank
+ * Run: node tools/prewarm.js [options]
+ *
+ * Options:
+ *   --voices=rachel,mimi   Catalog voices (default: all)
+ *   --speeds=0,1,2         Speed profiles (default: all)
+ *   --format=mp3           Output format (default: mp3)
+ *   --concurrency=3        Parallel synthesis requests (1-8)
+ *   --limit=N              Only the first N sentences
+ *   --dry-run              Print the plan and cost estimate, then exit
+ *   --yes                  Skip the confirmation prompt
+ *
+ * Uses the same providers (TTS_PROVIDERS), cache keys and cache directory as
+ * /api/tts. Ctrl+C stops after in-flight requests; rerun to resume.
+ */
+
+const path = require('path');
+const readline = require('readline');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { parsePrewarmOptions, getPrewarmProviders, planPrewarm, runPrewarm } = require('../src/prewarm');
+const { SPEED_PROFILES } = require('../src/tts');
+
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(color, symbol, msg) {
+  console.log(`${colors[color]}${symbol}${colors.reset} ${msg}`);
+}
+
+function pass(msg) { log('green', '✓', msg); }
+function fail(msg) { log('red', '✗', msg); }
+function warn(msg) { log('yellow', '!', msg); }
+function info(msg) { log('cyan', '→', msg); }
+
+/**
+ * Parse --key=value / --key value / --flag arguments
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const [, key, inline] = match;
+    if (inline !== undefined) {
+      args[key] = inline;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function printEstimate(estimate) {
+  console.log(`\n${colors.cyan}═══════════════════════════════════════════${colors.reset}`);
+  console.log(`${colors.cyan}  TTS Pre-warm Plan${colors.reset}`);
+  console.log(`${colors.cyan}═══════════════════════════════════════════${colors.reset}\n`);
+  console.log(`  Sentences:      ${estimate.sentences}`);
+  console.log(`  Voices:         ${estimate.voices.join(', ')}`);
+  console.log(`  Speed profiles: ${estimate.speedProfiles.map(id => SPEED_PROFILES[id].name).join(', ')}`);
+  console.log(`  Format:         ${estimate.format}`);
+  console.log(`  Provider:       ${estimate.provider}`);
+  console.log(`  Entries:        ${estimate.total} total, ${estimate.cached} cached, ${estimate.remaining} to synthesize`);
+  console.log(`  Characters:     ${estimate.characters.toLocaleString()}`);
+  console.log(`  Estimated cost: $${estimate.estimatedCostUsd.toFixed(2)} (at $${estimate.costPer1kChars}/1K chars)\n`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node tools/prewarm.js [--voices=a,b] [--speeds=0,1,2] [--format=mp3] [--concurrency=3] [--limit=N] [--dry-run] [--yes]');
+    return 0;
+  }
+
+  const parsed = parsePrewarmOptions({
+    voices: args.voices,
+    speedProfiles: args.speeds,
+    format: args.format,
+    concurrency: args.concurrency,
+    limit: args.limit
+  });
+  if (!parsed.ok) {
+    fail(parsed.error);
+    return 1;
+  }
+  const { options } = parsed;
+
+  const providers = getPrewarmProviders(options.formatName);
+  if (providers.length === 0) {
+    fail(`No configured TTS provider supports "${options.formatName}" (check TTS_PROVIDERS and provider keys)`);
+    return 1;
+  }
+
+  info('Checking cache...');
+  const { jobs, estimate } = planPrewarm(options, providers);
+  printEstimate(estimate);
+
+  if (jobs.length === 0) {
+    pass('Everything is already cached');
+    return 0;
+  }
+  if (args['dry-run']) {
+    info('Dry run - nothing synthesized');
+    return 0;
+  }
+  if (!args.yes) {
+    if (!process.stdin.isTTY) {
+      fail('Refusing to spend credits without confirmation (pass --yes)');
+      return 1;
+    }
+    if (!(await confirm(`Synthesize ${jobs.length} entries? [y/N] `))) {
+      info('Cancelled');
+      return 0;
+    }
+  }
+
+  // First Ctrl+C: finish in-flight requests and stop; second: exit now
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    warn('Stopping after in-flight requests (Ctrl+C again to exit now)...');
+    controller.abort();
+  });
+
+  const started = Date.now();
+  const reportEvery = Math.max(1, Math.floor(jobs.length / 20));
+
+  const progress = await runPrewarm(jobs, {
+    formatName: options.formatName,
+    concurrency: options.concurrency,
+    providers,
+    signal: controller.signal,
+    onProgress: (p, job, result) => {
+      if (!result.ok) {
+        fail(`#${job.sentenceId} ${job.voice.id}/${SPEED_PROFILES[job.speedProfile].name}: ${p.errors[p.errors.length - 1].error}`);
+      }
+      if (p.done % reportEvery === 0 || p.done === p.total) {
+        const percent = Math.round(p.done / p.total * 100);
+        info(`${p.done}/${p.total} (${percent}%) synthesized=${p.synthesized} skipped=${p.skipped} failed=${p.failed}`);
+      }
+    }
+  });
+
+  const seconds = Math.round((Date.now() - started) / 1000);
+  console.log('');
+  pass(`Synthesized ${progress.synthesized} entries (${progress.characters.toLocaleString()} chars) in ${seconds}s`);
+  if (progress.skipped > 0) info(`Skipped ${progress.skipped} entries cached meanwhile`);
+  if (progress.failed > 0) fail(`${progress.failed} entries failed - rerun to retry them`);
+  if (progress.interrupted) warn(`Interrupted with ${progress.total - progress.done} entries left - rerun to resume`);
+
+  return progress.failed > 0 || progress.interrupted ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch((err) => {
+    fail(`Pre-warm error: ${err.message}`);
+    process.exit(1);
+  });
@@ -22,11 +22,38 @@ public static class ApiClient
         private static float _lastErrorLogTime = -999f;
         private static string _lastErrorMessage = "";
 
+        // Scoring tiers (accuracy %), replaced by GET /api/config after the first successful health check
+        private const float DEFAULT_CORRECT_THRESHOLD = 90f;
+        private const float DEFAULT_PARTIAL_THRESHOLD = 65f;
+        private static float _correctThreshold = DEFAULT_CORRECT_THRESHOLD;
+        private static float _partialThreshold = DEFAULT_PARTIAL_THRESHOLD;
+        private static bool _scoringConfigLoaded = false;
+
         /// <summary>
         /// Whether the backend is currently reachable (updated by CheckHealth)
         /// </summary>
         public static bool IsBackendReachable => _isBackendReachable;
 
+        /// <summary>
+        /// Minimum accuracy % for the "correct" tier (backend SCORING_TIER_CORRECT)
+        /// </summary>
+        public static float CorrectThreshold => _correctThreshold;
+
+        /// <summary>
+        /// Minimum accuracy % for the "partial" tier; below is "severe" (backend SCORING_TIER_PARTIAL)
+        /// </summary>
+        public static float PartialThreshold => _partialThreshold;
+
+        /// <summary>
+        /// 3-Tier feedback level for an accuracy, using the backend's thresholds
+        /// </summary>
+        public static string GetFeedbackLevel(int accuracyPercent)
+        {
+            if (accuracyPercent >= _correctThreshold) return "correct";
+            if (accuracyPercent >= _partialThreshold) return "partial";
+            return "severe";
+        }
+
         /// <summary>
         /// Log error with throttling to prevent spam
         /// </summary>
@@ -166,7 +193,8 @@ public class TutorPronunciationItem
 
         /// <summary>
         /// Tutor feedback from Grok LLM (when available)
-        /// 3-Tier Feedback: "correct" (>=90%), "partial" (50-89%), "severe" (<50%)
+        /// 3-Tier Feedback: "correct" (>=CorrectThreshold), "partial" (>=PartialThreshold), "severe" (below);
+        /// thresholds come from GET /api/config (default 90/65)
         /// </summary>
         [Serializable]
         public class TutorFeedback
@@ -273,6 +301,28 @@ public class HealthResponse
             public string llmProvider;
         }
 
+        [Serializable]
+        public class ScoringTier
+        {
+            public string tier;  // "correct", "partial", "severe"
+            public float minAccuracyPercent;
+            public float maxAccuracyPercent;  // Exclusive except for "correct"
+            public string clientState;
+        }
+
+        [Serializable]
+        public class ScoringConfig
+        {
+            public ScoringTier[] tiers;
+        }
+
+        [Serializable]
+        public class ConfigResponse
+        {
+            public bool ok;
+            public ScoringConfig scoring;
+        }
+
         // =====================================================
         // /api/eval Response Classes (Combined Evaluation)
         // =====================================================
@@ -421,6 +471,57 @@ public static IEnumerator CheckHealth(Action<HealthResponse> onSuccess, Action<s
                     onError?.Invoke(error);
                 }
             }
+
+            // Scoring tiers only need fetching once per session
+            if (_isBackendReachable && !_scoringConfigLoaded)
+            {
+                yield return FetchScoringConfig();
+            }
+        }
+
+        /// <summary>
+        /// Load the scoring tier thresholds from GET /api/config.
+        /// Keeps the defaults (90/65) if the request fails or the response has no tiers.
+        /// </summary>
+        public static IEnumerator FetchScoringConfig()
+        {
+            string url = AppConfig.Instance.ConfigUrl;
+
+            using (UnityWebRequest request = UnityWebRequest.Get(url))
+            {
+                request.timeout = (int)DEFAULT_TIMEOUT;
+                yield return request.SendWebRequest();
+
+                if (request.result != UnityWebRequest.Result.Success)
+                {
+                    Debug.LogWarning($"[ApiClient] Scoring config unavailable ({request.error}); using {_correctThreshold}/{_partialThreshold}");
+                    yield break;
+                }
+
+                try
+                {
+                    ConfigResponse response = JsonUtility.FromJson<ConfigResponse>(request.downloadHandler.text);
+                    ScoringTier[] tiers = response?.scoring?.tiers;
+                    if (tiers == null || tiers.Length == 0)
+                    {
+                        Debug.LogWarning($"[ApiClient] Scoring config has no tiers; using {_correctThreshold}/{_partialThreshold}");
+                    }
+                    else
+                    {
+                        foreach (ScoringTier tier in tiers)
+                        {
+                            if (tier.tier == "correct") _correctThreshold = tier.minAccuracyPercent;
+                            else if (tier.tier == "partial") _partialThreshold = tier.minAccuracyPercent;
+                        }
+                        _scoringConfigLoaded = true;
+                        Debug.Log($"[ApiClient] Scoring tiers: correct >= {_correctThreshold}%, partial >= {_partialThreshold}%");
+                    }
+                }
+                catch (Exception e)
+                {
+                    Debug.LogWarning($"[ApiClient] Failed to parse scoring config: {e.Message}");
+                }
+            }
         }
 
         /// <summary>
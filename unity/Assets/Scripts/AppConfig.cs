@@ -387,6 +387,11 @@ public void SetKoreanFont(TMP_FontAsset font)
         /// </summary>
         public string HealthUrl => $"{BackendBaseUrl}/api/health";
 
+        /// <summary>
+        /// Full URL for Config endpoint (scoring tier thresholds)
+        /// </summary>
+        public string ConfigUrl => $"{BackendBaseUrl}/api/config";
+
         /// <summary>
         /// Full URL for Eval endpoint (combined STT + scoring + pronunciation + grammar)
         /// </summary>
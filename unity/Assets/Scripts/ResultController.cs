@@ -588,7 +588,7 @@ private void DisplayComment(ShadowingState state)
             if (!string.IsNullOrEmpty(tutorComment))
             {
                 // Only show praise if accuracy is high enough
-                if (score < 50 && ContainsPraise(tutorComment))
+                if (score < ApiClient.PartialThreshold && ContainsPraise(tutorComment))
                 {
                     // Low score but tutor praised - show friendly retry message instead (반말)
                     Debug.Log($"[ResultController] Overriding tutor praise for low score ({score}%)");
@@ -694,19 +694,20 @@ private string GetScoreDescription(int score)
         }
 
         /// <summary>
-        /// Get default comment based on 3-tier feedback system
-        /// ✅ Correct (>=90%): "정확해! 잘했어~"
-        /// ☑️ Partial (50-89%): "좋았어! 다시 한 번 해볼까?"
-        /// ❌ Severe (<50%): "음, 다시 한 번 해볼까?"
+        /// Get default comment based on 3-tier feedback system (thresholds from GET /api/config, default 90/65)
+        /// ✅ Correct (>=CorrectThreshold): "정확해! 잘했어~"
+        /// ☑️ Partial (>=PartialThreshold): "좋았어! 다시 한 번 해볼까?"
+        /// ❌ Severe (below): "음, 다시 한 번 해볼까?"
         /// </summary>
         private string GetDefaultComment(int score)
         {
-            if (score >= 90)
+            string level = ApiClient.GetFeedbackLevel(score);
+            if (level == "correct")
             {
                 // Correct - praise and encourage
                 return "정확해! 잘했어~";
             }
-            else if (score >= 50)
+            else if (level == "partial")
             {
                 // Partial - acknowledge effort, encourage retry
                 return "좋았어! 조금 더 연습해 볼까?";
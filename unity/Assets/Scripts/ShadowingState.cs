@@ -136,8 +136,8 @@ public enum Phase
         public string TutorCommentKo => _tutor?.commentKo ?? "";
         public bool HasTutorGrammarMistakes => _tutorGrammarMistakes != null && _tutorGrammarMistakes.Length > 0;
 
-        // 3-Tier Feedback Level: "correct", "partial", "severe"
-        public string FeedbackLevel => _tutor?.feedbackLevel ?? (AccuracyPercent >= 90 ? "correct" : AccuracyPercent >= 50 ? "partial" : "severe");
+        // 3-Tier Feedback Level: "correct", "partial", "severe" (thresholds from GET /api/config)
+        public string FeedbackLevel => _tutor?.feedbackLevel ?? ApiClient.GetFeedbackLevel(AccuracyPercent);
         public bool IsFeedbackCorrect => FeedbackLevel == "correct";
         public bool IsFeedbackPartial => FeedbackLevel == "partial";
         public bool IsFeedbackSevere => FeedbackLevel == "severe";
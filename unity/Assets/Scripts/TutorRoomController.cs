@@ -3852,8 +3852,8 @@ private string BuildSpokenFeedback(string targetText, string transcriptText, Api
             {
                 int wrongCount = feedback.diff.wrongParts.Length;
 
-                // Severe if more than 2 wrong parts or accuracy < 50%
-                bool isSevere = wrongCount > 2 || (feedback.AccuracyPercent < 50);
+                // Severe if more than 2 wrong parts or accuracy below the partial tier
+                bool isSevere = wrongCount > 2 || (feedback.AccuracyPercent < ApiClient.PartialThreshold);
 
                 // Get first wrong part for partial feedback
                 string wrongPart = wrongCount > 0 ? feedback.diff.wrongParts[0] : "";